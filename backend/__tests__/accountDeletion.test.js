@@ -0,0 +1,285 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const {
+  sequelize,
+  User,
+  Alert,
+  DiagnosticTest,
+  AlertRule,
+  CareRelationship,
+  RefreshToken,
+  LoginThrottle,
+  SecurityEvent,
+  AuditLog,
+  DataExport,
+  Attachment
+} = require('../models');
+const { setTransport } = require('../services/mailer');
+const { createLocalStorage, setStorage, newStorageKey } = require('../services/attachmentStorage');
+const { GRACE_DAYS, purgeDueAccounts } = require('../services/accountDeletion');
+
+describe('Account Deletion', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  let exportDir;
+  let sentMail;
+  let patient;
+  let clinician;
+  let tokens;
+
+  const login = (email) => request(app)
+    .post('/api/auth/login')
+    .send({ email, password: 'password123' });
+
+  const deleteAccount = (token, password = 'password123') => request(app)
+    .delete('/api/users/account')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ password });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+    process.env.DATA_EXPORT_DIR = exportDir;
+    setStorage(createLocalStorage(path.join(exportDir, 'attachments')));
+    setTransport({
+      name: 'memory',
+      send: async (message) => {
+        sentMail.push(message);
+        return { messageId: String(sentMail.length) };
+      }
+    });
+  });
+
+  afterAll(async () => {
+    delete process.env.DATA_EXPORT_DIR;
+    setStorage(null);
+    fs.rmSync(exportDir, { recursive: true, force: true });
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    sentMail = [];
+    await DataExport.destroy({ where: {} });
+    await SecurityEvent.destroy({ where: {} });
+    await LoginThrottle.destroy({ where: {} });
+    await CareRelationship.destroy({ where: {} });
+    await AlertRule.destroy({ where: {} });
+    await DiagnosticTest.destroy({ where: {} });
+    await Alert.destroy({ where: {} });
+    await RefreshToken.destroy({ where: {} });
+    await User.destroy({ where: {} });
+
+    patient = await User.create({
+      name: 'John Doe',
+      email: 'john@example.com',
+      password: 'password123'
+    });
+    clinician = await User.create({
+      name: 'Dr. Jane Smith',
+      email: 'jane@example.com',
+      password: 'password123',
+      role: 'clinician'
+    });
+
+    tokens = {
+      patient: (await login('john@example.com')).body,
+      clinician: (await login('jane@example.com')).body
+    };
+  });
+
+  describe('DELETE /api/users/account', () => {
+    it('should require the password', async () => {
+      await deleteAccount(tokens.patient.token, '').expect(400);
+      const response = await deleteAccount(tokens.patient.token, 'wrongpassword').expect(400);
+
+      expect(response.body.message).toBe('Password is incorrect');
+      await patient.reload();
+      expect(patient.isPendingDeletion()).toBe(false);
+    });
+
+    it('should schedule deletion after the grace period and end every session', async () => {
+      const response = await deleteAccount(tokens.patient.token).expect(200);
+
+      const scheduledFor = new Date(response.body.deletionScheduledFor).getTime();
+      expect(Math.abs(scheduledFor - (Date.now() + GRACE_DAYS * DAY_MS))).toBeLessThan(60 * 1000);
+
+      await patient.reload();
+      expect(patient.isActive).toBe(false);
+      expect(patient.isPendingDeletion()).toBe(true);
+
+      await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${tokens.patient.token}`)
+        .expect(401);
+      const session = await RefreshToken.findOne({ where: { userId: patient.id } });
+      expect(session.revokedReason).toBe('account_deletion');
+
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe('john@example.com');
+      expect(sentMail[0].text).toContain('log in before then');
+    });
+
+    it('should cancel the deletion when the user logs in', async () => {
+      await deleteAccount(tokens.patient.token).expect(200);
+
+      const response = await login('john@example.com').expect(200);
+
+      expect(response.body.deletionCancelled).toBe(true);
+      expect(response.body.message).toBe('Login successful. Your account deletion has been cancelled.');
+      await patient.reload();
+      expect(patient.isActive).toBe(true);
+      expect(patient.deletionScheduledFor).toBeNull();
+      expect(await purgeDueAccounts(new Date(Date.now() + (GRACE_DAYS + 1) * DAY_MS))).toBe(0);
+    });
+
+    it('should still refuse accounts deactivated for other reasons', async () => {
+      await patient.update({ isActive: false });
+
+      const response = await login('john@example.com').expect(401);
+
+      expect(response.body.message).toBe('Account is deactivated. Please contact support.');
+    });
+  });
+
+  describe('Purge', () => {
+    let otherPatient;
+    let reviewedTest;
+    let attachmentKey;
+
+    beforeEach(async () => {
+      otherPatient = await User.create({
+        name: 'Other Patient',
+        email: 'other@example.com',
+        password: 'password123'
+      });
+
+      // The clinician's own records and sign-in state
+      const panel = await DiagnosticTest.create({
+        name: 'Lipid Panel',
+        isPanel: true,
+        date: '2024-01-15',
+        userId: clinician.id
+      });
+      const ldl = await DiagnosticTest.create({
+        name: 'LDL',
+        result: '160 mg/dL',
+        date: '2024-01-15',
+        panelId: panel.id,
+        userId: clinician.id
+      });
+      attachmentKey = newStorageKey(clinician.id);
+      fs.mkdirSync(path.join(exportDir, 'attachments', String(clinician.id)), { recursive: true });
+      fs.writeFileSync(path.join(exportDir, 'attachments', ...attachmentKey.split('/')), '%PDF-1.7');
+      await Attachment.create({
+        diagnosticTestId: ldl.id,
+        userId: clinician.id,
+        fileName: 'lipids.pdf',
+        contentType: 'application/pdf',
+        size: 8,
+        checksum: '0'.repeat(64),
+        storageKey: attachmentKey
+      });
+      await Alert.create({ title: 'High LDL', message: 'LDL 160', userId: clinician.id });
+      await AlertRule.create({
+        name: 'LDL above 130',
+        condition: 'above',
+        threshold: 130,
+        consecutiveCount: 2,
+        userId: clinician.id
+      });
+      await SecurityEvent.create({ type: 'account_locked', userId: clinician.id, ipAddress: '10.0.0.1' });
+      await LoginThrottle.create({ scope: 'account', key: 'jane@example.com', failureCount: 2 });
+      fs.writeFileSync(path.join(exportDir, 'export-jane.zip'), 'zip');
+      await DataExport.create({ userId: clinician.id, status: 'completed', fileName: 'export-jane.zip' });
+
+      // A patient the clinician cares for, with a test they reviewed
+      await CareRelationship.create({
+        patientId: otherPatient.id,
+        clinicianId: clinician.id,
+        status: 'active',
+        initiatedBy: 'patient'
+      });
+      reviewedTest = await DiagnosticTest.create({
+        name: 'Glucose',
+        result: '95 mg/dL',
+        date: '2024-01-15',
+        userId: otherPatient.id
+      });
+      await reviewedTest.markAsReviewed(clinician.id, 'Looks fine');
+
+      await deleteAccount(tokens.clinician.token).expect(200);
+    });
+
+    it('should leave accounts alone during the grace period', async () => {
+      expect(await purgeDueAccounts()).toBe(0);
+      expect(await User.findByPk(clinician.id)).not.toBeNull();
+    });
+
+    it('should erase the user and everything that belongs to them', async () => {
+      expect(await purgeDueAccounts(new Date(Date.now() + (GRACE_DAYS + 1) * DAY_MS))).toBe(1);
+
+      expect(await User.findByPk(clinician.id)).toBeNull();
+      expect(await DiagnosticTest.count({ where: { userId: clinician.id } })).toBe(0);
+      expect(await Alert.count({ where: { userId: clinician.id } })).toBe(0);
+      expect(await AlertRule.count({ where: { userId: clinician.id } })).toBe(0);
+      expect(await CareRelationship.count({ where: { clinicianId: clinician.id } })).toBe(0);
+      expect(await RefreshToken.count({ where: { userId: clinician.id } })).toBe(0);
+      expect(await SecurityEvent.count({ where: { userId: clinician.id } })).toBe(0);
+      expect(await LoginThrottle.count({ where: { key: 'jane@example.com' } })).toBe(0);
+      expect(await DataExport.count({ where: { userId: clinician.id } })).toBe(0);
+      expect(fs.existsSync(path.join(exportDir, 'export-jane.zip'))).toBe(false);
+      expect(await Attachment.count({ where: { userId: clinician.id } })).toBe(0);
+      expect(fs.existsSync(path.join(exportDir, 'attachments', ...attachmentKey.split('/')))).toBe(false);
+
+      // Other patients keep their records, without the reviewer
+      await reviewedTest.reload();
+      expect(reviewedTest.reviewedBy).toBeNull();
+      expect(reviewedTest.reviewNotes).toBe('Looks fine');
+      expect(await User.findByPk(otherPatient.id)).not.toBeNull();
+
+      await login('jane@example.com').expect(401);
+    });
+
+    it('should keep the audit trail only in anonymized form', async () => {
+      const beforePurge = await AuditLog.max('id');
+      const made = await AuditLog.count({ where: { actorId: clinician.id } });
+      const aboutAccount = await AuditLog.count({ where: { resourceType: 'User', resourceId: clinician.id } });
+      expect(made).toBeGreaterThan(0);
+      expect(aboutAccount).toBeGreaterThan(0);
+
+      await purgeDueAccounts(new Date(Date.now() + (GRACE_DAYS + 1) * DAY_MS));
+
+      expect(await AuditLog.count({ where: { ownerId: clinician.id } })).toBe(0);
+      expect(await AuditLog.count({ where: { actorId: clinician.id } })).toBe(0);
+      expect(await AuditLog.count({ where: { resourceType: 'User', resourceId: clinician.id } })).toBe(0);
+
+      // The review of the other patient's test stays on their history
+      const review = await AuditLog.findOne({
+        where: { ownerId: otherPatient.id, resourceId: reviewedTest.id, action: 'update' }
+      });
+      expect(review.changes.reviewNotes.after).toBe('Looks fine');
+      expect(review.actorId).toBeNull();
+
+      // One entry records the erasure; the deleted records get none
+      const added = await AuditLog.findAll({
+        where: { id: { [sequelize.Sequelize.Op.gt]: beforePurge } }
+      });
+      expect(added).toHaveLength(1);
+      expect(added[0]).toMatchObject({
+        action: 'delete',
+        resourceType: 'User',
+        ownerId: null,
+        actorId: null,
+        changes: null
+      });
+
+      // Entries about the account keep pointing at the same, random, reference
+      const { resourceId: reference } = added[0];
+      expect(reference).toBeLessThan(0);
+      expect(await AuditLog.count({ where: { resourceType: 'User', resourceId: reference } }))
+        .toBe(aboutAccount + 1);
+    });
+  });
+});
@@ -0,0 +1,242 @@
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../server');
+const { sequelize, User, Alert } = require('../models');
+const { subscribe, subscriberCount } = require('../services/alertEvents');
+
+describe('Live Alert Events', () => {
+  let server;
+  let baseUrl;
+  let user;
+  let other;
+  let token;
+  let streams;
+
+  const login = async (email) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'password123' });
+    return response.body.token;
+  };
+
+  // Open the stream and collect parsed alert events until close() is
+  // called; the stream.ready event goes to `ready`. Resolves once the
+  // response headers have arrived.
+  const openStream = (authToken = token) => new Promise((resolve, reject) => {
+    const events = [];
+    const stream = { events, ready: null };
+    const waiters = [];
+    let buffer = '';
+
+    const req = http.get(`${baseUrl}/api/alerts/stream`, {
+      headers: authToken ? { Authorization: `Bearer ${authToken}` } : {}
+    }, (res) => {
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        blocks.forEach((block) => {
+          const lines = block.split('\n');
+          const type = lines.find((line) => line.startsWith('event: '));
+          const data = lines.find((line) => line.startsWith('data: '));
+          if (type && data && type === 'event: stream.ready') {
+            stream.ready = JSON.parse(data.slice(6));
+          } else if (type && data) {
+            events.push({ type: type.slice(7), alert: JSON.parse(data.slice(6)) });
+          }
+        });
+        waiters.splice(0).forEach((check) => check());
+      });
+
+      const ended = new Promise((done) => res.on('end', done));
+
+      resolve(Object.assign(stream, {
+        res,
+        ended,
+        // Resolves once `count` events have arrived
+        waitFor: (count) => new Promise((done) => {
+          const check = () => (events.length >= count ? done(events) : waiters.push(check));
+          check();
+        }),
+        close: () => req.destroy()
+      }));
+    });
+    req.on('error', reject);
+    streams.push(req);
+  });
+
+  const waitUntil = async (condition) => {
+    while (!condition()) {
+      await new Promise((done) => setTimeout(done, 10));
+    }
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    user = await User.create({ name: 'John Doe', email: 'john@example.com', password: 'password123' });
+    other = await User.create({ name: 'Jane Roe', email: 'jane@example.com', password: 'password123' });
+    token = await login('john@example.com');
+
+    server = http.createServer(app);
+    await new Promise((done) => server.listen(0, '127.0.0.1', done));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise((done) => server.close(done));
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    streams = [];
+    await Alert.destroy({ where: {} });
+  });
+
+  afterEach(async () => {
+    streams.forEach((req) => req.destroy());
+    await waitUntil(() => subscriberCount(user.id) === 0);
+  });
+
+  describe('GET /api/alerts/stream', () => {
+    it('should require authentication', async () => {
+      const stream = await openStream(null);
+
+      expect(stream.res.statusCode).toBe(401);
+      await stream.ended;
+    });
+
+    it('should push created, updated, resolved and deleted events for the user\'s alerts', async () => {
+      const stream = await openStream();
+      expect(stream.res.statusCode).toBe(200);
+      expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+      await waitUntil(() => subscriberCount(user.id) === 1);
+
+      const created = await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'High glucose', message: 'Glucose is above range', priority: 'critical' })
+        .expect(201);
+      const alertId = created.body.alert.id;
+
+      await request(app)
+        .put(`/api/alerts/${alertId}/acknowledge`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      await request(app)
+        .put(`/api/alerts/${alertId}/resolve`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      await request(app)
+        .delete(`/api/alerts/${alertId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const events = await stream.waitFor(4);
+      stream.close();
+
+      expect(events.map((event) => event.type)).toEqual([
+        'alert.created',
+        'alert.updated',
+        'alert.resolved',
+        'alert.deleted'
+      ]);
+      expect(events[0].alert).toMatchObject({
+        id: alertId,
+        title: 'High glucose',
+        message: 'Glucose is above range',
+        priority: 'critical',
+        status: 'active'
+      });
+      expect(events[1].alert.status).toBe('acknowledged');
+    });
+
+    it('should say first whether notification events will follow', async () => {
+      const readyWith = async (channels) => {
+        process.env.NOTIFICATION_CHANNELS = channels;
+        const stream = await openStream();
+        await waitUntil(() => stream.ready !== null);
+        stream.close();
+        return stream.ready;
+      };
+
+      const channels = process.env.NOTIFICATION_CHANNELS;
+      try {
+        expect(await readyWith('email')).toEqual({ inAppNotifications: false });
+        expect(await readyWith('email,in_app')).toEqual({ inAppNotifications: true });
+      } finally {
+        process.env.NOTIFICATION_CHANNELS = channels;
+      }
+    });
+
+    it('should not push other users\' alerts', async () => {
+      const stream = await openStream();
+      await waitUntil(() => subscriberCount(user.id) === 1);
+
+      await Alert.create({ title: 'Not yours', message: 'Private', userId: other.id });
+      await Alert.create({ title: 'Yours', message: 'Hello', userId: user.id });
+
+      const events = await stream.waitFor(1);
+      stream.close();
+
+      expect(events.map((event) => event.alert.title)).toEqual(['Yours']);
+    });
+
+    it('should unsubscribe when the client disconnects', async () => {
+      const stream = await openStream();
+      await waitUntil(() => subscriberCount(user.id) === 1);
+
+      stream.close();
+
+      await waitUntil(() => subscriberCount(user.id) === 0);
+    });
+
+    it('should end the stream when the access token expires', async () => {
+      const shortLived = jwt.sign(
+        { id: user.id, tv: user.tokenVersion },
+        process.env.JWT_SECRET,
+        { expiresIn: 1 }
+      );
+      const stream = await openStream(shortLived);
+      expect(stream.res.statusCode).toBe(200);
+
+      await stream.ended;
+      await waitUntil(() => subscriberCount(user.id) === 0);
+    });
+  });
+
+  describe('watchAlerts', () => {
+    it('should publish changes made in a transaction only once it commits', async () => {
+      const received = [];
+      const unsubscribe = subscribe(user.id, (event) => received.push(event));
+
+      await sequelize.transaction(async (transaction) => {
+        await Alert.create({ title: 'Committed', message: 'Kept', userId: user.id }, { transaction });
+        expect(received).toHaveLength(0);
+      });
+      expect(received.map((event) => event.alert.title)).toEqual(['Committed']);
+
+      await expect(sequelize.transaction(async (transaction) => {
+        await Alert.create({ title: 'Rolled back', message: 'Lost', userId: user.id }, { transaction });
+        throw new Error('Abort');
+      })).rejects.toThrow('Abort');
+
+      unsubscribe();
+      expect(received).toHaveLength(1);
+    });
+
+    it('should not publish saves that change nothing', async () => {
+      const alert = await Alert.create({ title: 'Quiet', message: 'Same', userId: user.id });
+      const received = [];
+      const unsubscribe = subscribe(user.id, (event) => received.push(event));
+
+      await alert.save();
+      unsubscribe();
+
+      expect(received).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,299 @@
+const request = require('supertest');
+const app = require('../server');
+const { sequelize, User, Alert, AlertRule, DiagnosticTest } = require('../models');
+
+describe('Alert Rules', () => {
+  let authToken;
+  let testUser;
+
+  const createTest = (data) => request(app)
+    .post('/api/diagnostic-tests')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({
+      testType: 'blood',
+      date: '2024-01-15',
+      ...data
+    });
+
+  const findSystemRule = (key) => AlertRule.findOne({ where: { key } });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await DiagnosticTest.destroy({ where: {} });
+    await Alert.destroy({ where: {} });
+    await AlertRule.destroy({ where: {} });
+    await User.destroy({ where: {} });
+    await AlertRule.ensureDefaults();
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'test@example.com',
+        password: 'password123'
+      });
+
+    authToken = loginResponse.body.token;
+  });
+
+  describe('Rule evaluation', () => {
+    it('should raise a critical alert for high potassium', async () => {
+      const response = await createTest({
+        name: 'Potassium',
+        result: '6.8 mmol/L',
+        normalRange: '3.5-5.0'
+      }).expect(201);
+
+      expect(response.body.alerts).toHaveLength(1);
+
+      const alerts = await Alert.findAll({ where: { userId: testUser.id } });
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0].priority).toBe('critical');
+      expect(alerts[0].type).toBe('diagnostic');
+      expect(alerts[0].message).toContain('above 6');
+      expect(alerts[0].diagnosticTestId).toBe(response.body.test.id);
+    });
+
+    it('should raise a high priority alert for an abnormal cardiac test', async () => {
+      await createTest({
+        name: 'Troponin I',
+        testType: 'cardiac',
+        result: '0.5 ng/mL',
+        normalRange: '<0.04'
+      }).expect(201);
+
+      const alerts = await Alert.findAll({ where: { userId: testUser.id } });
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0].priority).toBe('high');
+    });
+
+    it('should raise a trend alert after three rising values', async () => {
+      await createTest({ name: 'Creatinine', result: '1.0', date: '2024-01-01' }).expect(201);
+      const second = await createTest({ name: 'Creatinine', result: '1.1', date: '2024-02-01' }).expect(201);
+      expect(second.body.alerts).toHaveLength(0);
+
+      const third = await createTest({ name: 'Creatinine', result: '1.3', date: '2024-03-01' }).expect(201);
+      expect(third.body.alerts).toHaveLength(1);
+      expect(third.body.alerts[0].priority).toBe('medium');
+      expect(third.body.alerts[0].message).toContain('rose over the last 3 results');
+    });
+
+    it('should not raise alerts for normal results', async () => {
+      const response = await createTest({
+        name: 'Potassium',
+        result: '4.2 mmol/L',
+        normalRange: '3.5-5.0'
+      }).expect(201);
+
+      expect(response.body.alerts).toHaveLength(0);
+      expect(await Alert.count()).toBe(0);
+    });
+
+    it('should evaluate the analytes of a panel', async () => {
+      await createTest({
+        name: 'Basic Metabolic Panel',
+        analytes: [
+          { name: 'Sodium', result: '140', normalRange: '135-145' },
+          { name: 'Potassium', result: '6.5', normalRange: '3.5-5.0' }
+        ]
+      }).expect(201);
+
+      const alerts = await Alert.findAll({ where: { userId: testUser.id } });
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0].title).toBe('High potassium: Potassium');
+    });
+
+    it('should update the existing alert instead of duplicating it', async () => {
+      const created = await createTest({ name: 'Potassium', result: '6.8' }).expect(201);
+
+      await request(app)
+        .put(`/api/diagnostic-tests/${created.body.test.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ result: '7.1' })
+        .expect(200);
+
+      const alerts = await Alert.findAll({ where: { userId: testUser.id } });
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0].message).toContain('7.1');
+    });
+
+    it('should resolve the alert when the result is corrected', async () => {
+      const created = await createTest({ name: 'Potassium', result: '6.8' }).expect(201);
+
+      const response = await request(app)
+        .put(`/api/diagnostic-tests/${created.body.test.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ result: '4.8' })
+        .expect(200);
+
+      expect(response.body.alerts).toHaveLength(0);
+
+      const alerts = await Alert.findAll({ where: { userId: testUser.id } });
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0].status).toBe('resolved');
+    });
+
+    it('should respect a disabled override of a system rule', async () => {
+      const rule = await findSystemRule('potassium-high');
+
+      await request(app)
+        .put(`/api/alert-rules/${rule.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ isActive: false })
+        .expect(200);
+
+      await createTest({ name: 'Potassium', result: '6.8' }).expect(201);
+
+      expect(await Alert.count()).toBe(0);
+    });
+
+    it('should apply a custom threshold rule', async () => {
+      await request(app)
+        .post('/api/alert-rules')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          name: 'Low vitamin D',
+          analyte: 'Vitamin D',
+          condition: 'below',
+          threshold: 20,
+          priority: 'low'
+        })
+        .expect(201);
+
+      await createTest({ name: 'Vitamin D', result: '15 ng/mL' }).expect(201);
+
+      const alerts = await Alert.findAll({ where: { userId: testUser.id } });
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0].priority).toBe('low');
+    });
+  });
+
+  describe('GET /api/alert-rules', () => {
+    it('should list system rules and own rules', async () => {
+      await AlertRule.create({
+        name: 'My rule',
+        condition: 'abnormal',
+        userId: testUser.id
+      });
+
+      const response = await request(app)
+        .get('/api/alert-rules')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(AlertRule.DEFAULT_RULES.length + 1);
+      expect(response.body.rules.filter((rule) => rule.isSystem)).toHaveLength(AlertRule.DEFAULT_RULES.length);
+    });
+
+    it('should show an override in place of the system rule', async () => {
+      const rule = await findSystemRule('potassium-high');
+
+      await request(app)
+        .put(`/api/alert-rules/${rule.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ threshold: 5.5 })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/alert-rules')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(AlertRule.DEFAULT_RULES.length);
+      const override = response.body.rules.find((item) => item.baseRuleId === rule.id);
+      expect(override.isOverride).toBe(true);
+      expect(override.threshold).toBe(5.5);
+    });
+
+    it('should not list rules of other users', async () => {
+      const otherUser = await User.create({
+        name: 'Other User',
+        email: 'other@example.com',
+        password: 'password123'
+      });
+      await AlertRule.create({ name: 'Other rule', condition: 'abnormal', userId: otherUser.id });
+
+      const response = await request(app)
+        .get('/api/alert-rules')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.rules.find((rule) => rule.name === 'Other rule')).toBeUndefined();
+    });
+  });
+
+  describe('POST /api/alert-rules', () => {
+    it('should require a threshold for above/below rules', async () => {
+      const response = await request(app)
+        .post('/api/alert-rules')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'No threshold', condition: 'above' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
+    });
+
+    it('should validate the condition', async () => {
+      await request(app)
+        .post('/api/alert-rules')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Bad condition', condition: 'sideways' })
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /api/alert-rules/:id', () => {
+    it('should not delete system rules', async () => {
+      const rule = await findSystemRule('critical-result');
+
+      await request(app)
+        .delete(`/api/alert-rules/${rule.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+    });
+
+    it('should delete an override and restore the system rule', async () => {
+      const rule = await findSystemRule('potassium-high');
+
+      const updated = await request(app)
+        .put(`/api/alert-rules/${rule.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ isActive: false })
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/alert-rules/${updated.body.rule.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await createTest({ name: 'Potassium', result: '6.8' }).expect(201);
+      expect(await Alert.count()).toBe(1);
+    });
+
+    it('should not delete rules of other users', async () => {
+      const otherUser = await User.create({
+        name: 'Other User',
+        email: 'other@example.com',
+        password: 'password123'
+      });
+      const rule = await AlertRule.create({ name: 'Other rule', condition: 'abnormal', userId: otherUser.id });
+
+      await request(app)
+        .delete(`/api/alert-rules/${rule.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,260 @@
+const request = require('supertest');
+const app = require('../server');
+const {
+  sequelize,
+  User,
+  Alert,
+  DiagnosticTest,
+  CareRelationship,
+  AuditLog
+} = require('../models');
+
+describe('Audit Log', () => {
+  let patient;
+  let clinician;
+  let patientTest;
+  const tokens = {};
+
+  const login = async (email) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'password123' });
+    return response.body.token;
+  };
+
+  // The audit log cannot be cleared, so each test only looks at its own users
+  const entriesFor = (ownerId, where = {}) => AuditLog.findAll({
+    where: { ownerId, ...where },
+    order: [['id', 'ASC']]
+  });
+
+  const history = (token, query = {}) => request(app)
+    .get('/api/users/access-history')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await CareRelationship.destroy({ where: {} });
+    await DiagnosticTest.destroy({ where: {} });
+    await Alert.destroy({ where: {} });
+    await User.destroy({ where: {} });
+
+    patient = await User.create({
+      name: 'Patient User',
+      email: 'patient@example.com',
+      password: 'password123'
+    });
+    clinician = await User.create({
+      name: 'Clinician User',
+      email: 'clinician@example.com',
+      password: 'password123',
+      role: 'clinician'
+    });
+    patientTest = await DiagnosticTest.create({
+      name: 'Glucose',
+      result: '130 mg/dL',
+      date: '2024-01-15',
+      userId: patient.id
+    });
+    await CareRelationship.create({
+      patientId: patient.id,
+      clinicianId: clinician.id,
+      status: 'active',
+      initiatedBy: 'patient'
+    });
+
+    tokens.patient = await login('patient@example.com');
+    tokens.clinician = await login('clinician@example.com');
+  });
+
+  describe('Changes', () => {
+    it('should record creates with actor, IP and request ID', async () => {
+      const response = await request(app)
+        .post('/api/diagnostic-tests')
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .set('X-Request-Id', 'req-create-1')
+        .send({ name: 'HbA1c', result: '6.1%', date: '2024-02-01' })
+        .expect(201);
+
+      expect(response.headers['x-request-id']).toBe('req-create-1');
+
+      const [entry] = await entriesFor(patient.id, {
+        action: 'create',
+        resourceId: response.body.test.id
+      });
+      expect(entry.resourceType).toBe('DiagnosticTest');
+      expect(entry.actorId).toBe(patient.id);
+      expect(entry.requestId).toBe('req-create-1');
+      expect(entry.ipAddress).toBeTruthy();
+      expect(entry.changes.result).toEqual({ before: null, after: '6.1%' });
+    });
+
+    it('should generate a request ID when none is sent', async () => {
+      const response = await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .expect(200);
+
+      expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('should record only the changed fields of an update', async () => {
+      await request(app)
+        .put(`/api/diagnostic-tests/${patientTest.id}`)
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .send({ result: '95 mg/dL' })
+        .expect(200);
+
+      const [entry] = await entriesFor(patient.id, {
+        action: 'update',
+        resourceId: patientTest.id
+      });
+      expect(entry.changes.result).toEqual({ before: '130 mg/dL', after: '95 mg/dL' });
+      expect(entry.changes.name).toBeUndefined();
+      expect(entry.changes.updatedAt).toBeUndefined();
+    });
+
+    it('should keep a snapshot of deleted records', async () => {
+      await request(app)
+        .delete(`/api/diagnostic-tests/${patientTest.id}`)
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .expect(200);
+
+      const [entry] = await entriesFor(patient.id, {
+        action: 'delete',
+        resourceId: patientTest.id
+      });
+      expect(entry.actorId).toBe(patient.id);
+      expect(entry.changes.result).toEqual({ before: '130 mg/dL', after: null });
+    });
+
+    it('should record bulk changes row by row', async () => {
+      await Alert.bulkCreate([
+        { title: 'First', userId: patient.id },
+        { title: 'Second', userId: patient.id }
+      ], { individualHooks: true });
+
+      await Alert.update({ status: 'resolved' }, { where: { userId: patient.id } });
+
+      const entries = await entriesFor(patient.id, { action: 'update', resourceType: 'Alert' });
+      expect(entries).toHaveLength(2);
+      expect(entries[0].changes.status).toEqual({ before: 'active', after: 'resolved' });
+    });
+
+    it('should redact secrets', async () => {
+      await request(app)
+        .put('/api/users/password')
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .send({
+          currentPassword: 'password123',
+          newPassword: 'newpassword123',
+          confirmPassword: 'newpassword123'
+        })
+        .expect(200);
+
+      const [entry] = await entriesFor(patient.id, {
+        action: 'update',
+        resourceType: 'User'
+      });
+      expect(entry.changes.password).toEqual({ before: '[redacted]', after: '[redacted]' });
+    });
+
+    it('should not record bookkeeping changes such as the last login', async () => {
+      const entries = await entriesFor(patient.id, { action: 'update', resourceType: 'User' });
+      expect(entries).toHaveLength(0);
+    });
+  });
+
+  describe('Reads', () => {
+    it('should record a clinician reading a patient\'s test', async () => {
+      await request(app)
+        .get(`/api/diagnostic-tests/${patientTest.id}`)
+        .query({ patientId: patient.id })
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .expect(200);
+
+      const [entry] = await entriesFor(patient.id, { action: 'read' });
+      expect(entry.actorId).toBe(clinician.id);
+      expect(entry.resourceType).toBe('DiagnosticTest');
+      expect(entry.resourceId).toBe(patientTest.id);
+      expect(entry.changes).toBeNull();
+    });
+
+    it('should record every record in a list', async () => {
+      await Alert.create({ title: 'High glucose', userId: patient.id });
+      await Alert.create({ title: 'Follow up', userId: patient.id });
+
+      await request(app)
+        .get('/api/alerts')
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .expect(200);
+
+      const entries = await entriesFor(patient.id, { action: 'read', resourceType: 'Alert' });
+      expect(entries).toHaveLength(2);
+    });
+  });
+
+  describe('Immutability', () => {
+    it('should refuse to change or delete entries', async () => {
+      const [entry] = await entriesFor(patient.id);
+
+      await expect(entry.update({ action: 'read' })).rejects.toThrow('cannot be changed');
+      await expect(entry.destroy()).rejects.toThrow('cannot be deleted');
+      await expect(AuditLog.update({ actorId: null }, { where: {} })).rejects.toThrow('cannot be changed');
+      await expect(AuditLog.destroy({ where: {} })).rejects.toThrow('cannot be deleted');
+    });
+  });
+
+  describe('GET /api/users/access-history', () => {
+    beforeEach(async () => {
+      await request(app)
+        .get(`/api/diagnostic-tests/${patientTest.id}`)
+        .query({ patientId: patient.id })
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .expect(200);
+    });
+
+    it('should show who accessed the patient\'s records', async () => {
+      const response = await history(tokens.patient, { action: 'read' }).expect(200);
+
+      expect(response.body.entries).toHaveLength(1);
+      expect(response.body.entries[0].actor).toEqual({
+        id: clinician.id,
+        name: 'Clinician User',
+        role: 'clinician'
+      });
+      expect(response.body.pagination.totalItems).toBe(1);
+    });
+
+    it('should hide the patient\'s own activity on request', async () => {
+      await request(app)
+        .get(`/api/diagnostic-tests/${patientTest.id}`)
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .expect(200);
+
+      const all = await history(tokens.patient, { action: 'read' }).expect(200);
+      expect(all.body.entries).toHaveLength(2);
+
+      const others = await history(tokens.patient, { action: 'read', excludeSelf: 'true' }).expect(200);
+      expect(others.body.entries).toHaveLength(1);
+      expect(others.body.entries[0].actorId).toBe(clinician.id);
+    });
+
+    it('should only return the caller\'s own records', async () => {
+      const response = await history(tokens.clinician, { action: 'read' }).expect(200);
+      expect(response.body.entries).toHaveLength(0);
+    });
+
+    it('should validate filters', async () => {
+      await history(tokens.patient, { action: 'export' }).expect(400);
+    });
+  });
+});
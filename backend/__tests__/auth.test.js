@@ -1,6 +1,6 @@
 const request = require('supertest');
 const app = require('../server');
-const { sequelize, User } = require('../models');
+const { sequelize, User, RefreshToken } = require('../models');
 
 describe('Authentication Endpoints', () => {
   beforeAll(async () => {
@@ -15,6 +15,7 @@ describe('Authentication Endpoints', () => {
 
   beforeEach(async () => {
     // Clean up users before each test
+    await RefreshToken.destroy({ where: {} });
     await User.destroy({ where: {} });
   });
 
@@ -219,6 +220,7 @@ describe('Authentication Endpoints', () => {
 
   describe('POST /api/auth/logout', () => {
     let authToken;
+    let refreshToken;
 
     beforeEach(async () => {
       // Create and login user
@@ -236,6 +238,7 @@ describe('Authentication Endpoints', () => {
         });
 
       authToken = loginResponse.body.token;
+      refreshToken = loginResponse.body.refreshToken;
     });
 
     it('should logout user successfully', async () => {
@@ -247,6 +250,21 @@ describe('Authentication Endpoints', () => {
       expect(response.body.message).toBe('Logout successful');
     });
 
+    it('should revoke the refresh token', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ refreshToken })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(response.body.message).toBe('Refresh token has been revoked');
+    });
+
     it('should not logout without token', async () => {
       const response = await request(app)
         .post('/api/auth/logout')
@@ -256,8 +274,51 @@ describe('Authentication Endpoints', () => {
     });
   });
 
+  describe('POST /api/auth/logout-all', () => {
+    it('should revoke every session and outstanding access token', async () => {
+      await User.create({
+        name: 'John Doe',
+        email: 'john@example.com',
+        password: 'password123'
+      });
+
+      const login = () => request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'john@example.com',
+          password: 'password123'
+        });
+      const laptop = (await login()).body;
+      const phone = (await login()).body;
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${laptop.token}`)
+        .expect(200);
+      expect(response.body.message).toBe('Logged out from all devices');
+
+      const meResponse = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${phone.token}`)
+        .expect(401);
+      expect(meResponse.body.message).toBe('Access denied. Token revoked.');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: phone.refreshToken })
+        .expect(401);
+
+      // A new login works again
+      const relogin = await login().expect(200);
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${relogin.body.token}`)
+        .expect(200);
+    });
+  });
+
   describe('POST /api/auth/refresh', () => {
-    let authToken;
+    let refreshToken;
 
     beforeEach(async () => {
       // Create and login user
@@ -274,26 +335,85 @@ describe('Authentication Endpoints', () => {
           password: 'password123'
         });
 
-      authToken = loginResponse.body.token;
+      refreshToken = loginResponse.body.refreshToken;
+    });
+
+    it('should issue a refresh token on login', () => {
+      expect(refreshToken).toBeDefined();
     });
 
     it('should refresh token successfully', async () => {
       const response = await request(app)
         .post('/api/auth/refresh')
-        .set('Authorization', `Bearer ${authToken}`)
+        .send({ refreshToken })
         .expect(200);
 
       expect(response.body.message).toBe('Token refreshed successfully');
       expect(response.body.token).toBeDefined();
-      expect(response.body.token).not.toBe(authToken);
+      expect(response.body.refreshToken).toBeDefined();
+      expect(response.body.refreshToken).not.toBe(refreshToken);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.token}`)
+        .expect(200);
+    });
+
+    it('should store refresh tokens hashed', async () => {
+      const stored = await RefreshToken.findOne();
+
+      expect(stored.tokenHash).not.toBe(refreshToken);
+      expect(stored.tokenHash).toBe(RefreshToken.hashToken(refreshToken));
+    });
+
+    it('should revoke the whole session when a rotated token is reused', async () => {
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+      expect(reuse.body.message).toBe('Refresh token reuse detected. Please log in again.');
+
+      // The token issued by the legitimate rotation is gone too
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.body.refreshToken })
+        .expect(401);
     });
 
-    it('should not refresh without token', async () => {
+    it('should reject an expired refresh token', async () => {
+      await RefreshToken.update(
+        { expiresAt: new Date(Date.now() - 1000) },
+        { where: {} }
+      );
+
       const response = await request(app)
         .post('/api/auth/refresh')
+        .send({ refreshToken })
         .expect(401);
 
-      expect(response.body.message).toBe('Access denied. No token provided.');
+      expect(response.body.message).toBe('Refresh token expired');
+    });
+
+    it('should reject an unknown refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'not-a-real-token' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid refresh token');
+    });
+
+    it('should not refresh without a refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
     });
   });
 });
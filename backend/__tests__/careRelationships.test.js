@@ -0,0 +1,346 @@
+const request = require('supertest');
+const app = require('../server');
+const { sequelize, User, Alert, DiagnosticTest, CareRelationship } = require('../models');
+
+describe('Care Relationships', () => {
+  let patient;
+  let clinician;
+  let otherClinician;
+  let patientTest;
+  const tokens = {};
+
+  const login = async (email) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'password123' });
+    return response.body.token;
+  };
+
+  const invite = (token, data) => request(app)
+    .post('/api/care-relationships')
+    .set('Authorization', `Bearer ${token}`)
+    .send(data);
+
+  const accept = (token, id, data = {}) => request(app)
+    .put(`/api/care-relationships/${id}/accept`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(data);
+
+  // Patient invites the clinician, who accepts
+  const connect = async (accessLevel = 'read') => {
+    const response = await invite(tokens.patient, {
+      clinicianEmail: 'clinician@example.com',
+      accessLevel
+    }).expect(201);
+    await accept(tokens.clinician, response.body.relationship.id).expect(200);
+    return response.body.relationship;
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await CareRelationship.destroy({ where: {} });
+    await DiagnosticTest.destroy({ where: {} });
+    await Alert.destroy({ where: {} });
+    await User.destroy({ where: {} });
+
+    patient = await User.create({
+      name: 'Patient User',
+      email: 'patient@example.com',
+      password: 'password123'
+    });
+    clinician = await User.create({
+      name: 'Clinician User',
+      email: 'clinician@example.com',
+      password: 'password123',
+      role: 'clinician'
+    });
+    otherClinician = await User.create({
+      name: 'Other Clinician',
+      email: 'other@example.com',
+      password: 'password123',
+      role: 'clinician'
+    });
+
+    patientTest = await DiagnosticTest.create({
+      name: 'Glucose',
+      result: '130 mg/dL',
+      normalRange: '70-100',
+      date: '2024-01-15',
+      userId: patient.id
+    });
+    await Alert.create({
+      title: 'High glucose',
+      diagnosticTestId: patientTest.id,
+      userId: patient.id
+    });
+
+    tokens.patient = await login('patient@example.com');
+    tokens.clinician = await login('clinician@example.com');
+    tokens.otherClinician = await login('other@example.com');
+  });
+
+  describe('Invitations', () => {
+    it('should let a patient invite a clinician', async () => {
+      const response = await invite(tokens.patient, {
+        clinicianEmail: 'clinician@example.com',
+        message: 'Please follow my glucose'
+      }).expect(201);
+
+      expect(response.body.relationship.status).toBe('pending');
+      expect(response.body.relationship.accessLevel).toBe('read');
+      expect(response.body.relationship.initiatedBy).toBe('patient');
+      expect(response.body.relationship.clinician.email).toBe('clinician@example.com');
+    });
+
+    it('should not invite a user who is not a clinician', async () => {
+      await User.create({
+        name: 'Second Patient',
+        email: 'second@example.com',
+        password: 'password123'
+      });
+
+      const response = await invite(tokens.patient, { clinicianEmail: 'second@example.com' }).expect(400);
+      expect(response.body.message).toBe('This user is not a clinician');
+    });
+
+    it('should not let patients request access to other patients', async () => {
+      await invite(tokens.patient, { patientEmail: 'clinician@example.com' }).expect(403);
+    });
+
+    it('should require exactly one of clinicianEmail or patientEmail', async () => {
+      await invite(tokens.patient, {}).expect(400);
+      await invite(tokens.clinician, {
+        clinicianEmail: 'other@example.com',
+        patientEmail: 'patient@example.com'
+      }).expect(400);
+    });
+
+    it('should not duplicate a pending invitation', async () => {
+      await invite(tokens.patient, { clinicianEmail: 'clinician@example.com' }).expect(201);
+      await invite(tokens.patient, { clinicianEmail: 'clinician@example.com' }).expect(400);
+    });
+
+    it('should not let the inviter accept their own invitation', async () => {
+      const response = await invite(tokens.patient, { clinicianEmail: 'clinician@example.com' }).expect(201);
+
+      await accept(tokens.patient, response.body.relationship.id).expect(400);
+    });
+
+    it('should let the patient choose the access level when accepting a request', async () => {
+      const response = await invite(tokens.clinician, {
+        patientEmail: 'patient@example.com',
+        accessLevel: 'annotate'
+      }).expect(201);
+
+      const accepted = await accept(tokens.patient, response.body.relationship.id, { accessLevel: 'read' })
+        .expect(200);
+
+      expect(accepted.body.relationship.status).toBe('active');
+      expect(accepted.body.relationship.accessLevel).toBe('read');
+    });
+
+    it('should decline an invitation', async () => {
+      const response = await invite(tokens.clinician, { patientEmail: 'patient@example.com' }).expect(201);
+
+      const declined = await request(app)
+        .put(`/api/care-relationships/${response.body.relationship.id}/decline`)
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .expect(200);
+
+      expect(declined.body.relationship.status).toBe('declined');
+    });
+
+    it('should list relationships for both parties', async () => {
+      await connect();
+
+      const asPatient = await request(app)
+        .get('/api/care-relationships?as=patient')
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .expect(200);
+      const asClinician = await request(app)
+        .get('/api/care-relationships?as=clinician&status=active')
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .expect(200);
+
+      expect(asPatient.body.count).toBe(1);
+      expect(asClinician.body.relationships[0].patient.email).toBe('patient@example.com');
+    });
+  });
+
+  describe('Shared records', () => {
+    it('should not share records before the invitation is accepted', async () => {
+      await invite(tokens.patient, { clinicianEmail: 'clinician@example.com' }).expect(201);
+
+      await request(app)
+        .get(`/api/diagnostic-tests?patientId=${patient.id}`)
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .expect(403);
+    });
+
+    it('should let a connected clinician read tests and alerts', async () => {
+      await connect();
+
+      const tests = await request(app)
+        .get(`/api/diagnostic-tests?patientId=${patient.id}`)
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .expect(200);
+      expect(tests.body.tests).toHaveLength(1);
+      expect(tests.body.tests[0].id).toBe(patientTest.id);
+
+      const test = await request(app)
+        .get(`/api/diagnostic-tests/${patientTest.id}?patientId=${patient.id}`)
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .expect(200);
+      expect(test.body.test.alerts).toHaveLength(1);
+
+      const alerts = await request(app)
+        .get(`/api/alerts?patientId=${patient.id}`)
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .expect(200);
+      expect(alerts.body.alerts).toHaveLength(1);
+
+      await request(app)
+        .get(`/api/diagnostic-tests/trend?name=glucose&patientId=${patient.id}`)
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .expect(200);
+    });
+
+    it('should keep the clinician\'s own records as the default', async () => {
+      await connect();
+
+      const response = await request(app)
+        .get('/api/diagnostic-tests')
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .expect(200);
+
+      expect(response.body.tests).toHaveLength(0);
+    });
+
+    it('should not share records with other clinicians', async () => {
+      await connect();
+
+      const response = await request(app)
+        .get(`/api/diagnostic-tests?patientId=${patient.id}`)
+        .set('Authorization', `Bearer ${tokens.otherClinician}`)
+        .expect(403);
+
+      expect(response.body.message).toBe('Access denied. No active care relationship with this patient.');
+    });
+
+    it('should not let patients read other users\' records', async () => {
+      await request(app)
+        .get(`/api/alerts?patientId=${clinician.id}`)
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .expect(403);
+    });
+
+    it('should not let read-only clinicians annotate', async () => {
+      await connect('read');
+
+      await request(app)
+        .put(`/api/diagnostic-tests/${patientTest.id}/review?patientId=${patient.id}`)
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .send({ notes: 'Looks fine' })
+        .expect(403);
+    });
+
+    it('should let annotating clinicians review tests and acknowledge alerts', async () => {
+      await connect('annotate');
+
+      const response = await request(app)
+        .put(`/api/diagnostic-tests/${patientTest.id}/review?patientId=${patient.id}`)
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .send({ notes: 'Repeat fasting glucose' })
+        .expect(200);
+
+      expect(response.body.test.status).toBe('reviewed');
+      expect(response.body.test.reviewedBy).toBe(clinician.id);
+      expect(response.body.test.reviewNotes).toBe('Repeat fasting glucose');
+
+      const alert = await Alert.findOne({ where: { userId: patient.id } });
+      await request(app)
+        .put(`/api/alerts/${alert.id}/acknowledge?patientId=${patient.id}`)
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .expect(200);
+    });
+
+    it('should not let clinicians edit shared records', async () => {
+      await connect('annotate');
+
+      await request(app)
+        .put(`/api/diagnostic-tests/${patientTest.id}?patientId=${patient.id}`)
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .send({ result: '90 mg/dL' })
+        .expect(404);
+
+      await patientTest.reload();
+      expect(patientTest.result).toBe('130 mg/dL');
+    });
+  });
+
+  describe('Revocation', () => {
+    it('should take effect on the next request', async () => {
+      const relationship = await connect();
+
+      await request(app)
+        .get(`/api/diagnostic-tests?patientId=${patient.id}`)
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .expect(200);
+
+      await request(app)
+        .put(`/api/care-relationships/${relationship.id}/revoke`)
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/diagnostic-tests?patientId=${patient.id}`)
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .expect(403);
+    });
+
+    it('should apply a lowered access level immediately', async () => {
+      const relationship = await connect('annotate');
+
+      await request(app)
+        .put(`/api/care-relationships/${relationship.id}`)
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .send({ accessLevel: 'read' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/diagnostic-tests/${patientTest.id}/review?patientId=${patient.id}`)
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .expect(403);
+    });
+
+    it('should only let the patient change the access level', async () => {
+      const relationship = await connect();
+
+      await request(app)
+        .put(`/api/care-relationships/${relationship.id}`)
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .send({ accessLevel: 'annotate' })
+        .expect(403);
+    });
+
+    it('should allow a new invitation after revocation', async () => {
+      const relationship = await connect();
+
+      await request(app)
+        .put(`/api/care-relationships/${relationship.id}/revoke`)
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .expect(200);
+
+      const response = await invite(tokens.clinician, { patientEmail: 'patient@example.com' }).expect(201);
+      expect(response.body.relationship.id).toBe(relationship.id);
+      expect(response.body.relationship.status).toBe('pending');
+    });
+  });
+});
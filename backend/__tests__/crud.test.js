@@ -1,6 +1,6 @@
 const request = require('supertest');
 const app = require('../server');
-const { sequelize, User, Alert, DiagnosticTest } = require('../models');
+const { sequelize, User, Alert, DiagnosticTest, RefreshToken } = require('../models');
 
 describe('CRUD Operations', () => {
   let authToken;
@@ -176,6 +176,46 @@ describe('CRUD Operations', () => {
         expect(loginResponse.body.token).toBeDefined();
       });
 
+      it('should end every other session and return a new token pair', async () => {
+        const { body: phone } = await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'test@example.com', password: 'password123' })
+          .expect(200);
+
+        const response = await request(app)
+          .put('/api/users/password')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({
+            currentPassword: 'password123',
+            newPassword: 'newpassword123',
+            confirmPassword: 'newpassword123'
+          })
+          .expect(200);
+
+        // Tokens issued before the change no longer work
+        await request(app)
+          .post('/api/auth/refresh')
+          .send({ refreshToken: phone.refreshToken })
+          .expect(401);
+        await request(app)
+          .get('/api/users/profile')
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(401);
+
+        const revoked = await RefreshToken.findAll({ where: { userId: testUser.id, revokedReason: 'password_change' } });
+        expect(revoked).toHaveLength(2);
+
+        // The returned pair does
+        await request(app)
+          .get('/api/users/profile')
+          .set('Authorization', `Bearer ${response.body.token}`)
+          .expect(200);
+        await request(app)
+          .post('/api/auth/refresh')
+          .send({ refreshToken: response.body.refreshToken })
+          .expect(200);
+      });
+
       it('should not change password with wrong current password', async () => {
         const passwordData = {
           currentPassword: 'wrongpassword',
@@ -462,6 +502,68 @@ describe('CRUD Operations', () => {
         expect(response.body.test.userId).toBe(testUser.id);
       });
 
+      it('should derive numeric value and abnormal flag from the result', async () => {
+        const testData = {
+          name: 'Fasting Glucose',
+          result: '126 mg/dL',
+          date: '2023-12-01',
+          testType: 'blood',
+          normalRange: '70-100',
+          isAbnormal: false
+        };
+
+        const response = await request(app)
+          .post('/api/diagnostic-tests')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send(testData)
+          .expect(201);
+
+        expect(response.body.test.numericValue).toBe(126);
+        expect(response.body.test.units).toBe('mg/dL');
+        expect(response.body.test.referenceLow).toBe(70);
+        expect(response.body.test.referenceHigh).toBe(100);
+        expect(response.body.test.isAbnormal).toBe(true);
+        expect(response.body.test.flag).toBe('high');
+      });
+
+      it('should flag results beyond critical limits', async () => {
+        const testData = {
+          name: 'Potassium',
+          result: '6.8',
+          date: '2023-12-01',
+          normalRange: '3.5-5.0 mmol/L',
+          criticalHigh: 6.0
+        };
+
+        const response = await request(app)
+          .post('/api/diagnostic-tests')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send(testData)
+          .expect(201);
+
+        expect(response.body.test.isAbnormal).toBe(true);
+        expect(response.body.test.flag).toBe('critical');
+      });
+
+      it('should keep the client abnormal flag when it cannot be derived', async () => {
+        const testData = {
+          name: 'Chest X-Ray',
+          result: 'Small opacity in left lower lobe',
+          date: '2023-12-01',
+          testType: 'imaging',
+          isAbnormal: true
+        };
+
+        const response = await request(app)
+          .post('/api/diagnostic-tests')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send(testData)
+          .expect(201);
+
+        expect(response.body.test.isAbnormal).toBe(true);
+        expect(response.body.test.flag).toBeNull();
+      });
+
       it('should validate required fields', async () => {
         const invalidTestData = {
           result: 'Missing name and date'
@@ -625,6 +727,20 @@ describe('CRUD Operations', () => {
         expect(response.body.test.isAbnormal).toBe(updateData.isAbnormal);
       });
 
+      it('should re-derive the flag when the result changes', async () => {
+        await testDiagnostic.update({ result: '4.2', normalRange: '3.5-5.0' });
+
+        const response = await request(app)
+          .put(`/api/diagnostic-tests/${testDiagnostic.id}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ result: '3.1', isAbnormal: false })
+          .expect(200);
+
+        expect(response.body.test.numericValue).toBe(3.1);
+        expect(response.body.test.isAbnormal).toBe(true);
+        expect(response.body.test.flag).toBe('low');
+      });
+
       it('should validate enum values', async () => {
         const updateData = {
           testType: 'invalid_type',
@@ -686,6 +802,408 @@ describe('CRUD Operations', () => {
     });
   });
 
+  describe('Diagnostic Panels', () => {
+    const lipidPanel = {
+      name: 'Lipid Panel',
+      date: '2023-12-01',
+      testType: 'blood',
+      labName: 'Central Lab',
+      analytes: [
+        { name: 'Total Cholesterol', result: '185 mg/dL', normalRange: '<200' },
+        { name: 'LDL', result: '130 mg/dL', normalRange: '<100' },
+        { name: 'HDL', result: '55 mg/dL', normalRange: '>40' }
+      ]
+    };
+
+    it('should create a panel with its analytes', async () => {
+      const response = await request(app)
+        .post('/api/diagnostic-tests')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(lipidPanel)
+        .expect(201);
+
+      const { test } = response.body;
+      expect(test.isPanel).toBe(true);
+      expect(test.analytes).toHaveLength(3);
+      expect(test.analytes[0].date).toBe(lipidPanel.date);
+      expect(test.analytes[0].labName).toBe(lipidPanel.labName);
+      expect(test.analytes[1].flag).toBe('high');
+      expect(test.isAbnormal).toBe(true);
+      expect(test.flag).toBe('abnormal');
+    });
+
+    it('should list analytes under their panel only', async () => {
+      await request(app)
+        .post('/api/diagnostic-tests')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(lipidPanel)
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/diagnostic-tests')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.tests).toHaveLength(1);
+      expect(response.body.pagination.totalItems).toBe(1);
+      expect(response.body.tests[0].analytes).toHaveLength(3);
+    });
+
+    it('should update and add analytes and roll up the panel status', async () => {
+      const created = await request(app)
+        .post('/api/diagnostic-tests')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(lipidPanel)
+        .expect(201);
+
+      const ldl = created.body.test.analytes.find((analyte) => analyte.name === 'LDL');
+
+      const response = await request(app)
+        .put(`/api/diagnostic-tests/${created.body.test.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          date: '2023-12-05',
+          analytes: [
+            { id: ldl.id, result: '95 mg/dL' },
+            { name: 'Triglycerides', result: '120 mg/dL', normalRange: '<150' }
+          ]
+        })
+        .expect(200);
+
+      const { test } = response.body;
+      expect(test.analytes).toHaveLength(4);
+      expect(test.analytes.every((analyte) => analyte.date === '2023-12-05')).toBe(true);
+      expect(test.isAbnormal).toBe(false);
+      expect(test.flag).toBe('normal');
+    });
+
+    it('should roll up the panel when an analyte is deleted', async () => {
+      const created = await request(app)
+        .post('/api/diagnostic-tests')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(lipidPanel)
+        .expect(201);
+
+      const ldl = created.body.test.analytes.find((analyte) => analyte.name === 'LDL');
+
+      await request(app)
+        .delete(`/api/diagnostic-tests/${ldl.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const panel = await DiagnosticTest.findByPk(created.body.test.id);
+      expect(panel.isAbnormal).toBe(false);
+    });
+
+    it('should not add analytes to a single test', async () => {
+      const single = await DiagnosticTest.create({
+        name: 'Glucose',
+        result: '90',
+        date: '2023-12-01',
+        userId: testUser.id
+      });
+
+      const response = await request(app)
+        .put(`/api/diagnostic-tests/${single.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ analytes: [{ name: 'HbA1c', result: '5.4' }] })
+        .expect(400);
+
+      expect(response.body.message).toBe('Only panels can have analytes');
+    });
+
+    it('should not update analytes of another panel', async () => {
+      const other = await DiagnosticTest.create({
+        name: 'Other Panel',
+        date: '2023-12-01',
+        isPanel: true,
+        userId: testUser.id
+      });
+      const foreignAnalyte = await DiagnosticTest.create({
+        name: 'Sodium',
+        result: '140',
+        date: '2023-12-01',
+        panelId: other.id,
+        userId: testUser.id
+      });
+
+      const created = await request(app)
+        .post('/api/diagnostic-tests')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(lipidPanel)
+        .expect(201);
+
+      await request(app)
+        .put(`/api/diagnostic-tests/${created.body.test.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ analytes: [{ id: foreignAnalyte.id, result: '150' }] })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/diagnostic-tests/stats/summary', () => {
+    it('should count a panel once, not its analytes', async () => {
+      const today = new Date().toISOString().slice(0, 10);
+      await DiagnosticTest.create({
+        name: 'Glucose',
+        result: '130 mg/dL',
+        normalRange: '70-100',
+        testType: 'blood',
+        date: today,
+        userId: testUser.id
+      });
+      await request(app)
+        .post('/api/diagnostic-tests')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          name: 'Lipid Panel',
+          date: today,
+          testType: 'blood',
+          status: 'pending',
+          analytes: [
+            { name: 'Total Cholesterol', result: '185 mg/dL', normalRange: '<200' },
+            { name: 'LDL', result: '130 mg/dL', normalRange: '<100' },
+            { name: 'HDL', result: '55 mg/dL', normalRange: '>40' }
+          ]
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/diagnostic-tests/stats/summary')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.summary).toEqual({
+        total: 2,
+        abnormal: 2,
+        recent: 2,
+        byStatus: { pending: 1, completed: 1, reviewed: 0 },
+        byType: { blood: 2 }
+      });
+    });
+  });
+
+  describe('GET /api/diagnostic-tests/trend', () => {
+    beforeEach(async () => {
+      const results = [
+        { result: '6.1 %', date: '2022-01-10', normalRange: '<5.7' },
+        { result: '5.9 %', date: '2022-07-15', normalRange: '<5.7' },
+        { result: '5.5 %', date: '2023-01-20', normalRange: '4.0-5.6' },
+        { result: 'Pending', date: '2023-06-01', normalRange: '4.0-5.6' }
+      ];
+
+      for (const item of results) {
+        await DiagnosticTest.create({
+          name: 'HbA1c',
+          code: '4548-4',
+          testType: 'blood',
+          userId: testUser.id,
+          ...item
+        });
+      }
+
+      await DiagnosticTest.create({
+        name: 'Glucose',
+        result: '90',
+        date: '2023-01-20',
+        userId: testUser.id
+      });
+    });
+
+    it('should return the numeric series with statistics', async () => {
+      const response = await request(app)
+        .get('/api/diagnostic-tests/trend?name=hba1c')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.analyte.name).toBe('HbA1c');
+      expect(response.body.units).toBe('%');
+      expect(response.body.points.map((point) => point.value)).toEqual([6.1, 5.9, 5.5]);
+      expect(response.body.stats.min).toBe(5.5);
+      expect(response.body.stats.max).toBe(6.1);
+      expect(response.body.stats.mean).toBe(5.8333);
+      expect(response.body.stats.change).toBe(-0.6);
+    });
+
+    it('should group reference bands by range', async () => {
+      const response = await request(app)
+        .get('/api/diagnostic-tests/trend?code=4548-4')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.referenceBands).toEqual([
+        { from: '2022-01-10', to: '2022-07-15', low: null, high: 5.7 },
+        { from: '2023-01-20', to: '2023-01-20', low: 4, high: 5.6 }
+      ]);
+    });
+
+    it('should filter by date range', async () => {
+      const response = await request(app)
+        .get('/api/diagnostic-tests/trend?code=4548-4&dateFrom=2022-06-01')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.stats.count).toBe(2);
+    });
+
+    it('should not include other users results', async () => {
+      const anotherUser = await User.create({
+        name: 'Another User',
+        email: 'another@example.com',
+        password: 'password123'
+      });
+
+      await DiagnosticTest.create({
+        name: 'HbA1c',
+        result: '9.0',
+        date: '2023-02-01',
+        userId: anotherUser.id
+      });
+
+      const response = await request(app)
+        .get('/api/diagnostic-tests/trend?name=HbA1c')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.stats.count).toBe(3);
+    });
+
+    it('should require a name or code', async () => {
+      await request(app)
+        .get('/api/diagnostic-tests/trend')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('Alerts linked to diagnostic tests', () => {
+    let testRecord;
+
+    beforeEach(async () => {
+      testRecord = await DiagnosticTest.create({
+        name: 'Potassium',
+        result: '6.8 mmol/L',
+        normalRange: '3.5-5.0',
+        date: '2024-01-15',
+        userId: testUser.id
+      });
+    });
+
+    it('should create an alert linked to a test', async () => {
+      const response = await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Follow up potassium',
+          type: 'diagnostic',
+          diagnosticTestId: testRecord.id
+        })
+        .expect(201);
+
+      expect(response.body.alert.diagnosticTestId).toBe(testRecord.id);
+      expect(response.body.alert.diagnosticTest.name).toBe('Potassium');
+    });
+
+    it('should not link an alert to another user\'s test', async () => {
+      const anotherUser = await User.create({
+        name: 'Another User',
+        email: 'another@example.com',
+        password: 'password123'
+      });
+      const anotherTest = await DiagnosticTest.create({
+        name: 'Sodium',
+        result: '140',
+        date: '2024-01-15',
+        userId: anotherUser.id
+      });
+
+      const response = await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Not mine', diagnosticTestId: anotherTest.id })
+        .expect(400);
+
+      expect(response.body.message).toBe('Diagnostic test not found');
+    });
+
+    it('should include the linked test in GET /api/alerts/:id', async () => {
+      const alert = await Alert.create({
+        title: 'High potassium',
+        type: 'diagnostic',
+        diagnosticTestId: testRecord.id,
+        userId: testUser.id
+      });
+
+      const response = await request(app)
+        .get(`/api/alerts/${alert.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.alert.diagnosticTest.id).toBe(testRecord.id);
+      expect(response.body.alert.diagnosticTest.result).toBe('6.8 mmol/L');
+      expect(response.body.alert.diagnosticTest.flag).toBe('high');
+    });
+
+    it('should unlink an alert', async () => {
+      const alert = await Alert.create({
+        title: 'High potassium',
+        diagnosticTestId: testRecord.id,
+        userId: testUser.id
+      });
+
+      const response = await request(app)
+        .put(`/api/alerts/${alert.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ diagnosticTestId: null })
+        .expect(200);
+
+      expect(response.body.alert.diagnosticTestId).toBeNull();
+    });
+
+    it('should list the alerts of a test and its analytes', async () => {
+      const panel = await DiagnosticTest.create({
+        name: 'Basic Metabolic Panel',
+        isPanel: true,
+        date: '2024-01-15',
+        userId: testUser.id
+      });
+      const analyte = await DiagnosticTest.create({
+        name: 'Sodium',
+        result: '150',
+        normalRange: '135-145',
+        date: '2024-01-15',
+        panelId: panel.id,
+        userId: testUser.id
+      });
+      await Alert.create({ title: 'Panel alert', diagnosticTestId: panel.id, userId: testUser.id });
+      await Alert.create({ title: 'Sodium alert', diagnosticTestId: analyte.id, userId: testUser.id });
+
+      const response = await request(app)
+        .get(`/api/diagnostic-tests/${panel.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.test.alerts.map((alert) => alert.title)).toEqual(['Panel alert']);
+      expect(response.body.test.analytes[0].alerts.map((alert) => alert.title)).toEqual(['Sodium alert']);
+    });
+
+    it('should keep alerts when their test is deleted', async () => {
+      const alert = await Alert.create({
+        title: 'High potassium',
+        diagnosticTestId: testRecord.id,
+        userId: testUser.id
+      });
+
+      await request(app)
+        .delete(`/api/diagnostic-tests/${testRecord.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await alert.reload();
+      expect(alert.diagnosticTestId).toBeNull();
+    });
+  });
+
   describe('Protected Routes', () => {
     it('should protect all user routes', async () => {
       await request(app).get('/api/users/profile').expect(401);
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const request = require('supertest');
+const app = require('../server');
+const {
+  sequelize,
+  User,
+  Alert,
+  DiagnosticTest,
+  DataExport,
+  AuditLog,
+  Attachment
+} = require('../models');
+const { waitForExport, removeExpiredExports } = require('../services/dataExport');
+const { createLocalStorage, setStorage, newStorageKey } = require('../services/attachmentStorage');
+const { toCsv } = require('../utils/csv');
+
+describe('Data Export', () => {
+  let exportDir;
+  let storage;
+  let user;
+  let token;
+  let attachment;
+
+  const login = async (email) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'password123' });
+    return response.body.token;
+  };
+
+  const startExport = (authToken = token) => request(app)
+    .post('/api/data-exports')
+    .set('Authorization', `Bearer ${authToken}`);
+
+  // Collect the response body as a Buffer
+  const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  const download = (id, authToken = token) => request(app)
+    .get(`/api/data-exports/${id}/download`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .buffer(true)
+    .parse(binary);
+
+  // Start an export and wait for its job to finish
+  const completedExport = async () => {
+    const response = await startExport().expect(202);
+    await waitForExport(response.body.export.id);
+    return DataExport.findByPk(response.body.export.id);
+  };
+
+  // Archive entries by file name, without the top-level folder
+  const readArchive = (buffer) => new AdmZip(buffer).getEntries().reduce((files, entry) => ({
+    ...files,
+    [entry.entryName.split('/').pop()]: entry.getData().toString('utf8')
+  }), {});
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+    process.env.DATA_EXPORT_DIR = exportDir;
+    storage = createLocalStorage(path.join(exportDir, 'attachments'));
+    setStorage(storage);
+  });
+
+  afterAll(async () => {
+    delete process.env.DATA_EXPORT_DIR;
+    setStorage(null);
+    fs.rmSync(exportDir, { recursive: true, force: true });
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await DataExport.destroy({ where: {} });
+    await DiagnosticTest.destroy({ where: {} });
+    await Alert.destroy({ where: {} });
+    await User.destroy({ where: {} });
+
+    user = await User.create({
+      name: 'John Doe',
+      email: 'john@example.com',
+      password: 'password123',
+      preferences: { notificationThreshold: 'high', emailNotifications: true }
+    });
+    const panel = await DiagnosticTest.create({
+      name: 'Lipid Panel',
+      isPanel: true,
+      date: '2024-01-15',
+      userId: user.id
+    });
+    const ldl = await DiagnosticTest.create({
+      name: 'LDL',
+      result: '160 mg/dL',
+      normalRange: '<100',
+      notes: 'Fasting, "12h"',
+      date: '2024-01-15',
+      panelId: panel.id,
+      userId: user.id
+    });
+    const storageKey = newStorageKey(user.id);
+    await storage.put(storageKey, Buffer.from('%PDF-1.7 lipid report'));
+    attachment = await Attachment.create({
+      diagnosticTestId: ldl.id,
+      userId: user.id,
+      fileName: 'lipid report.pdf',
+      contentType: 'application/pdf',
+      size: 21,
+      checksum: '0'.repeat(64),
+      storageKey
+    });
+    await Alert.create({
+      title: 'High LDL',
+      message: '=HYPERLINK("http://evil.example")',
+      priority: 'high',
+      userId: user.id
+    });
+
+    token = await login('john@example.com');
+  });
+
+  describe('POST /api/data-exports', () => {
+    it('should build an archive with JSON, CSV and an HTML summary', async () => {
+      const dataExport = await completedExport();
+
+      expect(dataExport.status).toBe('completed');
+      expect(dataExport.progress).toBe(100);
+      expect(dataExport.fileSize).toBeGreaterThan(0);
+      expect(dataExport.expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+      const response = await download(dataExport.id).expect(200);
+      expect(response.headers['content-disposition']).toMatch(/health-record-\d{4}-\d{2}-\d{2}\.zip/);
+
+      const files = readArchive(response.body);
+      expect(Object.keys(files).sort()).toEqual([
+        `${attachment.id}-lipid_report.pdf`,
+        'alerts.csv',
+        'alerts.json',
+        'attachments.csv',
+        'diagnostic-tests.csv',
+        'diagnostic-tests.json',
+        'profile.json',
+        'summary.html'
+      ]);
+
+      const profile = JSON.parse(files['profile.json']);
+      expect(profile.email).toBe('john@example.com');
+      expect(profile.preferences.notificationThreshold).toBe('high');
+      expect(profile.password).toBeUndefined();
+
+      const tests = JSON.parse(files['diagnostic-tests.json']);
+      expect(tests.map((test) => test.name)).toEqual(['Lipid Panel', 'LDL']);
+      expect(tests[1].result).toBe('160 mg/dL');
+      expect(tests[1].resultIndex).toBeUndefined();
+
+      expect(JSON.parse(files['alerts.json'])[0].title).toBe('High LDL');
+      expect(files['alerts.csv']).toContain('"\'=HYPERLINK(""http://evil.example"")"');
+      expect(files['diagnostic-tests.csv']).toContain('"Fasting, ""12h"""');
+      expect(files['attachments.csv']).toContain(`lipid report.pdf,application/pdf,21,${'0'.repeat(64)}`);
+      expect(files['attachments.csv']).toContain(`attachments/${attachment.id}-lipid_report.pdf`);
+      expect(files[`${attachment.id}-lipid_report.pdf`]).toBe('%PDF-1.7 lipid report');
+      expect(files['summary.html']).toContain('Health record of John Doe');
+      expect(files['summary.html']).toContain('&quot;12h&quot;');
+    });
+
+    it('should record the export as access to every record', async () => {
+      const dataExport = await completedExport();
+
+      const reads = await AuditLog.count({
+        where: { ownerId: user.id, action: 'read', actorId: user.id }
+      });
+      // The profile, two tests, one alert and one attachment
+      expect(reads).toBe(5);
+      expect(dataExport.status).toBe('completed');
+    });
+
+    it('should not start a second export while one is running', async () => {
+      const running = await DataExport.create({ userId: user.id, status: 'processing', progress: 40 });
+
+      const response = await startExport().expect(409);
+
+      expect(response.body.message).toBe('An export is already in progress');
+      expect(response.body.export.id).toBe(running.id);
+    });
+
+    it('should require authentication', async () => {
+      await request(app).post('/api/data-exports').expect(401);
+    });
+  });
+
+  describe('GET /api/data-exports', () => {
+    it('should track progress and list the user\'s exports', async () => {
+      const dataExport = await completedExport();
+
+      const status = await request(app)
+        .get(`/api/data-exports/${dataExport.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(status.body.export).toMatchObject({ status: 'completed', progress: 100, isDownloadable: true });
+      expect(status.body.export.fileName).toBeUndefined();
+
+      const list = await request(app)
+        .get('/api/data-exports')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(list.body.exports.map((item) => item.id)).toEqual([dataExport.id]);
+    });
+
+    it('should not show or serve exports of other users', async () => {
+      const dataExport = await completedExport();
+      await User.create({
+        name: 'Jane Smith',
+        email: 'jane@example.com',
+        password: 'password123'
+      });
+      const otherToken = await login('jane@example.com');
+
+      await request(app)
+        .get(`/api/data-exports/${dataExport.id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+      await download(dataExport.id, otherToken).expect(404);
+    });
+  });
+
+  describe('Download and expiry', () => {
+    it('should refuse exports that are not ready', async () => {
+      const pending = await DataExport.create({ userId: user.id });
+
+      await download(pending.id).expect(409);
+    });
+
+    it('should refuse and then remove expired exports', async () => {
+      const dataExport = await completedExport();
+      const filePath = path.join(exportDir, dataExport.fileName);
+      await dataExport.update({ expiresAt: new Date(Date.now() - 1000) });
+
+      await download(dataExport.id).expect(410);
+
+      expect(await removeExpiredExports()).toBe(1);
+      expect(fs.existsSync(filePath)).toBe(false);
+      expect(await DataExport.findByPk(dataExport.id)).toBeNull();
+    });
+
+    it('should delete an export and its archive', async () => {
+      const dataExport = await completedExport();
+
+      await request(app)
+        .delete(`/api/data-exports/${dataExport.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(fs.existsSync(path.join(exportDir, dataExport.fileName))).toBe(false);
+    });
+  });
+
+  describe('CSV', () => {
+    it('should quote special characters and neutralise formulas', () => {
+      const csv = toCsv([
+        { header: 'text', value: (row) => row.text },
+        { header: 'number', value: (row) => row.number }
+      ], [
+        { text: 'a,b', number: -5 },
+        { text: '=SUM(A1)', number: null },
+        { text: '-cmd', number: 1.5 }
+      ]);
+
+      expect(csv).toBe('text,number\r\n"a,b",-5\r\n\'=SUM(A1),\r\n\'-cmd,1.5\r\n');
+    });
+  });
+});
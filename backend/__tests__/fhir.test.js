@@ -0,0 +1,316 @@
+const request = require('supertest');
+const { Fhir, ParseConformance, Versions } = require('fhir');
+const app = require('../server');
+const {
+  sequelize,
+  User,
+  DiagnosticTest,
+  CareRelationship,
+  AuditLog
+} = require('../models');
+
+describe('FHIR API', () => {
+  const fhir = new Fhir(new ParseConformance(true, Versions.R4));
+  let patient;
+  let clinician;
+  let tokens;
+  let panel;
+  let ldl;
+  let glucose;
+
+  const login = async (email) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'password123' });
+    return response.body.token;
+  };
+
+  const get = (url, token = tokens.patient) => request(app)
+    .get(url)
+    .set('Authorization', `Bearer ${token}`);
+
+  // Structure, cardinality and data types against the R4 definitions. The
+  // validator ships without external terminologies such as LOINC, so value
+  // set membership is not checked.
+  const expectValid = (resource) => {
+    const { messages } = fhir.validate(resource);
+    expect(messages.filter((message) => !/value set/i.test(message.message))).toEqual([]);
+  };
+
+  const resourcesOf = (bundle) => bundle.entry.map((entry) => entry.resource);
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    patient = await User.create({
+      name: 'John Doe',
+      email: 'john@example.com',
+      password: 'password123'
+    });
+    clinician = await User.create({
+      name: 'Dr. Jane Smith',
+      email: 'jane@example.com',
+      password: 'password123',
+      role: 'clinician'
+    });
+
+    panel = await DiagnosticTest.create({
+      name: 'Lipid Panel',
+      code: '57698-3',
+      isPanel: true,
+      date: '2024-01-15',
+      labName: 'City Lab',
+      userId: patient.id
+    });
+    ldl = await DiagnosticTest.create({
+      name: 'LDL Cholesterol',
+      code: '13457-7',
+      result: '160 mg/dL',
+      normalRange: '<100',
+      date: '2024-01-15',
+      panelId: panel.id,
+      userId: patient.id
+    });
+    await DiagnosticTest.create({
+      name: 'HDL Cholesterol',
+      code: '2085-9',
+      result: '55 mg/dL',
+      normalRange: '40-60',
+      date: '2024-01-15',
+      panelId: panel.id,
+      userId: patient.id
+    });
+    glucose = await DiagnosticTest.create({
+      name: 'Glucose',
+      code: '2345-7',
+      result: '45 mg/dL',
+      normalRange: '70-99',
+      criticalLow: 50,
+      notes: 'Fasting',
+      date: '2024-03-02',
+      testType: 'blood',
+      userId: patient.id
+    });
+    await DiagnosticTest.create({
+      name: 'Chest X-ray',
+      result: 'No acute findings',
+      date: '2023-11-20',
+      testType: 'imaging',
+      userId: patient.id
+    });
+
+    tokens = {
+      patient: await login('john@example.com'),
+      clinician: await login('jane@example.com')
+    };
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('GET /api/fhir/Observation', () => {
+    it('should return tests and analytes as a valid searchset Bundle', async () => {
+      const response = await get('/api/fhir/Observation').expect(200);
+
+      expect(response.headers['content-type']).toMatch(/application\/fhir\+json/);
+      const bundle = response.body;
+      expectValid(bundle);
+      expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'searchset', total: 4 });
+      expect(bundle.link.find((link) => link.relation === 'self').url)
+        .toMatch(/^http:\/\/127\.0\.0\.1:\d+\/api\/fhir\/Observation\?/);
+      expect(bundle.entry[0].fullUrl).toMatch(new RegExp(`/api/fhir/Observation/${glucose.id}$`));
+
+      const observations = resourcesOf(bundle);
+      observations.forEach(expectValid);
+      // Newest first; the panel is a DiagnosticReport instead
+      expect(observations.map((observation) => observation.code.text)).toEqual([
+        'Glucose',
+        'LDL Cholesterol',
+        'HDL Cholesterol',
+        'Chest X-ray'
+      ]);
+    });
+
+    it('should map values, interpretation and reference ranges', async () => {
+      const bundle = (await get('/api/fhir/Observation').expect(200)).body;
+      const [glucoseObservation, ldlObservation, , xray] = resourcesOf(bundle);
+
+      expect(ldlObservation).toMatchObject({
+        id: String(ldl.id),
+        status: 'final',
+        code: { coding: [{ system: 'http://loinc.org', code: '13457-7', display: 'LDL Cholesterol' }] },
+        subject: { reference: `Patient/${patient.id}` },
+        effectiveDateTime: '2024-01-15',
+        valueQuantity: { value: 160, unit: 'mg/dL' },
+        interpretation: [{ coding: [{ code: 'H' }] }],
+        referenceRange: [{ high: { value: 100, unit: 'mg/dL' }, text: '<100' }]
+      });
+      expect(ldlObservation.category[0].coding[0].code).toBe('laboratory');
+
+      expect(glucoseObservation.interpretation[0].coding[0].code).toBe('LL');
+      expect(glucoseObservation.note).toEqual([{ text: 'Fasting' }]);
+
+      expect(xray.valueString).toBe('No acute findings');
+      expect(xray.valueQuantity).toBeUndefined();
+      expect(xray.code.coding).toBeUndefined();
+      expect(xray.category[0].coding[0].code).toBe('imaging');
+    });
+
+    it('should search by date with prefixes and partial dates', async () => {
+      const names = async (query) => resourcesOf(
+        (await get(`/api/fhir/Observation?${query}`).expect(200)).body
+      ).map((observation) => observation.code.text);
+
+      expect(await names('date=2024-01')).toEqual(['LDL Cholesterol', 'HDL Cholesterol']);
+      expect(await names('date=ge2024-01-16')).toEqual(['Glucose']);
+      expect(await names('date=lt2024')).toEqual(['Chest X-ray']);
+      expect(await names('date=ge2023-12-01&date=le2024-02-29')).toEqual(['LDL Cholesterol', 'HDL Cholesterol']);
+      expect(await names('date=ne2024-01-15')).toEqual(['Glucose', 'Chest X-ray']);
+    });
+
+    it('should search by code with or without the LOINC system', async () => {
+      const totalFor = async (code) => (
+        await get(`/api/fhir/Observation?code=${encodeURIComponent(code)}`).expect(200)
+      ).body.total;
+
+      expect(await totalFor('2345-7')).toBe(1);
+      expect(await totalFor('http://loinc.org|13457-7,2085-9')).toBe(2);
+      expect(await totalFor('http://snomed.info/sct|2345-7')).toBe(0);
+    });
+
+    it('should page with _count and _offset', async () => {
+      const first = (await get('/api/fhir/Observation?_count=3').expect(200)).body;
+      expect(first.total).toBe(4);
+      expect(first.entry).toHaveLength(3);
+      expect(first.link.map((link) => link.relation)).toEqual(['self', 'next']);
+
+      const next = new URL(first.link[1].url);
+      const second = (await get(`${next.pathname}${next.search}`).expect(200)).body;
+      expect(second.entry).toHaveLength(1);
+      expect(second.link.map((link) => link.relation)).toEqual(['self', 'previous']);
+    });
+
+    it('should reject invalid search values with an OperationOutcome', async () => {
+      const response = await get('/api/fhir/Observation?date=yesterday').expect(400);
+
+      expectValid(response.body);
+      expect(response.body.resourceType).toBe('OperationOutcome');
+      expect(response.body.issue[0]).toMatchObject({ severity: 'error', code: 'invalid' });
+      expect(response.body.issue[0].diagnostics).toContain('Invalid date search value "yesterday"');
+    });
+
+    it('should record the search as access to each returned record', async () => {
+      const before = await AuditLog.count({ where: { action: 'read' } });
+
+      await get('/api/fhir/Observation?code=2345-7').expect(200);
+
+      const entries = await AuditLog.findAll({ where: { action: 'read' }, order: [['id', 'DESC']] });
+      expect(entries.length - before).toBe(1);
+      expect(entries[0]).toMatchObject({ resourceId: glucose.id, actorId: patient.id });
+    });
+  });
+
+  describe('GET /api/fhir/DiagnosticReport', () => {
+    it('should return panels with references to their analytes', async () => {
+      const bundle = (await get('/api/fhir/DiagnosticReport').expect(200)).body;
+
+      expectValid(bundle);
+      expect(bundle.total).toBe(1);
+      const [report] = resourcesOf(bundle);
+      expectValid(report);
+      expect(report).toMatchObject({
+        resourceType: 'DiagnosticReport',
+        id: String(panel.id),
+        status: 'final',
+        category: [{ coding: [{ code: 'LAB' }] }],
+        code: { coding: [{ system: 'http://loinc.org', code: '57698-3' }], text: 'Lipid Panel' },
+        effectiveDateTime: '2024-01-15',
+        performer: [{ display: 'City Lab' }]
+      });
+      expect(report.result).toEqual([
+        { reference: `Observation/${ldl.id}` },
+        { reference: `Observation/${ldl.id + 1}` }
+      ]);
+    });
+
+    it('should read a report and the observations it references', async () => {
+      const report = (await get(`/api/fhir/DiagnosticReport/${panel.id}`).expect(200)).body;
+      expectValid(report);
+
+      const observation = (await get(`/api/fhir/${report.result[0].reference}`).expect(200)).body;
+      expectValid(observation);
+      expect(observation.code.text).toBe('LDL Cholesterol');
+
+      // Panels are not Observations and tests are not reports
+      await get(`/api/fhir/Observation/${panel.id}`).expect(404);
+      await get(`/api/fhir/DiagnosticReport/${glucose.id}`).expect(404);
+    });
+
+    it('should search reports by code and date', async () => {
+      expect((await get('/api/fhir/DiagnosticReport?code=57698-3&date=2024').expect(200)).body.total).toBe(1);
+      expect((await get('/api/fhir/DiagnosticReport?date=2023').expect(200)).body.total).toBe(0);
+    });
+  });
+
+  describe('Patient and access', () => {
+    it('should return the user as a valid Patient', async () => {
+      const response = await get(`/api/fhir/Patient/${patient.id}`).expect(200);
+
+      expectValid(response.body);
+      expect(response.body).toMatchObject({
+        resourceType: 'Patient',
+        id: String(patient.id),
+        active: true,
+        name: [{ text: 'John Doe' }],
+        telecom: [{ system: 'email', value: 'john@example.com' }]
+      });
+    });
+
+    it('should hide other users\' records', async () => {
+      const response = await get(`/api/fhir/Patient/${patient.id}`, tokens.clinician).expect(404);
+      expectValid(response.body);
+      expect(response.body.issue[0].code).toBe('not-found');
+
+      await get(`/api/fhir/Observation/${glucose.id}`, tokens.clinician).expect(404);
+      await get(`/api/fhir/Observation?patient=Patient/${patient.id}`, tokens.clinician).expect(403);
+    });
+
+    it('should give clinicians with read access their patients\' records', async () => {
+      const relationship = await CareRelationship.create({
+        patientId: patient.id,
+        clinicianId: clinician.id,
+        status: 'active',
+        initiatedBy: 'patient'
+      });
+
+      await get(`/api/fhir/Patient/${patient.id}`, tokens.clinician).expect(200);
+      await get(`/api/fhir/Observation/${glucose.id}`, tokens.clinician).expect(200);
+      const bundle = (await get(`/api/fhir/Observation?patient=Patient/${patient.id}`, tokens.clinician)
+        .expect(200)).body;
+      expect(bundle.total).toBe(4);
+      expect((await get(`/api/fhir/DiagnosticReport?subject=${patient.id}`, tokens.clinician)
+        .expect(200)).body.total).toBe(1);
+
+      await relationship.destroy();
+    });
+
+    it('should answer unauthenticated requests with an OperationOutcome', async () => {
+      const response = await request(app).get('/api/fhir/Observation').expect(401);
+
+      expectValid(response.body);
+      expect(response.body.issue[0].code).toBe('login');
+    });
+  });
+
+  describe('GET /api/fhir/metadata', () => {
+    it('should describe the server in a valid CapabilityStatement', async () => {
+      const response = await request(app).get('/api/fhir/metadata').expect(200);
+
+      expectValid(response.body);
+      expect(response.body.fhirVersion).toBe('4.0.1');
+      expect(response.body.rest[0].resource.map((resource) => resource.type))
+        .toEqual(['Patient', 'Observation', 'DiagnosticReport']);
+    });
+  });
+});
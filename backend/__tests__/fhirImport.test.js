@@ -0,0 +1,291 @@
+const request = require('supertest');
+const app = require('../server');
+const { sequelize, User, DiagnosticTest } = require('../models');
+
+describe('FHIR Bundle Import', () => {
+  let user;
+  let token;
+
+  const LOINC = 'http://loinc.org';
+
+  const login = async (email) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'password123' });
+    return response.body.token;
+  };
+
+  const importBundle = (bundle, authToken = token) => request(app)
+    .post('/api/diagnostic-tests/import/fhir')
+    .set('Authorization', `Bearer ${authToken}`)
+    .set('Content-Type', 'application/fhir+json')
+    .send(JSON.stringify(bundle));
+
+  const observation = (id, overrides = {}) => ({
+    fullUrl: `urn:uuid:${id}`,
+    resource: {
+      resourceType: 'Observation',
+      status: 'final',
+      effectiveDateTime: '2024-02-10T08:30:00Z',
+      ...overrides
+    }
+  });
+
+  const labBundle = () => ({
+    resourceType: 'Bundle',
+    type: 'collection',
+    entry: [
+      {
+        fullUrl: 'urn:uuid:patient',
+        resource: { resourceType: 'Patient', name: [{ text: 'John Doe' }] }
+      },
+      {
+        fullUrl: 'urn:uuid:lab',
+        resource: { resourceType: 'Organization', name: 'Northside Lab' }
+      },
+      {
+        fullUrl: 'urn:uuid:report',
+        resource: {
+          resourceType: 'DiagnosticReport',
+          status: 'final',
+          code: { coding: [{ system: LOINC, code: '57698-3', display: 'Lipid panel' }] },
+          effectiveDateTime: '2024-02-10',
+          performer: [{ reference: 'urn:uuid:lab' }],
+          result: [{ reference: 'urn:uuid:ldl' }, { reference: 'urn:uuid:hdl' }],
+          conclusion: 'LDL above target'
+        }
+      },
+      observation('ldl', {
+        code: { coding: [{ system: LOINC, code: '13457-7', display: 'LDL Cholesterol' }] },
+        valueQuantity: { value: 162, unit: 'mg/dL' },
+        referenceRange: [{ high: { value: 100, unit: 'mg/dL' } }],
+        interpretation: [{ coding: [{ code: 'H' }] }]
+      }),
+      observation('hdl', {
+        code: { coding: [{ system: LOINC, code: '2085-9', display: 'HDL Cholesterol' }] },
+        valueQuantity: { value: 52, unit: 'mg/dL' },
+        referenceRange: [{ low: { value: 40 }, high: { value: 60 }, text: '40-60 mg/dL' }]
+      }),
+      observation('glucose', {
+        code: { text: 'Glucose, fasting', coding: [{ system: LOINC, code: '1558-6' }] },
+        valueQuantity: { value: 5.4, unit: 'mmol/L' },
+        referenceRange: [{ low: { value: 3.9 }, high: { value: 5.5 } }],
+        note: [{ text: 'Fasting 10h' }],
+        performer: [{ display: 'Corner Clinic' }]
+      }),
+      observation('covid', {
+        code: { text: 'SARS-CoV-2 RNA' },
+        valueCodeableConcept: { text: 'Detected' },
+        interpretation: [{ coding: [{ code: 'A' }] }]
+      }),
+      observation('empty', {
+        code: { text: 'Potassium' },
+        dataAbsentReason: { text: 'Sample hemolyzed' }
+      }),
+      observation('error', {
+        status: 'entered-in-error',
+        code: { text: 'Sodium' },
+        valueQuantity: { value: 140, unit: 'mmol/L' }
+      })
+    ]
+  });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await DiagnosticTest.destroy({ where: {} });
+    await User.destroy({ where: {} });
+
+    user = await User.create({
+      name: 'John Doe',
+      email: 'john@example.com',
+      password: 'password123'
+    });
+    token = await login('john@example.com');
+  });
+
+  describe('POST /api/diagnostic-tests/import/fhir', () => {
+    it('should report a result for every entry', async () => {
+      const response = await importBundle(labBundle()).expect(200);
+
+      expect(response.body.message).toBe('Imported 5 of 9 resources');
+      expect(response.body.summary).toEqual({ imported: 5, duplicate: 0, failed: 2, ignored: 2 });
+      expect(response.body.results.map((result) => [result.index, result.status])).toEqual([
+        [0, 'ignored'],
+        [1, 'ignored'],
+        [2, 'imported'],
+        [3, 'imported'],
+        [4, 'imported'],
+        [5, 'imported'],
+        [6, 'imported'],
+        [7, 'failed'],
+        [8, 'failed']
+      ]);
+      expect(response.body.results[0].message).toBe('Patient resources are not imported');
+      expect(response.body.results[7]).toMatchObject({
+        id: 'urn:uuid:empty',
+        message: 'Observation has no value (Sample hemolyzed)'
+      });
+      expect(response.body.results[8].message).toBe('Observation was entered in error');
+    });
+
+    it('should map reports to panels and observations to tests', async () => {
+      const { body } = await importBundle(labBundle()).expect(200);
+
+      const panel = await DiagnosticTest.findByPk(body.results[2].testId, {
+        include: [{ model: DiagnosticTest, as: 'analytes' }],
+        order: [[{ model: DiagnosticTest, as: 'analytes' }, 'id', 'ASC']]
+      });
+      expect(panel).toMatchObject({
+        name: 'Lipid panel',
+        code: '57698-3',
+        isPanel: true,
+        date: '2024-02-10',
+        labName: 'Northside Lab',
+        notes: 'LDL above target',
+        isAbnormal: true,
+        userId: user.id
+      });
+
+      const [ldl, hdl] = panel.analytes;
+      expect(ldl).toMatchObject({
+        name: 'LDL Cholesterol',
+        code: '13457-7',
+        result: '162 mg/dL',
+        numericValue: 162,
+        units: 'mg/dL',
+        referenceHigh: 100,
+        normalRange: '<=100',
+        flag: 'high',
+        isAbnormal: true,
+        labName: 'Northside Lab'
+      });
+      expect(hdl).toMatchObject({ referenceLow: 40, referenceHigh: 60, normalRange: '40-60 mg/dL', flag: 'normal' });
+
+      const glucose = await DiagnosticTest.findByPk(body.results[5].testId);
+      expect(glucose).toMatchObject({
+        name: 'Glucose, fasting',
+        code: '1558-6',
+        result: '5.4 mmol/L',
+        date: '2024-02-10',
+        status: 'completed',
+        notes: 'Fasting 10h',
+        labName: 'Corner Clinic',
+        panelId: null
+      });
+    });
+
+    it('should keep the lab\'s interpretation when the values do not give one', async () => {
+      const { body } = await importBundle(labBundle()).expect(200);
+
+      const covid = await DiagnosticTest.findByPk(body.results[6].testId);
+      expect(covid).toMatchObject({ result: 'Detected', flag: 'abnormal', isAbnormal: true });
+
+      // Saving something unrelated keeps it
+      await covid.markAsReviewed();
+      await covid.reload();
+      expect(covid.flag).toBe('abnormal');
+    });
+
+    it('should skip resources that are already on record', async () => {
+      await importBundle(labBundle()).expect(200);
+      const count = await DiagnosticTest.count();
+
+      const response = await importBundle(labBundle()).expect(200);
+
+      expect(response.body.summary).toEqual({ imported: 0, duplicate: 5, failed: 2, ignored: 2 });
+      expect(await DiagnosticTest.count()).toBe(count);
+    });
+
+    it('should import the same values for another user', async () => {
+      await importBundle(labBundle()).expect(200);
+      await User.create({
+        name: 'Jane Smith',
+        email: 'jane@example.com',
+        password: 'password123'
+      });
+      const otherToken = await login('jane@example.com');
+
+      const response = await importBundle(labBundle(), otherToken).expect(200);
+
+      expect(response.body.summary.imported).toBe(5);
+    });
+
+    it('should fail a report whose results can not be imported', async () => {
+      const bundle = {
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [
+          {
+            resource: {
+              resourceType: 'DiagnosticReport',
+              status: 'final',
+              code: { text: 'Basic metabolic panel' },
+              effectiveDateTime: '2024-02-10',
+              result: [{ reference: 'Observation/missing' }]
+            }
+          }
+        ]
+      };
+
+      const response = await importBundle(bundle).expect(200);
+
+      expect(response.body.results[0]).toMatchObject({
+        status: 'failed',
+        message: 'DiagnosticReport has no results that can be imported'
+      });
+      expect(await DiagnosticTest.count()).toBe(0);
+    });
+
+    it('should import its own FHIR export', async () => {
+      await importBundle(labBundle()).expect(200);
+      const reports = (await request(app)
+        .get('/api/fhir/DiagnosticReport')
+        .set('Authorization', `Bearer ${token}`)).body;
+      const observations = (await request(app)
+        .get('/api/fhir/Observation')
+        .set('Authorization', `Bearer ${token}`)).body;
+
+      await User.create({
+        name: 'Jane Smith',
+        email: 'jane@example.com',
+        password: 'password123'
+      });
+      const otherToken = await login('jane@example.com');
+      const response = await importBundle({
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [...reports.entry, ...observations.entry]
+      }, otherToken).expect(200);
+
+      expect(response.body.summary).toEqual({ imported: 5, duplicate: 0, failed: 0, ignored: 0 });
+      const copy = await DiagnosticTest.findOne({
+        where: { name: 'LDL Cholesterol', userId: { [sequelize.Sequelize.Op.ne]: user.id } }
+      });
+      expect(copy).toMatchObject({ result: '162 mg/dL', flag: 'high', referenceHigh: 100 });
+      expect(copy.panelId).not.toBeNull();
+    });
+
+    it('should reject anything but a Bundle with entries', async () => {
+      const response = await importBundle({ resourceType: 'Observation' }).expect(400);
+
+      expect(response.body.errors.map((error) => error.msg)).toEqual([
+        'Body must be a FHIR Bundle',
+        'Bundle must have between 1 and 1000 entries'
+      ]);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/api/diagnostic-tests/import/fhir')
+        .send(labBundle())
+        .expect(401);
+    });
+  });
+});
@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../server');
+const {
+  sequelize,
+  User,
+  Alert,
+  DiagnosticTest,
+  AuditLog
+} = require('../models');
+const {
+  createLocalKeyProvider,
+  getKeyProvider,
+  setKeyProvider,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  rotateKeys
+} = require('../services/fieldEncryption');
+
+describe('Field Encryption', () => {
+  let user;
+  let token;
+  const originalProvider = getKeyProvider();
+
+  const newKey = () => crypto.randomBytes(32).toString('base64');
+
+  // What the database holds, bypassing the model getters
+  const storedRow = async (Model, id) => {
+    const [rows] = await sequelize.query(`SELECT * FROM ${Model.tableName} WHERE id = ?`, {
+      replacements: [id]
+    });
+    return rows[0];
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    setKeyProvider(originalProvider);
+    await DiagnosticTest.destroy({ where: {} });
+    await Alert.destroy({ where: {} });
+    await User.destroy({ where: {} });
+
+    user = await User.create({
+      name: 'John Doe',
+      email: 'john@example.com',
+      password: 'password123'
+    });
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'john@example.com', password: 'password123' });
+    token = response.body.token;
+  });
+
+  describe('Key provider', () => {
+    it('should round-trip values with a fresh data key each time', () => {
+      const first = encrypt('130 mg/dL');
+      const second = encrypt('130 mg/dL');
+
+      expect(isEncrypted(first)).toBe(true);
+      expect(first).not.toBe(second);
+      expect(first).not.toContain('130');
+      expect(decrypt(first)).toBe('130 mg/dL');
+    });
+
+    it('should pass plaintext written before encryption through', () => {
+      expect(decrypt('130 mg/dL')).toBe('130 mg/dL');
+    });
+
+    it('should reject tampered ciphertext', () => {
+      const value = encrypt('130 mg/dL');
+      const tampered = value.slice(0, -4) + (value.endsWith('AAAA') ? 'BBBB' : 'AAAA');
+
+      expect(() => decrypt(tampered)).toThrow();
+    });
+
+    it('should reject malformed key configuration', () => {
+      const blindIndexKey = newKey();
+
+      expect(() => createLocalKeyProvider({ keys: '', blindIndexKey }))
+        .toThrow('FIELD_ENCRYPTION_KEYS is not set');
+      expect(() => createLocalKeyProvider({ keys: 'k1:short', blindIndexKey }))
+        .toThrow('must be 32 bytes');
+      expect(() => createLocalKeyProvider({ keys: `k1:${newKey()}`, activeKeyId: 'k2', blindIndexKey }))
+        .toThrow('"k2" is not in FIELD_ENCRYPTION_KEYS');
+      expect(() => createLocalKeyProvider({ keys: `k1:${newKey()}`, blindIndexKey: '' }))
+        .toThrow('FIELD_BLIND_INDEX_KEY');
+    });
+  });
+
+  describe('Models', () => {
+    it('should store diagnostic test results and notes encrypted', async () => {
+      const test = await DiagnosticTest.create({
+        name: 'Glucose',
+        result: '130 mg/dL',
+        normalRange: '70-100',
+        notes: 'Fasting sample',
+        date: '2024-01-15',
+        userId: user.id
+      });
+
+      const row = await storedRow(DiagnosticTest, test.id);
+      expect(isEncrypted(row.result)).toBe(true);
+      expect(isEncrypted(row.notes)).toBe(true);
+      expect(row.result_index).toMatch(/^[0-9a-f]{64}$/);
+
+      // Interpretation still sees the plaintext
+      expect(test.numericValue).toBe(130);
+      expect(test.flag).toBe('high');
+
+      const reloaded = await DiagnosticTest.findByPk(test.id);
+      expect(reloaded.result).toBe('130 mg/dL');
+      expect(reloaded.notes).toBe('Fasting sample');
+    });
+
+    it('should store alert messages and metadata encrypted', async () => {
+      const alert = await Alert.create({
+        title: 'High glucose',
+        message: 'Glucose was 130 mg/dL',
+        metadata: { analyte: 'glucose', value: 130 },
+        userId: user.id
+      });
+
+      const row = await storedRow(Alert, alert.id);
+      expect(isEncrypted(row.message)).toBe(true);
+      expect(isEncrypted(row.metadata)).toBe(true);
+
+      const reloaded = await Alert.findByPk(alert.id);
+      expect(reloaded.message).toBe('Glucose was 130 mg/dL');
+      expect(reloaded.metadata).toEqual({ analyte: 'glucose', value: 130 });
+    });
+
+    it('should read missing metadata as an empty object', async () => {
+      const alert = await Alert.create({ title: 'Reminder', userId: user.id });
+
+      expect((await storedRow(Alert, alert.id)).metadata).toBeNull();
+      expect((await Alert.findByPk(alert.id)).metadata).toEqual({});
+    });
+
+    it('should not mark unchanged values as changed', async () => {
+      const test = await DiagnosticTest.create({
+        name: 'Glucose',
+        result: '95 mg/dL',
+        date: '2024-01-15',
+        userId: user.id
+      });
+      const reloaded = await DiagnosticTest.findByPk(test.id);
+
+      reloaded.set({ result: '95 mg/dL' });
+      expect(reloaded.changed('result')).toBe(false);
+    });
+
+    it('should encrypt audit trail diffs, which repeat encrypted fields', async () => {
+      const test = await DiagnosticTest.create({
+        name: 'Glucose',
+        result: '130 mg/dL',
+        date: '2024-01-15',
+        userId: user.id
+      });
+      await test.update({ result: '95 mg/dL' });
+
+      const entry = await AuditLog.findOne({
+        where: { resourceType: 'DiagnosticTest', resourceId: test.id, action: 'update' }
+      });
+      expect(entry.changes.result).toEqual({ before: '130 mg/dL', after: '95 mg/dL' });
+      expect(entry.changes.resultIndex).toBeUndefined();
+      expect(isEncrypted((await storedRow(AuditLog, entry.id)).changes)).toBe(true);
+    });
+  });
+
+  describe('Blind index lookups', () => {
+    beforeEach(async () => {
+      await DiagnosticTest.bulkCreate([
+        { name: 'COVID-19 PCR', result: 'Positive', date: '2024-01-15', userId: user.id },
+        { name: 'Influenza A', result: 'Negative', date: '2024-01-16', userId: user.id },
+        { name: 'Strep A', result: 'Positive', date: '2024-01-17', userId: user.id }
+      ]);
+    });
+
+    it('should find exact matches with plain where clauses', async () => {
+      const positive = await DiagnosticTest.findAll({
+        where: { userId: user.id, result: 'Positive' },
+        order: [['date', 'ASC']]
+      });
+      expect(positive.map((test) => test.name)).toEqual(['COVID-19 PCR', 'Strep A']);
+
+      expect(await DiagnosticTest.count({ where: { result: ['Negative', 'Inconclusive'] } })).toBe(1);
+      expect(await DiagnosticTest.count({ where: { result: 'positive' } })).toBe(0);
+    });
+
+    it('should refuse conditions a blind index cannot answer', async () => {
+      const { Op } = sequelize.Sequelize;
+
+      await expect(DiagnosticTest.findAll({ where: { result: { [Op.like]: 'Pos%' } } }))
+        .rejects.toThrow('only supports exact-match conditions');
+      await expect(Alert.findAll({ where: { message: 'anything' } }))
+        .rejects.toThrow('can not be used in queries');
+    });
+
+    it('should filter the diagnostic test list by result', async () => {
+      const response = await request(app)
+        .get('/api/diagnostic-tests')
+        .query({ result: 'Positive' })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.tests.map((test) => test.result)).toEqual(['Positive', 'Positive']);
+    });
+  });
+
+  describe('API', () => {
+    it('should return decrypted values without exposing the blind index', async () => {
+      const created = await request(app)
+        .post('/api/diagnostic-tests')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          name: 'HbA1c',
+          result: '6.1%',
+          normalRange: '<5.7',
+          notes: 'Repeat in 3 months',
+          date: '2024-01-15',
+          testType: 'blood'
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/diagnostic-tests/${created.body.test.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.test.result).toBe('6.1%');
+      expect(response.body.test.notes).toBe('Repeat in 3 months');
+      expect(response.body.test).not.toHaveProperty('resultIndex');
+    });
+  });
+
+  describe('Key rotation', () => {
+    it('should re-wrap values under the new active key', async () => {
+      const test = await DiagnosticTest.create({
+        name: 'Glucose',
+        result: '130 mg/dL',
+        date: '2024-01-15',
+        userId: user.id
+      });
+      const before = await storedRow(DiagnosticTest, test.id);
+
+      const nextKey = `next:${newKey()}`;
+      setKeyProvider(createLocalKeyProvider({
+        keys: `${process.env.FIELD_ENCRYPTION_KEYS},${nextKey}`,
+        activeKeyId: 'next'
+      }));
+      const report = await rotateKeys([DiagnosticTest, Alert]);
+      expect(report.DiagnosticTest).toEqual({ scanned: 1, updated: 1 });
+
+      const after = await storedRow(DiagnosticTest, test.id);
+      expect(after.result.split(':')[2]).toBe('next');
+      // Only the data key is re-wrapped
+      expect(after.result.split(':').pop()).toBe(before.result.split(':').pop());
+      expect(after.result_index).toBe(before.result_index);
+
+      // The retired key is no longer needed
+      setKeyProvider(createLocalKeyProvider({ keys: nextKey }));
+      const reloaded = await DiagnosticTest.findByPk(test.id);
+      expect(reloaded.result).toBe('130 mg/dL');
+
+      // Later tests no longer hold the new key
+      await reloaded.destroy();
+    });
+
+    it('should encrypt values stored before encryption was enabled', async () => {
+      const test = await DiagnosticTest.create({
+        name: 'Glucose',
+        result: 'placeholder',
+        date: '2024-01-15',
+        userId: user.id
+      });
+      await sequelize.getQueryInterface().bulkUpdate('diagnostic_tests', {
+        result: '130 mg/dL',
+        result_index: null
+      }, { id: test.id });
+
+      expect((await DiagnosticTest.findByPk(test.id)).result).toBe('130 mg/dL');
+
+      await rotateKeys([DiagnosticTest]);
+
+      const row = await storedRow(DiagnosticTest, test.id);
+      expect(isEncrypted(row.result)).toBe(true);
+      expect(await DiagnosticTest.count({ where: { result: '130 mg/dL' } })).toBe(1);
+    });
+  });
+});
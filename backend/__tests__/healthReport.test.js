@@ -0,0 +1,294 @@
+const zlib = require('zlib');
+const { Op } = require('sequelize');
+const request = require('supertest');
+const app = require('../server');
+const {
+  sequelize,
+  User,
+  Alert,
+  DiagnosticTest,
+  AuditLog,
+  CareRelationship
+} = require('../models');
+const { collectReport, resolveRange, DEFAULT_RANGE_DAYS } = require('../services/healthReport');
+
+describe('Health Summary Report', () => {
+  let patient;
+  let clinician;
+  let tokens;
+
+  const login = async (email) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'password123' });
+    return response.body.token;
+  };
+
+  // Collect the response body as a Buffer
+  const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  const getReport = (query = '?dateFrom=2024-01-01&dateTo=2024-06-30', token = tokens.patient) => request(app)
+    .get(`/api/reports/health-summary${query}`)
+    .set('Authorization', `Bearer ${token}`)
+    .buffer(true)
+    .parse(binary);
+
+  // Text shown on the PDF's pages, one string per text run. The embedded
+  // fonts write glyph ids, which each font's ToUnicode CMap maps back to
+  // UTF-16 characters.
+  const pdfText = (pdf) => {
+    const raw = pdf.toString('latin1');
+    const streams = new Map();
+    for (const [, id, content] of raw.matchAll(/(\d+) 0 obj\s*<<(?:(?!endobj)[^])*?>>\s*stream\r?\n([\s\S]*?)\r?\nendstream/g)) {
+      try {
+        streams.set(id, zlib.inflateSync(Buffer.from(content, 'latin1')).toString('latin1'));
+      } catch (error) {
+        // Not deflated, such as the font files
+      }
+    }
+
+    const utf16 = (hex) => Buffer.from(hex, 'hex').swap16().toString('utf16le');
+    const toUnicode = (cmap) => {
+      const map = new Map();
+      for (const [, first, values] of cmap.matchAll(/<([0-9a-f]{4})> <[0-9a-f]{4}> \[([^\]]*)\]/g)) {
+        [...values.matchAll(/<([0-9a-f]+)>/g)].forEach(([, hex], index) => {
+          map.set(parseInt(first, 16) + index, utf16(hex));
+        });
+      }
+      return map;
+    };
+
+    // Resource name (/F1) -> font object -> its CMap
+    const fonts = new Map();
+    for (const [, name, id] of raw.matchAll(/\/(F\d+) (\d+) 0 R/g)) {
+      const object = raw.match(new RegExp(`(?:^|\\n)${id} 0 obj\\s*<<([^]*?)>>\\s*endobj`));
+      const cmapId = object && object[1].match(/\/ToUnicode (\d+) 0 R/);
+      if (cmapId) fonts.set(name, toUnicode(streams.get(cmapId[1])));
+    }
+
+    return [...streams.values()].flatMap((content) => {
+      let font = null;
+      return [...content.matchAll(/\/(F\d+) [\d.]+ Tf|\[([^\]]*)\] TJ/g)].flatMap(([, name, run]) => {
+        if (name) {
+          font = fonts.get(name);
+          return [];
+        }
+        if (!font) return [];
+        return [[...run.matchAll(/<([0-9a-f]*)>/g)]
+          .flatMap(([, hex]) => hex.match(/.{4}/g) || [])
+          .map((glyph) => font.get(parseInt(glyph, 16)) || '')
+          .join('')];
+      });
+    }).join('\n');
+  };
+
+  const createResult = (date, result, attributes = {}) => DiagnosticTest.create({
+    name: 'Glucose',
+    code: '2345-7',
+    testType: 'blood',
+    units: 'mg/dL',
+    referenceLow: 70,
+    referenceHigh: 99,
+    date,
+    result,
+    userId: patient.id,
+    ...attributes
+  });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    patient = await User.create({ name: 'John Doe', email: 'john@example.com', password: 'password123' });
+    clinician = await User.create({
+      name: 'Dr. Smith',
+      email: 'smith@example.com',
+      password: 'password123',
+      role: 'clinician'
+    });
+    await User.create({
+      name: 'Dr. Jones',
+      email: 'jones@example.com',
+      password: 'password123',
+      role: 'clinician'
+    });
+    await CareRelationship.create({
+      patientId: patient.id,
+      clinicianId: clinician.id,
+      status: 'active',
+      initiatedBy: 'patient'
+    });
+
+    tokens = {
+      patient: await login('john@example.com'),
+      clinician: await login('smith@example.com'),
+      stranger: await login('jones@example.com')
+    };
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await Alert.destroy({ where: {} });
+    await DiagnosticTest.destroy({ where: {} });
+
+    await createResult('2024-02-01', '92');
+    await createResult('2024-03-01', '131');
+    await createResult('2024-04-01', '118');
+    // Outside the range used by most tests
+    await createResult('2023-06-01', '160');
+    // A single result, so no trend
+    await DiagnosticTest.create({
+      name: 'Hemoglobin',
+      testType: 'blood',
+      units: 'g/dL',
+      referenceLow: 13.5,
+      referenceHigh: 17.5,
+      date: '2024-03-01',
+      result: '12.1',
+      userId: patient.id
+    });
+    await Alert.create({
+      title: 'High glucose',
+      message: 'Glucose of 131 mg/dL is above the reference range',
+      type: 'diagnostic',
+      priority: 'high',
+      userId: patient.id
+    });
+    await Alert.create({
+      title: 'Old reminder',
+      message: 'Book a follow-up',
+      type: 'reminder',
+      priority: 'low',
+      status: 'resolved',
+      userId: patient.id
+    });
+  });
+
+  describe('GET /api/reports/health-summary', () => {
+    it('should render a PDF with demographics, abnormal results, trends and active alerts', async () => {
+      const response = await getReport().expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition'])
+        .toBe('attachment; filename="health-summary-2024-01-01-to-2024-06-30.pdf"');
+      expect(response.headers['cache-control']).toBe('private, no-store');
+      expect(response.body.slice(0, 5).toString()).toBe('%PDF-');
+
+      const text = pdfText(response.body);
+      expect(text).toContain('John Doe');
+      expect(text).toContain('john@example.com');
+      expect(text).toContain('2024-01-01 to 2024-06-30');
+      expect(text).toContain('Abnormal Results (3)');
+      expect(text).toContain('131 mg/dL');
+      expect(text).toContain('12.1 g/dL');
+      expect(text).toContain('Glucose (mg/dL)');
+      expect(text).toContain('change +26');
+      expect(text).not.toContain('Hemoglobin (g/dL)');
+      expect(text).toContain('Active Alerts (1)');
+      expect(text).toContain('High glucose');
+      expect(text).not.toContain('Old reminder');
+      expect(text).not.toContain('160');
+      expect(text).toContain('Page 1 of');
+    });
+
+    it('should default to the last year up to today', async () => {
+      const response = await getReport('').expect(200);
+      const { dateFrom, dateTo } = resolveRange();
+
+      expect(response.headers['content-disposition'])
+        .toBe(`attachment; filename="health-summary-${dateFrom}-to-${dateTo}.pdf"`);
+    });
+
+    it('should reject invalid ranges', async () => {
+      await getReport('?dateFrom=not-a-date').expect(400);
+
+      const response = await getReport('?dateFrom=2024-06-01&dateTo=2024-01-01').expect(400);
+      expect(JSON.parse(response.body.toString()).errors[0].msg)
+        .toBe('dateTo must not be before dateFrom');
+    });
+
+    it('should record the reads in the audit trail', async () => {
+      const lastId = (await AuditLog.max('id')) || 0;
+      await getReport().expect(200);
+
+      const reads = await AuditLog.findAll({
+        where: { action: 'read', id: { [Op.gt]: lastId } }
+      });
+      const types = reads.map((entry) => entry.resourceType).sort();
+
+      // The user, three glucose results and the hemoglobin, the active alert
+      expect(types).toEqual([
+        'Alert',
+        'DiagnosticTest',
+        'DiagnosticTest',
+        'DiagnosticTest',
+        'DiagnosticTest',
+        'User'
+      ]);
+    });
+
+    it('should let care-team clinicians generate the report of their patients', async () => {
+      const response = await getReport(
+        `?dateFrom=2024-01-01&dateTo=2024-06-30&patientId=${patient.id}`,
+        tokens.clinician
+      ).expect(200);
+      expect(pdfText(response.body)).toContain('John Doe');
+
+      await getReport(`?patientId=${patient.id}`, tokens.stranger).expect(403);
+    });
+
+    it('should render names and results outside Latin-1', async () => {
+      await patient.update({ name: 'Ωμέγα Παπαδοπούλου' });
+      await createResult('2024-05-01', '140', { name: 'Глюкоза натощак', code: null });
+      await Alert.create({
+        title: 'Vysoký cukr',
+        message: 'Glukóza 140 mg/dL — nad referenčním rozsahem',
+        type: 'diagnostic',
+        priority: 'high',
+        userId: patient.id
+      });
+
+      try {
+        const response = await getReport().expect(200);
+
+        const text = pdfText(response.body);
+        expect(text).toContain('Ωμέγα Παπαδοπούλου');
+        expect(text).toContain('Глюкоза натощак');
+        expect(text).toContain('Vysoký cukr');
+        expect(text).toContain('Glukóza 140 mg/dL — nad referenčním rozsahem');
+      } finally {
+        await patient.update({ name: 'John Doe' });
+      }
+    });
+  });
+
+  describe('collectReport', () => {
+    it('should only build trends for tests with more than one result, grouped by code', async () => {
+      await createResult('2024-05-01', '101', { name: 'Fasting glucose' });
+
+      const report = await collectReport(patient.id, { dateFrom: '2024-01-01', dateTo: '2024-06-30' });
+
+      expect(report.trends).toHaveLength(1);
+      expect(report.trends[0].name).toBe('Fasting glucose');
+      expect(report.trends[0].points.map((point) => point.value)).toEqual([92, 131, 118, 101]);
+      expect(report.abnormal.map((test) => test.date)).toEqual(['2024-05-01', '2024-04-01', '2024-03-01', '2024-03-01']);
+    });
+
+    it('should cover DEFAULT_RANGE_DAYS when no start is given', () => {
+      const { dateFrom, dateTo } = resolveRange({ dateTo: '2024-12-31' });
+
+      expect(dateTo).toBe('2024-12-31');
+      expect((new Date(dateTo) - new Date(dateFrom)) / 86400000).toBe(DEFAULT_RANGE_DAYS);
+    });
+
+    it('should return null for a missing user', async () => {
+      expect(await collectReport(999999)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,456 @@
+const net = require('net');
+const { UniqueConstraintError } = require('sequelize');
+const request = require('supertest');
+const app = require('../server');
+const {
+  sequelize,
+  User,
+  Alert,
+  DiagnosticTest,
+  Hl7Message
+} = require('../models');
+const { frame, createMllpServer } = require('../services/mllpServer');
+const { purgeUser } = require('../services/accountDeletion');
+
+describe('HL7 v2 Ingestion', () => {
+  const API_KEY = 'lab-secret-key';
+  const ENV_KEYS = ['HL7_API_KEY', 'HL7_PATIENT_IDENTIFIER', 'HL7_PATIENT_ID_TYPE', 'HL7_PATIENT_ID_AUTHORITY'];
+  const savedEnv = {};
+  let patient;
+  let tokens;
+
+  const login = async (email) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'password123' });
+    return response.body.token;
+  };
+
+  // A segment from its fields by position, e.g. segment('OBX', { 2: 'NM' })
+  const segment = (name, fields) => {
+    const last = Math.max(...Object.keys(fields).map(Number));
+    const values = Array.from({ length: last }, (_, i) => fields[i + 1] || '');
+    return [name, ...values].join('|');
+  };
+
+  const oru = ({
+    controlId = 'MSG0001',
+    type = 'ORU^R01^ORU_R01',
+    pid = segment('PID', { 1: '1', 3: '12345^^^NSL^MR', 5: 'Doe^John', 7: '19800101', 13: '^NET^Internet^John@Example.com' }),
+    orders
+  } = {}) => [
+    `MSH|^~\\&|LABSYS|NSL|AIHEALTH|CLINIC|20240210083000||${type}|${controlId}|P|2.5.1`,
+    pid,
+    ...(orders || [
+      segment('OBR', { 1: '1', 4: '57698-3^Lipid panel^LN', 7: '20240210083000', 16: '123^Smith^Anna^^^Dr', 24: 'HM', 25: 'F' }),
+      segment('OBX', { 1: '1', 2: 'NM', 3: '13457-7^LDL Cholesterol^LN', 5: '162', 6: 'mg/dL', 7: '<100', 8: 'H', 11: 'F' }),
+      segment('NTE', { 1: '1', 3: 'Fasting 10h \\T\\ on statins\\.br\\Repeat in 3 months' }),
+      segment('OBX', { 1: '2', 2: 'NM', 3: '2085-9^HDL Cholesterol^LN', 5: '52', 6: 'mg/dL', 7: '40-60', 8: 'N', 11: 'F' }),
+      segment('OBX', { 1: '3', 2: 'SN', 3: '2093-3^Cholesterol^LN', 5: '<^200', 6: 'mg/dL', 7: '<200', 11: 'F' }),
+      segment('OBX', { 1: '4', 2: 'NM', 3: '2571-8^Triglycerides^LN', 11: 'X' }),
+      segment('OBR', { 1: '2', 4: '94500-6^SARS-CoV-2 RNA^LN', 7: '20240210', 25: 'F' }),
+      segment('OBX', { 1: '1', 2: 'CWE', 3: '94500-6^SARS-CoV-2 RNA^LN', 5: '260373001^Detected^SCT', 8: 'A', 11: 'F' })
+    ])
+  ].join('\r');
+
+  const send = (message, key = API_KEY) => request(app)
+    .post('/api/hl7/messages')
+    .set('Content-Type', 'application/hl7-v2')
+    .set('X-API-Key', key)
+    .send(message);
+
+  const segmentsOf = (ack) => ack.split('\r').map((line) => line.split('|'));
+  const msaOf = (ack) => segmentsOf(ack).find((fields) => fields[0] === 'MSA');
+
+  const unmatchedMessage = () => oru({
+    controlId: 'MSG0100',
+    pid: segment('PID', { 1: '1', 3: '99999^^^NSL^MR', 5: 'Roe^Jane', 13: '^NET^Internet^jane.roe@example.com' })
+  });
+
+  beforeAll(async () => {
+    ENV_KEYS.forEach((key) => { savedEnv[key] = process.env[key]; });
+    await sequelize.sync({ force: true });
+
+    patient = await User.create({
+      name: 'John Doe',
+      email: 'john@example.com',
+      password: 'password123'
+    });
+    await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    tokens = {
+      patient: await login('john@example.com'),
+      admin: await login('admin@example.com')
+    };
+  });
+
+  afterAll(async () => {
+    ENV_KEYS.forEach((key) => {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    });
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await Alert.destroy({ where: {} });
+    await DiagnosticTest.destroy({ where: {} });
+    await Hl7Message.destroy({ where: {} });
+
+    ENV_KEYS.forEach((key) => { delete process.env[key]; });
+    process.env.HL7_API_KEY = API_KEY;
+  });
+
+  describe('POST /api/hl7/messages', () => {
+    it('should import OBR segments as panels and OBX segments as analytes', async () => {
+      const response = await send(oru()).expect(200);
+
+      expect(response.headers['content-type']).toMatch(/application\/hl7-v2/);
+      const [msh] = segmentsOf(response.text);
+      expect(msh.slice(0, 6)).toEqual(['MSH', '^~\\&', 'AIHEALTH', 'CLINIC', 'LABSYS', 'NSL']);
+      expect(msh[8]).toBe('ACK^R01^ACK');
+      expect(msaOf(response.text)).toEqual(['MSA', 'AA', 'MSG0001', 'Imported 2 panel(s)']);
+
+      const panels = await DiagnosticTest.findAll({
+        where: { isPanel: true, userId: patient.id },
+        include: [{ model: DiagnosticTest, as: 'analytes' }],
+        order: [['id', 'ASC'], [{ model: DiagnosticTest, as: 'analytes' }, 'id', 'ASC']]
+      });
+      expect(panels).toHaveLength(2);
+
+      const [lipids, covid] = panels;
+      expect(lipids).toMatchObject({
+        name: 'Lipid panel',
+        code: '57698-3',
+        date: '2024-02-10',
+        status: 'completed',
+        testType: 'blood',
+        doctorName: 'Dr Anna Smith',
+        labName: 'NSL',
+        isAbnormal: true
+      });
+
+      // The result that could not be obtained is left out
+      expect(lipids.analytes.map((analyte) => analyte.name))
+        .toEqual(['LDL Cholesterol', 'HDL Cholesterol', 'Cholesterol']);
+      const [ldl, hdl, cholesterol] = lipids.analytes;
+      expect(ldl).toMatchObject({
+        code: '13457-7',
+        result: '162 mg/dL',
+        numericValue: 162,
+        units: 'mg/dL',
+        normalRange: '<100',
+        flag: 'high',
+        notes: 'Fasting 10h & on statins\nRepeat in 3 months',
+        doctorName: 'Dr Anna Smith'
+      });
+      expect(hdl).toMatchObject({ referenceLow: 40, referenceHigh: 60, flag: 'normal' });
+      expect(cholesterol).toMatchObject({ result: '<200 mg/dL', numericValue: 200 });
+
+      expect(covid.analytes[0]).toMatchObject({ result: 'Detected', flag: 'abnormal', isAbnormal: true });
+
+      const record = await Hl7Message.findOne();
+      expect(record).toMatchObject({
+        controlId: 'MSG0001',
+        sendingFacility: 'NSL',
+        messageType: 'ORU^R01',
+        transport: 'http',
+        status: 'processed',
+        userId: patient.id,
+        testIds: [lipids.id, covid.id]
+      });
+    });
+
+    it('should keep the raw message encrypted', async () => {
+      await send(oru()).expect(200);
+
+      const [row] = await sequelize.query('SELECT raw FROM hl7_messages', { type: sequelize.QueryTypes.SELECT });
+      expect(row.raw).not.toContain('Doe^John');
+      expect((await Hl7Message.findOne()).raw).toBe(oru());
+    });
+
+    it('should acknowledge a resent message without importing it again', async () => {
+      await send(oru()).expect(200);
+      const count = await DiagnosticTest.count();
+
+      const response = await send(oru()).expect(200);
+
+      expect(msaOf(response.text).slice(1)).toEqual(['AA', 'MSG0001', 'Duplicate message; already received']);
+      expect(await DiagnosticTest.count()).toBe(count);
+      expect(await Hl7Message.count()).toBe(1);
+    });
+
+    it('should import a copy resent while the first is still processed only once', async () => {
+      await send(oru()).expect(200);
+      const count = await DiagnosticTest.count();
+
+      // The copy checked for the message before the first one was stored
+      const findReceived = jest.spyOn(Hl7Message, 'findReceived').mockResolvedValueOnce(null);
+      try {
+        const response = await send(oru()).expect(200);
+
+        expect(msaOf(response.text).slice(1)).toEqual(['AA', 'MSG0001', 'Duplicate message; already received']);
+      } finally {
+        findReceived.mockRestore();
+      }
+      expect(await DiagnosticTest.count()).toBe(count);
+      expect(await Hl7Message.findAll()).toMatchObject([{ status: 'processed' }]);
+    });
+
+    it('should recognize resent messages without a sending facility', async () => {
+      const message = oru().replace('|LABSYS|NSL|', '|LABSYS||');
+
+      await send(message).expect(200);
+      const response = await send(message).expect(200);
+
+      expect(msaOf(response.text)[3]).toBe('Duplicate message; already received');
+      expect(await Hl7Message.findAll()).toMatchObject([{ sendingFacility: '' }]);
+      await expect(Hl7Message.create({
+        controlId: 'MSG0001',
+        messageType: 'ORU^R01',
+        transport: 'http',
+        status: 'processed',
+        raw: message
+      })).rejects.toThrow(UniqueConstraintError);
+    });
+
+    it('should match patients by the configured identifier', async () => {
+      process.env.HL7_PATIENT_IDENTIFIER = 'id';
+      process.env.HL7_PATIENT_ID_TYPE = 'MR';
+      const pid = (identifiers) => segment('PID', { 1: '1', 3: identifiers, 5: 'Doe^John' });
+
+      // Only medical record numbers count
+      let response = await send(oru({ controlId: 'MSG0002', pid: pid(`${patient.id}^^^NSL^PI`) })).expect(200);
+      expect(msaOf(response.text)[3]).toBe('Patient not matched; message queued for review');
+
+      response = await send(oru({ controlId: 'MSG0003', pid: pid(`X1^^^NSL^PI~${patient.id}^^^NSL^MR`) })).expect(200);
+      expect(msaOf(response.text)[3]).toBe('Imported 2 panel(s)');
+      expect(await DiagnosticTest.count({ where: { userId: patient.id } })).toBe(6);
+    });
+
+    it('should answer content errors with AE and process a corrected resend', async () => {
+      const orders = (value) => [
+        segment('OBR', { 1: '1', 4: '2345-7^Glucose^LN', 7: '20240210', 25: 'F' }),
+        segment('OBX', { 1: '1', 2: 'NM', 3: '2345-7^Glucose^LN', 5: value, 6: 'mg/dL', 7: '70-99', 11: 'F' })
+      ];
+
+      const response = await send(oru({ orders: orders('high') })).expect(422);
+
+      expect(msaOf(response.text).slice(1, 3)).toEqual(['AE', 'MSG0001']);
+      const err = segmentsOf(response.text).find((fields) => fields[0] === 'ERR');
+      expect(err[3]).toBe('102^Data type error^HL70357');
+      expect(err[8]).toBe('OBR 1: OBX 1: OBX-5 "high" is not a number');
+      expect(await Hl7Message.findOne()).toMatchObject({ status: 'failed' });
+      expect(await DiagnosticTest.count()).toBe(0);
+
+      await send(oru({ orders: orders('105') })).expect(200);
+
+      expect(await Hl7Message.findAll()).toMatchObject([{ status: 'processed', error: null }]);
+      expect(await DiagnosticTest.findOne({ where: { name: 'Glucose', isPanel: false } }))
+        .toMatchObject({ result: '105 mg/dL', flag: 'high' });
+    });
+
+    it('should reject messages it can not read with AR', async () => {
+      let response = await send('not an HL7 message').expect(400);
+      expect(msaOf(response.text).slice(0, 2)).toEqual(['MSA', 'AR']);
+
+      // Separators in ACK text are escaped
+      response = await send(oru({ type: 'ADT^A01^ADT_A01' })).expect(400);
+      expect(msaOf(response.text).slice(1)).toEqual(['AR', 'MSG0001', 'Message type ADT\\S\\A01 is not supported']);
+      expect(segmentsOf(response.text)[2][3]).toBe('200^Unsupported message type^HL70357');
+
+      expect(await Hl7Message.count()).toBe(0);
+    });
+
+    it('should require the lab API key', async () => {
+      await send(oru(), 'wrong-key').expect(401);
+      await send(oru(), '').expect(401);
+      // Checked before the body is read, so no 413 for an oversized one
+      await send('x'.repeat(2 * 1024 * 1024), 'wrong-key').expect(401);
+
+      delete process.env.HL7_API_KEY;
+      await send(oru(), API_KEY).expect(503);
+
+      expect(await Hl7Message.count()).toBe(0);
+    });
+  });
+
+  describe('Review queue', () => {
+    it('should queue messages for unknown patients instead of dropping them', async () => {
+      const response = await send(unmatchedMessage()).expect(200);
+
+      expect(msaOf(response.text)[1]).toBe('AA');
+      expect(await DiagnosticTest.count()).toBe(0);
+
+      const list = await request(app)
+        .get('/api/hl7/messages')
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .expect(200);
+
+      expect(list.body.pagination.totalItems).toBe(1);
+      expect(list.body.hl7Messages[0]).toMatchObject({
+        controlId: 'MSG0100',
+        status: 'unmatched',
+        patient: {
+          name: 'Jane Roe',
+          identifiers: [{ id: '99999', authority: 'NSL', type: 'MR' }],
+          emails: ['jane.roe@example.com']
+        }
+      });
+      expect(list.body.hl7Messages[0].raw).toBeUndefined();
+
+      const detail = await request(app)
+        .get(`/api/hl7/messages/${list.body.hl7Messages[0].id}`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .expect(200);
+      expect(detail.body.hl7Message.raw).toBe(unmatchedMessage());
+    });
+
+    it('should import a queued message into the assigned user\'s record', async () => {
+      await send(unmatchedMessage()).expect(200);
+      const record = await Hl7Message.findOne();
+
+      const response = await request(app)
+        .post(`/api/hl7/messages/${record.id}/assign`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ userId: patient.id })
+        .expect(200);
+
+      expect(response.body.message).toBe('Imported 2 panel(s) into the user\'s record');
+      expect(response.body.hl7Message).toMatchObject({ status: 'processed', userId: patient.id });
+      expect(response.body.hl7Message.resolvedBy).not.toBeNull();
+      expect(await DiagnosticTest.count({ where: { userId: patient.id } })).toBe(6);
+
+      await request(app)
+        .post(`/api/hl7/messages/${record.id}/assign`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ userId: patient.id })
+        .expect(409);
+    });
+
+    it('should import a message assigned by two reviewers at once only once', async () => {
+      await send(unmatchedMessage()).expect(200);
+      const record = await Hl7Message.findOne();
+      const other = await User.create({ name: 'Sam Poe', email: 'sam.poe@example.com', password: 'password123' });
+
+      // Both requests loaded the message while it was still queued
+      const stale = await Hl7Message.findByPk(record.id);
+      await request(app)
+        .post(`/api/hl7/messages/${record.id}/assign`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ userId: patient.id })
+        .expect(200);
+      const count = await DiagnosticTest.count();
+
+      let findByPk = jest.spyOn(Hl7Message, 'findByPk').mockResolvedValueOnce(stale);
+      try {
+        const response = await request(app)
+          .post(`/api/hl7/messages/${record.id}/assign`)
+          .set('Authorization', `Bearer ${tokens.admin}`)
+          .send({ userId: other.id })
+          .expect(409);
+        expect(response.body.message).toBe('Only unmatched messages can be assigned');
+      } finally {
+        findByPk.mockRestore();
+      }
+
+      expect(await DiagnosticTest.count()).toBe(count);
+      expect(await DiagnosticTest.count({ where: { userId: other.id } })).toBe(0);
+      expect(await Hl7Message.findByPk(record.id)).toMatchObject({ status: 'processed', userId: patient.id });
+
+      // Nor can a dismissal that raced the assignment undo it
+      findByPk = jest.spyOn(Hl7Message, 'findByPk').mockResolvedValueOnce(stale);
+      try {
+        await request(app)
+          .post(`/api/hl7/messages/${record.id}/dismiss`)
+          .set('Authorization', `Bearer ${tokens.admin}`)
+          .expect(409);
+      } finally {
+        findByPk.mockRestore();
+      }
+      expect(await Hl7Message.findByPk(record.id)).toMatchObject({ status: 'processed' });
+
+      await other.destroy();
+    });
+
+    it('should let admins dismiss queued messages', async () => {
+      await send(unmatchedMessage()).expect(200);
+      const record = await Hl7Message.findOne();
+
+      await request(app)
+        .post(`/api/hl7/messages/${record.id}/dismiss`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .expect(200);
+
+      const list = await request(app)
+        .get('/api/hl7/messages?status=dismissed')
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .expect(200);
+      expect(list.body.hl7Messages.map((message) => message.id)).toEqual([record.id]);
+    });
+
+    it('should be for admins only', async () => {
+      await request(app)
+        .get('/api/hl7/messages')
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .expect(403);
+    });
+  });
+
+  describe('MLLP listener', () => {
+    it('should acknowledge framed messages over TCP', async () => {
+      const server = createMllpServer();
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const ack = await new Promise((resolve, reject) => {
+          const socket = net.connect(server.address().port, '127.0.0.1');
+          let received = '';
+          socket.setEncoding('utf8');
+          socket.on('data', (chunk) => {
+            received += chunk;
+            if (received.endsWith('\x1c\r')) {
+              socket.end();
+              resolve(received);
+            }
+          });
+          socket.on('error', reject);
+
+          // Frames may arrive in pieces
+          const framed = frame(oru());
+          socket.write(framed.slice(0, 40));
+          setTimeout(() => socket.write(framed.slice(40)), 20);
+        });
+
+        expect(ack.startsWith('\x0b')).toBe(true);
+        expect(msaOf(ack.slice(1, -2)).slice(1, 3)).toEqual(['AA', 'MSG0001']);
+        expect(await Hl7Message.findOne()).toMatchObject({ transport: 'mllp', status: 'processed' });
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+
+  describe('Account deletion', () => {
+    it('should purge the user\'s lab messages', async () => {
+      const user = await User.create({
+        name: 'Jane Roe',
+        email: 'jane.roe@example.com',
+        password: 'password123'
+      });
+      await send(unmatchedMessage()).expect(200);
+      await send(oru({ controlId: 'MSG0101' })).expect(200);
+      const assigned = await Hl7Message.findOne({ where: { controlId: 'MSG0100' } });
+      await assigned.update({ status: 'processed', userId: user.id });
+
+      await purgeUser(user);
+
+      expect((await Hl7Message.findAll()).map((message) => message.controlId)).toEqual(['MSG0101']);
+    });
+  });
+});
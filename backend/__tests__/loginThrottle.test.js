@@ -0,0 +1,178 @@
+const request = require('supertest');
+const app = require('../server');
+const {
+  sequelize,
+  User,
+  Alert,
+  RefreshToken,
+  LoginThrottle,
+  SecurityEvent
+} = require('../models');
+const { POLICIES } = require('../services/loginThrottle');
+
+describe('Login Throttling', () => {
+  let user;
+
+  const login = (password, email = 'john@example.com') => request(app)
+    .post('/api/auth/login')
+    .send({ email, password });
+
+  // Lift any active wait so the next attempt is counted, not refused
+  const clearWait = () => LoginThrottle.update({ blockedUntil: null }, { where: {} });
+
+  // Jump an account to one failure short of its lockout, without paying
+  // for every password check
+  const primeForLock = async (email = 'john@example.com') => {
+    await login('wrongpassword', email).expect(401);
+    await LoginThrottle.update(
+      { failureCount: POLICIES.account.lockThreshold - 1, blockedUntil: null },
+      { where: { scope: 'account', key: email } }
+    );
+  };
+
+  const failTimes = async (count, email) => {
+    for (let i = 0; i < count; i += 1) {
+      await login('wrongpassword', email).expect(401);
+      await clearWait();
+    }
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await LoginThrottle.destroy({ where: {} });
+    await SecurityEvent.destroy({ where: {} });
+    await Alert.destroy({ where: {} });
+    await RefreshToken.destroy({ where: {} });
+    await User.destroy({ where: {} });
+
+    user = await User.create({
+      name: 'John Doe',
+      email: 'john@example.com',
+      password: 'password123'
+    });
+  });
+
+  it('should allow the free attempts without delay', async () => {
+    for (let i = 0; i < POLICIES.account.freeAttempts; i += 1) {
+      await login('wrongpassword').expect(401);
+    }
+
+    await login('password123').expect(200);
+  });
+
+  it('should back off with 429 and Retry-After after the free attempts', async () => {
+    await failTimes(POLICIES.account.freeAttempts);
+    await login('wrongpassword').expect(401);
+
+    const response = await login('password123').expect(429);
+
+    expect(response.headers['retry-after']).toBe('1');
+    expect(response.body.retryAfter).toBe(1);
+    expect(response.body.locked).toBe(false);
+  });
+
+  it('should double the wait with each further failure', async () => {
+    await failTimes(POLICIES.account.freeAttempts + 2);
+    await login('wrongpassword').expect(401);
+
+    const response = await login('password123').expect(429);
+    expect(response.body.retryAfter).toBe(4);
+  });
+
+  it('should lock the account at the threshold, even for the right password', async () => {
+    await primeForLock();
+    await login('wrongpassword').expect(401);
+
+    const response = await login('password123').expect(429);
+
+    expect(response.body.locked).toBe(true);
+    expect(response.body.message).toMatch(/temporarily locked/);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(14 * 60);
+  });
+
+  it('should record the lock and notify the user', async () => {
+    await primeForLock();
+    await login('wrongpassword').expect(401);
+
+    const events = await SecurityEvent.findAll({ where: { type: 'account_locked' } });
+    expect(events).toHaveLength(1);
+    expect(events[0].userId).toBe(user.id);
+    expect(events[0].metadata.lockCount).toBe(1);
+
+    const alerts = await Alert.findAll({ where: { userId: user.id } });
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].type).toBe('system');
+    expect(alerts[0].priority).toBe('high');
+  });
+
+  it('should throttle unknown accounts the same way', async () => {
+    await failTimes(POLICIES.account.freeAttempts, 'nobody@example.com');
+    await login('wrongpassword', 'nobody@example.com').expect(401);
+
+    await login('password123', 'nobody@example.com').expect(429);
+    await login('password123').expect(200);
+  });
+
+  it('should keep the lockout in the database', async () => {
+    await primeForLock();
+    await login('wrongpassword').expect(401);
+
+    const throttle = await LoginThrottle.findOne({
+      where: { scope: 'account', key: 'john@example.com' }
+    });
+    expect(throttle.lockCount).toBe(1);
+    expect(throttle.failureCount).toBe(0);
+  });
+
+  it('should lock for longer each time', async () => {
+    await primeForLock();
+    await LoginThrottle.update(
+      { lockCount: 2 },
+      { where: { scope: 'account', key: 'john@example.com' } }
+    );
+
+    await login('wrongpassword').expect(401);
+
+    // Third lock: 15 minutes doubled twice
+    const response = await login('password123').expect(429);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(59 * 60);
+  });
+
+  it('should reset the account count after a successful login', async () => {
+    await failTimes(POLICIES.account.freeAttempts);
+    await login('password123').expect(200);
+
+    const throttle = await LoginThrottle.findOne({
+      where: { scope: 'account', key: 'john@example.com' }
+    });
+    expect(throttle).toBeNull();
+
+    // The IP record is left alone
+    const ipThrottle = await LoginThrottle.findOne({ where: { scope: 'ip' } });
+    expect(ipThrottle.failureCount).toBe(POLICIES.account.freeAttempts);
+  });
+
+  it('should block an IP trying many accounts', async () => {
+    await login('wrongpassword', 'someone@example.com').expect(401);
+    await LoginThrottle.update(
+      { failureCount: POLICIES.ip.lockThreshold - 1 },
+      { where: { scope: 'ip' } }
+    );
+
+    await login('wrongpassword', 'someone-else@example.com').expect(401);
+
+    const response = await login('password123').expect(429);
+    expect(response.body.locked).toBe(true);
+    expect(response.body.message).toMatch(/your network/);
+
+    const events = await SecurityEvent.findAll({ where: { type: 'ip_blocked' } });
+    expect(events).toHaveLength(1);
+  });
+});
@@ -0,0 +1,289 @@
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const { Sequelize } = require('sequelize');
+const app = require('../server');
+const models = require('../models');
+const {
+  MIGRATIONS_DIR,
+  META_TABLE,
+  listMigrations,
+  getPendingMigrations
+} = require('../services/migrations');
+
+const { sequelize } = models;
+
+describe('Migrations', () => {
+  const queryInterface = sequelize.getQueryInterface();
+
+  const loadMigration = (name) => require(path.join(MIGRATIONS_DIR, name));
+
+  // Same steps as `sequelize-cli db:migrate`, including the bookkeeping
+  const migrateUp = async () => {
+    await queryInterface.createTable(META_TABLE, {
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+        primaryKey: true
+      }
+    });
+    for (const name of listMigrations()) {
+      await loadMigration(name).up(queryInterface, Sequelize);
+      await queryInterface.bulkInsert(META_TABLE, [{ name }]);
+    }
+  };
+
+  const migrateDownAll = async () => {
+    for (const name of [...listMigrations()].reverse()) {
+      await loadMigration(name).down(queryInterface, Sequelize);
+      await queryInterface.bulkDelete(META_TABLE, { name });
+    }
+  };
+
+  const modelList = () => Object.values(models).filter((value) => value.rawAttributes);
+
+  const timestamps = () => ({
+    created_at: { type: Sequelize.DATE, allowNull: false },
+    updated_at: { type: Sequelize.DATE, allowNull: false }
+  });
+
+  // The tables the original release's `sequelize.sync()` created, before
+  // any of the columns added since
+  const createOriginalTables = async () => {
+    await queryInterface.createTable('users', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      name: { type: Sequelize.STRING(100), allowNull: false },
+      email: { type: Sequelize.STRING(255), allowNull: false, unique: true },
+      password: { type: Sequelize.STRING(255), allowNull: false },
+      preferences: { type: Sequelize.JSON },
+      is_active: { type: Sequelize.BOOLEAN, defaultValue: true },
+      last_login: { type: Sequelize.DATE },
+      ...timestamps()
+    });
+    await queryInterface.createTable('diagnostic_tests', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      name: { type: Sequelize.STRING(255), allowNull: false },
+      result: { type: Sequelize.TEXT, allowNull: false },
+      date: { type: Sequelize.DATEONLY, allowNull: false },
+      test_type: { type: Sequelize.STRING(100), allowNull: false, defaultValue: 'general' },
+      status: {
+        type: Sequelize.ENUM('pending', 'completed', 'reviewed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'completed'
+      },
+      normal_range: { type: Sequelize.STRING(255) },
+      units: { type: Sequelize.STRING(50) },
+      notes: { type: Sequelize.TEXT },
+      user_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'users', key: 'id' } },
+      doctor_name: { type: Sequelize.STRING(255) },
+      lab_name: { type: Sequelize.STRING(255) },
+      is_abnormal: { type: Sequelize.BOOLEAN, defaultValue: false },
+      attachments: { type: Sequelize.JSON },
+      ...timestamps()
+    });
+    await queryInterface.createTable('alerts', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      title: { type: Sequelize.STRING(255), allowNull: false },
+      message: { type: Sequelize.TEXT },
+      status: {
+        type: Sequelize.ENUM('active', 'acknowledged', 'resolved', 'dismissed'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      priority: {
+        type: Sequelize.ENUM('low', 'medium', 'high', 'critical'),
+        allowNull: false,
+        defaultValue: 'medium'
+      },
+      type: { type: Sequelize.STRING(50), allowNull: false, defaultValue: 'general' },
+      user_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'users', key: 'id' } },
+      metadata: { type: Sequelize.JSON },
+      acknowledged_at: { type: Sequelize.DATE },
+      resolved_at: { type: Sequelize.DATE },
+      ...timestamps()
+    });
+  };
+
+  const tableNames = async () => (await queryInterface.showAllTables())
+    .map((table) => (typeof table === 'string' ? table : table.tableName))
+    .sort();
+
+  beforeAll(async () => {
+    await queryInterface.dropAllTables();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should list migrations in timestamp order', () => {
+    const names = listMigrations();
+
+    expect(names.length).toBeGreaterThan(0);
+    expect(names).toEqual([...names].sort());
+    names.forEach((name) => expect(name).toMatch(/^\d{14}-[a-z0-9-]+\.js$/));
+  });
+
+  it('should report every migration as pending on an empty database', async () => {
+    expect(await getPendingMigrations()).toEqual(listMigrations());
+  });
+
+  it('should create the columns every model expects', async () => {
+    await migrateUp();
+
+    for (const model of modelList()) {
+      const columns = Object.keys(await queryInterface.describeTable(model.tableName)).sort();
+      const fields = Object.values(model.rawAttributes).map((attribute) => attribute.field).sort();
+
+      expect({ table: model.tableName, columns }).toEqual({ table: model.tableName, columns: fields });
+    }
+
+    expect(await getPendingMigrations()).toEqual([]);
+  });
+
+  it('should support the models once migrated', async () => {
+    const user = await models.User.create({
+      name: 'John Doe',
+      email: 'john@example.com',
+      password: 'password123'
+    });
+    const test = await models.DiagnosticTest.create({
+      name: 'Glucose',
+      result: '130 mg/dL',
+      normalRange: '70-100',
+      date: '2024-01-15',
+      userId: user.id
+    });
+
+    expect(test.flag).toBe('high');
+    expect(await models.AuditLog.count({ where: { ownerId: user.id } })).toBe(2);
+  });
+
+  it('should not make HL7 control IDs unique while duplicates are stored', async () => {
+    const migration = loadMigration('20240701000002-unique-hl7-control-ids.js');
+    await migration.down(queryInterface, Sequelize);
+
+    const now = new Date();
+    const message = (id) => ({
+      id,
+      control_id: 'MSG0001',
+      sending_facility: null,
+      message_type: 'ORU^R01',
+      transport: 'mllp',
+      status: 'processed',
+      raw: 'MSH|^~\\&|LABSYS||AIHEALTH|CLINIC|20240210083000||ORU^R01|MSG0001|P|2.5.1',
+      created_at: now,
+      updated_at: now
+    });
+    await queryInterface.bulkInsert('hl7_messages', [message(1), message(2)]);
+
+    await expect(migration.up(queryInterface, Sequelize))
+      .rejects.toThrow('(no facility) MSG0001 (2 rows)');
+
+    await queryInterface.bulkDelete('hl7_messages', { id: 2 });
+    await migration.up(queryInterface, Sequelize);
+
+    expect(await models.Hl7Message.findAll()).toMatchObject([{ id: 1, sendingFacility: '' }]);
+    await expect(queryInterface.bulkInsert('hl7_messages', [{ ...message(3), sending_facility: '' }]))
+      .rejects.toThrow();
+    await queryInterface.bulkDelete('hl7_messages', {});
+  });
+
+  it('should roll back to an empty database', async () => {
+    await migrateDownAll();
+
+    expect(await tableNames()).toEqual([META_TABLE]);
+    expect(await getPendingMigrations()).toEqual(listMigrations());
+  });
+
+  it('should adopt a database created before migrations', async () => {
+    await queryInterface.dropAllTables();
+    await createOriginalTables();
+
+    const now = new Date();
+    await queryInterface.bulkInsert('users', [{
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      password: await bcrypt.hash('password123', 4),
+      preferences: JSON.stringify({ notificationThreshold: 'medium' }),
+      is_active: true,
+      created_at: now,
+      updated_at: now
+    }]);
+    const [{ id: userId }] = await sequelize.query(
+      'SELECT id FROM users WHERE email = ?',
+      { replacements: ['jane@example.com'], type: Sequelize.QueryTypes.SELECT }
+    );
+    await queryInterface.bulkInsert('diagnostic_tests', [{
+      name: 'Glucose',
+      result: '95 mg/dL',
+      date: '2023-06-01',
+      test_type: 'blood',
+      status: 'completed',
+      user_id: userId,
+      created_at: now,
+      updated_at: now
+    }, {
+      name: 'Lipid panel',
+      result: '180 mg/dL',
+      date: '2023-06-01',
+      test_type: 'blood',
+      status: 'completed',
+      user_id: userId,
+      attachments: JSON.stringify(['lipids-2023-06-01.pdf']),
+      created_at: now,
+      updated_at: now
+    }, {
+      name: 'Hemoglobin',
+      result: '14.2 g/dL',
+      date: '2023-06-01',
+      test_type: 'blood',
+      status: 'completed',
+      user_id: userId,
+      attachments: JSON.stringify([]),
+      created_at: now,
+      updated_at: now
+    }]);
+
+    await migrateUp();
+    expect(await getPendingMigrations()).toEqual([]);
+
+    for (const model of modelList()) {
+      const columns = Object.keys(await queryInterface.describeTable(model.tableName)).sort();
+      const fields = Object.values(model.rawAttributes).map((attribute) => attribute.field).sort();
+
+      expect({ table: model.tableName, columns }).toEqual({ table: model.tableName, columns: fields });
+    }
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'jane@example.com', password: 'password123' })
+      .expect(200);
+    expect(login.body.user.role).toBe('patient');
+
+    const tests = await models.DiagnosticTest.findAll({ where: { userId }, order: [['id', 'ASC']] });
+    expect(tests).toHaveLength(3);
+    expect(tests[0]).toMatchObject({ name: 'Glucose', result: '95 mg/dL', isPanel: false });
+
+    // The old attachments column is gone, but its entries are kept
+    const legacy = await sequelize.query(
+      'SELECT diagnostic_test_id, entries FROM legacy_test_attachments',
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+    expect(legacy).toHaveLength(1);
+    expect(legacy[0].diagnostic_test_id).toBe(tests[1].id);
+    expect(JSON.parse(legacy[0].entries)).toEqual(['lipids-2023-06-01.pdf']);
+
+    // And come back if the migration is rolled back
+    await loadMigration('20240701000002-unique-hl7-control-ids.js').down(queryInterface, Sequelize);
+    await loadMigration('20240701000001-create-notification-deliveries.js').down(queryInterface, Sequelize);
+    await loadMigration('20240601000001-create-attachments.js').down(queryInterface, Sequelize);
+    const [restored] = await sequelize.query(
+      'SELECT attachments FROM diagnostic_tests WHERE id = ?',
+      { replacements: [tests[1].id], type: Sequelize.QueryTypes.SELECT }
+    );
+    expect(JSON.parse(restored.attachments)).toEqual(['lipids-2023-06-01.pdf']);
+    expect(await queryInterface.tableExists('legacy_test_attachments')).toBe(false);
+  });
+});
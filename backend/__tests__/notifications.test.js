@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const http = require('http');
+const request = require('supertest');
+const app = require('../server');
+const { sequelize, User, Alert, NotificationDelivery } = require('../models');
+const { setTransport } = require('../services/mailer');
+const { subscribe } = require('../services/alertEvents');
+const {
+  processDueDeliveries,
+  waitForNotifications,
+  createWebhookTransport,
+  createMemoryWebhookTransport,
+  setWebhookTransport
+} = require('../services/notifications');
+
+describe('Alert Notifications', () => {
+  let user;
+  let other;
+  let mail;
+  let webhook;
+
+  // Keeps sent mail; fails the next `failures` sends
+  const createMailTransport = () => {
+    const transport = {
+      name: 'memory',
+      sent: [],
+      failures: 0,
+      send: async (message) => {
+        if (transport.failures > 0) {
+          transport.failures -= 1;
+          throw new Error('SMTP server unavailable');
+        }
+        transport.sent.push(message);
+        return { messageId: `memory-${transport.sent.length}` };
+      }
+    };
+    return transport;
+  };
+
+  const createAlert = async (attributes = {}, options = {}) => {
+    const alert = await Alert.create({
+      title: 'High glucose',
+      message: 'Glucose of 131 mg/dL is above range',
+      type: 'diagnostic',
+      priority: 'high',
+      userId: user.id,
+      ...attributes
+    }, options);
+    await waitForNotifications();
+    return alert;
+  };
+
+  const deliveriesOf = (alert) => NotificationDelivery.findAll({
+    where: { alertId: alert.id },
+    order: [['id', 'ASC']]
+  });
+
+  const setPreferences = (preferences) => user.update({
+    preferences: { ...user.preferences, ...preferences }
+  });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    user = await User.create({ name: 'John Doe', email: 'john@example.com', password: 'password123' });
+    other = await User.create({ name: 'Jane Roe', email: 'jane@example.com', password: 'password123' });
+  });
+
+  afterAll(async () => {
+    process.env.NOTIFICATION_CHANNELS = '';
+    setTransport(null);
+    setWebhookTransport(null);
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    process.env.NOTIFICATION_CHANNELS = 'email,in_app';
+    delete process.env.NOTIFICATION_WEBHOOK_URL;
+    delete process.env.NOTIFICATION_WEBHOOK_SECRET;
+    delete process.env.NOTIFICATION_MAX_ATTEMPTS;
+
+    mail = createMailTransport();
+    setTransport(mail);
+    webhook = createMemoryWebhookTransport();
+    setWebhookTransport(webhook);
+
+    await NotificationDelivery.destroy({ where: {} });
+    await Alert.destroy({ where: {} });
+    await setPreferences({ notificationThreshold: 'medium', emailNotifications: true });
+  });
+
+  describe('dispatch', () => {
+    it('should notify through each enabled channel and log the deliveries', async () => {
+      const alert = await createAlert();
+
+      const deliveries = await deliveriesOf(alert);
+      expect(deliveries.map((delivery) => [delivery.channel, delivery.status, delivery.attempts])).toEqual([
+        ['email', 'sent', 1],
+        ['in_app', 'sent', 1]
+      ]);
+      expect(deliveries[0]).toMatchObject({ userId: user.id, event: 'created', priority: 'high' });
+      expect(deliveries[0].deliveredAt).toBeInstanceOf(Date);
+
+      expect(mail.sent).toHaveLength(1);
+      expect(mail.sent[0].to).toBe('john@example.com');
+      expect(mail.sent[0].subject).toBe('New alert: High glucose');
+      expect(mail.sent[0].text).toContain(`/alerts?alertId=${alert.id}`);
+      // The message is only shown in the app
+      expect(mail.sent[0].text).not.toContain('131 mg/dL');
+    });
+
+    it('should skip alerts below the user\'s notification threshold', async () => {
+      await setPreferences({ notificationThreshold: 'high' });
+
+      const medium = await createAlert({ priority: 'medium' });
+      const critical = await createAlert({ priority: 'critical' });
+
+      expect(await deliveriesOf(medium)).toHaveLength(0);
+      expect(await deliveriesOf(critical)).toHaveLength(2);
+      expect(mail.sent).toHaveLength(1);
+    });
+
+    it('should leave out email when the user turned email notifications off', async () => {
+      await setPreferences({ emailNotifications: false });
+
+      const alert = await createAlert();
+
+      expect((await deliveriesOf(alert)).map((delivery) => delivery.channel)).toEqual(['in_app']);
+      expect(mail.sent).toHaveLength(0);
+    });
+
+    it('should notify when an open alert is escalated, but not when it is lowered', async () => {
+      const alert = await createAlert({ priority: 'low' });
+      expect(await deliveriesOf(alert)).toHaveLength(0);
+
+      await alert.update({ priority: 'critical' });
+      await waitForNotifications();
+      await alert.update({ priority: 'medium' });
+      await waitForNotifications();
+
+      const deliveries = await deliveriesOf(alert);
+      expect(deliveries.map((delivery) => [delivery.channel, delivery.event, delivery.priority])).toEqual([
+        ['email', 'escalated', 'critical'],
+        ['in_app', 'escalated', 'critical']
+      ]);
+      expect(mail.sent[0].subject).toBe('Alert escalated: High glucose');
+    });
+
+    it('should not notify about closed alerts or when asked not to', async () => {
+      const resolved = await createAlert({ priority: 'low' });
+      await resolved.resolve();
+      await resolved.update({ priority: 'critical' });
+      await waitForNotifications();
+
+      const quiet = await createAlert({}, { notify: false });
+
+      expect(await deliveriesOf(resolved)).toHaveLength(0);
+      expect(await deliveriesOf(quiet)).toHaveLength(0);
+    });
+
+    it('should only notify once the transaction commits', async () => {
+      await expect(sequelize.transaction(async (transaction) => {
+        await Alert.create({ title: 'Rolled back', priority: 'critical', userId: user.id }, { transaction });
+        throw new Error('Abort');
+      })).rejects.toThrow('Abort');
+      await waitForNotifications();
+
+      expect(await NotificationDelivery.count()).toBe(0);
+      expect(mail.sent).toHaveLength(0);
+    });
+
+    it('should push in-app notifications to the user\'s live stream', async () => {
+      const received = [];
+      const unsubscribe = subscribe(user.id, (event) => received.push(event));
+
+      await createAlert({ priority: 'critical' });
+      unsubscribe();
+
+      const notifications = received.filter((event) => event.type.startsWith('notification.'));
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].type).toBe('notification.created');
+      expect(notifications[0].alert).toMatchObject({ title: 'High glucose', priority: 'critical' });
+    });
+  });
+
+  describe('webhook channel', () => {
+    beforeEach(() => {
+      process.env.NOTIFICATION_CHANNELS = 'webhook';
+      process.env.NOTIFICATION_WEBHOOK_URL = 'https://hooks.example.com/alerts';
+      process.env.NOTIFICATION_WEBHOOK_SECRET = 'webhook-secret';
+    });
+
+    it('should post a signed JSON notification', async () => {
+      const alert = await createAlert();
+      const [delivery] = await deliveriesOf(alert);
+
+      expect(delivery.status).toBe('sent');
+      expect(webhook.requests).toHaveLength(1);
+
+      const [sent] = webhook.requests;
+      expect(sent.url).toBe('https://hooks.example.com/alerts');
+      expect(sent.headers['X-Notification-Delivery']).toBe(String(delivery.id));
+      expect(sent.body).toMatchObject({
+        event: 'alert.created',
+        deliveryId: delivery.id,
+        userId: user.id,
+        alert: { id: alert.id, title: 'High glucose', priority: 'high', status: 'active' }
+      });
+      expect(sent.body.alert.message).toBeUndefined();
+
+      const signature = crypto.createHmac('sha256', 'webhook-secret')
+        .update(JSON.stringify(sent.body))
+        .digest('hex');
+      expect(sent.headers['X-Notification-Signature']).toBe(`sha256=${signature}`);
+    });
+
+    it('should not be used without a URL', async () => {
+      delete process.env.NOTIFICATION_WEBHOOK_URL;
+
+      const alert = await createAlert();
+
+      expect(await deliveriesOf(alert)).toHaveLength(0);
+    });
+
+    it('should send over HTTP and treat error answers as failures', async () => {
+      const received = [];
+      let statusCode = 503;
+      const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body: JSON.parse(body) });
+          res.writeHead(statusCode).end();
+        });
+      });
+      await new Promise((done) => server.listen(0, '127.0.0.1', done));
+      process.env.NOTIFICATION_WEBHOOK_URL = `http://127.0.0.1:${server.address().port}/hook`;
+      setWebhookTransport(createWebhookTransport('http'));
+
+      try {
+        const alert = await createAlert();
+        let [delivery] = await deliveriesOf(alert);
+        expect(delivery.status).toBe('pending');
+        expect(delivery.lastError).toBe('Webhook answered 503');
+
+        statusCode = 204;
+        await processDueDeliveries(new Date(Date.now() + 60 * 60 * 1000));
+        [delivery] = await deliveriesOf(alert);
+
+        expect(delivery.status).toBe('sent');
+        expect(received).toHaveLength(2);
+        expect(received[1].headers['x-notification-delivery']).toBe(String(delivery.id));
+        expect(received[1].body.alert.id).toBe(alert.id);
+      } finally {
+        await new Promise((done) => server.close(done));
+      }
+    });
+  });
+
+  describe('retries', () => {
+    beforeEach(() => {
+      process.env.NOTIFICATION_CHANNELS = 'email';
+    });
+
+    it('should retry failed deliveries with exponential backoff', async () => {
+      mail.failures = 2;
+      const before = Date.now();
+
+      const alert = await createAlert();
+      let [delivery] = await deliveriesOf(alert);
+      expect(delivery).toMatchObject({ status: 'pending', attempts: 1, lastError: 'SMTP server unavailable' });
+      // 60 seconds after the first attempt
+      expect(delivery.nextAttemptAt - before).toBeGreaterThanOrEqual(60 * 1000);
+      expect(delivery.nextAttemptAt - Date.now()).toBeLessThanOrEqual(60 * 1000);
+
+      // Not due yet
+      expect(await processDueDeliveries()).toBe(0);
+
+      const firstRetryAt = delivery.nextAttemptAt;
+      expect(await processDueDeliveries(firstRetryAt)).toBe(1);
+      [delivery] = await deliveriesOf(alert);
+      expect(delivery).toMatchObject({ status: 'pending', attempts: 2 });
+      // Twice as long the second time
+      expect(delivery.nextAttemptAt - Date.now()).toBeGreaterThan(110 * 1000);
+
+      await processDueDeliveries(delivery.nextAttemptAt);
+      [delivery] = await deliveriesOf(alert);
+      expect(delivery).toMatchObject({ status: 'sent', attempts: 3, lastError: null, nextAttemptAt: null });
+      expect(mail.sent).toHaveLength(1);
+    });
+
+    it('should give up after NOTIFICATION_MAX_ATTEMPTS', async () => {
+      process.env.NOTIFICATION_MAX_ATTEMPTS = '2';
+      mail.failures = 5;
+
+      const alert = await createAlert();
+      await processDueDeliveries(new Date(Date.now() + 60 * 60 * 1000));
+
+      const [delivery] = await deliveriesOf(alert);
+      expect(delivery).toMatchObject({ status: 'failed', attempts: 2, nextAttemptAt: null });
+      expect(await processDueDeliveries(new Date(Date.now() + 24 * 60 * 60 * 1000))).toBe(0);
+    });
+
+    it('should drop retries for alerts closed in the meantime', async () => {
+      mail.failures = 1;
+
+      const alert = await createAlert();
+      await alert.resolve();
+      await processDueDeliveries(new Date(Date.now() + 60 * 60 * 1000));
+
+      const [delivery] = await deliveriesOf(alert);
+      expect(delivery).toMatchObject({
+        status: 'failed',
+        attempts: 2,
+        lastError: 'Alert was closed or deleted before delivery'
+      });
+      expect(mail.sent).toHaveLength(0);
+    });
+
+    it('should requeue deliveries cut off by a restart', async () => {
+      const alert = await createAlert();
+      const [delivery] = await deliveriesOf(alert);
+      await delivery.update({ status: 'sending', deliveredAt: null });
+
+      await NotificationDelivery.requeueInterrupted();
+      await processDueDeliveries();
+
+      await delivery.reload();
+      expect(delivery.status).toBe('sent');
+      expect(mail.sent).toHaveLength(2);
+    });
+  });
+
+  describe('GET /api/notifications/deliveries', () => {
+    let token;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john@example.com', password: 'password123' });
+      token = response.body.token;
+    });
+
+    it('should list the user\'s own deliveries, newest first, with filters', async () => {
+      const first = await createAlert({ title: 'First' });
+      const second = await createAlert({ title: 'Second' });
+      await createAlert({ title: 'Not yours', userId: other.id });
+
+      const response = await request(app)
+        .get('/api/notifications/deliveries')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.pagination.totalItems).toBe(4);
+      expect(response.body.deliveries.map((delivery) => delivery.alert.title))
+        .toEqual(['Second', 'Second', 'First', 'First']);
+      expect(response.body.deliveries[0].alertId).toBe(second.id);
+
+      const filtered = await request(app)
+        .get(`/api/notifications/deliveries?channel=email&alertId=${first.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(filtered.body.deliveries).toHaveLength(1);
+      expect(filtered.body.deliveries[0]).toMatchObject({ channel: 'email', status: 'sent' });
+
+      await request(app)
+        .get('/api/notifications/deliveries?channel=sms')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+    });
+
+    it('should keep the log when an alert is deleted', async () => {
+      const alert = await createAlert();
+
+      await request(app)
+        .delete(`/api/alerts/${alert.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const deliveries = await NotificationDelivery.findAll({ where: { userId: user.id } });
+      expect(deliveries).toHaveLength(2);
+      expect(deliveries.every((delivery) => delivery.alertId === null)).toBe(true);
+    });
+  });
+});
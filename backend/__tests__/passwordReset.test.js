@@ -0,0 +1,158 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const { sequelize, User, RefreshToken, PasswordResetToken } = require('../models');
+const { setTransport, createFileTransport } = require('../services/mailer');
+
+describe('Password Reset', () => {
+  let mailDir;
+
+  // Messages written by the file transport, oldest first
+  const readMail = () => fs.readdirSync(mailDir)
+    .sort()
+    .map((file) => JSON.parse(fs.readFileSync(path.join(mailDir, file), 'utf8')));
+
+  const tokenFromMail = (mail) => mail.text.match(/token=([a-f0-9]+)/)[1];
+
+  const requestReset = (email = 'john@example.com') => request(app)
+    .post('/api/auth/forgot-password')
+    .send({ email });
+
+  const resetPassword = (token, password = 'newpassword456') => request(app)
+    .post('/api/auth/reset-password')
+    .send({ token, password });
+
+  const login = (password) => request(app)
+    .post('/api/auth/login')
+    .send({ email: 'john@example.com', password });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    setTransport(createFileTransport(mailDir));
+  });
+
+  afterAll(async () => {
+    fs.rmSync(mailDir, { recursive: true, force: true });
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await PasswordResetToken.destroy({ where: {} });
+    await RefreshToken.destroy({ where: {} });
+    await User.destroy({ where: {} });
+    fs.readdirSync(mailDir).forEach((file) => fs.unlinkSync(path.join(mailDir, file)));
+
+    await User.create({
+      name: 'John Doe',
+      email: 'john@example.com',
+      password: 'password123'
+    });
+  });
+
+  describe('POST /api/auth/forgot-password', () => {
+    it('should email a reset link', async () => {
+      const response = await requestReset().expect(200);
+
+      expect(response.body.message).toBe('If an account exists for this email, a password reset link has been sent.');
+
+      const mail = readMail();
+      expect(mail).toHaveLength(1);
+      expect(mail[0].to).toBe('john@example.com');
+      expect(mail[0].text).toContain('/reset-password?token=');
+    });
+
+    it('should store only a hash of the token', async () => {
+      await requestReset().expect(200);
+
+      const token = tokenFromMail(readMail()[0]);
+      const stored = await PasswordResetToken.findOne();
+      expect(stored.tokenHash).not.toBe(token);
+      expect(stored.tokenHash).toBe(PasswordResetToken.hashToken(token));
+    });
+
+    it('should answer the same way for unknown emails without sending mail', async () => {
+      const response = await requestReset('nobody@example.com').expect(200);
+
+      expect(response.body.message).toBe('If an account exists for this email, a password reset link has been sent.');
+      expect(readMail()).toHaveLength(0);
+    });
+
+    it('should validate the email', async () => {
+      await requestReset('not-an-email').expect(400);
+    });
+  });
+
+  describe('POST /api/auth/reset-password', () => {
+    it('should reset the password', async () => {
+      await requestReset().expect(200);
+      const token = tokenFromMail(readMail()[0]);
+
+      const response = await resetPassword(token).expect(200);
+      expect(response.body.message).toBe('Password has been reset. Please log in with your new password.');
+
+      await login('password123').expect(401);
+      await login('newpassword456').expect(200);
+    });
+
+    it('should only accept a token once', async () => {
+      await requestReset().expect(200);
+      const token = tokenFromMail(readMail()[0]);
+
+      await resetPassword(token).expect(200);
+      const response = await resetPassword(token, 'anotherpass789').expect(400);
+
+      expect(response.body.message).toBe('Password reset link is invalid or has expired');
+    });
+
+    it('should reject an expired token', async () => {
+      await requestReset().expect(200);
+      const token = tokenFromMail(readMail()[0]);
+      await PasswordResetToken.update(
+        { expiresAt: new Date(Date.now() - 1000) },
+        { where: {} }
+      );
+
+      await resetPassword(token).expect(400);
+      await login('password123').expect(200);
+    });
+
+    it('should invalidate earlier links when a new one is requested', async () => {
+      await requestReset().expect(200);
+      await requestReset().expect(200);
+      const [first, second] = readMail().map(tokenFromMail);
+
+      await resetPassword(first).expect(400);
+      await resetPassword(second).expect(200);
+    });
+
+    it('should sign out every existing session', async () => {
+      const session = (await login('password123')).body;
+
+      await requestReset().expect(200);
+      await resetPassword(tokenFromMail(readMail()[0])).expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(401);
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+    });
+
+    it('should validate the new password', async () => {
+      await requestReset().expect(200);
+      const token = tokenFromMail(readMail()[0]);
+
+      await resetPassword(token, '123').expect(400);
+    });
+
+    it('should reject an unknown token', async () => {
+      await resetPassword('deadbeef').expect(400);
+    });
+  });
+});
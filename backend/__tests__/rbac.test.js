@@ -0,0 +1,253 @@
+const request = require('supertest');
+const app = require('../server');
+const { sequelize, User, DiagnosticTest } = require('../models');
+const { authorize, requireRole } = require('../middleware/auth');
+
+describe('Role-based access control', () => {
+  let patient;
+  let clinician;
+  let admin;
+  const tokens = {};
+
+  const login = async (email) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'password123' });
+    return response.body.token;
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await DiagnosticTest.destroy({ where: {} });
+    await User.destroy({ where: {} });
+
+    patient = await User.create({
+      name: 'Patient User',
+      email: 'patient@example.com',
+      password: 'password123'
+    });
+    clinician = await User.create({
+      name: 'Clinician User',
+      email: 'clinician@example.com',
+      password: 'password123',
+      role: 'clinician'
+    });
+    admin = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    tokens.patient = await login('patient@example.com');
+    tokens.clinician = await login('clinician@example.com');
+    tokens.admin = await login('admin@example.com');
+  });
+
+  describe('Roles', () => {
+    it('should register new users as patients', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'New User',
+          email: 'new@example.com',
+          password: 'password123',
+          role: 'admin'
+        })
+        .expect(201);
+
+      expect(response.body.user.role).toBe('patient');
+      expect(response.body.user.permissions).not.toContain('users:manage');
+    });
+
+    it('should return the role and permissions of the current user', async () => {
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .expect(200);
+
+      expect(response.body.user.role).toBe('clinician');
+      expect(response.body.user.permissions).toContain('tests:review');
+    });
+
+    it('should not let users change their role through the profile', async () => {
+      await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .send({ name: 'Patient User', role: 'admin' })
+        .expect(200);
+
+      await patient.reload();
+      expect(patient.role).toBe('patient');
+    });
+  });
+
+  describe('PUT /api/diagnostic-tests/:id/review', () => {
+    it('should not let patients review tests', async () => {
+      const test = await DiagnosticTest.create({
+        name: 'Glucose',
+        result: '90',
+        date: '2024-01-15',
+        userId: patient.id
+      });
+
+      const response = await request(app)
+        .put(`/api/diagnostic-tests/${test.id}/review`)
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .expect(403);
+
+      expect(response.body.message).toBe('Access denied. Insufficient permissions.');
+      await test.reload();
+      expect(test.status).not.toBe('reviewed');
+    });
+
+    it('should let clinicians review tests', async () => {
+      const test = await DiagnosticTest.create({
+        name: 'Glucose',
+        result: '90',
+        date: '2024-01-15',
+        userId: clinician.id
+      });
+
+      const response = await request(app)
+        .put(`/api/diagnostic-tests/${test.id}/review`)
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .expect(200);
+
+      expect(response.body.test.status).toBe('reviewed');
+    });
+  });
+
+  describe('GET /api/users', () => {
+    it('should not let patients list users', async () => {
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .expect(403);
+    });
+
+    it('should not let clinicians list users', async () => {
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .expect(403);
+    });
+
+    it('should let admins list and filter users', async () => {
+      const response = await request(app)
+        .get('/api/users?role=clinician')
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .expect(200);
+
+      expect(response.body.users).toHaveLength(1);
+      expect(response.body.users[0].email).toBe('clinician@example.com');
+      expect(response.body.users[0].password).toBeUndefined();
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/users')
+        .expect(401);
+    });
+  });
+
+  describe('PUT /api/users/:id/role', () => {
+    it('should not let patients change roles', async () => {
+      await request(app)
+        .put(`/api/users/${patient.id}/role`)
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .send({ role: 'admin' })
+        .expect(403);
+
+      await patient.reload();
+      expect(patient.role).toBe('patient');
+    });
+
+    it('should not let clinicians change roles', async () => {
+      await request(app)
+        .put(`/api/users/${patient.id}/role`)
+        .set('Authorization', `Bearer ${tokens.clinician}`)
+        .send({ role: 'clinician' })
+        .expect(403);
+    });
+
+    it('should let admins change roles', async () => {
+      const response = await request(app)
+        .put(`/api/users/${patient.id}/role`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ role: 'clinician' })
+        .expect(200);
+
+      expect(response.body.user.role).toBe('clinician');
+
+      // The new role applies to the user's next request
+      await request(app)
+        .put(`/api/users/${patient.id}/role`)
+        .set('Authorization', `Bearer ${tokens.patient}`)
+        .send({ role: 'admin' })
+        .expect(403);
+    });
+
+    it('should not let admins change their own role', async () => {
+      await request(app)
+        .put(`/api/users/${admin.id}/role`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ role: 'patient' })
+        .expect(400);
+    });
+
+    it('should validate the role', async () => {
+      await request(app)
+        .put(`/api/users/${patient.id}/role`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ role: 'superuser' })
+        .expect(400);
+    });
+  });
+
+  describe('Middleware', () => {
+    const run = (middleware, user) => {
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis()
+      };
+      const next = jest.fn();
+      middleware({ user }, res, next);
+      return { res, next };
+    };
+
+    it('should reject users lacking any of the permissions', () => {
+      const { res, next } = run(authorize('tests:read', 'tests:review'), patient);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should allow users holding all of the permissions', () => {
+      const { res, next } = run(authorize('tests:read', 'tests:review'), clinician);
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject users without the required role', () => {
+      const { res, next } = run(requireRole('admin'), clinician);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject unauthenticated requests', () => {
+      const { res } = run(authorize('tests:read'), undefined);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+});
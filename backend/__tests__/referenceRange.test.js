@@ -0,0 +1,118 @@
+const {
+  parseReferenceRange,
+  parseNumericResult,
+  interpretResult
+} = require('../utils/referenceRange');
+
+describe('Reference Range Utilities', () => {
+  describe('parseReferenceRange', () => {
+    it('should parse a closed range', () => {
+      expect(parseReferenceRange('70-100')).toEqual({
+        type: 'numeric',
+        low: 70,
+        high: 100,
+        lowInclusive: true,
+        highInclusive: true
+      });
+    });
+
+    it('should parse a closed range with units and spacing', () => {
+      const range = parseReferenceRange('3.5 – 5.0 mmol/L');
+
+      expect(range.low).toBe(3.5);
+      expect(range.high).toBe(5.0);
+    });
+
+    it('should parse upper bounds', () => {
+      const range = parseReferenceRange('<5.7');
+
+      expect(range.low).toBeNull();
+      expect(range.high).toBe(5.7);
+      expect(range.highInclusive).toBe(false);
+    });
+
+    it('should parse inclusive lower bounds', () => {
+      const range = parseReferenceRange('>=60 mL/min');
+
+      expect(range.low).toBe(60);
+      expect(range.high).toBeNull();
+      expect(range.lowInclusive).toBe(true);
+    });
+
+    it('should parse qualitative ranges', () => {
+      expect(parseReferenceRange('negative')).toEqual({
+        type: 'qualitative',
+        expected: 'negative'
+      });
+      expect(parseReferenceRange('Non-reactive').expected).toBe('negative');
+    });
+
+    it('should return null for text it cannot understand', () => {
+      expect(parseReferenceRange('Normal chest anatomy')).toBeNull();
+      expect(parseReferenceRange('')).toBeNull();
+      expect(parseReferenceRange(null)).toBeNull();
+      expect(parseReferenceRange('100-70')).toBeNull();
+    });
+  });
+
+  describe('parseNumericResult', () => {
+    it('should split value and unit', () => {
+      expect(parseNumericResult('95 mg/dL')).toEqual({ value: 95, unit: 'mg/dL' });
+      expect(parseNumericResult('5.4 %')).toEqual({ value: 5.4, unit: '%' });
+    });
+
+    it('should handle thousands separators and decimal commas', () => {
+      expect(parseNumericResult('1,200 cells/uL').value).toBe(1200);
+      expect(parseNumericResult('1,2 mmol/L').value).toBe(1.2);
+    });
+
+    it('should return null for non-numeric results', () => {
+      expect(parseNumericResult('Normal values')).toBeNull();
+      expect(parseNumericResult('120/80')).toBeNull();
+    });
+  });
+
+  describe('interpretResult', () => {
+    it('should flag values inside the range as normal', () => {
+      const range = parseReferenceRange('70-100');
+
+      expect(interpretResult({ value: 85, range })).toEqual({ isAbnormal: false, flag: 'normal' });
+    });
+
+    it('should flag low and high values', () => {
+      const range = parseReferenceRange('70-100');
+
+      expect(interpretResult({ value: 65, range }).flag).toBe('low');
+      expect(interpretResult({ value: 120, range }).flag).toBe('high');
+    });
+
+    it('should respect exclusive bounds', () => {
+      const range = parseReferenceRange('<5.7');
+
+      expect(interpretResult({ value: 5.7, range }).flag).toBe('high');
+      expect(interpretResult({ value: 5.6, range }).flag).toBe('normal');
+    });
+
+    it('should flag values beyond critical limits as critical', () => {
+      const range = parseReferenceRange('3.5-5.0');
+
+      expect(interpretResult({ value: 6.5, range, criticalHigh: 6.0 })).toEqual({
+        isAbnormal: true,
+        flag: 'critical'
+      });
+      expect(interpretResult({ value: 2.4, range, criticalLow: 2.5 }).flag).toBe('critical');
+    });
+
+    it('should compare qualitative results', () => {
+      const range = parseReferenceRange('negative');
+
+      expect(interpretResult({ result: 'Positive', range }).flag).toBe('abnormal');
+      expect(interpretResult({ result: 'Not detected', range }).flag).toBe('normal');
+    });
+
+    it('should return null when nothing can be derived', () => {
+      expect(interpretResult({ value: 5, range: null })).toBeNull();
+      expect(interpretResult({ result: 'See report', range: parseReferenceRange('70-100') })).toBeNull();
+    });
+  });
+});
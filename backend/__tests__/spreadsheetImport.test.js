@@ -0,0 +1,220 @@
+const ExcelJS = require('exceljs');
+const request = require('supertest');
+const app = require('../server');
+const { sequelize, User, Alert, AlertRule, DiagnosticTest } = require('../models');
+
+describe('Spreadsheet Import', () => {
+  let user;
+  let token;
+
+  const MAPPING = {
+    name: 'Test',
+    result: 'Result',
+    date: 'Date',
+    units: 'Units',
+    normalRange: 'Reference Range',
+    labName: 'Lab'
+  };
+
+  const csv = (lines) => Buffer.from(`${lines.join('\r\n')}\r\n`);
+
+  const history = () => csv([
+    'Test,Result,Units,Reference Range,Date,Lab',
+    'Glucose,92,mg/dL,70-99,2021-03-15,City Lab',
+    'Glucose,105,mg/dL,70-99,2022-03-20,City Lab',
+    '"LDL Cholesterol, direct",162,mg/dL,<100,2022-03-20,City Lab',
+    ',140,mmol/L,135-145,2022-03-20,City Lab',
+    'Sodium,140,mmol/L,135-145,sometime,City Lab',
+    'Glucose,92,mg/dL,70-99,2021-03-15,City Lab'
+  ]);
+
+  const upload = (file, fields = {}, fileName = 'results.csv') => {
+    const req = request(app)
+      .post('/api/diagnostic-tests/import/spreadsheet')
+      .set('Authorization', `Bearer ${token}`);
+    Object.entries(fields).forEach(([name, value]) => {
+      req.field(name, typeof value === 'string' ? value : JSON.stringify(value));
+    });
+    return file ? req.attach('file', file, fileName) : req;
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    user = await User.create({
+      name: 'John Doe',
+      email: 'john@example.com',
+      password: 'password123'
+    });
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'john@example.com', password: 'password123' });
+    token = response.body.token;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await Alert.destroy({ where: {} });
+    await AlertRule.destroy({ where: {} });
+    await DiagnosticTest.destroy({ where: {} });
+  });
+
+  describe('POST /api/diagnostic-tests/import/spreadsheet', () => {
+    it('should suggest a mapping from the headers', async () => {
+      const response = await upload(history()).expect(200);
+
+      expect(response.body.headers).toEqual(['Test', 'Result', 'Units', 'Reference Range', 'Date', 'Lab']);
+      expect(response.body.mapping).toEqual(MAPPING);
+      expect(response.body.rowCount).toBe(6);
+      expect(response.body.sample[0]).toEqual({
+        line: 2,
+        cells: ['Glucose', '92', 'mg/dL', '70-99', '2021-03-15', 'City Lab']
+      });
+      expect(response.body.fields.filter((field) => field.required).map((field) => field.key))
+        .toEqual(['name', 'result', 'date']);
+    });
+
+    it('should check every row in a dry run without saving', async () => {
+      await DiagnosticTest.create({ name: 'Glucose', result: '105', date: '2022-03-20', userId: user.id });
+
+      const response = await upload(history(), { mapping: MAPPING, dryRun: 'true' }).expect(200);
+
+      expect(response.body.summary).toEqual({ total: 6, valid: 2, invalid: 2, duplicate: 2, imported: 0 });
+      expect(response.body.rows.map((row) => [row.line, row.status])).toEqual([
+        [2, 'valid'],
+        [3, 'duplicate'],
+        [4, 'valid'],
+        [5, 'invalid'],
+        [6, 'invalid'],
+        [7, 'duplicate']
+      ]);
+      expect(response.body.rows[3].errors).toEqual([
+        { field: 'name', column: 'Test', message: 'Name must be between 1 and 255 characters' }
+      ]);
+      expect(response.body.rows[4].errors).toEqual([
+        { field: 'date', column: 'Date', message: 'Date must be a valid date' }
+      ]);
+      expect(response.body.rows[2].test).toMatchObject({ name: 'LDL Cholesterol, direct', result: '162' });
+      expect(await DiagnosticTest.count()).toBe(1);
+    });
+
+    it('should refuse to import while rows have errors', async () => {
+      const response = await upload(history(), { mapping: MAPPING, dryRun: 'false' }).expect(422);
+
+      expect(response.body.message).toBe('2 row(s) have errors; fix them or skip them to import the rest');
+      expect(await DiagnosticTest.count()).toBe(0);
+    });
+
+    it('should import the valid rows in one go when told to skip the rest', async () => {
+      const response = await upload(history(), { mapping: MAPPING, dryRun: 'false', skipInvalid: 'true' })
+        .expect(201);
+
+      expect(response.body.message).toBe('Imported 3 of 6 rows');
+      expect(response.body.summary).toMatchObject({ imported: 3, invalid: 2, duplicate: 1, valid: 0 });
+      expect(response.body.rows[0]).toMatchObject({ status: 'imported', testId: expect.any(Number) });
+
+      const ldl = await DiagnosticTest.findOne({ where: { name: 'LDL Cholesterol, direct' } });
+      expect(ldl).toMatchObject({
+        result: '162',
+        numericValue: 162,
+        units: 'mg/dL',
+        normalRange: '<100',
+        flag: 'high',
+        date: '2022-03-20',
+        labName: 'City Lab',
+        testType: 'general',
+        status: 'completed',
+        userId: user.id
+      });
+
+      // Importing the same file again adds nothing
+      const again = await upload(history(), { mapping: MAPPING, dryRun: 'false', skipInvalid: 'true' })
+        .expect(201);
+      expect(again.body.summary).toMatchObject({ imported: 0, duplicate: 4 });
+      expect(await DiagnosticTest.count()).toBe(3);
+    });
+
+    it('should raise alerts only from the latest result of each test', async () => {
+      await AlertRule.create({ name: 'High glucose', condition: 'above', threshold: 90, analyte: 'Glucose', userId: user.id });
+
+      const response = await upload(history(), { mapping: MAPPING, dryRun: 'false', skipInvalid: 'true' })
+        .expect(201);
+
+      expect(response.body.alerts).toHaveLength(1);
+      expect(response.body.alerts[0].message).toContain('105');
+    });
+
+    it('should read XLSX workbooks with date cells and day-first text dates', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Results');
+      sheet.addRow(['Analyte', 'Value', 'Collected', 'Abnormal', 'Ref Low', 'Ref High']);
+      sheet.addRow(['Hemoglobin', 13.2, new Date(Date.UTC(2020, 5, 1)), 'no', 12, 16]);
+      sheet.addRow(['Ferritin', { formula: '5*2', result: 10 }, '15.07.2020', 'yes', '20', '250']);
+      const file = Buffer.from(await workbook.xlsx.writeBuffer());
+
+      const inspected = await upload(file, {}, 'results.xlsx').expect(200);
+      expect(inspected.body.mapping).toEqual({
+        name: 'Analyte',
+        result: 'Value',
+        date: 'Collected',
+        isAbnormal: 'Abnormal',
+        referenceLow: 'Ref Low',
+        referenceHigh: 'Ref High'
+      });
+
+      await upload(file, {
+        mapping: inspected.body.mapping,
+        dateFormat: 'dmy',
+        dryRun: 'false'
+      }, 'results.xlsx').expect(201);
+
+      const tests = await DiagnosticTest.findAll({ order: [['date', 'ASC']] });
+      expect(tests.map((test) => [test.name, test.result, test.date])).toEqual([
+        ['Hemoglobin', '13.2', '2020-06-01'],
+        ['Ferritin', '10', '2020-07-15']
+      ]);
+      expect(tests[1]).toMatchObject({ referenceLow: 20, referenceHigh: 250, flag: 'low', isAbnormal: true });
+    });
+
+    it('should read semicolon-separated files', async () => {
+      const file = csv(['Test;Result;Date', 'Potassium;4,1;03/15/2022']);
+
+      const response = await upload(file, {
+        mapping: { name: 'Test', result: 'Result', date: 'Date' },
+        dateFormat: 'mdy'
+      }).expect(200);
+
+      expect(response.body.rows[0]).toMatchObject({
+        status: 'valid',
+        test: { name: 'Potassium', result: '4,1', date: '2022-03-15' }
+      });
+    });
+
+    it('should reject incomplete mappings and unusable files', async () => {
+      let response = await upload(history(), { mapping: { name: 'Test', result: 'Missing' } }).expect(400);
+      expect(response.body.message).toBe('Column "Missing" is not in the spreadsheet. Choose the column for Date');
+
+      response = await upload(history(), { mapping: 'not json' }).expect(400);
+      expect(response.body.errors[0].msg).toBe('Mapping must be a JSON object of field to column');
+
+      response = await upload(csv(['Test,Result,Date'])).expect(400);
+      expect(response.body.message).toBe('The spreadsheet needs a header row and at least one row of results');
+
+      response = await upload(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0]), {}, 'old.xls').expect(400);
+      expect(response.body.message).toMatch(/Legacy \.xls files are not supported/);
+
+      response = await upload(null, { mapping: MAPPING }).expect(400);
+      expect(response.body.errors[0].msg).toBe('A CSV or XLSX file is required');
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/api/diagnostic-tests/import/spreadsheet')
+        .attach('file', history(), 'results.csv')
+        .expect(401);
+    });
+  });
+});
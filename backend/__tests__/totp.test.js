@@ -0,0 +1,83 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildProvisioningUri
+} = require('../utils/totp');
+
+// RFC 6238 appendix B uses the ASCII secret "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Utilities', () => {
+  describe('base32', () => {
+    it('should round-trip bytes', () => {
+      const bytes = Buffer.from('hello world');
+
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('should encode the RFC 4648 test vector', () => {
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    });
+  });
+
+  describe('generateCode', () => {
+    it('should match the RFC 6238 SHA-1 test vectors', () => {
+      expect(generateCode(RFC_SECRET, 59 * 1000)).toBe('287082');
+      expect(generateCode(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+      expect(generateCode(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const time = 1111111109 * 1000;
+
+    it('should accept the current code and return its step', () => {
+      expect(verifyCode(RFC_SECRET, '081804', { time })).toBe(Math.floor(1111111109 / 30));
+    });
+
+    it('should accept one step of clock drift', () => {
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, time - 30000), { time })).not.toBeNull();
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, time + 30000), { time })).not.toBeNull();
+    });
+
+    it('should reject codes outside the window', () => {
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, time - 90000), { time })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(verifyCode(RFC_SECRET, 'abcdef', { time })).toBeNull();
+      expect(verifyCode(RFC_SECRET, '12345', { time })).toBeNull();
+      expect(verifyCode(RFC_SECRET, undefined, { time })).toBeNull();
+    });
+
+    it('should ignore spaces', () => {
+      expect(verifyCode(RFC_SECRET, '081 804', { time })).not.toBeNull();
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('should create a 160-bit base32 secret', () => {
+      const secret = generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(base32Decode(secret)).toHaveLength(20);
+    });
+  });
+
+  describe('buildProvisioningUri', () => {
+    it('should build an otpauth URI', () => {
+      const uri = buildProvisioningUri({
+        secret: 'JBSWY3DPEHPK3PXP',
+        accountName: 'john@example.com',
+        issuer: 'AI Health'
+      });
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/AI%20Health%3Ajohn%40example\.com\?/);
+      expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+      expect(uri).toContain('issuer=AI+Health');
+    });
+  });
+});
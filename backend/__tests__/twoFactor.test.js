@@ -0,0 +1,234 @@
+const request = require('supertest');
+const app = require('../server');
+const { sequelize, User, RefreshToken } = require('../models');
+const { generateCode } = require('../utils/totp');
+
+describe('Two-Factor Authentication', () => {
+  let authToken;
+
+  const STEP = 30 * 1000;
+
+  const login = () => request(app)
+    .post('/api/auth/login')
+    .send({ email: 'john@example.com', password: 'password123' });
+
+  const completeLogin = (challengeToken, code) => request(app)
+    .post('/api/auth/login/2fa')
+    .send({ challengeToken, code });
+
+  // Enroll the logged-in user; returns the secret and backup codes
+  const enroll = async () => {
+    const setup = await request(app)
+      .post('/api/users/2fa/setup')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    const verify = await request(app)
+      .post('/api/users/2fa/verify')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ code: generateCode(setup.body.secret) })
+      .expect(200);
+
+    return { secret: setup.body.secret, backupCodes: verify.body.backupCodes };
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await RefreshToken.destroy({ where: {} });
+    await User.destroy({ where: {} });
+
+    await User.create({
+      name: 'John Doe',
+      email: 'john@example.com',
+      password: 'password123'
+    });
+    authToken = (await login()).body.token;
+  });
+
+  describe('Enrollment', () => {
+    it('should return a provisioning URI and QR code', async () => {
+      const response = await request(app)
+        .post('/api/users/2fa/setup')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(response.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+      expect(response.body.otpauthUrl).toContain(`secret=${response.body.secret}`);
+      expect(response.body.qrCode).toMatch(/^data:image\/png;base64,/);
+    });
+
+    it('should not require a second factor until verified', async () => {
+      await request(app)
+        .post('/api/users/2fa/setup')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await login().expect(200);
+      expect(response.body.token).toBeDefined();
+      expect(response.body.twoFactorRequired).toBeUndefined();
+    });
+
+    it('should reject a wrong verification code', async () => {
+      await request(app)
+        .post('/api/users/2fa/setup')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/users/2fa/verify')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: '000000' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid authentication code');
+    });
+
+    it('should enable 2FA and return backup codes', async () => {
+      const { backupCodes } = await enroll();
+
+      expect(backupCodes).toHaveLength(10);
+
+      const status = await request(app)
+        .get('/api/users/2fa')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(status.body).toEqual({ enabled: true, backupCodesRemaining: 10 });
+    });
+
+    it('should never expose the secret or backup codes', async () => {
+      await enroll();
+
+      const response = await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.user.twoFactorEnabled).toBe(true);
+      expect(JSON.stringify(response.body)).not.toMatch(/twoFactorSecret|twoFactorBackupCodes/);
+    });
+  });
+
+  describe('Login', () => {
+    it('should answer a password login with a challenge', async () => {
+      await enroll();
+
+      const response = await login().expect(200);
+
+      expect(response.body.twoFactorRequired).toBe(true);
+      expect(response.body.challengeToken).toBeDefined();
+      expect(response.body.token).toBeUndefined();
+      expect(response.body.refreshToken).toBeUndefined();
+    });
+
+    it('should not accept the challenge token as an access token', async () => {
+      await enroll();
+      const { challengeToken } = (await login()).body;
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${challengeToken}`)
+        .expect(401);
+    });
+
+    it('should complete the login with an authenticator code', async () => {
+      const { secret } = await enroll();
+      const { challengeToken } = (await login()).body;
+
+      // The enrollment code has been used; the next step's code is accepted
+      const response = await completeLogin(challengeToken, generateCode(secret, Date.now() + STEP))
+        .expect(200);
+
+      expect(response.body.message).toBe('Login successful');
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+    });
+
+    it('should not accept the same code twice', async () => {
+      const { secret } = await enroll();
+      const code = generateCode(secret, Date.now() + STEP);
+
+      await completeLogin((await login()).body.challengeToken, code).expect(200);
+      const response = await completeLogin((await login()).body.challengeToken, code).expect(401);
+
+      expect(response.body.message).toBe('Invalid authentication code');
+    });
+
+    it('should accept each backup code once', async () => {
+      const { backupCodes } = await enroll();
+
+      await completeLogin((await login()).body.challengeToken, backupCodes[0]).expect(200);
+      await completeLogin((await login()).body.challengeToken, backupCodes[0]).expect(401);
+
+      const user = await User.findOne({ where: { email: 'john@example.com' } });
+      expect(user.getBackupCodesRemaining()).toBe(9);
+    });
+
+    it('should reject a wrong code', async () => {
+      await enroll();
+
+      await completeLogin((await login()).body.challengeToken, '000000').expect(401);
+    });
+
+    it('should reject a forged challenge', async () => {
+      const { secret } = await enroll();
+
+      const response = await completeLogin(authToken, generateCode(secret, Date.now() + STEP)).expect(401);
+      expect(response.body.message).toBe('Login challenge expired. Please log in again.');
+    });
+  });
+
+  describe('Management', () => {
+    it('should regenerate backup codes', async () => {
+      const { secret, backupCodes } = await enroll();
+
+      const response = await request(app)
+        .post('/api/users/2fa/backup-codes')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: generateCode(secret, Date.now() + STEP) })
+        .expect(200);
+
+      expect(response.body.backupCodes).toHaveLength(10);
+      expect(response.body.backupCodes).not.toContain(backupCodes[0]);
+
+      // Old codes no longer work
+      await completeLogin((await login()).body.challengeToken, backupCodes[0]).expect(401);
+    });
+
+    it('should require the password and a code to disable', async () => {
+      const { backupCodes } = await enroll();
+
+      await request(app)
+        .post('/api/users/2fa/disable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'wrongpassword', code: backupCodes[0] })
+        .expect(400);
+
+      await request(app)
+        .post('/api/users/2fa/disable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'password123', code: backupCodes[1] })
+        .expect(200);
+
+      const response = await login().expect(200);
+      expect(response.body.twoFactorRequired).toBeUndefined();
+      expect(response.body.token).toBeDefined();
+    });
+
+    it('should not set up twice', async () => {
+      await enroll();
+
+      await request(app)
+        .post('/api/users/2fa/setup')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+// Roles a user can hold, from least to most privileged
+const ROLES = ['patient', 'clinician', 'admin'];
+
+// Every account manages its own profile and health records
+const OWN_RECORD_PERMISSIONS = [
+  'profile:read',
+  'profile:write',
+  'alerts:read',
+  'alerts:write',
+  'tests:read',
+  'tests:write',
+  'alertRules:read',
+  'alertRules:write',
+  'careTeam:read',
+  'careTeam:write'
+];
+
+const ROLE_PERMISSIONS = {
+  patient: [
+    ...OWN_RECORD_PERMISSIONS
+  ],
+  clinician: [
+    ...OWN_RECORD_PERMISSIONS,
+    'tests:review',
+    'patients:read'
+  ],
+  admin: [
+    ...OWN_RECORD_PERMISSIONS,
+    'tests:review',
+    'users:read',
+    'users:manage',
+    'labMessages:review'
+  ]
+};
+
+const hasPermission = (role, permission) => (
+  (ROLE_PERMISSIONS[role] || []).includes(permission)
+);
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission
+};
@@ -0,0 +1,24 @@
+// sequelize-cli settings, taken from the app's own connection so migrations
+// always run against the database the server uses
+const { sequelize } = require('./database');
+
+const { database, username, password, host, port } = sequelize.config;
+
+const settings = {
+  database,
+  username,
+  password,
+  host,
+  port,
+  dialect: sequelize.getDialect(),
+  storage: sequelize.options.storage,
+  dialectOptions: sequelize.options.dialectOptions,
+  define: sequelize.options.define,
+  logging: false
+};
+
+module.exports = {
+  development: settings,
+  test: settings,
+  production: settings
+};
@@ -0,0 +1,14 @@
+// Runs before each test file, in that file's own module registry. An
+// in-memory SQLite database is therefore created per test file, so suites
+// are isolated from each other and need no database server.
+// Set DB_DIALECT (and the connection variables) to test against MySQL.
+process.env.DB_DIALECT = process.env.DB_DIALECT || 'sqlite';
+process.env.DB_STORAGE = process.env.DB_STORAGE || ':memory:';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+// Fixed test keys for field encryption; never use these anywhere else
+process.env.FIELD_ENCRYPTION_KEYS = process.env.FIELD_ENCRYPTION_KEYS
+  || `test:${Buffer.alloc(32, 1).toString('base64')}`;
+process.env.FIELD_BLIND_INDEX_KEY = process.env.FIELD_BLIND_INDEX_KEY
+  || Buffer.alloc(32, 2).toString('base64');
+// Alert notifications stay off unless a suite enables channels
+process.env.NOTIFICATION_CHANNELS = process.env.NOTIFICATION_CHANNELS || '';
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, CareRelationship } = require('../models');
+const { setActor } = require('./requestContext');
 
 const auth = async (req, res, next) => {
   try {
@@ -20,7 +21,17 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a "log out all devices" are no longer accepted
+    if ((decoded.tv || 0) !== user.tokenVersion) {
+      return res.status(401).json({ 
+        message: 'Access denied. Token revoked.' 
+      });
+    }
+
     req.user = user;
+    // Long-lived responses such as event streams end when the token does
+    req.tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
+    setActor(user);
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -49,8 +60,9 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findByPk(decoded.id);
       
-      if (user && user.isActive) {
+      if (user && user.isActive && (decoded.tv || 0) === user.tokenVersion) {
         req.user = user;
+        setActor(user);
       }
     }
     
@@ -61,20 +73,84 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-const adminAuth = async (req, res, next) => {
+// Must run after `auth`. Grants access when the user's role has every
+// listed permission (see config/permissions.js).
+const authorize = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      message: 'Access denied. No token provided.' 
+    });
+  }
+
+  if (!permissions.every((permission) => req.user.can(permission))) {
+    return res.status(403).json({ 
+      message: 'Access denied. Insufficient permissions.' 
+    });
+  }
+
+  next();
+};
+
+// Must run after `auth`
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      message: 'Access denied. No token provided.' 
+    });
+  }
+
+  if (!req.user.hasRole(...roles)) {
+    return res.status(403).json({ 
+      message: 'Access denied. Insufficient permissions.' 
+    });
+  }
+
+  next();
+};
+
+const adminAuth = [auth, requireRole('admin')];
+
+// Must run after `auth`. Sets req.patientId to the user whose records the
+// request works on: the caller, or the `patientId` query parameter when the
+// caller is a clinician that patient has granted `level` access to. The
+// relationship is checked on every request, so revoking it takes effect at once.
+const patientScope = (level = 'read') => async (req, res, next) => {
   try {
-    await auth(req, res, () => {});
-    
-    if (!req.user.isAdmin) {
+    const { patientId } = req.query;
+
+    if (patientId === undefined || patientId === '' || Number(patientId) === req.user.id) {
+      req.patientId = req.user.id;
+      return next();
+    }
+
+    if (!/^\d+$/.test(patientId)) {
+      return res.status(400).json({ 
+        message: 'Patient ID must be a positive integer' 
+      });
+    }
+
+    if (!req.user.can('patients:read')) {
       return res.status(403).json({ 
-        message: 'Access denied. Admin privileges required.' 
+        message: 'Access denied. Insufficient permissions.' 
       });
     }
-    
+
+    const relationship = await CareRelationship.findActive(Number(patientId), req.user.id);
+    if (!relationship || !relationship.allows(level)) {
+      return res.status(403).json({ 
+        message: relationship
+          ? `Access denied. This patient has not granted ${level} access.`
+          : 'Access denied. No active care relationship with this patient.'
+      });
+    }
+
+    req.patientId = Number(patientId);
+    req.careRelationship = relationship;
     next();
   } catch (error) {
-    return res.status(401).json({ 
-      message: 'Access denied. Authentication failed.' 
+    console.error('Patient scope error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error during authorization.' 
     });
   }
 };
@@ -82,5 +158,8 @@ const adminAuth = async (req, res, next) => {
 module.exports = {
   auth,
   optionalAuth,
-  adminAuth
+  authorize,
+  requireRole,
+  adminAuth,
+  patientScope
 };
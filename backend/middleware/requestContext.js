@@ -0,0 +1,39 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Per-request details (request ID, client IP, authenticated user) that code
+// far from the route, such as model hooks, needs without threading `req`
+// through every call
+const storage = new AsyncLocalStorage();
+
+// Accept a caller's request ID (e.g. from a proxy) when it looks sane
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+const requestContext = (req, res, next) => {
+  const incoming = req.header('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  storage.run({
+    requestId: req.id,
+    ipAddress: req.ip,
+    actorId: null
+  }, next);
+};
+
+// Returns an empty context outside a request (scripts, startup jobs)
+const getRequestContext = () => storage.getStore() || {};
+
+// Called once the caller is authenticated
+const setActor = (user) => {
+  const context = storage.getStore();
+  if (context) {
+    context.actorId = user ? user.id : null;
+  }
+};
+
+module.exports = {
+  requestContext,
+  getRequestContext,
+  setActor
+};
@@ -0,0 +1,141 @@
+const { body } = require('express-validator');
+
+// express-validator chains for diagnostic tests. createTestValidators are the
+// rules of POST /api/diagnostic-tests; the spreadsheet import checks each row
+// against them too.
+
+// A panel's analytes, on create and update
+const analyteValidators = [
+  body('analytes.*.name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Analyte name must be between 1 and 255 characters'),
+  body('analytes.*.code')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Analyte code must not exceed 50 characters'),
+  body('analytes.*.result')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Analyte result cannot be empty'),
+  body('analytes.*.normalRange')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Analyte normal range must not exceed 255 characters'),
+  body('analytes.*.units')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Analyte units must not exceed 50 characters'),
+  body([
+    'analytes.*.numericValue',
+    'analytes.*.referenceLow',
+    'analytes.*.referenceHigh',
+    'analytes.*.criticalLow',
+    'analytes.*.criticalHigh'
+  ])
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Analyte numeric fields must be numbers'),
+  body('analytes.*.isAbnormal')
+    .optional()
+    .isBoolean()
+    .withMessage('Analyte isAbnormal must be a boolean')
+];
+
+const createTestValidators = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Code must not exceed 50 characters'),
+  body('result')
+    .if(body('analytes').not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Result is required'),
+  body('analytes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Analytes must be a non-empty array'),
+  body('analytes.*.name')
+    .exists()
+    .withMessage('Analyte name is required'),
+  body('analytes.*.result')
+    .exists()
+    .withMessage('Analyte result is required'),
+  ...analyteValidators,
+  body('date')
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  body('testType')
+    .optional()
+    .isIn(['blood', 'urine', 'imaging', 'cardiac', 'neurological', 'genetic', 'general'])
+    .withMessage('Test type must be blood, urine, imaging, cardiac, neurological, genetic, or general'),
+  body('status')
+    .optional()
+    .isIn(['pending', 'completed', 'reviewed', 'cancelled'])
+    .withMessage('Status must be pending, completed, reviewed, or cancelled'),
+  body('normalRange')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Normal range must not exceed 255 characters'),
+  body('units')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Units must not exceed 50 characters'),
+  body('numericValue')
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Numeric value must be a number'),
+  body('referenceLow')
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Reference low must be a number'),
+  body('referenceHigh')
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Reference high must be a number'),
+  body('criticalLow')
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Critical low must be a number'),
+  body('criticalHigh')
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Critical high must be a number'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters'),
+  body('doctorName')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Doctor name must not exceed 255 characters'),
+  body('labName')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Lab name must not exceed 255 characters'),
+  body('isAbnormal')
+    .optional()
+    .isBoolean()
+    .withMessage('isAbnormal must be a boolean')
+];
+
+module.exports = {
+  analyteValidators,
+  createTestValidators
+};
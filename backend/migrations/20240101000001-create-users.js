@@ -0,0 +1,90 @@
+'use strict';
+
+// Baseline migrations create the schema the models had when migrations were
+// introduced. Databases created earlier by `sequelize.sync()` already have
+// these tables, so they are left as they are and the migration is recorded.
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    if (await queryInterface.tableExists('users')) return;
+
+    await queryInterface.createTable('users', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      email: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        unique: true
+      },
+      password: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      preferences: {
+        type: Sequelize.JSON,
+        defaultValue: {
+          notificationThreshold: 'medium',
+          emailNotifications: true,
+          theme: 'light',
+          language: 'en'
+        }
+      },
+      role: {
+        type: Sequelize.ENUM('patient', 'clinician', 'admin'),
+        defaultValue: 'patient',
+        allowNull: false
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      last_login: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      token_version: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      },
+      two_factor_enabled: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false,
+        allowNull: false
+      },
+      two_factor_secret: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      two_factor_backup_codes: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      two_factor_last_step: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('users');
+  }
+};
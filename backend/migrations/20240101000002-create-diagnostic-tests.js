@@ -0,0 +1,156 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    if (await queryInterface.tableExists('diagnostic_tests')) return;
+
+    await queryInterface.createTable('diagnostic_tests', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      code: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      result: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      test_type: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        defaultValue: 'general'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'completed', 'reviewed', 'cancelled'),
+        defaultValue: 'completed',
+        allowNull: false
+      },
+      normal_range: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      units: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      numeric_value: {
+        type: Sequelize.DOUBLE,
+        allowNull: true
+      },
+      reference_low: {
+        type: Sequelize.DOUBLE,
+        allowNull: true
+      },
+      reference_high: {
+        type: Sequelize.DOUBLE,
+        allowNull: true
+      },
+      critical_low: {
+        type: Sequelize.DOUBLE,
+        allowNull: true
+      },
+      critical_high: {
+        type: Sequelize.DOUBLE,
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      doctor_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      lab_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      is_abnormal: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      flag: {
+        type: Sequelize.ENUM('normal', 'low', 'high', 'critical', 'abnormal'),
+        allowNull: true
+      },
+      attachments: {
+        type: Sequelize.JSON,
+        defaultValue: []
+      },
+      is_panel: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      panel_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'diagnostic_tests',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      reviewed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      review_notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('diagnostic_tests', ['user_id']);
+    await queryInterface.addIndex('diagnostic_tests', ['date']);
+    await queryInterface.addIndex('diagnostic_tests', ['test_type']);
+    await queryInterface.addIndex('diagnostic_tests', ['status']);
+    await queryInterface.addIndex('diagnostic_tests', ['panel_id']);
+    await queryInterface.addIndex('diagnostic_tests', ['user_id', 'code']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('diagnostic_tests');
+  }
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    if (await queryInterface.tableExists('alerts')) return;
+
+    await queryInterface.createTable('alerts', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'acknowledged', 'resolved', 'dismissed'),
+        defaultValue: 'active',
+        allowNull: false
+      },
+      priority: {
+        type: Sequelize.ENUM('low', 'medium', 'high', 'critical'),
+        defaultValue: 'medium',
+        allowNull: false
+      },
+      type: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        defaultValue: 'general'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      // Alerts outlive the test they were raised for
+      diagnostic_test_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'diagnostic_tests',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      metadata: {
+        type: Sequelize.JSON,
+        defaultValue: {}
+      },
+      acknowledged_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('alerts', ['user_id']);
+    await queryInterface.addIndex('alerts', ['status']);
+    await queryInterface.addIndex('alerts', ['priority']);
+    await queryInterface.addIndex('alerts', ['created_at']);
+    await queryInterface.addIndex('alerts', ['diagnostic_test_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('alerts');
+  }
+};
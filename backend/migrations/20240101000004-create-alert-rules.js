@@ -0,0 +1,95 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    if (await queryInterface.tableExists('alert_rules')) return;
+
+    await queryInterface.createTable('alert_rules', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      key: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        unique: true
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      analyte: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      test_type: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      condition: {
+        type: Sequelize.ENUM('above', 'below', 'abnormal', 'critical', 'rising', 'falling'),
+        allowNull: false
+      },
+      threshold: {
+        type: Sequelize.DOUBLE,
+        allowNull: true
+      },
+      consecutive_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 3
+      },
+      priority: {
+        type: Sequelize.ENUM('low', 'medium', 'high', 'critical'),
+        defaultValue: 'medium',
+        allowNull: false
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      base_rule_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'alert_rules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('alert_rules', ['user_id']);
+    await queryInterface.addIndex('alert_rules', ['base_rule_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('alert_rules');
+  }
+};
@@ -0,0 +1,78 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    if (await queryInterface.tableExists('care_relationships')) return;
+
+    await queryInterface.createTable('care_relationships', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      patient_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      clinician_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'active', 'declined', 'revoked'),
+        defaultValue: 'pending',
+        allowNull: false
+      },
+      access_level: {
+        type: Sequelize.ENUM('read', 'annotate'),
+        defaultValue: 'read',
+        allowNull: false
+      },
+      initiated_by: {
+        type: Sequelize.ENUM('patient', 'clinician'),
+        allowNull: false
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      responded_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('care_relationships', ['patient_id', 'clinician_id'], { unique: true });
+    await queryInterface.addIndex('care_relationships', ['clinician_id', 'status']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('care_relationships');
+  }
+};
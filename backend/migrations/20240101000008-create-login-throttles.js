@@ -0,0 +1,57 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    if (await queryInterface.tableExists('login_throttles')) return;
+
+    await queryInterface.createTable('login_throttles', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      scope: {
+        type: Sequelize.ENUM('ip', 'account'),
+        allowNull: false
+      },
+      key: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      failure_count: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      },
+      last_failure_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      blocked_until: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lock_count: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('login_throttles', ['scope', 'key'], { unique: true });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('login_throttles');
+  }
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    if (await queryInterface.tableExists('audit_logs')) return;
+
+    // No foreign keys: the trail must outlive the users and records it mentions
+    await queryInterface.createTable('audit_logs', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      actor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      action: {
+        type: Sequelize.ENUM('read', 'create', 'update', 'delete'),
+        allowNull: false
+      },
+      resource_type: {
+        type: Sequelize.ENUM('User', 'Alert', 'DiagnosticTest'),
+        allowNull: false
+      },
+      resource_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      owner_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      changes: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      request_id: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('audit_logs', ['owner_id', 'created_at']);
+    await queryInterface.addIndex('audit_logs', ['resource_type', 'resource_id']);
+    await queryInterface.addIndex('audit_logs', ['actor_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('audit_logs');
+  }
+};
@@ -0,0 +1,163 @@
+'use strict';
+
+const { withoutForeignKeyChecks } = require('../services/migrations');
+
+// Columns the models gained between the original release and the move to
+// migrations. The baseline migrations create them for new databases but
+// skip tables that already exist, so a database created by the original
+// release's `sequelize.sync()` lacks them: only missing ones are added.
+
+const ROLES = ['patient', 'clinician', 'admin'];
+const FLAGS = ['normal', 'low', 'high', 'critical', 'abnormal'];
+
+const COLUMNS = {
+  users: {
+    role: (Sequelize) => ({
+      type: Sequelize.ENUM(...ROLES),
+      defaultValue: 'patient',
+      allowNull: false
+    }),
+    token_version: (Sequelize) => ({
+      type: Sequelize.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    }),
+    two_factor_enabled: (Sequelize) => ({
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+      allowNull: false
+    }),
+    two_factor_secret: (Sequelize) => ({
+      type: Sequelize.STRING(64),
+      allowNull: true
+    }),
+    two_factor_backup_codes: (Sequelize) => ({
+      type: Sequelize.JSON,
+      allowNull: true
+    }),
+    two_factor_last_step: (Sequelize) => ({
+      type: Sequelize.INTEGER,
+      allowNull: true
+    })
+  },
+  diagnostic_tests: {
+    code: (Sequelize) => ({
+      type: Sequelize.STRING(50),
+      allowNull: true
+    }),
+    numeric_value: (Sequelize) => ({
+      type: Sequelize.DOUBLE,
+      allowNull: true
+    }),
+    reference_low: (Sequelize) => ({
+      type: Sequelize.DOUBLE,
+      allowNull: true
+    }),
+    reference_high: (Sequelize) => ({
+      type: Sequelize.DOUBLE,
+      allowNull: true
+    }),
+    critical_low: (Sequelize) => ({
+      type: Sequelize.DOUBLE,
+      allowNull: true
+    }),
+    critical_high: (Sequelize) => ({
+      type: Sequelize.DOUBLE,
+      allowNull: true
+    }),
+    flag: (Sequelize) => ({
+      type: Sequelize.ENUM(...FLAGS),
+      allowNull: true
+    }),
+    is_panel: (Sequelize) => ({
+      type: Sequelize.BOOLEAN,
+      defaultValue: false
+    }),
+    panel_id: (Sequelize) => ({
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'diagnostic_tests',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    }),
+    reviewed_by: (Sequelize) => ({
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    }),
+    reviewed_at: (Sequelize) => ({
+      type: Sequelize.DATE,
+      allowNull: true
+    }),
+    review_notes: (Sequelize) => ({
+      type: Sequelize.TEXT,
+      allowNull: true
+    })
+  },
+  alerts: {
+    // Alerts outlive the test they were raised for
+    diagnostic_test_id: (Sequelize) => ({
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'diagnostic_tests',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    })
+  }
+};
+
+const INDEXES = {
+  diagnostic_tests: [['panel_id'], ['user_id', 'code']],
+  alerts: [['diagnostic_test_id']]
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Panels have no result of their own
+    const diagnosticTests = await queryInterface.describeTable('diagnostic_tests');
+    if (!diagnosticTests.result.allowNull) {
+      await withoutForeignKeyChecks(queryInterface, () => (
+        queryInterface.changeColumn('diagnostic_tests', 'result', {
+          type: Sequelize.TEXT,
+          allowNull: true
+        })
+      ));
+    }
+
+    for (const [table, columns] of Object.entries(COLUMNS)) {
+      const existing = await queryInterface.describeTable(table);
+      const added = [];
+      for (const [column, definition] of Object.entries(columns)) {
+        if (existing[column]) continue;
+        await queryInterface.addColumn(table, column, definition(Sequelize));
+        added.push(column);
+      }
+
+      // Indexes come with their columns
+      for (const fields of INDEXES[table] || []) {
+        if (fields.some((field) => added.includes(field))) {
+          await queryInterface.addIndex(table, fields);
+        }
+      }
+    }
+  },
+
+  // Nothing to undo. On databases created by migrations these columns come
+  // from the baseline migrations, and this one added none of them; removing
+  // them here would drop data the baseline owns. The baseline migrations'
+  // own down drops the tables, columns and all. As nothing is dropped here,
+  // no foreign key checks get in the way on MySQL or SQLite.
+  async down() {}
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+// Encrypted values are stored as text. Existing plaintext keeps working and
+// is encrypted by `npm run encryption:rotate`.
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // No database had this column before, so it is always added here and
+    // down can always remove it
+    await queryInterface.addColumn('diagnostic_tests', 'result_index', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+    await queryInterface.addIndex('diagnostic_tests', ['user_id', 'result_index']);
+
+    await queryInterface.changeColumn('alerts', 'metadata', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+    await queryInterface.changeColumn('audit_logs', 'changes', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+  },
+
+  // Only for databases still holding plaintext: encrypted values are not
+  // valid JSON
+  async down(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('audit_logs', 'changes', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+    await queryInterface.changeColumn('alerts', 'metadata', {
+      type: Sequelize.JSON,
+      defaultValue: {}
+    });
+    await queryInterface.removeIndex('diagnostic_tests', ['user_id', 'result_index']);
+    await queryInterface.removeColumn('diagnostic_tests', 'result_index');
+  }
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+const REVOKED_REASONS = ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_reset'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const users = await queryInterface.describeTable('users');
+    if (!users.deletion_scheduled_for) {
+      await queryInterface.addColumn('users', 'deletion_scheduled_for', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+      await queryInterface.addIndex('users', ['deletion_scheduled_for']);
+    }
+
+    await queryInterface.changeColumn('refresh_tokens', 'revoked_reason', {
+      type: Sequelize.ENUM(...REVOKED_REASONS, 'account_deletion'),
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkUpdate('refresh_tokens', { revoked_reason: 'logout_all' }, {
+      revoked_reason: 'account_deletion'
+    });
+    await queryInterface.changeColumn('refresh_tokens', 'revoked_reason', {
+      type: Sequelize.ENUM(...REVOKED_REASONS),
+      allowNull: true
+    });
+
+    await queryInterface.removeIndex('users', ['deletion_scheduled_for']);
+    await queryInterface.removeColumn('users', 'deletion_scheduled_for');
+  }
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    if (await queryInterface.tableExists('hl7_messages')) return;
+
+    await queryInterface.createTable('hl7_messages', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      control_id: {
+        type: Sequelize.STRING(199),
+        allowNull: false
+      },
+      sending_application: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      sending_facility: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      message_type: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      transport: {
+        type: Sequelize.ENUM('http', 'mllp'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('processed', 'unmatched', 'failed', 'dismissed'),
+        allowNull: false
+      },
+      raw: {
+        type: queryInterface.sequelize.getDialect() === 'mysql' ? Sequelize.TEXT('long') : Sequelize.TEXT,
+        allowNull: false
+      },
+      error: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      test_ids: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      resolved_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('hl7_messages', ['sending_facility', 'control_id']);
+    await queryInterface.addIndex('hl7_messages', ['status', 'created_at']);
+    await queryInterface.addIndex('hl7_messages', ['user_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('hl7_messages');
+  }
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+const RESOURCE_TYPES = ['User', 'Alert', 'DiagnosticTest'];
+const LEGACY_TABLE = 'legacy_test_attachments';
+
+// The old column holds whatever clients sent: parsed by MySQL, a string on
+// SQLite. Empty lists carry nothing worth keeping.
+const legacyEntries = (value) => {
+  if (value === null || value === undefined) return null;
+  let entries = value;
+  if (typeof value === 'string') {
+    try {
+      entries = JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  if (entries === null || (Array.isArray(entries) && entries.length === 0)) return null;
+  return JSON.stringify(entries);
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const isSqlite = queryInterface.sequelize.getDialect() === 'sqlite';
+
+    if (!(await queryInterface.tableExists('attachments'))) {
+      await queryInterface.createTable('attachments', {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        diagnostic_test_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'diagnostic_tests',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        file_name: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        content_type: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        size: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        checksum: {
+          type: Sequelize.STRING(64),
+          allowNull: false
+        },
+        storage_key: {
+          type: Sequelize.STRING(255),
+          allowNull: false,
+          unique: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      });
+
+      await queryInterface.addIndex('attachments', ['diagnostic_test_id']);
+      await queryInterface.addIndex('attachments', ['user_id']);
+    }
+
+    // The old column held whatever names clients sent, with no files behind
+    // them. Its entries move to their own table before it goes, so none are
+    // lost; nothing reads that table, and it goes with its tests.
+    const tests = await queryInterface.describeTable('diagnostic_tests');
+    if (tests.attachments) {
+      // A run that stopped before dropping the column starts over
+      if (await queryInterface.tableExists(LEGACY_TABLE)) {
+        await queryInterface.bulkDelete(LEGACY_TABLE, {});
+      } else {
+        await queryInterface.createTable(LEGACY_TABLE, {
+          diagnostic_test_id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            allowNull: false,
+            references: {
+              model: 'diagnostic_tests',
+              key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE'
+          },
+          entries: {
+            type: Sequelize.TEXT,
+            allowNull: false
+          },
+          created_at: {
+            type: Sequelize.DATE,
+            allowNull: false
+          }
+        });
+      }
+
+      const [rows] = await queryInterface.sequelize.query(
+        'SELECT `id`, `attachments` FROM `diagnostic_tests` WHERE `attachments` IS NOT NULL'
+      );
+      const now = new Date();
+      const legacy = rows
+        .map((row) => ({ diagnostic_test_id: row.id, entries: legacyEntries(row.attachments), created_at: now }))
+        .filter((row) => row.entries !== null);
+      if (legacy.length > 0) {
+        await queryInterface.bulkInsert(LEGACY_TABLE, legacy);
+      }
+
+      // removeColumn rebuilds SQLite tables and loses their ON DELETE rules;
+      // SQLite 3.35+ drops the column in place
+      if (isSqlite) {
+        await queryInterface.sequelize.query('ALTER TABLE `diagnostic_tests` DROP COLUMN `attachments`');
+      } else {
+        await queryInterface.removeColumn('diagnostic_tests', 'attachments');
+      }
+    }
+
+    // ENUMs are plain TEXT on SQLite
+    if (!isSqlite) {
+      await queryInterface.changeColumn('audit_logs', 'resource_type', {
+        type: Sequelize.ENUM(...RESOURCE_TYPES, 'Attachment'),
+        allowNull: false
+      });
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('audit_logs', { resource_type: 'Attachment' });
+    if (queryInterface.sequelize.getDialect() !== 'sqlite') {
+      await queryInterface.changeColumn('audit_logs', 'resource_type', {
+        type: Sequelize.ENUM(...RESOURCE_TYPES),
+        allowNull: false
+      });
+    }
+
+    await queryInterface.addColumn('diagnostic_tests', 'attachments', {
+      type: Sequelize.JSON,
+      defaultValue: []
+    });
+    if (await queryInterface.tableExists(LEGACY_TABLE)) {
+      const [legacy] = await queryInterface.sequelize.query(
+        `SELECT \`diagnostic_test_id\`, \`entries\` FROM \`${LEGACY_TABLE}\``
+      );
+      for (const row of legacy) {
+        await queryInterface.sequelize.query(
+          'UPDATE `diagnostic_tests` SET `attachments` = ? WHERE `id` = ?',
+          { replacements: [row.entries, row.diagnostic_test_id] }
+        );
+      }
+      await queryInterface.dropTable(LEGACY_TABLE);
+    }
+    await queryInterface.dropTable('attachments');
+  }
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    if (await queryInterface.tableExists('notification_deliveries')) return;
+
+    await queryInterface.createTable('notification_deliveries', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      alert_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'alerts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      channel: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      event: {
+        type: Sequelize.ENUM('created', 'escalated'),
+        allowNull: false
+      },
+      priority: {
+        type: Sequelize.ENUM('low', 'medium', 'high', 'critical'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'sending', 'sent', 'failed'),
+        defaultValue: 'pending',
+        allowNull: false
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      },
+      next_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      delivered_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_error: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('notification_deliveries', ['user_id', 'created_at']);
+    await queryInterface.addIndex('notification_deliveries', ['alert_id']);
+    await queryInterface.addIndex('notification_deliveries', ['status', 'next_attempt_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('notification_deliveries');
+  }
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+// A lab resends a message it got no ACK for, possibly while the first copy
+// is still being processed; the unique index makes the second copy fail to
+// store instead of importing its results again. A missing sending facility
+// becomes an empty string, since NULLs never collide in a unique index.
+
+const FIELDS = ['sending_facility', 'control_id'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const [duplicates] = await queryInterface.sequelize.query(
+      'SELECT COALESCE(`sending_facility`, \'\') AS facility, `control_id` AS controlId, COUNT(*) AS copies '
+      + 'FROM `hl7_messages` GROUP BY COALESCE(`sending_facility`, \'\'), `control_id` HAVING COUNT(*) > 1'
+    );
+    if (duplicates.length > 0) {
+      const list = duplicates
+        .map(({ facility, controlId, copies }) => `${facility || '(no facility)'} ${controlId} (${copies} rows)`)
+        .join(', ');
+      throw new Error(
+        `hl7_messages holds control IDs received more than once: ${list}. `
+        + 'Check which copies imported results, delete the extra rows and run the migration again.'
+      );
+    }
+
+    await queryInterface.bulkUpdate('hl7_messages', { sending_facility: '' }, { sending_facility: null });
+
+    // SQLite would rebuild the table and lose its ON DELETE rules; the model
+    // never writes NULL there anyway
+    if (queryInterface.sequelize.getDialect() !== 'sqlite') {
+      await queryInterface.changeColumn('hl7_messages', 'sending_facility', {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        defaultValue: ''
+      });
+    }
+
+    await queryInterface.removeIndex('hl7_messages', FIELDS);
+    await queryInterface.addIndex('hl7_messages', FIELDS, { unique: true });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('hl7_messages', FIELDS);
+    await queryInterface.addIndex('hl7_messages', FIELDS);
+
+    if (queryInterface.sequelize.getDialect() !== 'sqlite') {
+      await queryInterface.changeColumn('hl7_messages', 'sending_facility', {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      });
+    }
+    await queryInterface.bulkUpdate('hl7_messages', { sending_facility: null }, { sending_facility: '' });
+  }
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+const REVOKED_REASONS = ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_reset', 'account_deletion'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // ENUMs are plain TEXT on SQLite
+    if (queryInterface.sequelize.getDialect() === 'sqlite') return;
+
+    await queryInterface.changeColumn('refresh_tokens', 'revoked_reason', {
+      type: Sequelize.ENUM(...REVOKED_REASONS, 'password_change'),
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkUpdate('refresh_tokens', { revoked_reason: 'password_reset' }, {
+      revoked_reason: 'password_change'
+    });
+    if (queryInterface.sequelize.getDialect() === 'sqlite') return;
+
+    await queryInterface.changeColumn('refresh_tokens', 'revoked_reason', {
+      type: Sequelize.ENUM(...REVOKED_REASONS),
+      allowNull: true
+    });
+  }
+};
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { encryptedField, addBlindIndexLookups } = require('../services/fieldEncryption');
 
 const Alert = sequelize.define('Alert', {
   id: {
@@ -15,10 +16,8 @@ const Alert = sequelize.define('Alert', {
       len: [1, 255]
     }
   },
-  message: {
-    type: DataTypes.TEXT,
-    allowNull: true
-  },
+  // Encrypted at rest
+  message: encryptedField('message'),
   status: {
     type: DataTypes.ENUM('active', 'acknowledged', 'resolved', 'dismissed'),
     defaultValue: 'active',
@@ -45,10 +44,19 @@ const Alert = sequelize.define('Alert', {
       key: 'id'
     }
   },
-  metadata: {
-    type: DataTypes.JSON,
-    defaultValue: {}
+  diagnosticTestId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'diagnostic_tests',
+      key: 'id'
+    }
   },
+  // Encrypted at rest; reads as {} when unset
+  metadata: encryptedField('metadata', {
+    json: true,
+    empty: () => ({})
+  }),
   acknowledgedAt: {
     type: DataTypes.DATE,
     allowNull: true
@@ -71,6 +79,9 @@ const Alert = sequelize.define('Alert', {
     },
     {
       fields: ['created_at']
+    },
+    {
+      fields: ['diagnostic_test_id']
     }
   ]
 });
@@ -112,4 +123,6 @@ Alert.findActiveByUser = function(userId) {
   });
 };
 
+addBlindIndexLookups(Alert);
+
 module.exports = Alert;
@@ -0,0 +1,179 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Rules shipped with the app. They are stored with a null userId and a
+// stable key so ensureDefaults() can be run on every boot.
+const DEFAULT_RULES = [
+  {
+    key: 'critical-result',
+    name: 'Critical result',
+    description: 'Any result beyond its critical limits',
+    condition: 'critical',
+    priority: 'critical'
+  },
+  {
+    key: 'potassium-high',
+    name: 'High potassium',
+    description: 'Potassium above 6.0 mmol/L',
+    analyte: 'potassium',
+    condition: 'above',
+    threshold: 6.0,
+    priority: 'critical'
+  },
+  {
+    key: 'abnormal-cardiac',
+    name: 'Abnormal cardiac test',
+    description: 'Any abnormal cardiac test',
+    testType: 'cardiac',
+    condition: 'abnormal',
+    priority: 'high'
+  },
+  {
+    key: 'rising-trend',
+    name: 'Rising trend',
+    description: 'Three consecutive rising values of the same analyte',
+    condition: 'rising',
+    consecutiveCount: 3,
+    priority: 'medium'
+  }
+];
+
+const AlertRule = sequelize.define('AlertRule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  key: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    unique: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [1, 255]
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  analyte: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  testType: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    validate: {
+      isIn: [['blood', 'urine', 'imaging', 'cardiac', 'neurological', 'genetic', 'general']]
+    }
+  },
+  condition: {
+    type: DataTypes.ENUM('above', 'below', 'abnormal', 'critical', 'rising', 'falling'),
+    allowNull: false
+  },
+  threshold: {
+    type: DataTypes.DOUBLE,
+    allowNull: true
+  },
+  consecutiveCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 3,
+    validate: {
+      min: 2,
+      max: 10
+    }
+  },
+  priority: {
+    type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
+    defaultValue: 'medium',
+    allowNull: false
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  baseRuleId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'alert_rules',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'alert_rules',
+  validate: {
+    thresholdRequired() {
+      if (['above', 'below'].includes(this.condition)
+        && (this.threshold === null || this.threshold === undefined)) {
+        throw new Error('Threshold is required for above/below rules');
+      }
+    }
+  },
+  indexes: [
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['base_rule_id']
+    }
+  ]
+});
+
+// Instance methods
+AlertRule.prototype.isSystem = function() {
+  return this.userId === null || this.userId === undefined;
+};
+
+// Class methods
+AlertRule.ensureDefaults = async function() {
+  for (const rule of DEFAULT_RULES) {
+    await this.findOrCreate({
+      where: { key: rule.key },
+      defaults: { ...rule, userId: null }
+    });
+  }
+};
+
+// System rules, with any the user has overridden replaced by their version,
+// followed by the user's own rules
+AlertRule.findEffectiveByUser = async function(userId) {
+  const { Op } = sequelize.Sequelize;
+  const rules = await this.findAll({
+    where: {
+      [Op.or]: [
+        { userId: null },
+        { userId }
+      ]
+    },
+    order: [['id', 'ASC']]
+  });
+
+  const overrides = new Map(
+    rules
+      .filter((rule) => rule.userId === userId && rule.baseRuleId)
+      .map((rule) => [rule.baseRuleId, rule])
+  );
+
+  return rules
+    .filter((rule) => !(rule.userId === userId && rule.baseRuleId))
+    .map((rule) => (rule.isSystem() && overrides.has(rule.id) ? overrides.get(rule.id) : rule));
+};
+
+AlertRule.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = AlertRule;
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { encryptedField } = require('../services/fieldEncryption');
+const { FILE_TYPES } = require('../utils/fileType');
+
+// A file attached to a diagnostic test, such as the lab's PDF report or a
+// scan. The file itself is kept by services/attachmentStorage.js under
+// storageKey; it belongs to the same user as the test.
+const Attachment = sequelize.define('Attachment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  diagnosticTestId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'diagnostic_tests',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // File names often say what the test was for, so they are encrypted
+  fileName: encryptedField('fileName', {
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  }),
+  // As sniffed from the file's contents
+  contentType: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      isIn: [FILE_TYPES.map((type) => type.contentType)]
+    }
+  },
+  // In bytes
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // SHA-256 of the contents, hex
+  checksum: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  storageKey: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true
+  }
+}, {
+  tableName: 'attachments',
+  indexes: [
+    {
+      fields: ['diagnostic_test_id']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+// Where the file is stored is no business of clients
+Attachment.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  delete values.storageKey;
+  return values;
+};
+
+module.exports = Attachment;
@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { encryptedField, addBlindIndexLookups } = require('../services/fieldEncryption');
+
+// Who read or changed which health record, and when. Entries are written by
+// services/audit.js and never change afterwards.
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // No foreign keys: the trail must outlive the users and records it mentions
+  actorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  action: {
+    type: DataTypes.ENUM('read', 'create', 'update', 'delete'),
+    allowNull: false
+  },
+  resourceType: {
+    type: DataTypes.ENUM('User', 'Alert', 'DiagnosticTest', 'Attachment'),
+    allowNull: false
+  },
+  resourceId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // The patient the record belongs to
+  ownerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // { field: { before, after } }; sensitive values are redacted, and the
+  // whole diff is encrypted since it repeats encrypted health fields
+  changes: encryptedField('changes', { json: true }),
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  requestId: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  }
+}, {
+  tableName: 'audit_logs',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['owner_id', 'created_at']
+    },
+    {
+      fields: ['resource_type', 'resource_id']
+    },
+    {
+      fields: ['actor_id']
+    }
+  ],
+  hooks: {
+    beforeUpdate: () => {
+      throw new Error('Audit log entries cannot be changed');
+    },
+    beforeBulkUpdate: () => {
+      throw new Error('Audit log entries cannot be changed');
+    },
+    beforeDestroy: () => {
+      throw new Error('Audit log entries cannot be deleted');
+    },
+    beforeBulkDestroy: () => {
+      throw new Error('Audit log entries cannot be deleted');
+    }
+  }
+});
+
+addBlindIndexLookups(AuditLog);
+
+module.exports = AuditLog;
@@ -0,0 +1,122 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Access levels a patient can grant, each including the ones before it
+const ACCESS_LEVELS = ['read', 'annotate'];
+
+const CareRelationship = sequelize.define('CareRelationship', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  patientId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  clinicianId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'active', 'declined', 'revoked'),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+  accessLevel: {
+    type: DataTypes.ENUM(...ACCESS_LEVELS),
+    defaultValue: 'read',
+    allowNull: false
+  },
+  initiatedBy: {
+    type: DataTypes.ENUM('patient', 'clinician'),
+    allowNull: false
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'care_relationships',
+  validate: {
+    differentUsers() {
+      if (this.patientId === this.clinicianId) {
+        throw new Error('A user cannot be their own clinician');
+      }
+    }
+  },
+  indexes: [
+    {
+      unique: true,
+      fields: ['patient_id', 'clinician_id']
+    },
+    {
+      fields: ['clinician_id', 'status']
+    }
+  ]
+});
+
+// Instance methods
+CareRelationship.prototype.allows = function(level) {
+  return this.status === 'active'
+    && ACCESS_LEVELS.indexOf(this.accessLevel) >= ACCESS_LEVELS.indexOf(level);
+};
+
+// The party that has to answer a pending invitation
+CareRelationship.prototype.getResponderId = function() {
+  return this.initiatedBy === 'patient' ? this.clinicianId : this.patientId;
+};
+
+CareRelationship.prototype.involves = function(userId) {
+  return this.patientId === userId || this.clinicianId === userId;
+};
+
+CareRelationship.prototype.accept = function(accessLevel) {
+  this.status = 'active';
+  if (accessLevel) this.accessLevel = accessLevel;
+  this.respondedAt = new Date();
+  return this.save();
+};
+
+CareRelationship.prototype.decline = function() {
+  this.status = 'declined';
+  this.respondedAt = new Date();
+  return this.save();
+};
+
+CareRelationship.prototype.revoke = function() {
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+// Class methods
+CareRelationship.findActive = function(patientId, clinicianId) {
+  return this.findOne({
+    where: {
+      patientId,
+      clinicianId,
+      status: 'active'
+    }
+  });
+};
+
+CareRelationship.ACCESS_LEVELS = ACCESS_LEVELS;
+
+module.exports = CareRelationship;
@@ -0,0 +1,105 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A user's request for a copy of their health record. The archive is built
+// in the background by services/dataExport.js and kept until expiresAt.
+const DataExport = sequelize.define('DataExport', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+  // Percentage, 0-100
+  progress: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+  // Archive name inside the export directory
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  fileSize: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'data_exports',
+  indexes: [
+    {
+      fields: ['user_id', 'created_at']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Instance methods
+DataExport.prototype.isRunning = function() {
+  return this.status === 'pending' || this.status === 'processing';
+};
+
+DataExport.prototype.isDownloadable = function() {
+  return this.status === 'completed' && (!this.expiresAt || new Date() < this.expiresAt);
+};
+
+// Class methods
+DataExport.findByUser = function(userId, options = {}) {
+  return this.findAll({
+    where: { userId },
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    ...options
+  });
+};
+
+DataExport.findRunningByUser = function(userId) {
+  return this.findOne({
+    where: {
+      userId,
+      status: ['pending', 'processing']
+    }
+  });
+};
+
+DataExport.findExpired = function() {
+  return this.findAll({
+    where: { expiresAt: { [Op.lt]: new Date() } }
+  });
+};
+
+// Jobs run in the server process, so a restart leaves them unfinished
+DataExport.failInterrupted = function() {
+  return this.update(
+    { status: 'failed', error: 'Interrupted by a server restart' },
+    { where: { status: ['pending', 'processing'] } }
+  );
+};
+
+module.exports = DataExport;
@@ -1,5 +1,26 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const {
+  encryptedField,
+  blindIndexField,
+  addBlindIndexLookups
+} = require('../services/fieldEncryption');
+const {
+  parseReferenceRange,
+  parseNumericResult,
+  interpretResult
+} = require('../utils/referenceRange');
+
+// Fields the derived flag depends on
+const INTERPRETATION_INPUTS = [
+  'result',
+  'numericValue',
+  'normalRange',
+  'referenceLow',
+  'referenceHigh',
+  'criticalLow',
+  'criticalHigh'
+];
 
 const DiagnosticTest = sequelize.define('DiagnosticTest', {
   id: {
@@ -15,13 +36,18 @@ const DiagnosticTest = sequelize.define('DiagnosticTest', {
       len: [1, 255]
     }
   },
-  result: {
-    type: DataTypes.TEXT,
-    allowNull: false,
+  code: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  // Encrypted at rest; resultIndex allows exact-match lookups
+  result: encryptedField('result', {
+    blindIndex: 'resultIndex',
     validate: {
       notEmpty: true
     }
-  },
+  }),
+  resultIndex: blindIndexField(),
   date: {
     type: DataTypes.DATEONLY,
     allowNull: false,
@@ -51,10 +77,27 @@ const DiagnosticTest = sequelize.define('DiagnosticTest', {
     type: DataTypes.STRING(50),
     allowNull: true
   },
-  notes: {
-    type: DataTypes.TEXT,
+  numericValue: {
+    type: DataTypes.DOUBLE,
+    allowNull: true
+  },
+  referenceLow: {
+    type: DataTypes.DOUBLE,
+    allowNull: true
+  },
+  referenceHigh: {
+    type: DataTypes.DOUBLE,
+    allowNull: true
+  },
+  criticalLow: {
+    type: DataTypes.DOUBLE,
+    allowNull: true
+  },
+  criticalHigh: {
+    type: DataTypes.DOUBLE,
     allowNull: true
   },
+  notes: encryptedField('notes'),
   userId: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -75,12 +118,62 @@ const DiagnosticTest = sequelize.define('DiagnosticTest', {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
-  attachments: {
-    type: DataTypes.JSON,
-    defaultValue: []
+  flag: {
+    type: DataTypes.ENUM('normal', 'low', 'high', 'critical', 'abnormal'),
+    allowNull: true
+  },
+  isPanel: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  panelId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'diagnostic_tests',
+      key: 'id'
+    }
+  },
+  reviewedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reviewNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true
   }
 }, {
   tableName: 'diagnostic_tests',
+  validate: {
+    resultRequired() {
+      if (!this.isPanel && (this.result === null || this.result === undefined)) {
+        throw new Error('Result is required for tests that are not panels');
+      }
+    }
+  },
+  hooks: {
+    beforeSave: (test) => {
+      test.applyInterpretation();
+    },
+    afterSave: async (test, options) => {
+      if (test.panelId) {
+        await DiagnosticTest.refreshPanel(test.panelId, { transaction: options.transaction });
+      }
+    },
+    afterDestroy: async (test, options) => {
+      if (test.panelId) {
+        await DiagnosticTest.refreshPanel(test.panelId, { transaction: options.transaction });
+      }
+    }
+  },
   indexes: [
     {
       fields: ['user_id']
@@ -93,13 +186,115 @@ const DiagnosticTest = sequelize.define('DiagnosticTest', {
     },
     {
       fields: ['status']
+    },
+    {
+      fields: ['panel_id']
+    },
+    {
+      fields: ['user_id', 'code']
+    },
+    {
+      fields: ['user_id', 'result_index']
     }
   ]
 });
 
+addBlindIndexLookups(DiagnosticTest);
+
 // Instance methods
-DiagnosticTest.prototype.markAsReviewed = function() {
+DiagnosticTest.prototype.getReferenceRange = function() {
+  const parsed = parseReferenceRange(this.normalRange);
+  const hasBounds = (this.referenceLow !== null && this.referenceLow !== undefined)
+    || (this.referenceHigh !== null && this.referenceHigh !== undefined);
+
+  if (!hasBounds) {
+    return parsed && parsed.type === 'qualitative' ? parsed : null;
+  }
+
+  // Prefer the parsed text when it agrees with the stored bounds, since it
+  // knows whether each bound is inclusive ("<5.7" vs "<=5.7")
+  if (parsed && parsed.type === 'numeric'
+    && parsed.low === (this.referenceLow ?? null)
+    && parsed.high === (this.referenceHigh ?? null)) {
+    return parsed;
+  }
+
+  return {
+    type: 'numeric',
+    low: this.referenceLow ?? null,
+    high: this.referenceHigh ?? null,
+    lowInclusive: true,
+    highInclusive: true
+  };
+};
+
+// Derive numericValue, reference bounds, isAbnormal and flag from the
+// free-text result and normal range. Explicitly supplied values win over
+// parsed ones; isAbnormal is only overwritten when it can be derived.
+DiagnosticTest.prototype.applyInterpretation = function() {
+  // Panels have no value of their own; their status rolls up from analytes
+  if (this.isPanel) return;
+
+  if (this.changed('result') && !this.changed('numericValue')) {
+    const parsed = parseNumericResult(this.result);
+    this.numericValue = parsed ? parsed.value : null;
+    if (parsed && parsed.unit && !this.units) {
+      this.units = parsed.unit;
+    }
+  }
+
+  if (this.changed('normalRange') && !this.changed('referenceLow') && !this.changed('referenceHigh')) {
+    const range = parseReferenceRange(this.normalRange);
+    const numeric = range && range.type === 'numeric';
+    this.referenceLow = numeric ? range.low : null;
+    this.referenceHigh = numeric ? range.high : null;
+  }
+
+  const interpretation = interpretResult({
+    value: this.numericValue,
+    result: this.result,
+    range: this.getReferenceRange(),
+    criticalLow: this.criticalLow,
+    criticalHigh: this.criticalHigh
+  });
+
+  if (interpretation) {
+    this.isAbnormal = interpretation.isAbnormal;
+    this.flag = interpretation.flag;
+  } else if (!this.changed('flag') && INTERPRETATION_INPUTS.some((field) => this.changed(field))) {
+    // A flag supplied with the values, such as a lab's interpretation on
+    // import, is kept until the values change
+    this.flag = null;
+  }
+};
+
+// Roll the abnormal status of a panel up from its analytes: any abnormal
+// analyte makes the panel abnormal, and any critical one makes it critical.
+DiagnosticTest.prototype.rollUp = function(analytes) {
+  const abnormal = analytes.filter((analyte) => analyte.isAbnormal);
+
+  this.isAbnormal = abnormal.length > 0;
+  if (analytes.length === 0) {
+    this.flag = null;
+  } else if (analytes.some((analyte) => analyte.flag === 'critical')) {
+    this.flag = 'critical';
+  } else {
+    this.flag = abnormal.length > 0 ? 'abnormal' : 'normal';
+  }
+};
+
+// The blind index is only for lookups
+DiagnosticTest.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  delete values.resultIndex;
+  return values;
+};
+
+DiagnosticTest.prototype.markAsReviewed = function(reviewerId = null, notes) {
   this.status = 'reviewed';
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  if (notes !== undefined) this.reviewNotes = notes;
   return this.save();
 };
 
@@ -127,12 +322,21 @@ DiagnosticTest.findByUserAndType = function(userId, testType) {
   });
 };
 
-DiagnosticTest.findAbnormalByUser = function(userId) {
+DiagnosticTest.findAbnormalByUser = function(userId, { dateFrom, dateTo } = {}) {
+  const { Op } = sequelize.Sequelize;
+  const where = {
+    userId,
+    isAbnormal: true
+  };
+
+  if (dateFrom || dateTo) {
+    where.date = {};
+    if (dateFrom) where.date[Op.gte] = dateFrom;
+    if (dateTo) where.date[Op.lte] = dateTo;
+  }
+
   return this.findAll({
-    where: { 
-      userId,
-      isAbnormal: true
-    },
+    where,
     order: [['date', 'DESC']]
   });
 };
@@ -152,4 +356,64 @@ DiagnosticTest.findRecentByUser = function(userId, days = 30) {
   });
 };
 
+// A test on record with the same date, code (or name) and result, or a panel
+// with the same date and code (or name); imports skip these
+DiagnosticTest.findDuplicate = function(userId, attributes, options = {}) {
+  return this.findOne({
+    where: {
+      userId,
+      isPanel: Boolean(attributes.isPanel),
+      date: attributes.date,
+      ...(attributes.code ? { code: attributes.code } : { name: attributes.name }),
+      // Exact match through the result's blind index
+      ...(attributes.isPanel ? {} : { result: attributes.result })
+    },
+    ...options
+  });
+};
+
+DiagnosticTest.refreshPanel = async function(panelId, options = {}) {
+  const { transaction } = options;
+  const panel = await this.findByPk(panelId, { transaction });
+  if (!panel) return null;
+
+  const analytes = await this.findAll({
+    where: { panelId },
+    transaction
+  });
+
+  panel.rollUp(analytes);
+  return panel.save({ transaction });
+};
+
+// Numeric results of one analyte over time, matched by code when given,
+// otherwise by case-insensitive name
+DiagnosticTest.findSeriesByUser = function(userId, { name, code, dateFrom, dateTo } = {}) {
+  const { Op } = sequelize.Sequelize;
+  const where = {
+    userId,
+    isPanel: false,
+    numericValue: { [Op.ne]: null }
+  };
+
+  if (code) {
+    where.code = code;
+  } else {
+    where[Op.and] = [
+      sequelize.where(sequelize.fn('LOWER', sequelize.col('name')), String(name).toLowerCase())
+    ];
+  }
+
+  if (dateFrom || dateTo) {
+    where.date = {};
+    if (dateFrom) where.date[Op.gte] = dateFrom;
+    if (dateTo) where.date[Op.lte] = dateTo;
+  }
+
+  return this.findAll({
+    where,
+    order: [['date', 'ASC'], ['id', 'ASC']]
+  });
+};
+
 module.exports = DiagnosticTest;
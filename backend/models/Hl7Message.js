@@ -0,0 +1,108 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { encryptedField } = require('../services/fieldEncryption');
+
+// An HL7 v2 message received from a lab (see services/hl7Ingest.js). Kept so
+// resent messages are recognized, and so messages whose patient could not be
+// matched wait for review instead of being dropped.
+const Hl7Message = sequelize.define('Hl7Message', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // MSH-10, unique per sending facility
+  controlId: {
+    type: DataTypes.STRING(199),
+    allowNull: false
+  },
+  sendingApplication: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Empty rather than NULL when missing, so the unique index still applies
+  sendingFacility: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    defaultValue: ''
+  },
+  messageType: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  transport: {
+    type: DataTypes.ENUM('http', 'mllp'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('processed', 'unmatched', 'failed', 'dismissed'),
+    allowNull: false
+  },
+  // The message as received; encrypted at rest. SQLite has one TEXT size.
+  raw: encryptedField('raw', {
+    type: sequelize.getDialect() === 'mysql' ? DataTypes.TEXT('long') : DataTypes.TEXT,
+    allowNull: false
+  }),
+  error: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // The patient, once matched or assigned
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // Panels created from the message
+  testIds: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  resolvedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'hl7_messages',
+  indexes: [
+    {
+      unique: true,
+      fields: ['sending_facility', 'control_id']
+    },
+    {
+      fields: ['status', 'created_at']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+// Instance methods
+Hl7Message.prototype.isPendingReview = function() {
+  return this.status === 'unmatched';
+};
+
+// Class methods
+Hl7Message.findReceived = function(sendingFacility, controlId) {
+  return this.findOne({
+    where: {
+      sendingFacility: sendingFacility || '',
+      controlId
+    },
+    order: [['id', 'ASC']]
+  });
+};
+
+module.exports = Hl7Message;
@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Failed login bookkeeping for one client IP or one account (by email).
+// Kept in the database so restarts do not wipe a lockout.
+const LoginThrottle = sequelize.define('LoginThrottle', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  scope: {
+    type: DataTypes.ENUM('ip', 'account'),
+    allowNull: false
+  },
+  // IP address, or lower-cased email for accounts (known or not, so the
+  // response never reveals whether an account exists)
+  key: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  failureCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+  lastFailureAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  blockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Lockouts so far; each one lasts longer than the last
+  lockCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  }
+}, {
+  tableName: 'login_throttles',
+  indexes: [
+    {
+      unique: true,
+      fields: ['scope', 'key']
+    }
+  ]
+});
+
+// Instance methods
+LoginThrottle.prototype.getRetryAfterSeconds = function(now = new Date()) {
+  if (!this.blockedUntil || this.blockedUntil <= now) return 0;
+  return Math.ceil((this.blockedUntil - now) / 1000);
+};
+
+module.exports = LoginThrottle;
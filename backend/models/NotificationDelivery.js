@@ -0,0 +1,127 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const CHANNELS = ['email', 'webhook', 'in_app'];
+
+// One attempt-tracked delivery of an alert notification through one
+// channel, sent by services/notifications.js. The rows double as the
+// delivery log and as the retry queue.
+const NotificationDelivery = sequelize.define('NotificationDelivery', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // Null once the alert is deleted; the log entry stays
+  alertId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'alerts',
+      key: 'id'
+    }
+  },
+  channel: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: [CHANNELS]
+    }
+  },
+  // What happened to the alert: created, or raised to a higher priority
+  event: {
+    type: DataTypes.ENUM('created', 'escalated'),
+    allowNull: false
+  },
+  // The alert's priority when the notification was sent
+  priority: {
+    type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sending', 'sent', 'failed'),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+  // When a pending delivery is due for its next attempt
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'notification_deliveries',
+  indexes: [
+    {
+      fields: ['user_id', 'created_at']
+    },
+    {
+      fields: ['alert_id']
+    },
+    {
+      fields: ['status', 'next_attempt_at']
+    }
+  ]
+});
+
+// Class methods
+NotificationDelivery.findByUser = function(userId, options = {}) {
+  return this.findAll({
+    where: { userId },
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    ...options
+  });
+};
+
+NotificationDelivery.findDue = function(now = new Date()) {
+  return this.findAll({
+    where: {
+      status: 'pending',
+      nextAttemptAt: { [Op.lte]: now }
+    },
+    order: [['next_attempt_at', 'ASC'], ['id', 'ASC']]
+  });
+};
+
+// Take a pending delivery for one attempt; false when another worker
+// already has it
+NotificationDelivery.claim = async function(delivery) {
+  const [count] = await this.update(
+    { status: 'sending' },
+    { where: { id: delivery.id, status: 'pending' } }
+  );
+  return count === 1;
+};
+
+// Attempts run in the server process, so a restart leaves them unfinished;
+// they are retried rather than assumed lost
+NotificationDelivery.requeueInterrupted = function() {
+  return this.update(
+    { status: 'pending', nextAttemptAt: new Date() },
+    { where: { status: 'sending' } }
+  );
+};
+
+NotificationDelivery.CHANNELS = CHANNELS;
+
+module.exports = NotificationDelivery;
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { hashToken } = require('./RefreshToken');
+
+const PasswordResetToken = sequelize.define('PasswordResetToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // SHA-256 of the emailed token; the token itself is never stored
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  requestedIp: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  }
+}, {
+  tableName: 'password_reset_tokens',
+  indexes: [
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+// Instance methods
+PasswordResetToken.prototype.isUsable = function() {
+  return !this.usedAt && new Date() < this.expiresAt;
+};
+
+// Class methods
+PasswordResetToken.findByToken = function(token) {
+  return this.findOne({ where: { tokenHash: hashToken(token) } });
+};
+
+// A new request replaces any link sent before it
+PasswordResetToken.invalidateForUser = function(userId, options = {}) {
+  return this.update(
+    { usedAt: new Date() },
+    { where: { userId, usedAt: null }, ...options }
+  );
+};
+
+PasswordResetToken.hashToken = hashToken;
+
+module.exports = PasswordResetToken;
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Only a SHA-256 of each refresh token is stored, so a database leak does not
+// hand out working sessions
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  // Every token rotated out of the same login shares a family, so reuse of
+  // any old token can revoke the whole chain
+  family: {
+    type: DataTypes.STRING(36),
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.ENUM('rotated', 'logout', 'logout_all', 'reuse_detected', 'password_reset', 'account_deletion', 'password_change'),
+    allowNull: true
+  },
+  replacedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  createdByIp: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'refresh_tokens',
+  indexes: [
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['family']
+    }
+  ]
+});
+
+// Instance methods
+RefreshToken.prototype.isExpired = function() {
+  return new Date() >= this.expiresAt;
+};
+
+RefreshToken.prototype.isActive = function() {
+  return !this.revokedAt && !this.isExpired();
+};
+
+// Class methods
+RefreshToken.findByToken = function(token) {
+  return this.findOne({ where: { tokenHash: hashToken(token) } });
+};
+
+RefreshToken.revokeFamily = function(family, reason, options = {}) {
+  return this.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { family, revokedAt: null }, ...options }
+  );
+};
+
+RefreshToken.revokeAllForUser = function(userId, reason, options = {}) {
+  return this.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { userId, revokedAt: null }, ...options }
+  );
+};
+
+RefreshToken.removeExpired = function() {
+  return this.destroy({
+    where: { expiresAt: { [Op.lt]: new Date() } }
+  });
+};
+
+RefreshToken.hashToken = hashToken;
+
+module.exports = RefreshToken;
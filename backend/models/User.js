@@ -1,6 +1,18 @@
-const { DataTypes } = require('sequelize');
+const crypto = require('crypto');
+const { DataTypes, Op } = require('sequelize');
 const bcrypt = require('bcryptjs');
 const { sequelize } = require('../config/database');
+const { ROLES, ROLE_PERMISSIONS, hasPermission } = require('../config/permissions');
+const totp = require('../utils/totp');
+
+const BACKUP_CODE_COUNT = 10;
+
+// Backup codes are random, so a fast hash is enough; dashes and case are
+// ignored when they are typed back in
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
 
 const User = sequelize.define('User', {
   id: {
@@ -42,6 +54,11 @@ const User = sequelize.define('User', {
       language: 'en'
     }
   },
+  role: {
+    type: DataTypes.ENUM(...ROLES),
+    defaultValue: 'patient',
+    allowNull: false
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
@@ -49,9 +66,46 @@ const User = sequelize.define('User', {
   lastLogin: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  // Embedded in access tokens; bumping it invalidates every token issued so far
+  tokenVersion: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+  twoFactorEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false
+  },
+  // Base32 TOTP secret; set during enrollment, before it is enabled
+  twoFactorSecret: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  // SHA-256 hashes of the unused backup codes
+  twoFactorBackupCodes: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastStep: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // When a requested account deletion becomes final; logging in before
+  // then cancels it (see services/accountDeletion.js)
+  deletionScheduledFor: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'users',
+  indexes: [
+    {
+      fields: ['deletion_scheduled_for']
+    }
+  ],
   hooks: {
     beforeCreate: async (user) => {
       if (user.password) {
@@ -73,9 +127,73 @@ User.prototype.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+User.prototype.hasRole = function(...roles) {
+  return roles.includes(this.role);
+};
+
+User.prototype.isPendingDeletion = function() {
+  return Boolean(this.deletionScheduledFor);
+};
+
+// Accounts pending deletion are deactivated, but may still log in, which
+// cancels the deletion
+User.prototype.canSignIn = function() {
+  return this.isActive || this.isPendingDeletion();
+};
+
+User.prototype.can = function(permission) {
+  return hasPermission(this.role, permission);
+};
+
+User.prototype.getPermissions = function() {
+  return ROLE_PERMISSIONS[this.role] || [];
+};
+
+// Replaces any previous backup codes; the plain codes are only returned here
+User.prototype.generateBackupCodes = function() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactorBackupCodes = codes.map(hashBackupCode);
+  return codes;
+};
+
+User.prototype.getBackupCodesRemaining = function() {
+  return (this.twoFactorBackupCodes || []).length;
+};
+
+// Checks an authenticator code, or else a backup code, and records its use.
+// Returns 'totp', 'backup' or null.
+User.prototype.verifyTwoFactorCode = async function(code, options = {}) {
+  if (!this.twoFactorSecret) return null;
+
+  const step = totp.verifyCode(this.twoFactorSecret, code);
+  if (step !== null) {
+    if (this.twoFactorLastStep !== null && step <= this.twoFactorLastStep) return null;
+    this.twoFactorLastStep = step;
+    await this.save(options);
+    return 'totp';
+  }
+
+  const hash = hashBackupCode(code || '');
+  const backupCodes = this.twoFactorBackupCodes || [];
+  if (code && backupCodes.includes(hash)) {
+    this.twoFactorBackupCodes = backupCodes.filter((stored) => stored !== hash);
+    await this.save(options);
+    return 'backup';
+  }
+
+  return null;
+};
+
 User.prototype.toJSON = function() {
   const values = Object.assign({}, this.get());
   delete values.password;
+  delete values.tokenVersion;
+  delete values.twoFactorSecret;
+  delete values.twoFactorBackupCodes;
+  delete values.twoFactorLastStep;
   return values;
 };
 
@@ -84,4 +202,10 @@ User.findByEmail = function(email) {
   return this.findOne({ where: { email } });
 };
 
+User.findDueForDeletion = function(now = new Date()) {
+  return this.findAll({
+    where: { deletionScheduledFor: { [Op.lte]: now } }
+  });
+};
+
 module.exports = User;
@@ -2,6 +2,20 @@ const { sequelize } = require('../config/database');
 const User = require('./User');
 const Alert = require('./Alert');
 const DiagnosticTest = require('./DiagnosticTest');
+const AlertRule = require('./AlertRule');
+const CareRelationship = require('./CareRelationship');
+const RefreshToken = require('./RefreshToken');
+const PasswordResetToken = require('./PasswordResetToken');
+const LoginThrottle = require('./LoginThrottle');
+const SecurityEvent = require('./SecurityEvent');
+const AuditLog = require('./AuditLog');
+const DataExport = require('./DataExport');
+const Hl7Message = require('./Hl7Message');
+const Attachment = require('./Attachment');
+const NotificationDelivery = require('./NotificationDelivery');
+const { auditModel } = require('../services/audit');
+const { watchAlerts } = require('../services/alertEvents');
+const { notifyOnAlerts } = require('../services/notifications');
 
 // Define associations
 User.hasMany(Alert, {
@@ -26,10 +40,216 @@ DiagnosticTest.belongsTo(User, {
   as: 'user'
 });
 
+DiagnosticTest.hasMany(DiagnosticTest, {
+  foreignKey: 'panelId',
+  as: 'analytes',
+  onDelete: 'CASCADE'
+});
+
+DiagnosticTest.belongsTo(DiagnosticTest, {
+  foreignKey: 'panelId',
+  as: 'panel'
+});
+
+// Alerts outlive the test they were raised for
+DiagnosticTest.hasMany(Alert, {
+  foreignKey: 'diagnosticTestId',
+  as: 'alerts',
+  onDelete: 'SET NULL'
+});
+
+Alert.belongsTo(DiagnosticTest, {
+  foreignKey: 'diagnosticTestId',
+  as: 'diagnosticTest'
+});
+
+User.hasMany(AlertRule, {
+  foreignKey: 'userId',
+  as: 'alertRules',
+  onDelete: 'CASCADE'
+});
+
+AlertRule.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+AlertRule.belongsTo(AlertRule, {
+  foreignKey: 'baseRuleId',
+  as: 'baseRule',
+  onDelete: 'CASCADE'
+});
+
+DiagnosticTest.belongsTo(User, {
+  foreignKey: 'reviewedBy',
+  as: 'reviewer'
+});
+
+User.hasMany(CareRelationship, {
+  foreignKey: 'patientId',
+  as: 'clinicianRelationships',
+  onDelete: 'CASCADE'
+});
+
+User.hasMany(CareRelationship, {
+  foreignKey: 'clinicianId',
+  as: 'patientRelationships',
+  onDelete: 'CASCADE'
+});
+
+CareRelationship.belongsTo(User, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
+
+CareRelationship.belongsTo(User, {
+  foreignKey: 'clinicianId',
+  as: 'clinician'
+});
+
+User.hasMany(RefreshToken, {
+  foreignKey: 'userId',
+  as: 'refreshTokens',
+  onDelete: 'CASCADE'
+});
+
+RefreshToken.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+User.hasMany(PasswordResetToken, {
+  foreignKey: 'userId',
+  as: 'passwordResetTokens',
+  onDelete: 'CASCADE'
+});
+
+PasswordResetToken.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+User.hasMany(SecurityEvent, {
+  foreignKey: 'userId',
+  as: 'securityEvents',
+  onDelete: 'SET NULL'
+});
+
+SecurityEvent.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+User.hasMany(DataExport, {
+  foreignKey: 'userId',
+  as: 'dataExports',
+  onDelete: 'CASCADE'
+});
+
+DataExport.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+User.hasMany(Hl7Message, {
+  foreignKey: 'userId',
+  as: 'hl7Messages',
+  onDelete: 'SET NULL'
+});
+
+Hl7Message.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+Hl7Message.belongsTo(User, {
+  foreignKey: 'resolvedBy',
+  as: 'resolver'
+});
+
+DiagnosticTest.hasMany(Attachment, {
+  foreignKey: 'diagnosticTestId',
+  as: 'attachments',
+  onDelete: 'CASCADE'
+});
+
+Attachment.belongsTo(DiagnosticTest, {
+  foreignKey: 'diagnosticTestId',
+  as: 'diagnosticTest'
+});
+
+User.hasMany(Attachment, {
+  foreignKey: 'userId',
+  as: 'attachments',
+  onDelete: 'CASCADE'
+});
+
+Attachment.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+User.hasMany(NotificationDelivery, {
+  foreignKey: 'userId',
+  as: 'notificationDeliveries',
+  onDelete: 'CASCADE'
+});
+
+NotificationDelivery.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+Alert.hasMany(NotificationDelivery, {
+  foreignKey: 'alertId',
+  as: 'notificationDeliveries',
+  onDelete: 'SET NULL'
+});
+
+NotificationDelivery.belongsTo(Alert, {
+  foreignKey: 'alertId',
+  as: 'alert'
+});
+
+// Audit entries keep no foreign keys, so actors can be looked up but the
+// trail survives them
+AuditLog.belongsTo(User, {
+  foreignKey: 'actorId',
+  as: 'actor',
+  constraints: false
+});
+
+// Record every change to health records and accounts
+auditModel(User, {
+  ownerKey: 'id',
+  ignore: ['lastLogin', 'tokenVersion', 'twoFactorLastStep'],
+  redact: ['password', 'twoFactorSecret', 'twoFactorBackupCodes']
+});
+auditModel(Alert);
+auditModel(DiagnosticTest);
+auditModel(Attachment);
+
+// Push alert changes to the user's live stream
+watchAlerts(Alert);
+
+// Tell users about new and escalated alerts (see services/notifications.js)
+notifyOnAlerts(Alert);
+
 // Export models and sequelize instance
 module.exports = {
   sequelize,
   User,
   Alert,
-  DiagnosticTest
+  DiagnosticTest,
+  AlertRule,
+  CareRelationship,
+  RefreshToken,
+  PasswordResetToken,
+  LoginThrottle,
+  SecurityEvent,
+  AuditLog,
+  DataExport,
+  Hl7Message,
+  Attachment,
+  NotificationDelivery
 };
@@ -0,0 +1,254 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { AlertRule } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const RULE_FIELDS = [
+  'name',
+  'description',
+  'analyte',
+  'testType',
+  'condition',
+  'threshold',
+  'consecutiveCount',
+  'priority',
+  'isActive'
+];
+
+const pickRuleFields = (source) => RULE_FIELDS.reduce((acc, field) => {
+  if (source[field] !== undefined) acc[field] = source[field];
+  return acc;
+}, {});
+
+const serializeRule = (rule) => ({
+  ...rule.toJSON(),
+  isSystem: rule.isSystem(),
+  isOverride: Boolean(rule.baseRuleId)
+});
+
+// A rule the user can see: a system rule or one of their own
+const findVisibleRule = (id, userId) => AlertRule.findOne({
+  where: {
+    id,
+    [Op.or]: [
+      { userId: null },
+      { userId }
+    ]
+  }
+});
+
+const ruleValidators = (isUpdate) => [
+  isUpdate
+    ? body('name').optional().trim().isLength({ min: 1, max: 255 })
+      .withMessage('Name must be between 1 and 255 characters')
+    : body('name').trim().isLength({ min: 1, max: 255 })
+      .withMessage('Name must be between 1 and 255 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must not exceed 1000 characters'),
+  body('analyte')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Analyte must not exceed 255 characters'),
+  body('testType')
+    .optional({ nullable: true })
+    .isIn(['blood', 'urine', 'imaging', 'cardiac', 'neurological', 'genetic', 'general'])
+    .withMessage('Test type must be blood, urine, imaging, cardiac, neurological, genetic, or general'),
+  isUpdate
+    ? body('condition').optional().isIn(['above', 'below', 'abnormal', 'critical', 'rising', 'falling'])
+      .withMessage('Condition must be above, below, abnormal, critical, rising, or falling')
+    : body('condition').isIn(['above', 'below', 'abnormal', 'critical', 'rising', 'falling'])
+      .withMessage('Condition must be above, below, abnormal, critical, rising, or falling'),
+  body('threshold')
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Threshold must be a number'),
+  body('consecutiveCount')
+    .optional()
+    .isInt({ min: 2, max: 10 })
+    .withMessage('Consecutive count must be between 2 and 10'),
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'critical'])
+    .withMessage('Priority must be low, medium, high, or critical'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+// @route   GET /api/alert-rules
+// @desc    Get the rules in effect for the user (system defaults and own rules)
+// @access  Private
+router.get('/', [auth, authorize('alertRules:read')], async (req, res) => {
+  try {
+    const rules = await AlertRule.findEffectiveByUser(req.user.id);
+
+    res.json({
+      rules: rules.map(serializeRule),
+      count: rules.length
+    });
+  } catch (error) {
+    console.error('Get alert rules error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching alert rules'
+    });
+  }
+});
+
+// @route   GET /api/alert-rules/:id
+// @desc    Get specific alert rule
+// @access  Private
+router.get('/:id', [auth, authorize('alertRules:read')], async (req, res) => {
+  try {
+    const rule = await findVisibleRule(req.params.id, req.user.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        message: 'Alert rule not found'
+      });
+    }
+
+    res.json({ rule: serializeRule(rule) });
+  } catch (error) {
+    console.error('Get alert rule error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching alert rule'
+    });
+  }
+});
+
+// @route   POST /api/alert-rules
+// @desc    Create a personal alert rule
+// @access  Private
+router.post('/', [auth, authorize('alertRules:write'), ...ruleValidators(false)], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await AlertRule.create({
+      ...pickRuleFields(req.body),
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'Alert rule created successfully',
+      rule: serializeRule(rule)
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: error.errors.map((item) => ({ msg: item.message, path: item.path }))
+      });
+    }
+    console.error('Create alert rule error:', error);
+    res.status(500).json({
+      message: 'Server error while creating alert rule'
+    });
+  }
+});
+
+// @route   PUT /api/alert-rules/:id
+// @desc    Update an own rule, or override a system rule for this user
+// @access  Private
+router.put('/:id', [auth, authorize('alertRules:write'), ...ruleValidators(true)], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await findVisibleRule(req.params.id, req.user.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        message: 'Alert rule not found'
+      });
+    }
+
+    const updateData = pickRuleFields(req.body);
+    let updatedRule;
+
+    if (rule.isSystem()) {
+      // System rules are shared, so changes are stored as a personal override
+      const [override] = await AlertRule.findOrCreate({
+        where: { userId: req.user.id, baseRuleId: rule.id },
+        defaults: {
+          ...pickRuleFields(rule),
+          userId: req.user.id,
+          baseRuleId: rule.id
+        }
+      });
+      updatedRule = await override.update(updateData);
+    } else {
+      updatedRule = await rule.update(updateData);
+    }
+
+    res.json({
+      message: 'Alert rule updated successfully',
+      rule: serializeRule(updatedRule)
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: error.errors.map((item) => ({ msg: item.message, path: item.path }))
+      });
+    }
+    console.error('Update alert rule error:', error);
+    res.status(500).json({
+      message: 'Server error while updating alert rule'
+    });
+  }
+});
+
+// @route   DELETE /api/alert-rules/:id
+// @desc    Delete an own rule; deleting an override restores the system rule
+// @access  Private
+router.delete('/:id', [auth, authorize('alertRules:write')], async (req, res) => {
+  try {
+    const rule = await findVisibleRule(req.params.id, req.user.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        message: 'Alert rule not found'
+      });
+    }
+
+    if (rule.isSystem()) {
+      return res.status(403).json({
+        message: 'System rules cannot be deleted. Disable them instead.'
+      });
+    }
+
+    await rule.destroy();
+
+    res.json({
+      message: 'Alert rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete alert rule error:', error);
+    res.status(500).json({
+      message: 'Server error while deleting alert rule'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,47 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
-const { Alert, User } = require('../models');
-const { auth } = require('../middleware/auth');
+const { Alert, User, DiagnosticTest } = require('../models');
+const { auth, authorize, patientScope } = require('../middleware/auth');
+const { recordAccess } = require('../services/audit');
+const { subscribe } = require('../services/alertEvents');
+const { enabledChannels } = require('../services/notifications');
 
 const router = express.Router();
 
+// Comment lines sent on idle streams, so proxies keep them open
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Reconnection delay suggested to EventSource clients
+const STREAM_RETRY_MS = 5 * 1000;
+
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+const DIAGNOSTIC_TEST_SUMMARY = ['id', 'name', 'date', 'testType', 'panelId'];
+
+const DIAGNOSTIC_TEST_DETAIL = [
+  ...DIAGNOSTIC_TEST_SUMMARY,
+  'code',
+  'result',
+  'units',
+  'normalRange',
+  'flag',
+  'isAbnormal'
+];
+
+// A linked test must belong to the alert's owner
+const findOwnTest = (id, userId) => DiagnosticTest.findOne({
+  where: { id, userId },
+  attributes: ['id']
+});
+
 // @route   GET /api/alerts
 // @desc    Get user's alerts with pagination and filtering
 // @access  Private
 router.get('/', [
   auth,
+  authorize('alerts:read'),
+  patientScope('read'),
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -46,7 +78,7 @@ router.get('/', [
     const offset = (page - 1) * limit;
 
     // Build where clause
-    const whereClause = { userId: req.user.id };
+    const whereClause = { userId: req.patientId };
     if (req.query.status) whereClause.status = req.query.status;
     if (req.query.priority) whereClause.priority = req.query.priority;
     if (req.query.type) whereClause.type = req.query.type;
@@ -63,9 +95,15 @@ router.get('/', [
         model: User,
         as: 'user',
         attributes: ['id', 'name', 'email']
+      }, {
+        model: DiagnosticTest,
+        as: 'diagnosticTest',
+        attributes: DIAGNOSTIC_TEST_SUMMARY
       }]
     });
 
+    await recordAccess(alerts);
+
     const totalPages = Math.ceil(count / limit);
 
     res.json({
@@ -90,9 +128,10 @@ router.get('/', [
 // @route   GET /api/alerts/active
 // @desc    Get user's active alerts
 // @access  Private
-router.get('/active', auth, async (req, res) => {
+router.get('/active', [auth, authorize('alerts:read'), patientScope('read')], async (req, res) => {
   try {
-    const alerts = await Alert.findActiveByUser(req.user.id);
+    const alerts = await Alert.findActiveByUser(req.patientId);
+    await recordAccess(alerts);
 
     res.json({
       alerts,
@@ -106,20 +145,65 @@ router.get('/active', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/alerts/stream
+// @desc    Server-sent events for changes to the user's alerts
+// @access  Private
+router.get('/stream', [auth, authorize('alerts:read')], (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Keeps nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+  // Without the in_app channel no notification events follow new alerts,
+  // so clients decide for themselves which ones to show
+  const ready = { inAppNotifications: enabledChannels().includes('in_app') };
+  res.write(`event: stream.ready\ndata: ${JSON.stringify(ready)}\n\n`);
+
+  const unsubscribe = subscribe(req.user.id, ({ type, alert }) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(alert)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+
+  // The token is only checked on connect; clients reconnect with a fresh one
+  const expiry = req.tokenExpiresAt && setTimeout(
+    () => res.end(),
+    Math.min(Math.max(req.tokenExpiresAt - Date.now(), 0), MAX_TIMEOUT_MS)
+  );
+
+  res.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  });
+});
+
 // @route   GET /api/alerts/:id
 // @desc    Get specific alert
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', [auth, authorize('alerts:read'), patientScope('read')], async (req, res) => {
   try {
     const alert = await Alert.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        userId: req.patientId
       },
       include: [{
         model: User,
         as: 'user',
         attributes: ['id', 'name', 'email']
+      }, {
+        model: DiagnosticTest,
+        as: 'diagnosticTest',
+        attributes: DIAGNOSTIC_TEST_DETAIL,
+        include: [{
+          model: DiagnosticTest,
+          as: 'panel',
+          attributes: ['id', 'name']
+        }]
       }]
     });
 
@@ -129,6 +213,8 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
 
+    await recordAccess([alert, alert.diagnosticTest]);
+
     res.json({ alert });
   } catch (error) {
     console.error('Get alert error:', error);
@@ -143,6 +229,7 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private
 router.post('/', [
   auth,
+  authorize('alerts:write'),
   body('title')
     .trim()
     .isLength({ min: 1, max: 255 })
@@ -163,7 +250,11 @@ router.post('/', [
   body('metadata')
     .optional()
     .isObject()
-    .withMessage('Metadata must be an object')
+    .withMessage('Metadata must be an object'),
+  body('diagnosticTestId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Diagnostic test ID must be a positive integer')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -175,7 +266,13 @@ router.post('/', [
       });
     }
 
-    const { title, message, priority, type, metadata } = req.body;
+    const { title, message, priority, type, metadata, diagnosticTestId } = req.body;
+
+    if (diagnosticTestId && !(await findOwnTest(diagnosticTestId, req.user.id))) {
+      return res.status(400).json({
+        message: 'Diagnostic test not found'
+      });
+    }
 
     const alert = await Alert.create({
       title,
@@ -183,6 +280,7 @@ router.post('/', [
       priority: priority || 'medium',
       type: type || 'general',
       metadata: metadata || {},
+      diagnosticTestId: diagnosticTestId || null,
       userId: req.user.id
     });
 
@@ -192,6 +290,10 @@ router.post('/', [
         model: User,
         as: 'user',
         attributes: ['id', 'name', 'email']
+      }, {
+        model: DiagnosticTest,
+        as: 'diagnosticTest',
+        attributes: DIAGNOSTIC_TEST_SUMMARY
       }]
     });
 
@@ -212,6 +314,7 @@ router.post('/', [
 // @access  Private
 router.put('/:id', [
   auth,
+  authorize('alerts:write'),
   body('title')
     .optional()
     .trim()
@@ -233,7 +336,11 @@ router.put('/:id', [
   body('type')
     .optional()
     .isIn(['general', 'health', 'system', 'diagnostic', 'reminder'])
-    .withMessage('Type must be general, health, system, diagnostic, or reminder')
+    .withMessage('Type must be general, health, system, diagnostic, or reminder'),
+  body('diagnosticTestId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Diagnostic test ID must be a positive integer')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -258,9 +365,15 @@ router.put('/:id', [
       });
     }
 
-    const { title, message, status, priority, type, metadata } = req.body;
+    const { title, message, status, priority, type, metadata, diagnosticTestId } = req.body;
     const updateData = {};
 
+    if (diagnosticTestId && !(await findOwnTest(diagnosticTestId, req.user.id))) {
+      return res.status(400).json({
+        message: 'Diagnostic test not found'
+      });
+    }
+
     if (title) updateData.title = title;
     if (message !== undefined) updateData.message = message;
     if (status) {
@@ -275,6 +388,7 @@ router.put('/:id', [
     if (priority) updateData.priority = priority;
     if (type) updateData.type = type;
     if (metadata) updateData.metadata = { ...alert.metadata, ...metadata };
+    if (diagnosticTestId !== undefined) updateData.diagnosticTestId = diagnosticTestId || null;
 
     await alert.update(updateData);
 
@@ -284,6 +398,10 @@ router.put('/:id', [
         model: User,
         as: 'user',
         attributes: ['id', 'name', 'email']
+      }, {
+        model: DiagnosticTest,
+        as: 'diagnosticTest',
+        attributes: DIAGNOSTIC_TEST_SUMMARY
       }]
     });
 
@@ -302,12 +420,12 @@ router.put('/:id', [
 // @route   PUT /api/alerts/:id/acknowledge
 // @desc    Acknowledge alert
 // @access  Private
-router.put('/:id/acknowledge', auth, async (req, res) => {
+router.put('/:id/acknowledge', [auth, authorize('alerts:write'), patientScope('annotate')], async (req, res) => {
   try {
     const alert = await Alert.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        userId: req.patientId
       }
     });
 
@@ -334,12 +452,12 @@ router.put('/:id/acknowledge', auth, async (req, res) => {
 // @route   PUT /api/alerts/:id/resolve
 // @desc    Resolve alert
 // @access  Private
-router.put('/:id/resolve', auth, async (req, res) => {
+router.put('/:id/resolve', [auth, authorize('alerts:write'), patientScope('annotate')], async (req, res) => {
   try {
     const alert = await Alert.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        userId: req.patientId
       }
     });
 
@@ -366,7 +484,7 @@ router.put('/:id/resolve', auth, async (req, res) => {
 // @route   DELETE /api/alerts/:id
 // @desc    Delete alert
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', [auth, authorize('alerts:write')], async (req, res) => {
   try {
     const alert = await Alert.findOne({
       where: {
@@ -397,18 +515,18 @@ router.delete('/:id', auth, async (req, res) => {
 // @route   GET /api/alerts/stats/summary
 // @desc    Get alert statistics summary
 // @access  Private
-router.get('/stats/summary', auth, async (req, res) => {
+router.get('/stats/summary', [auth, authorize('alerts:read'), patientScope('read')], async (req, res) => {
   try {
     const [total, active, acknowledged, resolved, dismissed] = await Promise.all([
-      Alert.count({ where: { userId: req.user.id } }),
-      Alert.count({ where: { userId: req.user.id, status: 'active' } }),
-      Alert.count({ where: { userId: req.user.id, status: 'acknowledged' } }),
-      Alert.count({ where: { userId: req.user.id, status: 'resolved' } }),
-      Alert.count({ where: { userId: req.user.id, status: 'dismissed' } })
+      Alert.count({ where: { userId: req.patientId } }),
+      Alert.count({ where: { userId: req.patientId, status: 'active' } }),
+      Alert.count({ where: { userId: req.patientId, status: 'acknowledged' } }),
+      Alert.count({ where: { userId: req.patientId, status: 'resolved' } }),
+      Alert.count({ where: { userId: req.patientId, status: 'dismissed' } })
     ]);
 
     const priorityStats = await Alert.findAll({
-      where: { userId: req.user.id },
+      where: { userId: req.patientId },
       attributes: [
         'priority',
         [Alert.sequelize.fn('COUNT', Alert.sequelize.col('id')), 'count']
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const { Attachment, DiagnosticTest } = require('../models');
+const { auth, authorize, patientScope } = require('../middleware/auth');
+const { recordAccess } = require('../services/audit');
+const { getStorage, newStorageKey, removeStoredFiles } = require('../services/attachmentStorage');
+const { FILE_TYPES, sniffContentType } = require('../utils/fileType');
+
+// Mounted under /api/diagnostic-tests/:testId
+const router = express.Router({ mergeParams: true });
+
+const parseMaxSizeMb = (value) => {
+  const size = parseInt(value, 10);
+  return Number.isNaN(size) || size < 1 ? 10 : size;
+};
+
+// Largest file accepted, in megabytes
+const MAX_ATTACHMENT_SIZE_MB = parseMaxSizeMb(process.env.ATTACHMENT_MAX_SIZE_MB);
+
+const MAX_ATTACHMENTS_PER_TEST = 20;
+
+const MAX_FILE_NAME_LENGTH = 255;
+
+// Files are checked in memory and only stored once accepted
+const attachmentUpload = (req, res, next) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE_MB * 1024 * 1024, files: 1 }
+}).single('file')(req, res, (error) => {
+  if (error) {
+    return error.code === 'LIMIT_FILE_SIZE'
+      ? res.status(413).json({ message: `File must not exceed ${MAX_ATTACHMENT_SIZE_MB} MB` })
+      : res.status(400).json({ message: 'Invalid file upload' });
+  }
+  next();
+});
+
+// The name without any path or control characters
+const cleanFileName = (name) => String(name || '')
+  .split(/[\\/]/)
+  .pop()
+  .replace(/[\u0000-\u001f\u007f]/g, '')
+  .trim()
+  .slice(0, MAX_FILE_NAME_LENGTH);
+
+// The test, when it belongs to `userId`
+const findTest = (testId, userId) => DiagnosticTest.findOne({
+  where: { id: testId, userId }
+});
+
+const findAttachment = (test, attachmentId) => Attachment.findOne({
+  where: { id: attachmentId, diagnosticTestId: test.id }
+});
+
+// @route   GET /api/diagnostic-tests/:testId/attachments
+// @desc    List a test's attachments
+// @access  Private
+router.get('/', [auth, authorize('tests:read'), patientScope('read')], async (req, res) => {
+  try {
+    const test = await findTest(req.params.testId, req.patientId);
+
+    if (!test) {
+      return res.status(404).json({
+        message: 'Diagnostic test not found'
+      });
+    }
+
+    const attachments = await Attachment.findAll({
+      where: { diagnosticTestId: test.id },
+      order: [['id', 'ASC']]
+    });
+
+    res.json({ attachments });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching attachments'
+    });
+  }
+});
+
+// @route   POST /api/diagnostic-tests/:testId/attachments
+// @desc    Attach a PDF or image to a test
+// @access  Private
+router.post('/', [auth, authorize('tests:write'), attachmentUpload], async (req, res) => {
+  try {
+    const test = await findTest(req.params.testId, req.user.id);
+
+    if (!test) {
+      return res.status(404).json({
+        message: 'Diagnostic test not found'
+      });
+    }
+
+    if (!req.file || req.file.size === 0) {
+      return res.status(400).json({
+        message: 'A file is required'
+      });
+    }
+
+    const contentType = sniffContentType(req.file.buffer);
+    if (!contentType) {
+      const labels = FILE_TYPES.map((type) => type.label);
+      return res.status(415).json({
+        message: `Only ${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]} files can be attached`
+      });
+    }
+
+    const count = await Attachment.count({ where: { diagnosticTestId: test.id } });
+    if (count >= MAX_ATTACHMENTS_PER_TEST) {
+      return res.status(400).json({
+        message: `A test can have at most ${MAX_ATTACHMENTS_PER_TEST} attachments`
+      });
+    }
+
+    const storageKey = newStorageKey(req.user.id);
+    await getStorage().put(storageKey, req.file.buffer, { contentType });
+
+    let attachment;
+    try {
+      attachment = await Attachment.create({
+        diagnosticTestId: test.id,
+        userId: req.user.id,
+        fileName: cleanFileName(req.file.originalname) || 'attachment',
+        contentType,
+        size: req.file.size,
+        checksum: crypto.createHash('sha256').update(req.file.buffer).digest('hex'),
+        storageKey
+      });
+    } catch (error) {
+      await removeStoredFiles([{ storageKey }]);
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Attachment uploaded successfully',
+      attachment
+    });
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({
+      message: 'Server error while uploading attachment'
+    });
+  }
+});
+
+// @route   GET /api/diagnostic-tests/:testId/attachments/:id
+// @desc    Download an attachment
+// @access  Private
+router.get('/:id', [auth, authorize('tests:read'), patientScope('read')], async (req, res) => {
+  try {
+    const test = await findTest(req.params.testId, req.patientId);
+    const attachment = test && await findAttachment(test, req.params.id);
+
+    if (!attachment) {
+      return res.status(404).json({
+        message: 'Attachment not found'
+      });
+    }
+
+    const data = await getStorage().get(attachment.storageKey);
+    if (!data) {
+      return res.status(404).json({
+        message: 'Attachment file is no longer available'
+      });
+    }
+
+    await recordAccess(attachment);
+
+    // Always a download, never rendered in the API's origin
+    res.attachment(attachment.fileName);
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(data);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      message: 'Server error while downloading attachment'
+    });
+  }
+});
+
+// @route   DELETE /api/diagnostic-tests/:testId/attachments/:id
+// @desc    Delete an attachment and its file
+// @access  Private
+router.delete('/:id', [auth, authorize('tests:write')], async (req, res) => {
+  try {
+    const test = await findTest(req.params.testId, req.user.id);
+    const attachment = test && await findAttachment(test, req.params.id);
+
+    if (!attachment) {
+      return res.status(404).json({
+        message: 'Attachment not found'
+      });
+    }
+
+    await attachment.destroy();
+    await removeStoredFiles([attachment]);
+
+    res.json({
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      message: 'Server error while deleting attachment'
+    });
+  }
+});
+
+module.exports = router;
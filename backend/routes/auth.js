@@ -1,18 +1,97 @@
+const crypto = require('crypto');
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
-const { User } = require('../models');
+const { sequelize, User, PasswordResetToken } = require('../models');
 const { auth } = require('../middleware/auth');
+const { setActor } = require('../middleware/requestContext');
+const {
+  RefreshTokenError,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/tokens');
+const { sendMail, escapeHtml } = require('../services/mailer');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../services/loginThrottle');
+const { cancelDeletion } = require('../services/accountDeletion');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { id: userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 60;
+
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+
+// Recorded with each refresh token so sessions can be told apart
+const sessionContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// Challenge tokens are signed with a derived secret so they can never pass
+// as access tokens
+const twoFactorSecret = () => `${process.env.JWT_SECRET}:2fa`;
+
+const createTwoFactorChallenge = (user) => jwt.sign(
+  { id: user.id, tv: user.tokenVersion },
+  twoFactorSecret(),
+  { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+);
+
+const THROTTLE_MESSAGES = {
+  account: 'Too many failed login attempts for this account.',
+  ip: 'Too many failed login attempts from your network.'
+};
+
+// 429 with the wait in both the Retry-After header and the body
+const sendThrottled = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+  return res.status(429).json({
+    message: `${THROTTLE_MESSAGES[block.scope]} ${block.locked ? 'It is temporarily locked.' : 'Please wait before trying again.'}`,
+    retryAfter: block.retryAfter,
+    locked: block.locked
+  });
+};
+
+// Final step of a login, once every factor has been checked
+const completeLogin = async (req, res, user) => {
+  setActor(user);
+  await recordLoginSuccess({ email: user.email });
+
+  // Logging in is how a pending account deletion is cancelled
+  const deletionCancelled = user.isPendingDeletion();
+  if (deletionCancelled) {
+    await cancelDeletion(user);
+  }
+
+  // Update last login
+  await user.update({ lastLogin: new Date() });
+
+  // Start a session
+  const { token, refreshToken } = await issueTokens(user, sessionContext(req));
+
+  res.json({
+    message: deletionCancelled
+      ? 'Login successful. Your account deletion has been cancelled.'
+      : 'Login successful',
+    ...(deletionCancelled && { deletionCancelled }),
+    token,
+    refreshToken,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: user.getPermissions(),
+      preferences: user.preferences,
+      twoFactorEnabled: user.twoFactorEnabled,
+      lastLogin: user.lastLogin
+    }
+  });
 };
 
 // @route   POST /api/auth/register
@@ -58,16 +137,19 @@ router.post('/register', [
       password
     });
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Start a session
+    const { token, refreshToken } = await issueTokens(user, sessionContext(req));
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
+        role: user.role,
+        permissions: user.getPermissions(),
         preferences: user.preferences
       }
     });
@@ -104,16 +186,23 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Refuse early while the IP or account is backing off or locked
+    const block = await checkLoginAllowed({ ip: req.ip, email });
+    if (block) {
+      return sendThrottled(res, block);
+    }
+
     // Find user by email
     const user = await User.findByEmail(email);
     if (!user) {
+      await recordLoginFailure({ ip: req.ip, email });
       return res.status(401).json({
         message: 'Invalid email or password'
       });
     }
 
     // Check if user is active
-    if (!user.isActive) {
+    if (!user.canSignIn()) {
       return res.status(401).json({
         message: 'Account is deactivated. Please contact support.'
       });
@@ -122,28 +211,23 @@ router.post('/login', [
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await recordLoginFailure({ ip: req.ip, email, user });
       return res.status(401).json({
         message: 'Invalid email or password'
       });
     }
 
-    // Update last login
-    await user.update({ lastLogin: new Date() });
-
-    // Generate token
-    const token = generateToken(user.id);
+    // Accounts with two-factor authentication get a challenge instead of a
+    // session; see POST /api/auth/login/2fa
+    if (user.twoFactorEnabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: createTwoFactorChallenge(user)
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        preferences: user.preferences,
-        lastLogin: user.lastLogin
-      }
-    });
+    await completeLogin(req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -153,6 +237,70 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: an authenticator or backup code
+// @access  Public (with a challenge token from /login)
+router.post('/login/2fa', [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(req.body.challengeToken, twoFactorSecret());
+    } catch (error) {
+      return res.status(401).json({
+        message: 'Login challenge expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findByPk(challenge.id);
+    if (!user || !user.canSignIn() || !user.twoFactorEnabled || challenge.tv !== user.tokenVersion) {
+      return res.status(401).json({
+        message: 'Login challenge expired. Please log in again.'
+      });
+    }
+
+    // Codes are guessable too, so they share the login throttle
+    const block = await checkLoginAllowed({ ip: req.ip, email: user.email });
+    if (block) {
+      return sendThrottled(res, block);
+    }
+
+    // Using up a backup code changes the account; the password is proven
+    setActor(user);
+
+    if (!await user.verifyTwoFactorCode(req.body.code)) {
+      await recordLoginFailure({ ip: req.ip, email: user.email, user });
+      return res.status(401).json({
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      message: 'Server error during login'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -163,7 +311,10 @@ router.get('/me', auth, async (req, res) => {
         id: req.user.id,
         name: req.user.name,
         email: req.user.email,
+        role: req.user.role,
+        permissions: req.user.getPermissions(),
         preferences: req.user.preferences,
+        twoFactorEnabled: req.user.twoFactorEnabled,
         lastLogin: req.user.lastLogin,
         createdAt: req.user.createdAt
       }
@@ -177,28 +328,91 @@ router.get('/me', auth, async (req, res) => {
 });
 
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user, revoking the session of the given refresh token
 // @access  Private
-router.post('/logout', auth, (req, res) => {
-  // In a JWT implementation, logout is typically handled client-side
-  // by removing the token. This endpoint exists for consistency.
-  res.json({
-    message: 'Logout successful'
-  });
+router.post('/logout', [
+  auth,
+  body('refreshToken')
+    .optional()
+    .isString()
+    .withMessage('Refresh token must be a string')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await revokeSession(req.body.refreshToken, req.user.id);
+
+    res.json({
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      message: 'Server error during logout'
+    });
+  }
 });
 
-// @route   POST /api/auth/refresh
-// @desc    Refresh JWT token
+// @route   POST /api/auth/logout-all
+// @desc    Logout from every device: revokes all refresh tokens and
+//          invalidates access tokens already issued
 // @access  Private
-router.post('/refresh', auth, async (req, res) => {
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user);
+
+    res.json({
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token.
+//          Each refresh token works once; reusing one revokes its session.
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
   try {
-    const token = generateToken(req.user.id);
-    
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, refreshToken } = await rotateRefreshToken(req.body.refreshToken, sessionContext(req));
+
     res.json({
       message: 'Token refreshed successfully',
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
+    if (error instanceof RefreshTokenError) {
+      return res.status(401).json({
+        message: error.message
+      });
+    }
+
     console.error('Token refresh error:', error);
     res.status(500).json({
       message: 'Server error during token refresh'
@@ -206,4 +420,144 @@ router.post('/refresh', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link. Answers the same way
+//          whether or not the account exists.
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByEmail(req.body.email);
+
+    if (user && user.canSignIn()) {
+      const token = crypto.randomBytes(32).toString('hex');
+
+      await sequelize.transaction(async (transaction) => {
+        await PasswordResetToken.invalidateForUser(user.id, { transaction });
+        await PasswordResetToken.create({
+          userId: user.id,
+          tokenHash: PasswordResetToken.hashToken(token),
+          expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+          requestedIp: req.ip
+        }, { transaction });
+      });
+
+      const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your AI Health password',
+        text: [
+          `Hi ${user.name},`,
+          '',
+          'We received a request to reset your password. Open the link below to choose a new one:',
+          resetUrl,
+          '',
+          `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once.`,
+          'If you did not ask for this, you can ignore this email.'
+        ].join('\n'),
+        html: `<p>Hi ${escapeHtml(user.name)},</p>`
+          + '<p>We received a request to reset your password. Open the link below to choose a new one:</p>'
+          + `<p><a href="${resetUrl}">Reset your password</a></p>`
+          + `<p>The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once. `
+          + 'If you did not ask for this, you can ignore this email.</p>'
+      });
+    }
+
+    res.json({
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token; signs out every session
+// @access  Public
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+  body('confirmPassword')
+    .optional()
+    .custom((value, { req }) => {
+      if (value !== req.body.password) {
+        throw new Error('Password confirmation does not match password');
+      }
+      return true;
+    })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const resetToken = await PasswordResetToken.findByToken(req.body.token);
+    const user = resetToken && await resetToken.getUser();
+
+    if (!resetToken || !resetToken.isUsable() || !user || !user.canSignIn()) {
+      return res.status(400).json({
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    // Holding the emailed link is what authenticates this change
+    setActor(user);
+
+    const reset = await sequelize.transaction(async (transaction) => {
+      // Claim the token first so two concurrent resets cannot both succeed
+      const [claimed] = await PasswordResetToken.update(
+        { usedAt: new Date() },
+        { where: { id: resetToken.id, usedAt: null }, transaction }
+      );
+      if (claimed === 0) return false;
+
+      user.password = req.body.password;
+      await user.save({ transaction });
+      await revokeAllSessions(user, 'password_reset', transaction);
+      return true;
+    });
+
+    if (!reset) {
+      return res.status(400).json({
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,367 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { CareRelationship, User } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const { ACCESS_LEVELS } = CareRelationship;
+
+const PARTY_ATTRIBUTES = ['id', 'name', 'email', 'role'];
+
+const includeParties = [{
+  model: User,
+  as: 'patient',
+  attributes: PARTY_ATTRIBUTES
+}, {
+  model: User,
+  as: 'clinician',
+  attributes: PARTY_ATTRIBUTES
+}];
+
+// A relationship the caller is part of, with both parties loaded
+const findOwnRelationship = (id, userId) => CareRelationship.findOne({
+  where: {
+    id,
+    [Op.or]: [
+      { patientId: userId },
+      { clinicianId: userId }
+    ]
+  },
+  include: includeParties
+});
+
+// @route   GET /api/care-relationships
+// @desc    Get the care relationships the user is part of, as patient or clinician
+// @access  Private
+router.get('/', [
+  auth,
+  authorize('careTeam:read'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'active', 'declined', 'revoked'])
+    .withMessage('Invalid status filter'),
+  query('as')
+    .optional()
+    .isIn(['patient', 'clinician'])
+    .withMessage('as must be patient or clinician')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const parties = [];
+    if (req.query.as !== 'clinician') parties.push({ patientId: req.user.id });
+    if (req.query.as !== 'patient') parties.push({ clinicianId: req.user.id });
+
+    const whereClause = { [Op.or]: parties };
+    if (req.query.status) whereClause.status = req.query.status;
+
+    const relationships = await CareRelationship.findAll({
+      where: whereClause,
+      include: includeParties,
+      order: [['updated_at', 'DESC']]
+    });
+
+    res.json({
+      relationships,
+      count: relationships.length
+    });
+  } catch (error) {
+    console.error('Get care relationships error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching care relationships'
+    });
+  }
+});
+
+// @route   POST /api/care-relationships
+// @desc    Invite a clinician to your records (clinicianEmail), or request
+//          access to a patient's records as a clinician (patientEmail)
+// @access  Private
+router.post('/', [
+  auth,
+  authorize('careTeam:write'),
+  body('clinicianEmail')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid clinician email'),
+  body('patientEmail')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid patient email'),
+  body()
+    .custom((value) => Boolean(value.clinicianEmail) !== Boolean(value.patientEmail))
+    .withMessage('Provide either clinicianEmail or patientEmail'),
+  body('accessLevel')
+    .optional()
+    .isIn(ACCESS_LEVELS)
+    .withMessage(`Access level must be one of: ${ACCESS_LEVELS.join(', ')}`),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message must not exceed 1000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { clinicianEmail, patientEmail, accessLevel, message } = req.body;
+    const initiatedBy = clinicianEmail ? 'patient' : 'clinician';
+
+    // Only clinicians may ask for access to someone else's records
+    if (initiatedBy === 'clinician' && !req.user.can('patients:read')) {
+      return res.status(403).json({
+        message: 'Access denied. Insufficient permissions.'
+      });
+    }
+
+    const other = await User.findByEmail(clinicianEmail || patientEmail);
+    if (!other || !other.isActive) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    if (other.id === req.user.id) {
+      return res.status(400).json({
+        message: 'You cannot create a care relationship with yourself'
+      });
+    }
+
+    if (initiatedBy === 'patient' && !other.can('patients:read')) {
+      return res.status(400).json({
+        message: 'This user is not a clinician'
+      });
+    }
+
+    const patientId = initiatedBy === 'patient' ? req.user.id : other.id;
+    const clinicianId = initiatedBy === 'patient' ? other.id : req.user.id;
+
+    const existing = await CareRelationship.findOne({ where: { patientId, clinicianId } });
+    if (existing && ['pending', 'active'].includes(existing.status)) {
+      return res.status(400).json({
+        message: `A care relationship with this user is already ${existing.status}`
+      });
+    }
+
+    // A declined or revoked relationship is reopened as a new invitation
+    const values = {
+      patientId,
+      clinicianId,
+      status: 'pending',
+      accessLevel: accessLevel || 'read',
+      initiatedBy,
+      message: message || null,
+      respondedAt: null,
+      revokedAt: null
+    };
+    const relationship = existing
+      ? await existing.update(values)
+      : await CareRelationship.create(values);
+
+    const createdRelationship = await CareRelationship.findByPk(relationship.id, {
+      include: includeParties
+    });
+
+    res.status(201).json({
+      message: 'Care invitation sent successfully',
+      relationship: createdRelationship
+    });
+  } catch (error) {
+    console.error('Create care relationship error:', error);
+    res.status(500).json({
+      message: 'Server error while creating care relationship'
+    });
+  }
+});
+
+// @route   PUT /api/care-relationships/:id/accept
+// @desc    Accept a pending invitation; a patient may set the access level
+// @access  Private
+router.put('/:id/accept', [
+  auth,
+  authorize('careTeam:write'),
+  body('accessLevel')
+    .optional()
+    .isIn(ACCESS_LEVELS)
+    .withMessage(`Access level must be one of: ${ACCESS_LEVELS.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const relationship = await findOwnRelationship(req.params.id, req.user.id);
+
+    if (!relationship) {
+      return res.status(404).json({
+        message: 'Care relationship not found'
+      });
+    }
+
+    if (relationship.status !== 'pending' || relationship.getResponderId() !== req.user.id) {
+      return res.status(400).json({
+        message: 'There is no pending invitation for you to accept'
+      });
+    }
+
+    // The access level is always the patient's decision
+    const isPatient = relationship.patientId === req.user.id;
+    await relationship.accept(isPatient ? req.body.accessLevel : undefined);
+
+    res.json({
+      message: 'Care invitation accepted',
+      relationship
+    });
+  } catch (error) {
+    console.error('Accept care relationship error:', error);
+    res.status(500).json({
+      message: 'Server error while accepting care invitation'
+    });
+  }
+});
+
+// @route   PUT /api/care-relationships/:id/decline
+// @desc    Decline a pending invitation
+// @access  Private
+router.put('/:id/decline', [auth, authorize('careTeam:write')], async (req, res) => {
+  try {
+    const relationship = await findOwnRelationship(req.params.id, req.user.id);
+
+    if (!relationship) {
+      return res.status(404).json({
+        message: 'Care relationship not found'
+      });
+    }
+
+    if (relationship.status !== 'pending' || relationship.getResponderId() !== req.user.id) {
+      return res.status(400).json({
+        message: 'There is no pending invitation for you to decline'
+      });
+    }
+
+    await relationship.decline();
+
+    res.json({
+      message: 'Care invitation declined',
+      relationship
+    });
+  } catch (error) {
+    console.error('Decline care relationship error:', error);
+    res.status(500).json({
+      message: 'Server error while declining care invitation'
+    });
+  }
+});
+
+// @route   PUT /api/care-relationships/:id
+// @desc    Change the access level granted to a clinician
+// @access  Private (patient of the relationship)
+router.put('/:id', [
+  auth,
+  authorize('careTeam:write'),
+  body('accessLevel')
+    .isIn(ACCESS_LEVELS)
+    .withMessage(`Access level must be one of: ${ACCESS_LEVELS.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const relationship = await findOwnRelationship(req.params.id, req.user.id);
+
+    if (!relationship) {
+      return res.status(404).json({
+        message: 'Care relationship not found'
+      });
+    }
+
+    if (relationship.patientId !== req.user.id) {
+      return res.status(403).json({
+        message: 'Only the patient can change the access level'
+      });
+    }
+
+    if (!['pending', 'active'].includes(relationship.status)) {
+      return res.status(400).json({
+        message: `Cannot change the access level of a ${relationship.status} relationship`
+      });
+    }
+
+    await relationship.update({ accessLevel: req.body.accessLevel });
+
+    res.json({
+      message: 'Access level updated successfully',
+      relationship
+    });
+  } catch (error) {
+    console.error('Update care relationship error:', error);
+    res.status(500).json({
+      message: 'Server error while updating care relationship'
+    });
+  }
+});
+
+// @route   PUT /api/care-relationships/:id/revoke
+// @desc    Revoke access (patient) or end the relationship (clinician).
+//          Applies immediately to every later request.
+// @access  Private
+router.put('/:id/revoke', [auth, authorize('careTeam:write')], async (req, res) => {
+  try {
+    const relationship = await findOwnRelationship(req.params.id, req.user.id);
+
+    if (!relationship) {
+      return res.status(404).json({
+        message: 'Care relationship not found'
+      });
+    }
+
+    if (!['pending', 'active'].includes(relationship.status)) {
+      return res.status(400).json({
+        message: `Care relationship is already ${relationship.status}`
+      });
+    }
+
+    await relationship.revoke();
+
+    res.json({
+      message: 'Access revoked successfully',
+      relationship
+    });
+  } catch (error) {
+    console.error('Revoke care relationship error:', error);
+    res.status(500).json({
+      message: 'Server error while revoking access'
+    });
+  }
+});
+
+module.exports = router;
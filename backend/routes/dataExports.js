@@ -0,0 +1,167 @@
+const express = require('express');
+const { DataExport } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const {
+  requestExport,
+  removeExport,
+  filePathOf
+} = require('../services/dataExport');
+
+const router = express.Router();
+
+const serializeExport = (dataExport) => {
+  const { fileName, ...values } = dataExport.toJSON();
+  return {
+    ...values,
+    isDownloadable: dataExport.isDownloadable()
+  };
+};
+
+const findOwnExport = (id, userId) => DataExport.findOne({
+  where: { id, userId }
+});
+
+// @route   POST /api/data-exports
+// @desc    Start an export of the user's health record
+// @access  Private
+router.post('/', [auth, authorize('profile:read')], async (req, res) => {
+  try {
+    const dataExport = await requestExport(req.user.id);
+
+    if (!dataExport) {
+      const running = await DataExport.findRunningByUser(req.user.id);
+      return res.status(409).json({
+        message: 'An export is already in progress',
+        export: running && serializeExport(running)
+      });
+    }
+
+    res.status(202).json({
+      message: 'Export started',
+      export: serializeExport(dataExport)
+    });
+  } catch (error) {
+    console.error('Start data export error:', error);
+    res.status(500).json({
+      message: 'Server error while starting export'
+    });
+  }
+});
+
+// @route   GET /api/data-exports
+// @desc    The user's recent exports
+// @access  Private
+router.get('/', [auth, authorize('profile:read')], async (req, res) => {
+  try {
+    const exports = await DataExport.findByUser(req.user.id, { limit: 10 });
+
+    res.json({
+      exports: exports.map(serializeExport)
+    });
+  } catch (error) {
+    console.error('Get data exports error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching exports'
+    });
+  }
+});
+
+// @route   GET /api/data-exports/:id
+// @desc    Status and progress of an export
+// @access  Private
+router.get('/:id', [auth, authorize('profile:read')], async (req, res) => {
+  try {
+    const dataExport = await findOwnExport(req.params.id, req.user.id);
+
+    if (!dataExport) {
+      return res.status(404).json({
+        message: 'Export not found'
+      });
+    }
+
+    res.json({
+      export: serializeExport(dataExport)
+    });
+  } catch (error) {
+    console.error('Get data export error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching export'
+    });
+  }
+});
+
+// @route   GET /api/data-exports/:id/download
+// @desc    Download a finished export as a ZIP archive
+// @access  Private
+router.get('/:id/download', [auth, authorize('profile:read')], async (req, res) => {
+  try {
+    const dataExport = await findOwnExport(req.params.id, req.user.id);
+
+    if (!dataExport) {
+      return res.status(404).json({
+        message: 'Export not found'
+      });
+    }
+
+    if (dataExport.status !== 'completed') {
+      return res.status(409).json({
+        message: 'Export is not ready yet'
+      });
+    }
+
+    if (!dataExport.isDownloadable()) {
+      return res.status(410).json({
+        message: 'Export has expired. Please start a new one.'
+      });
+    }
+
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+    res.download(filePathOf(dataExport), `health-record-${date}.zip`, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Download data export error:', error);
+        res.status(404).json({
+          message: 'Export file is no longer available'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json({
+      message: 'Server error while downloading export'
+    });
+  }
+});
+
+// @route   DELETE /api/data-exports/:id
+// @desc    Delete an export and its archive
+// @access  Private
+router.delete('/:id', [auth, authorize('profile:read')], async (req, res) => {
+  try {
+    const dataExport = await findOwnExport(req.params.id, req.user.id);
+
+    if (!dataExport) {
+      return res.status(404).json({
+        message: 'Export not found'
+      });
+    }
+
+    if (dataExport.isRunning()) {
+      return res.status(409).json({
+        message: 'An export cannot be deleted while it is running'
+      });
+    }
+
+    await removeExport(dataExport);
+
+    res.json({
+      message: 'Export deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete data export error:', error);
+    res.status(500).json({
+      message: 'Server error while deleting export'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,102 @@
 const express = require('express');
+const multer = require('multer');
 const { body, query, validationResult } = require('express-validator');
-const { DiagnosticTest, User } = require('../models');
-const { auth } = require('../middleware/auth');
+const { Alert, Attachment, DiagnosticTest, User } = require('../models');
+const { auth, authorize, patientScope } = require('../middleware/auth');
+const { analyteValidators, createTestValidators } = require('../middleware/testValidators');
+const { buildTrend } = require('../utils/trend');
+const { evaluateTest } = require('../services/alertRules');
+const { recordAccess } = require('../services/audit');
+const { removeStoredFiles } = require('../services/attachmentStorage');
+const { importBundle } = require('../services/fhirImport');
+const {
+  DATE_FORMATS,
+  SpreadsheetError,
+  inspectSpreadsheet,
+  importSpreadsheet
+} = require('../services/spreadsheetImport');
 
 const router = express.Router();
 
+// Fields an analyte may carry; the rest (date, type, lab...) comes from its panel
+const ANALYTE_FIELDS = [
+  'name',
+  'code',
+  'result',
+  'normalRange',
+  'units',
+  'numericValue',
+  'referenceLow',
+  'referenceHigh',
+  'criticalLow',
+  'criticalHigh',
+  'notes',
+  'isAbnormal'
+];
+
+// Alert fields returned alongside a test
+const ALERT_SUMMARY = ['id', 'title', 'priority', 'status', 'diagnosticTestId', 'createdAt'];
+
+// Fields a panel shares with its analytes
+const PANEL_SHARED_FIELDS = ['date', 'testType', 'status', 'doctorName', 'labName'];
+
+// Largest FHIR Bundle accepted for import
+const MAX_BUNDLE_ENTRIES = 1000;
+
+// Largest spreadsheet accepted for import, in bytes
+const MAX_SPREADSHEET_SIZE = 5 * 1024 * 1024;
+
+// Spreadsheets are read from memory; the file is never stored
+const spreadsheetUpload = (req, res, next) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SPREADSHEET_SIZE, files: 1 }
+}).single('file')(req, res, (error) => {
+  if (error) {
+    return res.status(400).json({
+      message: error.code === 'LIMIT_FILE_SIZE' ? 'File must not exceed 5 MB' : 'Invalid file upload'
+    });
+  }
+  next();
+});
+
+// Panels are returned with their analytes, and both count as read
+const withAnalytes = (tests) => tests.flatMap((test) => [test, ...(test.analytes || [])]);
+
+const pickAnalyteFields = (analyte) => ANALYTE_FIELDS.reduce((acc, field) => {
+  if (analyte[field] !== undefined) acc[field] = analyte[field];
+  return acc;
+}, {});
+
+const createAnalyte = (panel, analyte, transaction) => DiagnosticTest.create({
+  ...pickAnalyteFields(analyte),
+  isAbnormal: analyte.isAbnormal || false,
+  date: panel.date,
+  testType: panel.testType,
+  status: panel.status,
+  doctorName: panel.doctorName,
+  labName: panel.labName,
+  userId: panel.userId,
+  panelId: panel.id
+}, { transaction });
+
+// Alert rules run once the test is saved; a failure there is logged
+// rather than failing a request whose data is already stored
+const runAlertRules = async (test) => {
+  try {
+    return await evaluateTest(test);
+  } catch (error) {
+    console.error('Alert rule evaluation error:', error);
+    return [];
+  }
+};
+
 // @route   GET /api/diagnostic-tests
 // @desc    Get user's diagnostic tests with pagination and filtering
 // @access  Private
 router.get('/', [
   auth,
+  authorize('tests:read'),
+  patientScope('read'),
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -30,6 +117,10 @@ router.get('/', [
     .optional()
     .isBoolean()
     .withMessage('isAbnormal must be a boolean'),
+  query('result')
+    .optional()
+    .isString()
+    .withMessage('result must be text'),
   query('dateFrom')
     .optional()
     .isISO8601()
@@ -53,11 +144,13 @@ router.get('/', [
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
 
-    // Build where clause
-    const whereClause = { userId: req.user.id };
+    // Build where clause; analytes are listed under their panel
+    const whereClause = { userId: req.patientId, panelId: null };
     if (req.query.testType) whereClause.testType = req.query.testType;
     if (req.query.status) whereClause.status = req.query.status;
     if (req.query.isAbnormal !== undefined) whereClause.isAbnormal = req.query.isAbnormal === 'true';
+    // Exact match only: results are encrypted and matched by blind index
+    if (req.query.result) whereClause.result = req.query.result;
     
     // Date range filtering
     if (req.query.dateFrom || req.query.dateTo) {
@@ -72,16 +165,25 @@ router.get('/', [
 
     const { count, rows: tests } = await DiagnosticTest.findAndCountAll({
       where: whereClause,
-      order: [['date', 'DESC']],
+      order: [
+        ['date', 'DESC'],
+        [{ model: DiagnosticTest, as: 'analytes' }, 'id', 'ASC']
+      ],
       limit,
       offset,
+      distinct: true,
       include: [{
         model: User,
         as: 'user',
         attributes: ['id', 'name', 'email']
+      }, {
+        model: DiagnosticTest,
+        as: 'analytes'
       }]
     });
 
+    await recordAccess(withAnalytes(tests));
+
     const totalPages = Math.ceil(count / limit);
 
     res.json({
@@ -106,10 +208,11 @@ router.get('/', [
 // @route   GET /api/diagnostic-tests/recent
 // @desc    Get user's recent diagnostic tests (last 30 days)
 // @access  Private
-router.get('/recent', auth, async (req, res) => {
+router.get('/recent', [auth, authorize('tests:read'), patientScope('read')], async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 30;
-    const tests = await DiagnosticTest.findRecentByUser(req.user.id, days);
+    const tests = await DiagnosticTest.findRecentByUser(req.patientId, days);
+    await recordAccess(withAnalytes(tests));
 
     res.json({
       tests,
@@ -127,9 +230,10 @@ router.get('/recent', auth, async (req, res) => {
 // @route   GET /api/diagnostic-tests/abnormal
 // @desc    Get user's abnormal diagnostic tests
 // @access  Private
-router.get('/abnormal', auth, async (req, res) => {
+router.get('/abnormal', [auth, authorize('tests:read'), patientScope('read')], async (req, res) => {
   try {
-    const tests = await DiagnosticTest.findAbnormalByUser(req.user.id);
+    const tests = await DiagnosticTest.findAbnormalByUser(req.patientId);
+    await recordAccess(withAnalytes(tests));
 
     res.json({
       tests,
@@ -143,20 +247,114 @@ router.get('/abnormal', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/diagnostic-tests/trend
+// @desc    Get the time series of one analyte by name or code
+// @access  Private
+router.get('/trend', [
+  auth,
+  authorize('tests:read'),
+  patientScope('read'),
+  query('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+  query('code')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Code must be between 1 and 50 characters'),
+  query()
+    .custom((value, { req }) => {
+      if (!req.query.name && !req.query.code) {
+        throw new Error('Either name or code is required');
+      }
+      return true;
+    }),
+  query('dateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('dateFrom must be a valid date'),
+  query('dateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('dateTo must be a valid date')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, code, dateFrom, dateTo } = req.query;
+    const tests = await DiagnosticTest.findSeriesByUser(req.patientId, {
+      name,
+      code,
+      dateFrom,
+      dateTo
+    });
+    await recordAccess(tests);
+
+    res.json({
+      analyte: {
+        name: tests.length > 0 ? tests[tests.length - 1].name : name,
+        code: code || (tests.length > 0 ? tests[tests.length - 1].code : null)
+      },
+      ...buildTrend(tests)
+    });
+  } catch (error) {
+    console.error('Get trend error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching trend'
+    });
+  }
+});
+
 // @route   GET /api/diagnostic-tests/:id
 // @desc    Get specific diagnostic test
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', [auth, authorize('tests:read'), patientScope('read')], async (req, res) => {
   try {
     const test = await DiagnosticTest.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        userId: req.patientId
       },
+      order: [
+        [{ model: DiagnosticTest, as: 'analytes' }, 'id', 'ASC'],
+        [{ model: Attachment, as: 'attachments' }, 'id', 'ASC']
+      ],
       include: [{
         model: User,
         as: 'user',
         attributes: ['id', 'name', 'email']
+      }, {
+        model: DiagnosticTest,
+        as: 'analytes',
+        include: [{
+          model: Alert,
+          as: 'alerts',
+          attributes: ALERT_SUMMARY
+        }]
+      }, {
+        model: DiagnosticTest,
+        as: 'panel',
+        attributes: ['id', 'name', 'date']
+      }, {
+        model: Alert,
+        as: 'alerts',
+        attributes: ALERT_SUMMARY
+      }, {
+        model: User,
+        as: 'reviewer',
+        attributes: ['id', 'name']
+      }, {
+        model: Attachment,
+        as: 'attachments'
       }]
     });
 
@@ -166,6 +364,8 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
 
+    await recordAccess(withAnalytes([test]));
+
     res.json({ test });
   } catch (error) {
     console.error('Get diagnostic test error:', error);
@@ -180,58 +380,8 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private
 router.post('/', [
   auth,
-  body('name')
-    .trim()
-    .isLength({ min: 1, max: 255 })
-    .withMessage('Name must be between 1 and 255 characters'),
-  body('result')
-    .trim()
-    .notEmpty()
-    .withMessage('Result is required'),
-  body('date')
-    .isISO8601()
-    .withMessage('Date must be a valid date'),
-  body('testType')
-    .optional()
-    .isIn(['blood', 'urine', 'imaging', 'cardiac', 'neurological', 'genetic', 'general'])
-    .withMessage('Test type must be blood, urine, imaging, cardiac, neurological, genetic, or general'),
-  body('status')
-    .optional()
-    .isIn(['pending', 'completed', 'reviewed', 'cancelled'])
-    .withMessage('Status must be pending, completed, reviewed, or cancelled'),
-  body('normalRange')
-    .optional()
-    .trim()
-    .isLength({ max: 255 })
-    .withMessage('Normal range must not exceed 255 characters'),
-  body('units')
-    .optional()
-    .trim()
-    .isLength({ max: 50 })
-    .withMessage('Units must not exceed 50 characters'),
-  body('notes')
-    .optional()
-    .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Notes must not exceed 1000 characters'),
-  body('doctorName')
-    .optional()
-    .trim()
-    .isLength({ max: 255 })
-    .withMessage('Doctor name must not exceed 255 characters'),
-  body('labName')
-    .optional()
-    .trim()
-    .isLength({ max: 255 })
-    .withMessage('Lab name must not exceed 255 characters'),
-  body('isAbnormal')
-    .optional()
-    .isBoolean()
-    .withMessage('isAbnormal must be a boolean'),
-  body('attachments')
-    .optional()
-    .isArray()
-    .withMessage('Attachments must be an array')
+  authorize('tests:write'),
+  ...createTestValidators
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -245,47 +395,77 @@ router.post('/', [
 
     const {
       name,
+      code,
       result,
       date,
       testType,
       status,
       normalRange,
       units,
+      numericValue,
+      referenceLow,
+      referenceHigh,
+      criticalLow,
+      criticalHigh,
       notes,
       doctorName,
       labName,
       isAbnormal,
-      attachments
+      analytes
     } = req.body;
 
-    const test = await DiagnosticTest.create({
-      name,
-      result,
-      date,
-      testType: testType || 'general',
-      status: status || 'completed',
-      normalRange,
-      units,
-      notes,
-      doctorName,
-      labName,
-      isAbnormal: isAbnormal || false,
-      attachments: attachments || [],
-      userId: req.user.id
+    const test = await DiagnosticTest.sequelize.transaction(async (transaction) => {
+      const created = await DiagnosticTest.create({
+        name,
+        code,
+        result,
+        date,
+        testType: testType || 'general',
+        status: status || 'completed',
+        normalRange,
+        units,
+        numericValue,
+        referenceLow,
+        referenceHigh,
+        criticalLow,
+        criticalHigh,
+        notes,
+        doctorName,
+        labName,
+        isAbnormal: isAbnormal || false,
+        isPanel: Array.isArray(analytes),
+        userId: req.user.id
+      }, { transaction });
+
+      // Analytes are created one by one so each is interpreted and rolled up
+      if (Array.isArray(analytes)) {
+        for (const analyte of analytes) {
+          await createAnalyte(created, analyte, transaction);
+        }
+      }
+
+      return created;
     });
 
-    // Fetch the created test with user info
+    // Fetch the created test with user and analyte info
     const createdTest = await DiagnosticTest.findByPk(test.id, {
+      order: [[{ model: DiagnosticTest, as: 'analytes' }, 'id', 'ASC']],
       include: [{
         model: User,
         as: 'user',
         attributes: ['id', 'name', 'email']
+      }, {
+        model: DiagnosticTest,
+        as: 'analytes'
       }]
     });
 
+    const alerts = await runAlertRules(createdTest);
+
     res.status(201).json({
       message: 'Diagnostic test created successfully',
-      test: createdTest
+      test: createdTest,
+      alerts
     });
   } catch (error) {
     console.error('Create diagnostic test error:', error);
@@ -295,16 +475,141 @@ router.post('/', [
   }
 });
 
+// @route   POST /api/diagnostic-tests/import/fhir
+// @desc    Import the Observations and DiagnosticReports of a FHIR R4 Bundle
+// @access  Private
+router.post('/import/fhir', [
+  express.json({ type: 'application/fhir+json', limit: '5mb' }),
+  auth,
+  authorize('tests:write'),
+  body('resourceType')
+    .equals('Bundle')
+    .withMessage('Body must be a FHIR Bundle'),
+  body('entry')
+    .isArray({ min: 1, max: MAX_BUNDLE_ENTRIES })
+    .withMessage(`Bundle must have between 1 and ${MAX_BUNDLE_ENTRIES} entries`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { summary, results, alerts } = await importBundle(req.user.id, req.body);
+
+    res.json({
+      message: `Imported ${summary.imported} of ${results.length} resources`,
+      summary,
+      results,
+      alerts
+    });
+  } catch (error) {
+    console.error('Import FHIR bundle error:', error);
+    res.status(500).json({
+      message: 'Server error while importing FHIR bundle'
+    });
+  }
+});
+
+// @route   POST /api/diagnostic-tests/import/spreadsheet
+// @desc    Map, check or import the results in a CSV or XLSX spreadsheet
+// @access  Private
+router.post('/import/spreadsheet', [
+  auth,
+  authorize('tests:write'),
+  spreadsheetUpload,
+  body('file')
+    .custom((value, { req }) => Boolean(req.file))
+    .withMessage('A CSV or XLSX file is required'),
+  body('mapping')
+    .optional()
+    .custom((value) => {
+      const mapping = JSON.parse(value);
+      return mapping !== null && typeof mapping === 'object' && !Array.isArray(mapping);
+    })
+    .withMessage('Mapping must be a JSON object of field to column'),
+  body('dateFormat')
+    .optional()
+    .isIn(DATE_FORMATS)
+    .withMessage(`Date format must be one of: ${DATE_FORMATS.join(', ')}`),
+  body(['dryRun', 'skipInvalid'])
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun and skipInvalid must be booleans')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Without a mapping, the columns and a suggested mapping to choose from
+    if (!req.body.mapping) {
+      return res.json(await inspectSpreadsheet(req.file.buffer));
+    }
+
+    const dryRun = req.body.dryRun !== 'false';
+    const { summary, rows, alerts, imported } = await importSpreadsheet(req.user.id, req.file.buffer, {
+      mapping: JSON.parse(req.body.mapping),
+      dateFormat: req.body.dateFormat,
+      dryRun,
+      skipInvalid: req.body.skipInvalid === 'true'
+    });
+
+    if (!dryRun && !imported) {
+      return res.status(422).json({
+        message: `${summary.invalid} row(s) have errors; fix them or skip them to import the rest`,
+        summary,
+        rows
+      });
+    }
+
+    res.status(imported ? 201 : 200).json({
+      message: imported
+        ? `Imported ${summary.imported} of ${summary.total} rows`
+        : `${summary.valid} of ${summary.total} rows can be imported`,
+      dryRun,
+      summary,
+      rows,
+      alerts
+    });
+  } catch (error) {
+    if (error instanceof SpreadsheetError) {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
+    console.error('Import spreadsheet error:', error);
+    res.status(500).json({
+      message: 'Server error while importing spreadsheet'
+    });
+  }
+});
+
 // @route   PUT /api/diagnostic-tests/:id
 // @desc    Update diagnostic test
 // @access  Private
 router.put('/:id', [
   auth,
+  authorize('tests:write'),
   body('name')
     .optional()
     .trim()
     .isLength({ min: 1, max: 255 })
     .withMessage('Name must be between 1 and 255 characters'),
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Code must not exceed 50 characters'),
   body('result')
     .optional()
     .trim()
@@ -332,6 +637,26 @@ router.put('/:id', [
     .trim()
     .isLength({ max: 50 })
     .withMessage('Units must not exceed 50 characters'),
+  body('numericValue')
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Numeric value must be a number'),
+  body('referenceLow')
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Reference low must be a number'),
+  body('referenceHigh')
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Reference high must be a number'),
+  body('criticalLow')
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Critical low must be a number'),
+  body('criticalHigh')
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Critical high must be a number'),
   body('notes')
     .optional()
     .trim()
@@ -351,10 +676,15 @@ router.put('/:id', [
     .optional()
     .isBoolean()
     .withMessage('isAbnormal must be a boolean'),
-  body('attachments')
+  body('analytes')
     .optional()
     .isArray()
-    .withMessage('Attachments must be an array')
+    .withMessage('Analytes must be an array'),
+  body('analytes.*.id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Analyte id must be a positive integer'),
+  ...analyteValidators
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -381,47 +711,119 @@ router.put('/:id', [
 
     const {
       name,
+      code,
       result,
       date,
       testType,
       status,
       normalRange,
       units,
+      numericValue,
+      referenceLow,
+      referenceHigh,
+      criticalLow,
+      criticalHigh,
       notes,
       doctorName,
       labName,
       isAbnormal,
-      attachments
+      analytes
     } = req.body;
 
+    // Analytes can only be attached to panels, and updates must target
+    // analytes of this panel; new ones need a name and a result
+    let existingAnalytes = [];
+    if (analytes) {
+      if (!test.isPanel) {
+        return res.status(400).json({
+          message: 'Only panels can have analytes'
+        });
+      }
+
+      existingAnalytes = await DiagnosticTest.findAll({ where: { panelId: test.id } });
+      const existingIds = existingAnalytes.map((analyte) => analyte.id);
+
+      const invalid = analytes.find((analyte) => (analyte.id
+        ? !existingIds.includes(Number(analyte.id))
+        : !analyte.name || !analyte.result));
+      if (invalid) {
+        return res.status(400).json({
+          message: invalid.id
+            ? `Analyte ${invalid.id} does not belong to this panel`
+            : 'New analytes require a name and a result'
+        });
+      }
+    }
+
     const updateData = {};
     if (name) updateData.name = name;
+    if (code !== undefined) updateData.code = code;
     if (result) updateData.result = result;
     if (date) updateData.date = date;
     if (testType) updateData.testType = testType;
     if (status) updateData.status = status;
     if (normalRange !== undefined) updateData.normalRange = normalRange;
     if (units !== undefined) updateData.units = units;
+    if (numericValue !== undefined) updateData.numericValue = numericValue;
+    if (referenceLow !== undefined) updateData.referenceLow = referenceLow;
+    if (referenceHigh !== undefined) updateData.referenceHigh = referenceHigh;
+    if (criticalLow !== undefined) updateData.criticalLow = criticalLow;
+    if (criticalHigh !== undefined) updateData.criticalHigh = criticalHigh;
     if (notes !== undefined) updateData.notes = notes;
     if (doctorName !== undefined) updateData.doctorName = doctorName;
     if (labName !== undefined) updateData.labName = labName;
-    if (isAbnormal !== undefined) updateData.isAbnormal = isAbnormal;
-    if (attachments) updateData.attachments = attachments;
+    // A panel's abnormal status is rolled up from its analytes
+    if (isAbnormal !== undefined && !test.isPanel) updateData.isAbnormal = isAbnormal;
 
-    await test.update(updateData);
+    await DiagnosticTest.sequelize.transaction(async (transaction) => {
+      await test.update(updateData, { transaction });
 
-    // Fetch updated test with user info
+      if (test.isPanel) {
+        const sharedData = PANEL_SHARED_FIELDS.reduce((acc, field) => {
+          if (updateData[field] !== undefined) acc[field] = updateData[field];
+          return acc;
+        }, {});
+
+        if (Object.keys(sharedData).length > 0) {
+          // Model validators would see a partial record here; the values
+          // were already validated above
+          await DiagnosticTest.update(sharedData, {
+            where: { panelId: test.id },
+            validate: false,
+            transaction
+          });
+        }
+      }
+
+      for (const analyte of analytes || []) {
+        if (analyte.id) {
+          const existing = existingAnalytes.find((item) => item.id === Number(analyte.id));
+          await existing.update(pickAnalyteFields(analyte), { transaction });
+        } else {
+          await createAnalyte(test, analyte, transaction);
+        }
+      }
+    });
+
+    // Fetch updated test with user and analyte info
     const updatedTest = await DiagnosticTest.findByPk(test.id, {
+      order: [[{ model: DiagnosticTest, as: 'analytes' }, 'id', 'ASC']],
       include: [{
         model: User,
         as: 'user',
         attributes: ['id', 'name', 'email']
+      }, {
+        model: DiagnosticTest,
+        as: 'analytes'
       }]
     });
 
+    const alerts = await runAlertRules(updatedTest);
+
     res.json({
       message: 'Diagnostic test updated successfully',
-      test: updatedTest
+      test: updatedTest,
+      alerts
     });
   } catch (error) {
     console.error('Update diagnostic test error:', error);
@@ -432,14 +834,32 @@ router.put('/:id', [
 });
 
 // @route   PUT /api/diagnostic-tests/:id/review
-// @desc    Mark diagnostic test as reviewed
-// @access  Private
-router.put('/:id/review', auth, async (req, res) => {
+// @desc    Mark diagnostic test as reviewed, optionally with review notes
+// @access  Private (clinicians; own tests or patients who granted annotate access)
+router.put('/:id/review', [
+  auth,
+  authorize('tests:review'),
+  patientScope('annotate'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Review notes must not exceed 2000 characters')
+], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const test = await DiagnosticTest.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        userId: req.patientId
       }
     });
 
@@ -449,7 +869,7 @@ router.put('/:id/review', auth, async (req, res) => {
       });
     }
 
-    await test.markAsReviewed();
+    await test.markAsReviewed(req.user.id, req.body.notes);
 
     res.json({
       message: 'Diagnostic test marked as reviewed',
@@ -466,7 +886,7 @@ router.put('/:id/review', auth, async (req, res) => {
 // @route   DELETE /api/diagnostic-tests/:id
 // @desc    Delete diagnostic test
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', [auth, authorize('tests:write')], async (req, res) => {
   try {
     const test = await DiagnosticTest.findOne({
       where: {
@@ -481,7 +901,18 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
+    // Attachment rows of the test and its analytes are deleted with them;
+    // their files are removed here
+    const analyteIds = (await DiagnosticTest.findAll({
+      where: { panelId: test.id },
+      attributes: ['id']
+    })).map((analyte) => analyte.id);
+    const attachments = await Attachment.findAll({
+      where: { diagnosticTestId: [test.id, ...analyteIds] }
+    });
+
     await test.destroy();
+    await removeStoredFiles(attachments);
 
     res.json({
       message: 'Diagnostic test deleted successfully'
@@ -497,18 +928,21 @@ router.delete('/:id', auth, async (req, res) => {
 // @route   GET /api/diagnostic-tests/stats/summary
 // @desc    Get diagnostic test statistics summary
 // @access  Private
-router.get('/stats/summary', auth, async (req, res) => {
+router.get('/stats/summary', [auth, authorize('tests:read'), patientScope('read')], async (req, res) => {
   try {
+    // A panel counts once, as in the list; its analytes are not tests of their own
+    const ownTests = { userId: req.patientId, panelId: null };
+
     const [total, abnormal, pending, completed, reviewed] = await Promise.all([
-      DiagnosticTest.count({ where: { userId: req.user.id } }),
-      DiagnosticTest.count({ where: { userId: req.user.id, isAbnormal: true } }),
-      DiagnosticTest.count({ where: { userId: req.user.id, status: 'pending' } }),
-      DiagnosticTest.count({ where: { userId: req.user.id, status: 'completed' } }),
-      DiagnosticTest.count({ where: { userId: req.user.id, status: 'reviewed' } })
+      DiagnosticTest.count({ where: ownTests }),
+      DiagnosticTest.count({ where: { ...ownTests, isAbnormal: true } }),
+      DiagnosticTest.count({ where: { ...ownTests, status: 'pending' } }),
+      DiagnosticTest.count({ where: { ...ownTests, status: 'completed' } }),
+      DiagnosticTest.count({ where: { ...ownTests, status: 'reviewed' } })
     ]);
 
     const typeStats = await DiagnosticTest.findAll({
-      where: { userId: req.user.id },
+      where: ownTests,
       attributes: [
         'testType',
         [DiagnosticTest.sequelize.fn('COUNT', DiagnosticTest.sequelize.col('id')), 'count']
@@ -523,7 +957,7 @@ router.get('/stats/summary', auth, async (req, res) => {
     
     const recentCount = await DiagnosticTest.count({
       where: {
-        userId: req.user.id,
+        ...ownTests,
         date: {
           [DiagnosticTest.sequelize.Sequelize.Op.gte]: thirtyDaysAgo
         }
@@ -0,0 +1,324 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { DiagnosticTest, User, CareRelationship } = require('../models');
+const { auth, authorize, patientScope } = require('../middleware/auth');
+const { recordAccess } = require('../services/audit');
+const {
+  FHIR_VERSION,
+  toPatient,
+  toObservation,
+  toDiagnosticReport,
+  toSearchBundle,
+  toOperationOutcome,
+  parseDateSearch,
+  parseCodeSearch,
+  parsePatientReference
+} = require('../utils/fhir');
+
+const router = express.Router();
+
+const DEFAULT_COUNT = 20;
+
+// Every response is FHIR JSON, errors included
+router.use((req, res, next) => {
+  res.type('application/fhir+json');
+  const json = res.json.bind(res);
+  res.json = (body) => json(res.statusCode >= 400 && body && !body.resourceType
+    ? toOperationOutcome(res.statusCode, body)
+    : body);
+  next();
+});
+
+const baseUrlOf = (req) => (
+  process.env.FHIR_BASE_URL || `${req.protocol}://${req.get('host')}${req.baseUrl}`
+).replace(/\/$/, '');
+
+// FHIR names the patient `patient` or `subject`; patientScope reads `patientId`
+const patientParam = (req, res, next) => {
+  const reference = req.query.patient || req.query.subject;
+  if (reference !== undefined) {
+    req.query.patientId = parsePatientReference(reference) || String(reference);
+  }
+  next();
+};
+
+// The caller's own records, or a patient who granted them read access
+const canRead = async (user, patientId) => {
+  if (patientId === user.id) return true;
+  if (!user.can('patients:read')) return false;
+
+  const relationship = await CareRelationship.findActive(patientId, user.id);
+  return Boolean(relationship && relationship.allows('read'));
+};
+
+const searchValidators = [
+  query('date')
+    .optional()
+    .custom((value) => {
+      [].concat(value).forEach(parseDateSearch);
+      return true;
+    }),
+  query('_count')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('_count must be between 1 and 100'),
+  query('_offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('_offset must be a non-negative integer')
+];
+
+// Conditions shared by the Observation and DiagnosticReport searches
+const buildSearchWhere = (req, isPanel) => {
+  const where = { userId: req.patientId, isPanel };
+
+  if (req.query.date) {
+    where.date = { [Op.and]: [].concat(req.query.date).map(parseDateSearch) };
+  }
+  if (req.query.code) {
+    where.code = { [Op.in]: [].concat(req.query.code).flatMap(parseCodeSearch) };
+  }
+
+  return where;
+};
+
+// Self, next and previous links for one page of a search
+const pageLinks = (req, { count, offset, total }) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  const linkTo = (pageOffset) => {
+    url.searchParams.set('_count', count);
+    url.searchParams.set('_offset', pageOffset);
+    return `${baseUrlOf(req)}${req.path}?${url.searchParams}`;
+  };
+
+  return {
+    self: linkTo(offset),
+    next: offset + count < total ? linkTo(offset + count) : null,
+    previous: offset > 0 ? linkTo(Math.max(0, offset - count)) : null
+  };
+};
+
+// One page of tests or panels matching the search, as a searchset Bundle
+const searchBundle = async (req, { isPanel, toResource, ...options }) => {
+  const count = parseInt(req.query._count) || DEFAULT_COUNT;
+  const offset = parseInt(req.query._offset) || 0;
+
+  const { count: total, rows } = await DiagnosticTest.findAndCountAll({
+    where: buildSearchWhere(req, isPanel),
+    order: [['date', 'DESC'], ['id', 'ASC']],
+    limit: count,
+    offset,
+    distinct: true,
+    ...options
+  });
+
+  await recordAccess(rows);
+
+  return toSearchBundle({
+    baseUrl: baseUrlOf(req),
+    resources: rows.map((row) => toResource(row)),
+    total,
+    links: pageLinks(req, { count, offset, total })
+  });
+};
+
+// @route   GET /api/fhir/metadata
+// @desc    CapabilityStatement describing the supported resources
+// @access  Public
+router.get('/metadata', (req, res) => {
+  const searchParams = [
+    { name: 'patient', type: 'reference' },
+    { name: 'date', type: 'date' },
+    { name: 'code', type: 'token' }
+  ];
+
+  res.json({
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: '2024-05-01',
+    kind: 'instance',
+    fhirVersion: FHIR_VERSION,
+    format: ['application/fhir+json'],
+    implementation: {
+      description: 'AI Health read-only FHIR API',
+      url: baseUrlOf(req)
+    },
+    rest: [{
+      mode: 'server',
+      resource: [
+        { type: 'Patient', interaction: [{ code: 'read' }] },
+        {
+          type: 'Observation',
+          interaction: [{ code: 'read' }, { code: 'search-type' }],
+          searchParam: searchParams
+        },
+        {
+          type: 'DiagnosticReport',
+          interaction: [{ code: 'read' }, { code: 'search-type' }],
+          searchParam: searchParams
+        }
+      ]
+    }]
+  });
+});
+
+// @route   GET /api/fhir/Patient/:id
+// @desc    The user as a FHIR Patient
+// @access  Private
+router.get('/Patient/:id', [auth, authorize('tests:read')], async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user || !(await canRead(req.user, user.id))) {
+      return res.status(404).json({
+        message: 'Patient not found'
+      });
+    }
+
+    await recordAccess(user);
+
+    res.json(toPatient(user));
+  } catch (error) {
+    console.error('Get FHIR patient error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching patient'
+    });
+  }
+});
+
+// @route   GET /api/fhir/Observation
+// @desc    Search tests and analytes by patient, date and code
+// @access  Private
+router.get('/Observation', [
+  auth,
+  authorize('tests:read'),
+  patientParam,
+  patientScope('read'),
+  ...searchValidators
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    res.json(await searchBundle(req, { isPanel: false, toResource: toObservation }));
+  } catch (error) {
+    console.error('Search FHIR observations error:', error);
+    res.status(500).json({
+      message: 'Server error while searching observations'
+    });
+  }
+});
+
+// @route   GET /api/fhir/Observation/:id
+// @desc    A test or analyte as a FHIR Observation
+// @access  Private
+router.get('/Observation/:id', [auth, authorize('tests:read')], async (req, res) => {
+  try {
+    const test = await DiagnosticTest.findOne({
+      where: { id: req.params.id, isPanel: false }
+    });
+
+    if (!test || !(await canRead(req.user, test.userId))) {
+      return res.status(404).json({
+        message: 'Observation not found'
+      });
+    }
+
+    await recordAccess(test);
+
+    res.json(toObservation(test));
+  } catch (error) {
+    console.error('Get FHIR observation error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching observation'
+    });
+  }
+});
+
+const withAnalyteIds = {
+  order: [
+    ['date', 'DESC'],
+    ['id', 'ASC'],
+    [{ model: DiagnosticTest, as: 'analytes' }, 'id', 'ASC']
+  ],
+  include: [{
+    model: DiagnosticTest,
+    as: 'analytes',
+    attributes: ['id']
+  }]
+};
+
+// @route   GET /api/fhir/DiagnosticReport
+// @desc    Search panels by patient, date and code
+// @access  Private
+router.get('/DiagnosticReport', [
+  auth,
+  authorize('tests:read'),
+  patientParam,
+  patientScope('read'),
+  ...searchValidators
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    res.json(await searchBundle(req, {
+      isPanel: true,
+      toResource: toDiagnosticReport,
+      ...withAnalyteIds
+    }));
+  } catch (error) {
+    console.error('Search FHIR diagnostic reports error:', error);
+    res.status(500).json({
+      message: 'Server error while searching diagnostic reports'
+    });
+  }
+});
+
+// @route   GET /api/fhir/DiagnosticReport/:id
+// @desc    A panel as a FHIR DiagnosticReport
+// @access  Private
+router.get('/DiagnosticReport/:id', [auth, authorize('tests:read')], async (req, res) => {
+  try {
+    const panel = await DiagnosticTest.findOne({
+      where: { id: req.params.id, isPanel: true },
+      ...withAnalyteIds
+    });
+
+    if (!panel || !(await canRead(req.user, panel.userId))) {
+      return res.status(404).json({
+        message: 'Diagnostic report not found'
+      });
+    }
+
+    await recordAccess(panel);
+
+    res.json(toDiagnosticReport(panel));
+  } catch (error) {
+    console.error('Get FHIR diagnostic report error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching diagnostic report'
+    });
+  }
+});
+
+router.use((req, res) => {
+  res.status(404).json({
+    message: 'Resource type or interaction not supported'
+  });
+});
+
+module.exports = router;
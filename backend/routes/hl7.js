@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Hl7Message, User } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const {
+  MessageNotPendingError,
+  receiveMessage,
+  assignMessage,
+  dismissMessage
+} = require('../services/hl7Ingest');
+const { parseMessage, patientOf } = require('../utils/hl7');
+
+const router = express.Router();
+
+const STATUSES = ['processed', 'unmatched', 'failed', 'dismissed'];
+
+// HTTP status for each acknowledgement code
+const ACK_STATUS = {
+  AA: 200,
+  AE: 422,
+  AR: 400
+};
+
+// Labs authenticate with the shared key in HL7_API_KEY
+const labAuth = (req, res, next) => {
+  const expected = process.env.HL7_API_KEY;
+  if (!expected) {
+    return res.status(503).json({
+      message: 'HL7 ingestion is not configured'
+    });
+  }
+
+  // Hashing first gives equal lengths for the constant-time comparison
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(req.header('X-API-Key') || ''), digest(expected))) {
+    return res.status(401).json({
+      message: 'Access denied. Invalid API key.'
+    });
+  }
+  next();
+};
+
+// The patient as the lab identified them, for the review queue
+const patientSummary = (raw) => {
+  try {
+    return patientOf(parseMessage(raw));
+  } catch (error) {
+    return null;
+  }
+};
+
+const serializeMessage = (record, { withRaw = false } = {}) => {
+  const { raw, ...values } = record.toJSON();
+  return {
+    ...values,
+    patient: patientSummary(raw),
+    ...(withRaw && { raw })
+  };
+};
+
+// @route   POST /api/hl7/messages
+// @desc    Receive an HL7 v2 ORU^R01 message; answers with an ER7 ACK
+// @access  Lab (X-API-Key)
+router.post('/messages', [
+  // Before the body is read, so only labs can make the server buffer one
+  labAuth,
+  express.text({
+    type: ['application/hl7-v2', 'application/hl7-v2+er7', 'x-application/hl7-v2+er7', 'text/plain'],
+    limit: '1mb'
+  })
+], async (req, res) => {
+  try {
+    const { code, ack } = await receiveMessage(typeof req.body === 'string' ? req.body : '', {
+      transport: 'http'
+    });
+
+    res.status(ACK_STATUS[code]).type('application/hl7-v2').send(ack);
+  } catch (error) {
+    console.error('Receive HL7 message error:', error);
+    res.status(500).json({
+      message: 'Server error while receiving HL7 message'
+    });
+  }
+});
+
+// @route   GET /api/hl7/messages
+// @desc    Received messages, by default the ones waiting for review
+// @access  Admin
+router.get('/messages', [
+  auth,
+  authorize('labMessages:review'),
+  query('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { count, rows: messages } = await Hl7Message.findAndCountAll({
+      where: { status: req.query.status || 'unmatched' },
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      hl7Messages: messages.map((record) => serializeMessage(record)),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: count,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('List HL7 messages error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching HL7 messages'
+    });
+  }
+});
+
+// @route   GET /api/hl7/messages/:id
+// @desc    A received message, including its raw text
+// @access  Admin
+router.get('/messages/:id', [auth, authorize('labMessages:review')], async (req, res) => {
+  try {
+    const record = await Hl7Message.findByPk(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({
+        message: 'HL7 message not found'
+      });
+    }
+
+    res.json({
+      hl7Message: serializeMessage(record, { withRaw: true })
+    });
+  } catch (error) {
+    console.error('Get HL7 message error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching HL7 message'
+    });
+  }
+});
+
+// @route   POST /api/hl7/messages/:id/assign
+// @desc    Import an unmatched message into a user's record
+// @access  Admin
+router.post('/messages/:id/assign', [
+  auth,
+  authorize('labMessages:review'),
+  body('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const record = await Hl7Message.findByPk(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({
+        message: 'HL7 message not found'
+      });
+    }
+
+    if (!record.isPendingReview()) {
+      return res.status(409).json({
+        message: 'Only unmatched messages can be assigned'
+      });
+    }
+
+    const user = await User.findByPk(req.body.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    const { tests, alerts } = await assignMessage(record, user, req.user);
+
+    res.json({
+      message: `Imported ${tests.length} panel(s) into the user's record`,
+      hl7Message: serializeMessage(record),
+      alerts
+    });
+  } catch (error) {
+    if (error instanceof MessageNotPendingError) {
+      return res.status(409).json({
+        message: 'Only unmatched messages can be assigned'
+      });
+    }
+    console.error('Assign HL7 message error:', error);
+    res.status(500).json({
+      message: 'Server error while assigning HL7 message'
+    });
+  }
+});
+
+// @route   POST /api/hl7/messages/:id/dismiss
+// @desc    Drop an unmatched message from the review queue
+// @access  Admin
+router.post('/messages/:id/dismiss', [auth, authorize('labMessages:review')], async (req, res) => {
+  try {
+    const record = await Hl7Message.findByPk(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({
+        message: 'HL7 message not found'
+      });
+    }
+
+    if (!record.isPendingReview()) {
+      return res.status(409).json({
+        message: 'Only unmatched messages can be dismissed'
+      });
+    }
+
+    await dismissMessage(record, req.user);
+
+    res.json({
+      message: 'HL7 message dismissed',
+      hl7Message: serializeMessage(record)
+    });
+  } catch (error) {
+    if (error instanceof MessageNotPendingError) {
+      return res.status(409).json({
+        message: 'Only unmatched messages can be dismissed'
+      });
+    }
+    console.error('Dismiss HL7 message error:', error);
+    res.status(500).json({
+      message: 'Server error while dismissing HL7 message'
+    });
+  }
+});
+
+module.exports = router;
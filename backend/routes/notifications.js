@@ -0,0 +1,87 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { Alert, NotificationDelivery } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/notifications/deliveries
+// @desc    Log of the user's alert notifications, newest first
+// @access  Private
+router.get('/deliveries', [
+  auth,
+  authorize('alerts:read'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'sending', 'sent', 'failed'])
+    .withMessage('Invalid status filter'),
+  query('channel')
+    .optional()
+    .isIn(NotificationDelivery.CHANNELS)
+    .withMessage('Invalid channel filter'),
+  query('alertId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Alert ID must be a positive integer')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const whereClause = { userId: req.user.id };
+    if (req.query.status) whereClause.status = req.query.status;
+    if (req.query.channel) whereClause.channel = req.query.channel;
+    if (req.query.alertId) whereClause.alertId = req.query.alertId;
+
+    const { count, rows: deliveries } = await NotificationDelivery.findAndCountAll({
+      where: whereClause,
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset,
+      include: [{
+        model: Alert,
+        as: 'alert',
+        attributes: ['id', 'title', 'priority', 'status']
+      }]
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      deliveries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: count,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get notification deliveries error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching notification deliveries'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { auth, authorize, patientScope } = require('../middleware/auth');
+const { recordAccess } = require('../services/audit');
+const { collectReport, renderReport } = require('../services/healthReport');
+
+const router = express.Router();
+
+// @route   GET /api/reports/health-summary
+// @desc    Printable PDF summary of a date range, for appointments
+// @access  Private
+router.get('/health-summary', [
+  auth,
+  authorize('tests:read', 'alerts:read'),
+  patientScope('read'),
+  query('dateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('dateFrom must be a valid date'),
+  query('dateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('dateTo must be a valid date'),
+  query('dateTo')
+    .optional()
+    .custom((value, { req }) => {
+      if (req.query.dateFrom && new Date(req.query.dateFrom) > new Date(value)) {
+        throw new Error('dateTo must not be before dateFrom');
+      }
+      return true;
+    })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await collectReport(req.patientId, {
+      dateFrom: req.query.dateFrom,
+      dateTo: req.query.dateTo
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    const pdf = await renderReport(report);
+    await recordAccess(report.records);
+
+    res.attachment(`health-summary-${report.dateFrom}-to-${report.dateTo}.pdf`);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Health summary report error:', error);
+    res.status(500).json({
+      message: 'Server error while generating report'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,23 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { User } = require('../models');
-const { auth } = require('../middleware/auth');
+const QRCode = require('qrcode');
+const { body, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { sequelize, User, AuditLog } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { issueTokens, revokeAllSessions } = require('../services/tokens');
+const { recordAccess } = require('../services/audit');
+const { scheduleDeletion } = require('../services/accountDeletion');
+const { ROLES } = require('../config/permissions');
+const totp = require('../utils/totp');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'AI Health';
 
 const router = express.Router();
 
 // @route   GET /api/users/profile
 // @desc    Get user profile
 // @access  Private
-router.get('/profile', auth, async (req, res) => {
+router.get('/profile', [auth, authorize('profile:read')], async (req, res) => {
   try {
     const user = await User.findByPk(req.user.id, {
       attributes: { exclude: ['password'] }
@@ -20,13 +29,18 @@ router.get('/profile', auth, async (req, res) => {
       });
     }
 
+    await recordAccess(user);
+
     res.json({
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
+        role: user.role,
+        permissions: user.getPermissions(),
         preferences: user.preferences,
         isActive: user.isActive,
+        twoFactorEnabled: user.twoFactorEnabled,
         lastLogin: user.lastLogin,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
@@ -45,6 +59,7 @@ router.get('/profile', auth, async (req, res) => {
 // @access  Private
 router.put('/profile', [
   auth,
+  authorize('profile:write'),
   body('name')
     .optional()
     .trim()
@@ -96,6 +111,7 @@ router.put('/profile', [
         id: req.user.id,
         name: req.user.name,
         email: req.user.email,
+        role: req.user.role,
         preferences: req.user.preferences,
         updatedAt: req.user.updatedAt
       }
@@ -113,6 +129,7 @@ router.put('/profile', [
 // @access  Private
 router.put('/preferences', [
   auth,
+  authorize('profile:write'),
   body('notificationThreshold')
     .optional()
     .isIn(['low', 'medium', 'high'])
@@ -173,6 +190,7 @@ router.put('/preferences', [
 // @access  Private
 router.put('/password', [
   auth,
+  authorize('profile:write'),
   body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
@@ -207,11 +225,24 @@ router.put('/password', [
       });
     }
 
-    // Update password
-    await req.user.update({ password: newPassword });
+    // Sessions opened with the old password end with it, including this
+    // one, which continues with the new tokens returned below
+    await sequelize.transaction(async (transaction) => {
+      req.user.password = newPassword;
+      await req.user.save({ transaction });
+      await revokeAllSessions(req.user, 'password_change', transaction);
+    });
+    await req.user.reload();
+
+    const { token, refreshToken } = await issueTokens(req.user, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
     res.json({
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -221,20 +252,254 @@ router.put('/password', [
   }
 });
 
+// Current authenticator or backup code, required to change 2FA settings
+const twoFactorCode = body('code')
+  .trim()
+  .notEmpty()
+  .withMessage('Authentication code is required');
+
+// @route   GET /api/users/2fa
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get('/2fa', [auth, authorize('profile:read')], async (req, res) => {
+  try {
+    res.json({
+      enabled: req.user.twoFactorEnabled,
+      backupCodesRemaining: req.user.twoFactorEnabled ? req.user.getBackupCodesRemaining() : 0
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching two-factor status'
+    });
+  }
+});
+
+// @route   POST /api/users/2fa/setup
+// @desc    Start enrollment: create a TOTP secret and its provisioning URI.
+//          Nothing changes at login until the secret is verified.
+// @access  Private
+router.post('/2fa/setup', [auth, authorize('profile:write')], async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    const otpauthUrl = totp.buildProvisioningUri({
+      secret,
+      accountName: req.user.email,
+      issuer: TOTP_ISSUER
+    });
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    await req.user.update({
+      twoFactorSecret: secret,
+      twoFactorBackupCodes: null,
+      twoFactorLastStep: null
+    });
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then verify a code',
+      secret,
+      otpauthUrl,
+      qrCode
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      message: 'Server error while setting up two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/users/2fa/verify
+// @desc    Finish enrollment with a code from the app; returns backup codes
+// @access  Private
+router.post('/2fa/verify', [auth, authorize('profile:write'), twoFactorCode], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!req.user.twoFactorSecret) {
+      return res.status(400).json({
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.verifyCode(req.user.twoFactorSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const backupCodes = req.user.generateBackupCodes();
+    req.user.twoFactorEnabled = true;
+    req.user.twoFactorLastStep = step;
+    await req.user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      backupCodes
+    });
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      message: 'Server error while verifying two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/users/2fa/backup-codes
+// @desc    Replace the backup codes
+// @access  Private
+router.post('/2fa/backup-codes', [auth, authorize('profile:write'), twoFactorCode], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!await req.user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const backupCodes = req.user.generateBackupCodes();
+    await req.user.save();
+
+    res.json({
+      message: 'Backup codes regenerated',
+      backupCodes
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      message: 'Server error while regenerating backup codes'
+    });
+  }
+});
+
+// @route   POST /api/users/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/2fa/disable', [
+  auth,
+  authorize('profile:write'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  twoFactorCode
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!await req.user.comparePassword(req.body.password)) {
+      return res.status(400).json({
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!await req.user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await req.user.update({
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorBackupCodes: null,
+      twoFactorLastStep: null
+    });
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
 // @route   DELETE /api/users/account
-// @desc    Deactivate user account
+// @desc    Schedule deletion of the account and all its data; logging in
+//          during the grace period cancels it
 // @access  Private
-router.delete('/account', auth, async (req, res) => {
+router.delete('/account', [
+  auth,
+  authorize('profile:write'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+], async (req, res) => {
   try {
-    await req.user.update({ isActive: false });
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!await req.user.comparePassword(req.body.password)) {
+      return res.status(400).json({
+        message: 'Password is incorrect'
+      });
+    }
+
+    const deletionScheduledFor = await scheduleDeletion(req.user);
 
     res.json({
-      message: 'Account deactivated successfully'
+      message: 'Account scheduled for deletion. Log in before then to cancel.',
+      deletionScheduledFor
     });
   } catch (error) {
-    console.error('Deactivate account error:', error);
+    console.error('Delete account error:', error);
     res.status(500).json({
-      message: 'Server error while deactivating account'
+      message: 'Server error while deleting account'
     });
   }
 });
@@ -242,7 +507,7 @@ router.delete('/account', auth, async (req, res) => {
 // @route   GET /api/users/stats
 // @desc    Get user statistics
 // @access  Private
-router.get('/stats', auth, async (req, res) => {
+router.get('/stats', [auth, authorize('profile:read')], async (req, res) => {
   try {
     const { Alert, DiagnosticTest } = require('../models');
     
@@ -269,4 +534,205 @@ router.get('/stats', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/access-history
+// @desc    Who read or changed the user's account and health records
+// @access  Private
+router.get('/access-history', [
+  auth,
+  authorize('profile:read'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('action')
+    .optional()
+    .isIn(AuditLog.rawAttributes.action.values)
+    .withMessage('Invalid action'),
+  query('resourceType')
+    .optional()
+    .isIn(AuditLog.rawAttributes.resourceType.values)
+    .withMessage('Invalid resource type'),
+  query('excludeSelf')
+    .optional()
+    .isBoolean()
+    .withMessage('excludeSelf must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const whereClause = { ownerId: req.user.id };
+    if (req.query.action) whereClause.action = req.query.action;
+    if (req.query.resourceType) whereClause.resourceType = req.query.resourceType;
+    if (req.query.excludeSelf === 'true') {
+      // Changes made by the system have no actor and are kept
+      whereClause[Op.or] = [
+        { actorId: { [Op.ne]: req.user.id } },
+        { actorId: null }
+      ];
+    }
+
+    const { count, rows: entries } = await AuditLog.findAndCountAll({
+      where: whereClause,
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset,
+      include: [{
+        model: User,
+        as: 'actor',
+        attributes: ['id', 'name', 'role']
+      }]
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: count,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get access history error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching access history'
+    });
+  }
+});
+
+// @route   GET /api/users
+// @desc    List users
+// @access  Admin
+router.get('/', [
+  auth,
+  authorize('users:read'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const whereClause = {};
+    if (req.query.role) whereClause.role = req.query.role;
+
+    const { count, rows: users } = await User.findAndCountAll({
+      where: whereClause,
+      attributes: { exclude: ['password'] },
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    await recordAccess(users);
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      users,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: count,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching users'
+    });
+  }
+});
+
+// @route   PUT /api/users/:id/role
+// @desc    Change a user's role
+// @access  Admin
+router.put('/:id/role', [
+  auth,
+  authorize('users:manage'),
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Keeps at least the acting admin able to manage roles
+    if (Number(req.params.id) === req.user.id) {
+      return res.status(400).json({
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    await user.update({ role: req.body.role });
+
+    res.json({
+      message: 'User role updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      message: 'Server error while updating user role'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,38 @@
+// Re-encrypts the encrypted columns under FIELD_ENCRYPTION_ACTIVE_KEY.
+//
+// To rotate: add the new key to FIELD_ENCRYPTION_KEYS, make it the active
+// key, restart the server so new values use it, then run
+// `npm run encryption:rotate`. Retire the old key from FIELD_ENCRYPTION_KEYS
+// once this finishes. Also encrypts values written before encryption was
+// enabled, and recomputes blind indexes after FIELD_BLIND_INDEX_KEY changes.
+
+const models = require('../models');
+const { sequelize } = require('../config/database');
+const { getKeyProvider, rotateKeys } = require('../services/fieldEncryption');
+const { getPendingMigrations } = require('../services/migrations');
+
+const run = async () => {
+  try {
+    await sequelize.authenticate();
+
+    const pending = await getPendingMigrations();
+    if (pending.length > 0) {
+      throw new Error(`${pending.length} pending migration(s); run \`npm run db:migrate\` first`);
+    }
+
+    console.log(`Rotating to field encryption key "${getKeyProvider().activeKeyId}"...`);
+    const report = await rotateKeys(Object.values(models).filter((value) => value.rawAttributes));
+    Object.entries(report).forEach(([name, { scanned, updated }]) => {
+      console.log(`  ${name}: ${updated} of ${scanned} row(s) rewritten`);
+    });
+
+    await sequelize.close();
+    console.log('Key rotation complete.');
+    process.exit(0);
+  } catch (error) {
+    console.error('Key rotation failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
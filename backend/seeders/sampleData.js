@@ -35,12 +35,25 @@ const seedSampleData = async () => {
         name: 'Dr. Michael Johnson',
         email: 'dr.johnson@example.com',
         password: hashedPassword,
+        role: 'clinician',
         preferences: {
           notificationThreshold: 'low',
           emailNotifications: true,
           theme: 'light',
           language: 'en'
         }
+      },
+      {
+        name: 'Admin User',
+        email: 'admin@example.com',
+        password: hashedPassword,
+        role: 'admin',
+        preferences: {
+          notificationThreshold: 'high',
+          emailNotifications: false,
+          theme: 'light',
+          language: 'en'
+        }
       }
     ], { returning: true });
 
@@ -206,7 +219,8 @@ const seedSampleData = async () => {
     console.log('\nSample login credentials:');
     console.log('Email: john.doe@example.com | Password: password123');
     console.log('Email: jane.smith@example.com | Password: password123');
-    console.log('Email: dr.johnson@example.com | Password: password123');
+    console.log('Email: dr.johnson@example.com | Password: password123 (clinician)');
+    console.log('Email: admin@example.com | Password: password123 (admin)');
 
   } catch (error) {
     console.error('Error seeding database:', error);
@@ -217,15 +231,18 @@ const seedSampleData = async () => {
 // Run seeder if called directly
 if (require.main === module) {
   const { sequelize } = require('../config/database');
+  const { getPendingMigrations } = require('../services/migrations');
   
   const runSeeder = async () => {
     try {
       await sequelize.authenticate();
       console.log('Database connection established.');
       
-      // Sync database
-      await sequelize.sync({ force: false });
-      console.log('Database synchronized.');
+      // Tables come from migrations
+      const pending = await getPendingMigrations();
+      if (pending.length > 0) {
+        throw new Error(`${pending.length} pending migration(s); run \`npm run db:migrate\` first`);
+      }
       
       await seedSampleData();
       
@@ -3,6 +3,14 @@ const cors = require('cors');
 const helmet = require('helmet');
 const dotenv = require('dotenv');
 const { sequelize } = require('./config/database');
+const { AlertRule, RefreshToken, DataExport, NotificationDelivery } = require('./models');
+const { requestContext } = require('./middleware/requestContext');
+const { getPendingMigrations } = require('./services/migrations');
+const { getKeyProvider } = require('./services/fieldEncryption');
+const { removeExpiredExports } = require('./services/dataExport');
+const { purgeDueAccounts } = require('./services/accountDeletion');
+const { createMllpServer } = require('./services/mllpServer');
+const { processDueDeliveries } = require('./services/notifications');
 
 // Load environment variables
 dotenv.config();
@@ -11,6 +19,7 @@ const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
+app.use(requestContext);
 app.use(helmet());
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
@@ -45,7 +54,15 @@ app.get('/api/health', async (req, res) => {
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/alerts', require('./routes/alerts'));
+app.use('/api/diagnostic-tests/:testId/attachments', require('./routes/attachments'));
 app.use('/api/diagnostic-tests', require('./routes/diagnosticTests'));
+app.use('/api/alert-rules', require('./routes/alertRules'));
+app.use('/api/care-relationships', require('./routes/careRelationships'));
+app.use('/api/data-exports', require('./routes/dataExports'));
+app.use('/api/fhir', require('./routes/fhir'));
+app.use('/api/hl7', require('./routes/hl7'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/api/notifications', require('./routes/notifications'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -64,13 +81,57 @@ app.use('*', (req, res) => {
 // Start server
 const startServer = async () => {
   try {
+    // Fail fast on missing or malformed field encryption keys
+    const keyProvider = getKeyProvider();
+    console.log(`Field encryption key "${keyProvider.activeKeyId}" (${keyProvider.name} provider).`);
+
     // Test database connection
     await sequelize.authenticate();
     console.log('Database connection established successfully.');
     
-    // Sync database models
-    await sequelize.sync({ alter: true });
-    console.log('Database models synchronized.');
+    // The schema is owned by migrations; never run against a stale one
+    const pending = await getPendingMigrations();
+    if (pending.length > 0) {
+      console.error(`Database has ${pending.length} pending migration(s):`);
+      pending.forEach((name) => console.error(`  - ${name}`));
+      console.error('Run `npm run db:migrate` and start the server again.');
+      process.exit(1);
+    }
+    console.log('Database schema is up to date.');
+
+    // Seed the built-in alert rules
+    await AlertRule.ensureDefaults();
+
+    // Expired refresh tokens are useless, even for reuse detection
+    await RefreshToken.removeExpired();
+
+    // Export jobs do not survive a restart, and old archives are not kept
+    await DataExport.failInterrupted();
+    await removeExpiredExports();
+
+    // Erase accounts whose deletion grace period is over, now and hourly
+    const purgeAccounts = () => purgeDueAccounts()
+      .catch((error) => console.error('Account purge error:', error));
+    await purgeAccounts();
+    setInterval(purgeAccounts, 60 * 60 * 1000).unref();
+
+    // Retry notification deliveries that failed or were cut off by a restart
+    await NotificationDelivery.requeueInterrupted();
+    setInterval(() => processDueDeliveries()
+      .catch((error) => console.error('Notification retry error:', error)), 60 * 1000).unref();
+
+    // Labs that push HL7 v2 over MLLP instead of HTTP. MLLP is not
+    // authenticated, so it only listens on loopback unless HL7_MLLP_HOST
+    // opens it to the labs' network.
+    if (process.env.HL7_MLLP_PORT) {
+      const mllpPort = parseInt(process.env.HL7_MLLP_PORT, 10);
+      const mllpHost = process.env.HL7_MLLP_HOST || '127.0.0.1';
+      createMllpServer()
+        .on('error', (error) => console.error('HL7 MLLP listener error:', error))
+        .listen(mllpPort, mllpHost, () => {
+          console.log(`HL7 MLLP listener on ${mllpHost}:${mllpPort}`);
+        });
+    }
     
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
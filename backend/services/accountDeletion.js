@@ -0,0 +1,182 @@
+// Erasure of user accounts.
+//
+// A deletion request deactivates the account, ends its sessions and
+// schedules the purge ACCOUNT_DELETION_GRACE_DAYS later. Logging in before
+// then cancels it. The purge deletes the user with their tests and attached
+// files, alerts, rules, care relationships, tokens, security events, lab
+// messages and export archives.
+// Rows are deleted without hooks, so no audit diff repeats the erased data.
+// The audit trail itself is kept, anonymized: entries about the user's
+// records lose their diffs and IPs, and entries the user made lose their
+// actor and IPs. Entries about the account itself, and the one recording
+// its erasure, refer to it by a random negative reference instead of its id.
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  User,
+  Alert,
+  DiagnosticTest,
+  AlertRule,
+  CareRelationship,
+  RefreshToken,
+  PasswordResetToken,
+  LoginThrottle,
+  SecurityEvent,
+  AuditLog,
+  DataExport,
+  Hl7Message,
+  Attachment,
+  NotificationDelivery
+} = require('../models');
+const { revokeAllSessions } = require('./tokens');
+const { removeExportFile } = require('./dataExport');
+const { removeStoredFiles } = require('./attachmentStorage');
+const { sendMail } = require('./mailer');
+
+const parseGraceDays = (value) => {
+  const days = parseInt(value, 10);
+  return Number.isNaN(days) || days < 0 ? 30 : days;
+};
+
+const GRACE_DAYS = parseGraceDays(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+
+const formatDate = (date) => date.toISOString().replace('T', ' ').slice(0, 16);
+
+const notifyDeletionScheduled = async (user) => {
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Your AI Health account will be deleted',
+      text: `Hi ${user.name},\n\n`
+        + `Your account and all of its health records will be permanently deleted on ${formatDate(user.deletionScheduledFor)} UTC. `
+        + 'To keep your account, simply log in before then.\n\n'
+        + 'If you did not ask for this, log in now and change your password.'
+    });
+  } catch (error) {
+    // The deletion is scheduled either way
+    console.error('Account deletion email error:', error);
+  }
+};
+
+// Deactivate the account, end its sessions and schedule the purge
+const scheduleDeletion = async (user, now = new Date()) => {
+  const deletionScheduledFor = new Date(now.getTime() + GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  await sequelize.transaction(async (transaction) => {
+    await user.update({ isActive: false, deletionScheduledFor }, { transaction });
+    await revokeAllSessions(user, 'account_deletion', transaction);
+  });
+  await user.reload();
+
+  await notifyDeletionScheduled(user);
+  return deletionScheduledFor;
+};
+
+const cancelDeletion = (user, options = {}) => user.update({
+  isActive: true,
+  deletionScheduledFor: null
+}, options);
+
+// Strip what identifies the user from the audit trail. AuditLog refuses
+// changes through the model, so this is a plain query. `reference` replaces
+// the user's id on entries about the account.
+const anonymizeAuditTrail = async (userId, reference, transaction) => {
+  const queryInterface = sequelize.getQueryInterface();
+
+  await queryInterface.bulkUpdate(AuditLog.tableName, {
+    owner_id: null,
+    changes: null,
+    ip_address: null
+  }, { owner_id: userId }, { transaction });
+
+  await queryInterface.bulkUpdate(AuditLog.tableName, {
+    actor_id: null,
+    ip_address: null
+  }, { actor_id: userId }, { transaction });
+
+  await queryInterface.bulkUpdate(AuditLog.tableName, {
+    resource_id: reference
+  }, { resource_type: 'User', resource_id: userId }, { transaction });
+};
+
+// Permanently delete the user and everything that belongs to them
+const purgeUser = async (user) => {
+  const userId = user.id;
+  const exports = await DataExport.findAll({ where: { userId } });
+  const attachments = await Attachment.findAll({ where: { userId } });
+  const noHooks = { hooks: false };
+
+  await sequelize.transaction(async (transaction) => {
+    const options = { ...noHooks, transaction };
+
+    // Records of the user
+    await NotificationDelivery.destroy({ where: { userId }, ...options });
+    await Alert.destroy({ where: { userId }, ...options });
+    await Attachment.destroy({ where: { userId }, ...options });
+    await DiagnosticTest.destroy({ where: { userId, panelId: { [Op.ne]: null } }, ...options });
+    await DiagnosticTest.destroy({ where: { userId }, ...options });
+    await AlertRule.destroy({ where: { userId }, ...options });
+    await CareRelationship.destroy({
+      where: { [Op.or]: [{ patientId: userId }, { clinicianId: userId }] },
+      ...options
+    });
+
+    // Reviews stay on the patients' tests, without the reviewer
+    await DiagnosticTest.update({ reviewedBy: null }, {
+      where: { reviewedBy: userId },
+      validate: false,
+      ...options
+    });
+
+    // Lab messages carry the same results
+    await Hl7Message.destroy({ where: { userId }, ...options });
+    await Hl7Message.update({ resolvedBy: null }, { where: { resolvedBy: userId }, ...options });
+
+    // Sign-in state
+    await RefreshToken.destroy({ where: { userId }, ...options });
+    await PasswordResetToken.destroy({ where: { userId }, ...options });
+    await SecurityEvent.destroy({ where: { userId }, ...options });
+    await LoginThrottle.destroy({ where: { scope: 'account', key: user.email.toLowerCase() }, ...options });
+    await DataExport.destroy({ where: { userId }, ...options });
+
+    // Negative, so it never matches a real id
+    const reference = -crypto.randomInt(1, 2 ** 31 - 1);
+    await anonymizeAuditTrail(userId, reference, transaction);
+    await User.destroy({ where: { id: userId }, ...options });
+
+    // Evidence that the erasure happened, with nothing to identify the user
+    await AuditLog.create({
+      actorId: null,
+      action: 'delete',
+      resourceType: 'User',
+      resourceId: reference,
+      ownerId: null,
+      changes: null
+    }, { transaction });
+  });
+
+  // Files go once the rows are gone for good
+  for (const dataExport of exports) {
+    await removeExportFile(dataExport).catch((error) => console.error('Export file removal error:', error));
+  }
+  await removeStoredFiles(attachments);
+};
+
+// Purge every account whose grace period is over; returns how many
+const purgeDueAccounts = async (now = new Date()) => {
+  const users = await User.findDueForDeletion(now);
+  for (const user of users) {
+    await purgeUser(user);
+  }
+  return users.length;
+};
+
+module.exports = {
+  GRACE_DAYS,
+  scheduleDeletion,
+  cancelDeletion,
+  purgeUser,
+  purgeDueAccounts
+};
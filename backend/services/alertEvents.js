@@ -0,0 +1,78 @@
+// Live alert events for the server-sent events stream in routes/alerts.js.
+//
+// watchAlerts (wired up in models/index.js) publishes an event whenever an
+// alert is created, changed or deleted, whichever route or service made the
+// change, once its transaction has committed. Each event goes to the
+// subscribers of the alert's user:
+//
+//   alert.created  - a new alert
+//   alert.updated  - any other change, such as an acknowledgement
+//   alert.resolved - the status changed to resolved
+//   alert.deleted  - the alert is gone
+//
+// services/notifications.js also publishes notification.created and
+// notification.escalated for alerts that reach the user's threshold.
+//
+// Subscribers live in this process only; running several API instances
+// would need a shared bus (such as Redis pub/sub) behind publish.
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+// One listener per open stream
+emitter.setMaxListeners(0);
+
+const channelOf = (userId) => `user:${userId}`;
+
+// event: { type, alert }, where alert is the alert's JSON
+const publish = (event) => {
+  emitter.emit(channelOf(event.alert.userId), event);
+};
+
+// Call listener with each event for userId; returns the unsubscribe function
+const subscribe = (userId, listener) => {
+  const channel = channelOf(userId);
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+};
+
+const subscriberCount = (userId) => emitter.listenerCount(channelOf(userId));
+
+// Publish after the transaction commits, so rolled back changes never
+// reach clients and a refetch on an event sees the change
+const publishAfterCommit = (event, options = {}) => {
+  if (options.transaction) {
+    options.transaction.afterCommit(() => publish(event));
+  } else {
+    publish(event);
+  }
+};
+
+const watchAlerts = (Alert) => {
+  // The alert is captured when the hook runs; its changed() state is reset
+  // by the time the transaction commits
+  Alert.addHook('afterCreate', 'events', (alert, options) => {
+    publishAfterCommit({ type: 'alert.created', alert: alert.toJSON() }, options);
+  });
+
+  Alert.addHook('afterUpdate', 'events', (alert, options) => {
+    const changed = alert.changed() || [];
+    if (changed.length === 0) return;
+
+    const type = changed.includes('status') && alert.status === 'resolved'
+      ? 'alert.resolved'
+      : 'alert.updated';
+    publishAfterCommit({ type, alert: alert.toJSON() }, options);
+  });
+
+  Alert.addHook('afterDestroy', 'events', (alert, options) => {
+    publishAfterCommit({ type: 'alert.deleted', alert: alert.toJSON() }, options);
+  });
+};
+
+module.exports = {
+  publish,
+  subscribe,
+  subscriberCount,
+  watchAlerts
+};
@@ -0,0 +1,145 @@
+const { Op } = require('sequelize');
+const { Alert, AlertRule, DiagnosticTest } = require('../models');
+
+const TREND_CONDITIONS = ['rising', 'falling'];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const formatValue = (test) => `${test.numericValue}${test.units ? ` ${test.units}` : ''}`;
+
+const ruleApplies = (rule, test) => {
+  if (rule.testType && rule.testType !== test.testType) return false;
+  if (rule.analyte) {
+    const analyte = normalize(rule.analyte);
+    return normalize(test.name) === analyte || normalize(test.code) === analyte;
+  }
+  return true;
+};
+
+// The last `count` numeric results of the test's analyte, up to its date
+const loadRecentSeries = async (test, count) => {
+  const series = await DiagnosticTest.findSeriesByUser(test.userId, {
+    name: test.name,
+    code: test.code,
+    dateTo: test.date
+  });
+  return series.slice(-count);
+};
+
+const isMonotonic = (values, direction) => values.every((value, index) => (
+  index === 0 || (direction === 'rising' ? value > values[index - 1] : value < values[index - 1])
+));
+
+// Returns the alert message when the rule fires for this test, or null
+const evaluateRule = async (rule, test) => {
+  const hasValue = test.numericValue !== null && test.numericValue !== undefined;
+
+  switch (rule.condition) {
+    case 'above':
+      return hasValue && test.numericValue > rule.threshold
+        ? `${test.name} result ${formatValue(test)} is above ${rule.threshold}`
+        : null;
+    case 'below':
+      return hasValue && test.numericValue < rule.threshold
+        ? `${test.name} result ${formatValue(test)} is below ${rule.threshold}`
+        : null;
+    case 'abnormal':
+      return test.isAbnormal
+        ? `${test.name} (${test.testType}) result is abnormal: ${test.result}`
+        : null;
+    case 'critical':
+      return test.flag === 'critical'
+        ? `${test.name} result ${hasValue ? formatValue(test) : test.result} is beyond critical limits`
+        : null;
+    case 'rising':
+    case 'falling': {
+      if (!hasValue) return null;
+      const series = await loadRecentSeries(test, rule.consecutiveCount);
+      if (series.length < rule.consecutiveCount) return null;
+      if (!series.some((point) => point.id === test.id)) return null;
+
+      const values = series.map((point) => point.numericValue);
+      if (!isMonotonic(values, rule.condition)) return null;
+
+      const verb = rule.condition === 'rising' ? 'rose' : 'fell';
+      return `${test.name} ${verb} over the last ${values.length} results (${values.join(' → ')}${test.units ? ` ${test.units}` : ''})`;
+    }
+    default:
+      return null;
+  }
+};
+
+// Alerts stay linked to the system rule they came from even when the user
+// has overridden it, so tuning a rule updates rather than duplicates alerts
+const ruleKey = (rule) => rule.baseRuleId || rule.id;
+
+const findOpenAlert = (openAlerts, rule, test) => openAlerts.find((alert) => {
+  const metadata = alert.metadata || {};
+  if (metadata.ruleId !== ruleKey(rule)) return false;
+  return TREND_CONDITIONS.includes(rule.condition)
+    ? metadata.analyte === normalize(test.code || test.name)
+    : alert.diagnosticTestId === test.id;
+});
+
+// Evaluate the user's effective rules against one saved test, creating,
+// updating or resolving the diagnostic alerts they own. Panels are evaluated
+// through their analytes. Returns the alerts that were created or updated.
+const evaluateTest = async (test) => {
+  if (test.isPanel) {
+    const analytes = await DiagnosticTest.findAll({ where: { panelId: test.id } });
+    const results = [];
+    for (const analyte of analytes) {
+      results.push(...await evaluateTest(analyte));
+    }
+    return results;
+  }
+
+  const rules = (await AlertRule.findEffectiveByUser(test.userId))
+    .filter((rule) => rule.isActive && ruleApplies(rule, test));
+  if (rules.length === 0) return [];
+
+  const openAlerts = await Alert.findAll({
+    where: {
+      userId: test.userId,
+      type: 'diagnostic',
+      status: { [Op.in]: ['active', 'acknowledged'] }
+    }
+  });
+
+  const raised = [];
+  for (const rule of rules) {
+    const message = await evaluateRule(rule, test);
+    const existing = findOpenAlert(openAlerts, rule, test);
+
+    if (!message) {
+      // The result no longer meets the rule (e.g. a corrected value)
+      if (existing) await existing.resolve();
+      continue;
+    }
+
+    const values = {
+      title: `${rule.name}: ${test.name}`,
+      message,
+      priority: rule.priority,
+      type: 'diagnostic',
+      metadata: {
+        ...(existing ? existing.metadata : {}),
+        source: 'alert-rule',
+        ruleId: ruleKey(rule),
+        analyte: normalize(test.code || test.name)
+      },
+      diagnosticTestId: test.id,
+      userId: test.userId
+    };
+
+    raised.push(existing ? await existing.update(values) : await Alert.create(values));
+  }
+
+  return raised;
+};
+
+module.exports = {
+  evaluateTest,
+  evaluateRule,
+  ruleApplies
+};
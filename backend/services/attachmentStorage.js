@@ -0,0 +1,199 @@
+// Files attached to diagnostic tests, behind a pluggable storage backend
+// chosen with ATTACHMENT_STORAGE:
+//
+//   local - one file per attachment under ATTACHMENT_DIR, the default
+//   s3    - a bucket on any S3-compatible service (S3_BUCKET, S3_REGION,
+//           S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY), including
+//           a local stand-in such as MinIO
+//
+// Anything with `put(key, data, { contentType })`, `get(key)` (resolving with
+// a Buffer, or null when there is no such file) and `remove(key)` can be
+// plugged in with setStorage. Keys come from newStorageKey.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+// `<user id>/<uuid>`; nothing that could climb out of a directory
+const KEY_PATTERN = /^[\w-]+(\/[\w-]+)*$/;
+
+const S3_TIMEOUT_MS = 30000;
+
+const checkKey = (key) => {
+  if (!KEY_PATTERN.test(String(key))) {
+    throw new Error(`Invalid attachment storage key: ${key}`);
+  }
+  return key;
+};
+
+const newStorageKey = (userId) => `${userId}/${crypto.randomUUID()}`;
+
+const createLocalStorage = (directory = process.env.ATTACHMENT_DIR || path.join(process.cwd(), 'tmp', 'attachments')) => {
+  const pathOf = (key) => path.join(directory, ...checkKey(key).split('/'));
+
+  return {
+    name: 'local',
+    directory,
+    put: async (key, data) => {
+      const filePath = pathOf(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // Keys are never reused, so an existing file is never overwritten
+      await fs.promises.writeFile(filePath, data, { flag: 'wx' });
+    },
+    get: async (key) => {
+      try {
+        return await fs.promises.readFile(pathOf(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    remove: (key) => fs.promises.rm(pathOf(key), { force: true })
+  };
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// AWS Signature Version 4 Authorization header for an S3 request without a
+// query string. `headers` must include host, x-amz-date and
+// x-amz-content-sha256; every header given is signed.
+const signS3Request = ({ method, path: requestPath, headers, region, accessKeyId, secretAccessKey }) => {
+  const values = Object.entries(headers).reduce((acc, [name, value]) => ({
+    ...acc,
+    [name.toLowerCase()]: String(value).trim()
+  }), {});
+  const names = Object.keys(values).sort();
+  const signedHeaders = names.join(';');
+
+  const amzDate = values['x-amz-date'];
+  const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+  const canonicalRequest = [
+    method,
+    requestPath,
+    '',
+    ...names.map((name) => `${name}:${values[name]}`),
+    '',
+    signedHeaders,
+    values['x-amz-content-sha256']
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, amzDate.slice(0, 8)), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+};
+
+const sendRequest = (url, { method, headers, body }) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  const req = client.request(url, { method, headers }, (res) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
+    res.on('error', reject);
+  });
+  req.setTimeout(S3_TIMEOUT_MS, () => req.destroy(new Error('S3 request timed out')));
+  req.on('error', reject);
+  req.end(body);
+});
+
+const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY
+} = {}) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY must be set for S3 attachment storage');
+  }
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  // Path-style URLs (endpoint/bucket/key), which every S3-compatible
+  // service accepts
+  const send = async (method, key, { body = Buffer.alloc(0), contentType } = {}) => {
+    const url = new URL(`${base.pathname.replace(/\/$/, '')}/${bucket}/${checkKey(key)}`, base);
+    const headers = {
+      host: url.host,
+      'x-amz-date': new Date().toISOString().replace(/[-:]|\.\d{3}/g, ''),
+      'x-amz-content-sha256': sha256(body),
+      ...(contentType && { 'content-type': contentType })
+    };
+    headers.authorization = signS3Request({
+      method,
+      path: url.pathname,
+      headers,
+      region,
+      accessKeyId,
+      secretAccessKey
+    });
+    headers['content-length'] = body.length;
+
+    const response = await sendRequest(url, { method, headers, body });
+    if (method === 'GET' && response.status === 404) return null;
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`S3 ${method} of ${key} failed with status ${response.status}`);
+    }
+    return response.body;
+  };
+
+  return {
+    name: 's3',
+    bucket,
+    put: async (key, data, { contentType } = {}) => {
+      await send('PUT', key, { body: data, contentType });
+    },
+    get: (key) => send('GET', key),
+    remove: async (key) => {
+      await send('DELETE', key);
+    }
+  };
+};
+
+const BACKENDS = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+const createStorage = (name = process.env.ATTACHMENT_STORAGE || 'local') => {
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Unknown attachment storage: ${name}`);
+  }
+  return factory();
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) storage = createStorage();
+  return storage;
+};
+
+const setStorage = (nextStorage) => {
+  storage = nextStorage;
+};
+
+// Remove the files of attachments whose rows are gone. A file that can't be
+// removed is logged and left behind.
+const removeStoredFiles = async (attachments) => {
+  for (const attachment of attachments) {
+    await getStorage().remove(attachment.storageKey)
+      .catch((error) => console.error('Attachment file removal error:', error));
+  }
+};
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  createStorage,
+  getStorage,
+  setStorage,
+  signS3Request,
+  newStorageKey,
+  removeStoredFiles
+};
@@ -0,0 +1,128 @@
+// Append-only audit trail of who read or changed health records.
+//
+// Changes are captured by model hooks (see auditModel below, wired up in
+// models/index.js), so every create, update and delete is recorded in the
+// same transaction, whichever route or service made it. Reads are recorded
+// by the routes that return records, via recordAccess.
+
+const AuditLog = require('../models/AuditLog');
+const { getRequestContext } = require('../middleware/requestContext');
+const { decodeAttribute } = require('./fieldEncryption');
+
+const REDACTED = '[redacted]';
+
+// Bookkeeping columns whose changes are not worth an entry on their own
+const ALWAYS_IGNORED = ['createdAt', 'updatedAt'];
+
+// Per-model settings, keyed by model name
+const auditedModels = {};
+
+const buildEntry = (action, instance, changes = null) => {
+  const { ownerKey } = auditedModels[instance.constructor.name];
+  const { actorId = null, ipAddress = null, requestId = null } = getRequestContext();
+
+  return {
+    actorId,
+    action,
+    resourceType: instance.constructor.name,
+    resourceId: instance.id,
+    ownerId: instance.get(ownerKey) || null,
+    changes,
+    ipAddress,
+    requestId
+  };
+};
+
+const snapshotValue = (config, field, value) => (
+  config.redact.includes(field) && value != null ? REDACTED : value
+);
+
+// Field-by-field { before, after }; a missing getter (before a create,
+// after a delete) leaves that side null
+const diff = (config, fields, getBefore, getAfter) => fields
+  .filter((field) => !config.ignore.includes(field))
+  .reduce((changes, field) => ({
+    ...changes,
+    [field]: {
+      before: getBefore ? snapshotValue(config, field, getBefore(field)) : null,
+      after: getAfter ? snapshotValue(config, field, getAfter(field)) : null
+    }
+  }), {});
+
+const write = (entry, options = {}) => AuditLog.create(entry, {
+  transaction: options.transaction
+});
+
+// Record creates, updates and deletes of a model's rows.
+//   ownerKey: attribute holding the patient the row belongs to
+//   ignore:   attributes whose changes are not recorded
+//   redact:   attributes recorded as changed, without their values
+const auditModel = (Model, { ownerKey = 'userId', ignore = [], redact = [] } = {}) => {
+  // Blind indexes only repeat their encrypted attribute
+  const blindIndexes = Object.values(Model.rawAttributes)
+    .map((attribute) => attribute.encrypted && attribute.encrypted.blindIndex)
+    .filter(Boolean);
+  const config = {
+    ownerKey,
+    ignore: [...ALWAYS_IGNORED, ...blindIndexes, ...ignore],
+    redact
+  };
+  auditedModels[Model.name] = config;
+
+  const fieldsOf = () => Object.keys(Model.rawAttributes);
+
+  // previous() returns stored values, which are ciphertext for encrypted
+  // attributes; get() already goes through their getters
+  const previousValue = (instance, field) => {
+    const attribute = Model.rawAttributes[field];
+    const value = instance.previous(field);
+    return attribute && attribute.encrypted ? decodeAttribute(attribute, value) : value;
+  };
+
+  Model.addHook('afterCreate', 'audit', (instance, options) => write(
+    buildEntry('create', instance, diff(config, fieldsOf(), null, (field) => instance.get(field))),
+    options
+  ));
+
+  Model.addHook('afterUpdate', 'audit', (instance, options) => {
+    const changes = diff(
+      config,
+      instance.changed() || [],
+      (field) => previousValue(instance, field),
+      (field) => instance.get(field)
+    );
+    if (Object.keys(changes).length === 0) return null;
+    return write(buildEntry('update', instance, changes), options);
+  });
+
+  Model.addHook('afterDestroy', 'audit', (instance, options) => write(
+    buildEntry('delete', instance, diff(config, fieldsOf(), (field) => instance.get(field), null)),
+    options
+  ));
+
+  // Model.update/destroy with a where clause skip per-row hooks by default
+  Model.addHook('beforeBulkUpdate', 'audit', (options) => {
+    options.individualHooks = true;
+  });
+  Model.addHook('beforeBulkDestroy', 'audit', (options) => {
+    options.individualHooks = true;
+  });
+};
+
+// Record that the current request read these records. Accepts instances of
+// any audited model; nulls are skipped.
+const recordAccess = async (records) => {
+  const entries = [].concat(records)
+    .filter((record) => record && auditedModels[record.constructor.name])
+    .map((record) => buildEntry('read', record));
+
+  if (entries.length > 0) {
+    await AuditLog.bulkCreate(entries);
+  }
+};
+
+module.exports = {
+  REDACTED,
+  auditModel,
+  recordAccess
+};
@@ -0,0 +1,294 @@
+// Right-of-access export: a ZIP of everything we hold about a user, built
+// in the background and tracked by a DataExport row.
+//
+// The archive holds the profile and preferences, diagnostic tests and alerts
+// as JSON and CSV, the files attached to tests, plus summary.html for people
+// rather than programs. Archives are written to DATA_EXPORT_DIR and
+// deleted after DATA_EXPORT_EXPIRES_DAYS.
+
+const { once } = require('events');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { User, Alert, DiagnosticTest, DataExport, Attachment } = require('../models');
+const { recordAccess } = require('./audit');
+const { getStorage } = require('./attachmentStorage');
+const { escapeHtml } = require('./mailer');
+const { toCsv } = require('../utils/csv');
+
+const EXPORT_TTL_DAYS = parseInt(process.env.DATA_EXPORT_EXPIRES_DAYS, 10) || 7;
+
+const getExportDir = () => process.env.DATA_EXPORT_DIR || path.join(process.cwd(), 'tmp', 'exports');
+
+const filePathOf = (dataExport) => path.join(getExportDir(), dataExport.fileName);
+
+// Jobs running in this process, by export id
+const jobs = new Map();
+
+const TEST_COLUMNS = [
+  { header: 'id', value: (test) => test.id },
+  { header: 'panel_id', value: (test) => test.panelId },
+  { header: 'date', value: (test) => test.date },
+  { header: 'name', value: (test) => test.name },
+  { header: 'code', value: (test) => test.code },
+  { header: 'type', value: (test) => test.testType },
+  { header: 'status', value: (test) => test.status },
+  { header: 'result', value: (test) => test.result },
+  { header: 'units', value: (test) => test.units },
+  { header: 'normal_range', value: (test) => test.normalRange },
+  { header: 'flag', value: (test) => test.flag },
+  { header: 'abnormal', value: (test) => test.isAbnormal },
+  { header: 'doctor', value: (test) => test.doctorName },
+  { header: 'lab', value: (test) => test.labName },
+  { header: 'notes', value: (test) => test.notes },
+  { header: 'review_notes', value: (test) => test.reviewNotes },
+  { header: 'reviewed_at', value: (test) => test.reviewedAt }
+];
+
+const ALERT_COLUMNS = [
+  { header: 'id', value: (alert) => alert.id },
+  { header: 'created_at', value: (alert) => alert.createdAt },
+  { header: 'title', value: (alert) => alert.title },
+  { header: 'message', value: (alert) => alert.message },
+  { header: 'type', value: (alert) => alert.type },
+  { header: 'priority', value: (alert) => alert.priority },
+  { header: 'status', value: (alert) => alert.status },
+  { header: 'diagnostic_test_id', value: (alert) => alert.diagnosticTestId },
+  { header: 'acknowledged_at', value: (alert) => alert.acknowledgedAt },
+  { header: 'resolved_at', value: (alert) => alert.resolvedAt }
+];
+
+const ATTACHMENT_COLUMNS = [
+  { header: 'id', value: (row) => row.attachment.id },
+  { header: 'diagnostic_test_id', value: (row) => row.attachment.diagnosticTestId },
+  { header: 'diagnostic_test', value: (row) => row.testName },
+  { header: 'file_name', value: (row) => row.attachment.fileName },
+  { header: 'content_type', value: (row) => row.attachment.contentType },
+  { header: 'size', value: (row) => row.attachment.size },
+  { header: 'sha256', value: (row) => row.attachment.checksum },
+  { header: 'uploaded_at', value: (row) => row.attachment.createdAt },
+  // Path in the archive; empty when the file could not be found
+  { header: 'file', value: (row) => row.path }
+];
+
+// Archive path of an attachment's file, unique through its id
+const attachmentPath = (attachment) => (
+  `attachments/${attachment.id}-${attachment.fileName.replace(/[^\w.-]+/g, '_')}`
+);
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// rowClass picks a CSS class for each row from its index
+const htmlTable = (headers, rows, rowClass = () => null) => {
+  const body = rows.length > 0
+    ? rows.map((cells, index) => {
+      const className = rowClass(index);
+      const cellsHtml = cells.map((cell) => `<td>${escapeHtml(cell ?? '')}</td>`).join('');
+      return `<tr${className ? ` class="${className}"` : ''}>${cellsHtml}</tr>`;
+    })
+    : [`<tr><td colspan="${headers.length}">None</td></tr>`];
+
+  return `<table>
+      <thead><tr>${headers.map((header) => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+      <tbody>
+        ${body.join('\n        ')}
+      </tbody>
+    </table>`;
+};
+
+const buildSummaryHtml = ({ user, tests, alerts, generatedAt }) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>Health record of ${escapeHtml(user.name)}</title>
+    <style>
+      body { font-family: sans-serif; margin: 2rem; color: #222; }
+      table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+      th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+      th { background: #f3f3f3; }
+      .abnormal { color: #b00020; font-weight: bold; }
+    </style>
+  </head>
+  <body>
+    <h1>Health record of ${escapeHtml(user.name)}</h1>
+    <p>Exported ${escapeHtml(generatedAt.toISOString())}. The JSON and CSV files in this archive hold the same data in full.</p>
+
+    <h2>Profile</h2>
+    ${htmlTable(['Field', 'Value'], [
+    ['Name', user.name],
+    ['Email', user.email],
+    ['Role', user.role],
+    ['Member since', formatDate(user.createdAt)],
+    ['Two-factor authentication', user.twoFactorEnabled ? 'On' : 'Off'],
+    ...Object.entries(user.preferences || {}).map(([key, value]) => [`Preference: ${key}`, String(value)])
+  ])}
+
+    <h2>Diagnostic tests (${tests.length})</h2>
+    ${htmlTable(['Date', 'Test', 'Result', 'Normal range', 'Flag', 'Notes'], tests.map((test) => [
+    formatDate(test.date),
+    test.panelId ? `↳ ${test.name}` : test.name,
+    [test.result, test.units].filter(Boolean).join(' '),
+    test.normalRange,
+    test.flag,
+    test.notes
+  ]), (index) => (tests[index].isAbnormal ? 'abnormal' : null))}
+
+    <h2>Alerts (${alerts.length})</h2>
+    ${htmlTable(['Date', 'Title', 'Message', 'Priority', 'Status'], alerts.map((alert) => [
+    formatDate(alert.createdAt),
+    alert.title,
+    alert.message,
+    alert.priority,
+    alert.status
+  ]))}
+  </body>
+</html>
+`;
+
+// Entries are added one at a time. `content` may be a function resolving
+// with the content, or with null to leave the entry out, so attached files
+// are read one by one rather than all held in memory.
+const writeArchive = async (filePath, entries) => {
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const closed = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  // Errors while adding entries are thrown from the loop below
+  closed.catch(() => {});
+
+  archive.pipe(output);
+  for (const { name, content } of entries) {
+    const data = typeof content === 'function' ? await content() : content;
+    if (data !== null) {
+      const added = once(archive, 'entry');
+      archive.append(data, { name });
+      await added;
+    }
+  }
+  archive.finalize();
+  await closed;
+  return archive.pointer();
+};
+
+const buildExport = async (dataExport) => {
+  const setProgress = (progress) => dataExport.update({ progress });
+
+  await dataExport.update({ status: 'processing', progress: 5 });
+
+  const user = await User.findByPk(dataExport.userId);
+  const tests = await DiagnosticTest.findAll({
+    where: { userId: dataExport.userId },
+    order: [['date', 'ASC'], ['id', 'ASC']]
+  });
+  await setProgress(40);
+
+  const alerts = await Alert.findAll({
+    where: { userId: dataExport.userId },
+    order: [['created_at', 'ASC'], ['id', 'ASC']]
+  });
+  const attachments = await Attachment.findAll({
+    where: { userId: dataExport.userId },
+    order: [['id', 'ASC']]
+  });
+  await recordAccess([user, ...tests, ...alerts, ...attachments]);
+  await setProgress(60);
+
+  const generatedAt = new Date();
+  const folder = `health-record-${generatedAt.toISOString().slice(0, 10)}`;
+  const testNames = new Map(tests.map((test) => [test.id, test.name]));
+  const attachmentRows = attachments.map((attachment) => ({
+    attachment,
+    testName: testNames.get(attachment.diagnosticTestId),
+    path: attachmentPath(attachment)
+  }));
+
+  // A file missing from storage is left out, and its row says so
+  const readAttachment = (row) => async () => {
+    const data = await getStorage().get(row.attachment.storageKey);
+    if (!data) row.path = '';
+    return data;
+  };
+
+  const entries = [
+    ...attachmentRows.map((row) => ({ name: row.path, content: readAttachment(row) })),
+    { name: 'profile.json', content: JSON.stringify(user, null, 2) },
+    { name: 'diagnostic-tests.json', content: JSON.stringify(tests, null, 2) },
+    { name: 'alerts.json', content: JSON.stringify(alerts, null, 2) },
+    { name: 'diagnostic-tests.csv', content: toCsv(TEST_COLUMNS, tests) },
+    { name: 'alerts.csv', content: toCsv(ALERT_COLUMNS, alerts) },
+    { name: 'attachments.csv', content: () => toCsv(ATTACHMENT_COLUMNS, attachmentRows) },
+    { name: 'summary.html', content: buildSummaryHtml({ user, tests, alerts, generatedAt }) }
+  ].map((entry) => ({ ...entry, name: `${folder}/${entry.name}` }));
+
+  const fileName = `export-${dataExport.id}-${generatedAt.getTime()}.zip`;
+  await fs.promises.mkdir(getExportDir(), { recursive: true });
+  const fileSize = await writeArchive(path.join(getExportDir(), fileName), entries);
+
+  const expiresAt = new Date(generatedAt.getTime() + EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await dataExport.update({
+    status: 'completed',
+    progress: 100,
+    fileName,
+    fileSize,
+    completedAt: generatedAt,
+    expiresAt
+  });
+};
+
+const runExport = async (dataExport) => {
+  try {
+    await buildExport(dataExport);
+  } catch (error) {
+    console.error('Data export error:', error);
+    await dataExport.update({ status: 'failed', error: 'The export could not be created' })
+      .catch(() => {});
+  }
+};
+
+// Start an export for the user, or return null when one is already running
+const requestExport = async (userId) => {
+  if (await DataExport.findRunningByUser(userId)) return null;
+
+  const dataExport = await DataExport.create({ userId });
+  const job = new Promise((resolve) => setImmediate(resolve))
+    .then(() => runExport(dataExport))
+    .finally(() => jobs.delete(dataExport.id));
+  jobs.set(dataExport.id, job);
+
+  return dataExport;
+};
+
+// Resolves when the export's job, if it is still running here, has finished
+const waitForExport = (id) => jobs.get(id) || Promise.resolve();
+
+const removeExportFile = async (dataExport) => {
+  if (dataExport.fileName) {
+    await fs.promises.rm(filePathOf(dataExport), { force: true });
+  }
+};
+
+const removeExport = async (dataExport) => {
+  await removeExportFile(dataExport);
+  await dataExport.destroy();
+};
+
+// Delete expired archives along with their rows
+const removeExpiredExports = async () => {
+  const expired = await DataExport.findExpired();
+  for (const dataExport of expired) {
+    await removeExport(dataExport);
+  }
+  return expired.length;
+};
+
+module.exports = {
+  requestExport,
+  waitForExport,
+  removeExport,
+  removeExportFile,
+  removeExpiredExports,
+  filePathOf
+};
@@ -0,0 +1,232 @@
+// Import of lab results received as FHIR R4 Bundles.
+//
+// DiagnosticReports become panels, with the Observations they reference as
+// analytes; the other Observations become standalone tests. Each report and
+// each standalone observation is saved in its own transaction, so one bad
+// resource does not stop the rest, and every entry gets a result: imported,
+// duplicate, failed or ignored. A test already on record with the same date,
+// code (or name) and result is a duplicate, so importing a Bundle twice is
+// harmless.
+
+const { sequelize, DiagnosticTest } = require('../models');
+const { evaluateTest } = require('./alertRules');
+const { fromObservation, fromDiagnosticReport } = require('../utils/fhir');
+
+// Fields an analyte takes from its panel, as when created through the API
+const PANEL_SHARED_FIELDS = ['date', 'testType', 'status', 'labName'];
+
+// Resolve references against the Bundle: by fullUrl, by "Type/id", and
+// "#id" against the resources contained in `container`
+const createResolver = (entries) => {
+  const byReference = new Map();
+  entries.forEach((entry) => {
+    if (entry.fullUrl) byReference.set(entry.fullUrl, entry);
+    if (entry.resource.resourceType && entry.resource.id) {
+      byReference.set(`${entry.resource.resourceType}/${entry.resource.id}`, entry);
+    }
+  });
+
+  return (reference, container) => {
+    if (reference && reference.startsWith('#') && container) {
+      const resource = (container.contained || []).find((item) => `#${item.id}` === reference);
+      return resource ? { index: null, fullUrl: reference, resource } : null;
+    }
+    return byReference.get(reference) || null;
+  };
+};
+
+const resultOf = (entry, status, extra = {}) => ({
+  index: entry.index,
+  resourceType: entry.resource.resourceType || null,
+  id: entry.resource.id || entry.fullUrl || null,
+  status,
+  ...extra
+});
+
+// Validation errors list each failed field
+const errorMessage = (error) => (
+  error.errors ? error.errors.map((item) => item.message).join('; ') : error.message
+);
+
+// Map an Observation, keeping the error as its result when it can't be
+const mapObservation = (entry, resolveResource) => {
+  try {
+    return { entry, attributes: fromObservation(entry.resource, resolveResource) };
+  } catch (error) {
+    return { entry, error: error.message };
+  }
+};
+
+const importReport = async (userId, entry, analyteEntries, missing, resolveResource) => {
+  const failAll = (message) => [
+    resultOf(entry, 'failed', { message }),
+    ...analyteEntries.map((analyte) => resultOf(analyte, 'failed', {
+      message: 'Its DiagnosticReport could not be imported'
+    }))
+  ];
+
+  let panelAttributes;
+  try {
+    panelAttributes = fromDiagnosticReport(entry.resource, resolveResource);
+  } catch (error) {
+    return { results: failAll(error.message) };
+  }
+
+  const mapped = analyteEntries.map((analyte) => mapObservation(analyte, resolveResource));
+  const analytes = mapped.filter((item) => item.attributes);
+  const unmapped = mapped
+    .filter((item) => item.error)
+    .map((item) => resultOf(item.entry, 'failed', { message: item.error }));
+
+  if (analytes.length === 0) {
+    return {
+      results: [
+        resultOf(entry, 'failed', { message: 'DiagnosticReport has no results that can be imported' }),
+        ...unmapped
+      ]
+    };
+  }
+
+  const duplicate = await DiagnosticTest.findDuplicate(userId, panelAttributes);
+  if (duplicate) {
+    return {
+      results: [
+        resultOf(entry, 'duplicate', { testId: duplicate.id }),
+        ...analytes.map((item) => resultOf(item.entry, 'duplicate', { testId: duplicate.id })),
+        ...unmapped
+      ]
+    };
+  }
+
+  try {
+    const created = await sequelize.transaction(async (transaction) => {
+      const panel = await DiagnosticTest.create({ ...panelAttributes, userId }, { transaction });
+      const shared = PANEL_SHARED_FIELDS.reduce((acc, field) => (
+        panel[field] === null ? acc : { ...acc, [field]: panel[field] }
+      ), {});
+
+      // One by one so each analyte is interpreted and rolled up
+      const analyteIds = [];
+      for (const item of analytes) {
+        const analyte = await DiagnosticTest.create({
+          ...item.attributes,
+          ...shared,
+          userId,
+          panelId: panel.id
+        }, { transaction });
+        analyteIds.push(analyte.id);
+      }
+      return { panel, analyteIds };
+    });
+
+    return {
+      test: created.panel,
+      results: [
+        resultOf(entry, 'imported', {
+          testId: created.panel.id,
+          ...(missing.length > 0 && { message: `Not in the Bundle: ${missing.join(', ')}` })
+        }),
+        ...analytes.map((item, i) => resultOf(item.entry, 'imported', { testId: created.analyteIds[i] })),
+        ...unmapped
+      ]
+    };
+  } catch (error) {
+    return { results: failAll(errorMessage(error)) };
+  }
+};
+
+const importObservation = async (userId, entry, resolveResource) => {
+  const { attributes, error } = mapObservation(entry, resolveResource);
+  if (error) {
+    return { results: [resultOf(entry, 'failed', { message: error })] };
+  }
+
+  const duplicate = await DiagnosticTest.findDuplicate(userId, attributes);
+  if (duplicate) {
+    return { results: [resultOf(entry, 'duplicate', { testId: duplicate.id })] };
+  }
+
+  try {
+    const test = await DiagnosticTest.create({ ...attributes, userId });
+    return { test, results: [resultOf(entry, 'imported', { testId: test.id })] };
+  } catch (createError) {
+    return { results: [resultOf(entry, 'failed', { message: errorMessage(createError) })] };
+  }
+};
+
+// Alert rules run once the data is stored; a failure there is logged
+const runAlertRules = async (tests) => {
+  const alerts = [];
+  for (const test of tests) {
+    try {
+      alerts.push(...await evaluateTest(test));
+    } catch (error) {
+      console.error('Alert rule evaluation error:', error);
+    }
+  }
+  return alerts;
+};
+
+// Import the Observations and DiagnosticReports of a Bundle into the user's
+// record. Returns { summary, results, alerts }, with results in entry order.
+const importBundle = async (userId, bundle) => {
+  const entries = bundle.entry.map((item, index) => ({
+    index,
+    fullUrl: item && item.fullUrl,
+    resource: (item && item.resource) || {}
+  }));
+  const resolve = createResolver(entries);
+  const resolveResource = (reference) => (resolve(reference) || {}).resource;
+
+  const results = [];
+  const created = [];
+  const claimed = new Set();
+  const collect = ({ test, results: entryResults }) => {
+    if (test) created.push(test);
+    results.push(...entryResults);
+  };
+
+  // Reports first, so they claim the Observations they reference
+  for (const entry of entries.filter((item) => item.resource.resourceType === 'DiagnosticReport')) {
+    const analyteEntries = [];
+    const missing = [];
+    for (const { reference } of (entry.resource.result || []).filter((item) => item && item.reference)) {
+      const analyte = resolve(reference, entry.resource);
+      if (!analyte || analyte.resource.resourceType !== 'Observation') {
+        missing.push(reference);
+      } else if (!claimed.has(analyte)) {
+        claimed.add(analyte);
+        analyteEntries.push(analyte.index === null ? { ...analyte, index: entry.index } : analyte);
+      }
+    }
+    collect(await importReport(userId, entry, analyteEntries, missing, resolveResource));
+  }
+
+  for (const entry of entries) {
+    const { resourceType } = entry.resource;
+    if (resourceType === 'DiagnosticReport' || claimed.has(entry)) continue;
+
+    if (resourceType === 'Observation') {
+      collect(await importObservation(userId, entry, resolveResource));
+    } else {
+      results.push(resultOf(entry, resourceType ? 'ignored' : 'failed', {
+        message: resourceType ? `${resourceType} resources are not imported` : 'Entry has no resource'
+      }));
+    }
+  }
+
+  results.sort((a, b) => a.index - b.index);
+
+  const summary = { imported: 0, duplicate: 0, failed: 0, ignored: 0 };
+  results.forEach((result) => { summary[result.status] += 1; });
+
+  return {
+    summary,
+    results,
+    alerts: await runAlertRules(created)
+  };
+};
+
+module.exports = {
+  importBundle
+};
@@ -0,0 +1,386 @@
+// Application-level encryption of sensitive columns, behind a pluggable key
+// provider chosen with FIELD_KEY_PROVIDER:
+//
+//   local - key-encryption keys from the environment:
+//             FIELD_ENCRYPTION_KEYS       comma-separated `id:base64-key`
+//                                         pairs, each key 32 bytes
+//             FIELD_ENCRYPTION_ACTIVE_KEY id used for new values (defaults
+//                                         to the last key listed)
+//             FIELD_BLIND_INDEX_KEY       base64 key, 32 bytes, for the
+//                                         blind indexes
+//
+// Values use envelope encryption: each one gets its own random data key
+// (AES-256-GCM), which is stored wrapped by a key-encryption key next to the
+// ciphertext. Rotating keys therefore only re-wraps data keys. Anything with
+// `activeKeyId`, `blindIndexKey`, `wrapKey(dek)` and `unwrapKey(keyId,
+// wrapped)` can be plugged in with setKeyProvider; both calls must be
+// synchronous, since model getters are.
+//
+// Models declare encrypted attributes with encryptedField, whose getter and
+// setter keep plaintext out of the database and ciphertext out of the
+// routes. Encrypted columns can not be searched, so an attribute can keep a
+// blind index (a keyed hash) in a sibling column; addBlindIndexLookups then
+// turns exact-match conditions on the attribute into lookups on the index.
+// Every model with encrypted attributes should call it.
+
+const crypto = require('crypto');
+const { DataTypes, Op } = require('sequelize');
+
+const PREFIX = 'enc:v1:';
+const CIPHER = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const KEY_ID_PATTERN = /^[\w.-]+$/;
+
+const decodeKey = (encoded, label) => {
+  const key = Buffer.from(String(encoded || ''), 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`${label} must be ${KEY_BYTES} bytes, base64 encoded`);
+  }
+  return key;
+};
+
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+};
+
+const open = (key, { iv, tag, ciphertext }) => {
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+const createLocalKeyProvider = ({
+  keys = process.env.FIELD_ENCRYPTION_KEYS,
+  activeKeyId = process.env.FIELD_ENCRYPTION_ACTIVE_KEY,
+  blindIndexKey = process.env.FIELD_BLIND_INDEX_KEY
+} = {}) => {
+  const keyring = new Map(String(keys || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      const id = entry.slice(0, separator);
+      if (separator < 1 || !KEY_ID_PATTERN.test(id)) {
+        throw new Error(`FIELD_ENCRYPTION_KEYS entry "${entry.slice(0, 20)}" must look like id:base64-key`);
+      }
+      return [id, decodeKey(entry.slice(separator + 1), `Field encryption key "${id}"`)];
+    }));
+
+  if (keyring.size === 0) {
+    throw new Error('FIELD_ENCRYPTION_KEYS is not set');
+  }
+
+  const activeId = activeKeyId || [...keyring.keys()].pop();
+  if (!keyring.has(activeId)) {
+    throw new Error(`Active field encryption key "${activeId}" is not in FIELD_ENCRYPTION_KEYS`);
+  }
+
+  const keyFor = (keyId) => {
+    const key = keyring.get(keyId);
+    if (!key) throw new Error(`Unknown field encryption key "${keyId}"`);
+    return key;
+  };
+
+  return {
+    name: 'local',
+    activeKeyId: activeId,
+    blindIndexKey: decodeKey(blindIndexKey, 'FIELD_BLIND_INDEX_KEY'),
+    wrapKey: (dek) => {
+      const { iv, tag, ciphertext } = seal(keyFor(activeId), dek);
+      return Buffer.concat([iv, tag, ciphertext]).toString('base64');
+    },
+    unwrapKey: (keyId, wrapped) => {
+      const raw = Buffer.from(wrapped, 'base64');
+      return open(keyFor(keyId), {
+        iv: raw.subarray(0, IV_BYTES),
+        tag: raw.subarray(IV_BYTES, IV_BYTES + 16),
+        ciphertext: raw.subarray(IV_BYTES + 16)
+      });
+    }
+  };
+};
+
+const PROVIDERS = {
+  local: createLocalKeyProvider
+};
+
+const createKeyProvider = (name = process.env.FIELD_KEY_PROVIDER || 'local') => {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown field key provider: ${name}`);
+  }
+  return factory();
+};
+
+let provider = null;
+
+const getKeyProvider = () => {
+  if (!provider) provider = createKeyProvider();
+  return provider;
+};
+
+const setKeyProvider = (nextProvider) => {
+  provider = nextProvider;
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+// enc:v1:<key id>:<wrapped data key>:<iv>:<auth tag>:<ciphertext>
+const parse = (value) => {
+  const [keyId, wrappedKey, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+  if (ciphertext === undefined) {
+    throw new Error('Malformed encrypted value');
+  }
+  return { keyId, wrappedKey, iv, tag, ciphertext };
+};
+
+const encrypt = (plaintext) => {
+  const keys = getKeyProvider();
+  const dek = crypto.randomBytes(KEY_BYTES);
+  const { iv, tag, ciphertext } = seal(dek, Buffer.from(String(plaintext), 'utf8'));
+
+  return PREFIX + [
+    keys.activeKeyId,
+    keys.wrapKey(dek),
+    iv.toString('base64'),
+    tag.toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+};
+
+// Values written before encryption was enabled are returned as they are
+const decrypt = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const { keyId, wrappedKey, iv, tag, ciphertext } = parse(value);
+  const dek = getKeyProvider().unwrapKey(keyId, wrappedKey);
+  return open(dek, {
+    iv: Buffer.from(iv, 'base64'),
+    tag: Buffer.from(tag, 'base64'),
+    ciphertext: Buffer.from(ciphertext, 'base64')
+  }).toString('utf8');
+};
+
+// Wrap the value's data key with the active key; the ciphertext is untouched
+const rewrap = (value) => {
+  const keys = getKeyProvider();
+  const parts = parse(value);
+  if (parts.keyId === keys.activeKeyId) return value;
+
+  const dek = keys.unwrapKey(parts.keyId, parts.wrappedKey);
+  return PREFIX + [keys.activeKeyId, keys.wrapKey(dek), parts.iv, parts.tag, parts.ciphertext].join(':');
+};
+
+// Keyed hash of a value, scoped to one attribute so equal values in
+// different columns do not match
+const blindIndex = (scope, value) => {
+  if (value === null || value === undefined) return null;
+  return crypto
+    .createHmac('sha256', getKeyProvider().blindIndexKey)
+    .update(`${scope}:${value}`)
+    .digest('hex');
+};
+
+// Plain value of an encrypted attribute from what is stored for it
+const decodeAttribute = (attribute, stored) => {
+  const { json, empty } = attribute.encrypted;
+  if (stored === null || stored === undefined || stored === '') {
+    return json ? empty() : stored;
+  }
+
+  const plaintext = decrypt(stored);
+  if (!json) return plaintext;
+  // Legacy JSON columns may come back already parsed
+  return typeof plaintext === 'string' ? JSON.parse(plaintext) : plaintext;
+};
+
+const serialize = (json, value) => (json ? JSON.stringify(value) : String(value));
+
+// Attribute definition for an encrypted column. Empty values (null and '')
+// are stored as they are, so allowNull and notEmpty keep working.
+//   json:       the value is an object, stored as encrypted JSON
+//   empty:      value read for a missing JSON value, e.g. () => ({})
+//   blindIndex: attribute that keeps the blind index of the value
+const encryptedField = (name, {
+  json = false,
+  empty = () => null,
+  blindIndex: indexAttribute,
+  ...options
+} = {}) => {
+  const attribute = {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    ...options,
+    encrypted: { json, empty, blindIndex: indexAttribute },
+    get() {
+      return decodeAttribute(attribute, this.getDataValue(name));
+    },
+    set(value) {
+      const isEmpty = value === null || value === undefined || value === '';
+      const stored = this.getDataValue(name);
+
+      // Re-encrypting an unchanged value would mark it changed
+      if (stored !== undefined && !isEmpty
+        && serialize(json, decodeAttribute(attribute, stored)) === serialize(json, value)) {
+        return;
+      }
+
+      this.setDataValue(name, isEmpty ? value : encrypt(serialize(json, value)));
+      if (indexAttribute) {
+        this.setDataValue(indexAttribute, isEmpty ? null : blindIndex(name, serialize(json, value)));
+      }
+    }
+  };
+  return attribute;
+};
+
+// Attribute definition for the blind index of an encrypted attribute
+const blindIndexField = (options = {}) => ({
+  type: DataTypes.STRING(64),
+  allowNull: true,
+  ...options
+});
+
+const encryptedAttributesOf = (Model) => Object.entries(Model.rawAttributes)
+  .filter(([, attribute]) => attribute.encrypted)
+  .map(([name, attribute]) => ({ name, attribute }));
+
+// Exact-match conditions (a value, Op.eq, Op.ne, Op.in or Op.notIn) on an
+// attribute with a blind index, rewritten as conditions on the index
+const toIndexCondition = (name, condition) => {
+  const hash = (value) => blindIndex(name, value);
+
+  if (condition === null || typeof condition !== 'object') return hash(condition);
+  if (Array.isArray(condition)) return condition.map(hash);
+
+  const supported = [Op.eq, Op.ne, Op.in, Op.notIn];
+  const operators = Object.getOwnPropertySymbols(condition);
+  if (Object.keys(condition).length > 0 || operators.some((op) => !supported.includes(op))) {
+    throw new Error(`Encrypted attribute "${name}" only supports exact-match conditions`);
+  }
+
+  return operators.reduce((rewritten, op) => ({
+    ...rewritten,
+    [op]: Array.isArray(condition[op]) ? condition[op].map(hash) : hash(condition[op])
+  }), {});
+};
+
+const rewriteWhere = (Model, where) => {
+  // Leave sequelize.where(), literals and the like alone
+  if (!where || Object.getPrototypeOf(where) !== Object.prototype) return where;
+
+  const rewritten = { ...where };
+  encryptedAttributesOf(Model).forEach(({ name, attribute }) => {
+    if (!Object.prototype.hasOwnProperty.call(where, name)) return;
+    if (!attribute.encrypted.blindIndex) {
+      throw new Error(`Encrypted attribute "${name}" can not be used in queries`);
+    }
+    delete rewritten[name];
+    rewritten[attribute.encrypted.blindIndex] = toIndexCondition(name, where[name]);
+  });
+
+  [Op.and, Op.or].forEach((op) => {
+    if (Array.isArray(where[op])) {
+      rewritten[op] = where[op].map((clause) => rewriteWhere(Model, clause));
+    }
+  });
+  return rewritten;
+};
+
+// Let `where: { result: 'Positive' }` keep working on encrypted attributes
+// with a blind index, and refuse conditions on the others, which would
+// otherwise be compared with ciphertext and silently match nothing
+const addBlindIndexLookups = (Model) => {
+  const rewrite = (options) => {
+    options.where = rewriteWhere(Model, options.where);
+  };
+  Model.addHook('beforeFind', 'blindIndex', rewrite);
+  Model.addHook('beforeCount', 'blindIndex', rewrite);
+};
+
+// Re-wrap every encrypted value of the given models under the active key,
+// encrypt values still stored in plaintext and refresh blind indexes (after
+// FIELD_BLIND_INDEX_KEY changes, say). Rows are rewritten with plain queries,
+// so no hooks run and no audit entries are written; the values they hold
+// are unchanged.
+const rotateKeys = async (models, { batchSize = 500 } = {}) => {
+  const report = {};
+
+  for (const Model of models) {
+    const encrypted = encryptedAttributesOf(Model);
+    if (encrypted.length === 0) continue;
+
+    const queryInterface = Model.sequelize.getQueryInterface();
+    const primaryKey = Model.primaryKeyAttribute;
+    const indexes = encrypted
+      .map(({ attribute }) => attribute.encrypted.blindIndex)
+      .filter(Boolean);
+    const stats = { scanned: 0, updated: 0 };
+    let lastId = 0;
+
+    for (;;) {
+      const rows = await Model.unscoped().findAll({
+        attributes: [primaryKey, ...encrypted.map(({ name }) => name), ...indexes],
+        where: { [primaryKey]: { [Op.gt]: lastId } },
+        order: [[primaryKey, 'ASC']],
+        limit: batchSize,
+        raw: true
+      });
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const changes = {};
+
+        encrypted.forEach(({ name, attribute }) => {
+          const stored = row[name];
+          if (stored === null || stored === undefined || stored === '') return;
+
+          const plaintext = typeof stored === 'string' ? decrypt(stored) : JSON.stringify(stored);
+          const next = isEncrypted(stored) ? rewrap(stored) : encrypt(plaintext);
+          if (next !== stored) changes[Model.rawAttributes[name].field] = next;
+
+          const { blindIndex: indexAttribute } = attribute.encrypted;
+          if (indexAttribute) {
+            const hash = blindIndex(name, plaintext);
+            if (hash !== row[indexAttribute]) changes[Model.rawAttributes[indexAttribute].field] = hash;
+          }
+        });
+
+        if (Object.keys(changes).length > 0) {
+          await queryInterface.bulkUpdate(Model.tableName, changes, {
+            [Model.rawAttributes[primaryKey].field]: row[primaryKey]
+          });
+          stats.updated += 1;
+        }
+      }
+
+      stats.scanned += rows.length;
+      lastId = rows[rows.length - 1][primaryKey];
+    }
+
+    report[Model.name] = stats;
+  }
+
+  return report;
+};
+
+module.exports = {
+  createKeyProvider,
+  createLocalKeyProvider,
+  getKeyProvider,
+  setKeyProvider,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  blindIndex,
+  decodeAttribute,
+  encryptedField,
+  blindIndexField,
+  addBlindIndexLookups,
+  rotateKeys
+};
@@ -0,0 +1,337 @@
+// Printable health summary for appointments: a PDF with the patient's
+// details, abnormal results and trends over a date range, and the alerts
+// still open.
+//
+// The text is set in DejaVu Sans from assets/fonts, embedded in the PDF.
+// pdfkit's standard fonts only cover Latin-1, and names, test names and
+// alert text can be in any script. Nothing is fetched, so generation works
+// offline. DejaVu has no CJK glyphs; those would need a CJK font as well.
+
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { Op } = require('sequelize');
+const { User, Alert, DiagnosticTest } = require('../models');
+const { buildTrend } = require('../utils/trend');
+
+// Range covered when none is given, ending today
+const DEFAULT_RANGE_DAYS = 365;
+
+// Most recent results listed in each trend table
+const MAX_TREND_POINTS = 12;
+
+const FONT_DIR = path.join(__dirname, '..', 'assets', 'fonts');
+const FONT = 'DejaVuSans';
+const BOLD_FONT = 'DejaVuSans-Bold';
+const RULE_COLOR = '#cccccc';
+const MUTED_COLOR = '#555555';
+const ABNORMAL_COLOR = '#b00020';
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// The given range, or the DEFAULT_RANGE_DAYS up to today, as YYYY-MM-DD
+const resolveRange = ({ dateFrom, dateTo } = {}) => {
+  const to = dateTo ? formatDate(dateTo) : formatDate(new Date());
+  if (dateFrom) return { dateFrom: formatDate(dateFrom), dateTo: to };
+
+  const from = new Date(to);
+  from.setUTCDate(from.getUTCDate() - DEFAULT_RANGE_DAYS);
+  return { dateFrom: formatDate(from), dateTo: to };
+};
+
+// Numeric results by analyte, keyed by code or else by name
+const groupSeries = (tests) => tests.reduce((groups, test) => {
+  const key = test.code || test.name.toLowerCase();
+  if (!groups.has(key)) groups.set(key, []);
+  groups.get(key).push(test);
+  return groups;
+}, new Map());
+
+// Analytes with at least two results in the range, by name
+const buildTrends = (tests) => [...groupSeries(tests).values()]
+  .filter((series) => series.length > 1)
+  .map((series) => ({
+    name: series[series.length - 1].name,
+    code: series[series.length - 1].code,
+    ...buildTrend(series)
+  }))
+  .sort((a, b) => a.name.localeCompare(b.name));
+
+// Everything the report shows, or null when the user does not exist.
+// `records` lists the rows read, for the audit trail.
+const collectReport = async (userId, range = {}) => {
+  const user = await User.findByPk(userId);
+  if (!user) return null;
+
+  const { dateFrom, dateTo } = resolveRange(range);
+
+  const abnormal = await DiagnosticTest.findAbnormalByUser(userId, { dateFrom, dateTo });
+  const series = await DiagnosticTest.findAll({
+    where: {
+      userId,
+      isPanel: false,
+      numericValue: { [Op.ne]: null },
+      date: { [Op.gte]: dateFrom, [Op.lte]: dateTo }
+    },
+    order: [['date', 'ASC'], ['id', 'ASC']]
+  });
+  const alerts = await Alert.findActiveByUser(userId);
+
+  const seen = new Set(abnormal.map((test) => test.id));
+  const tests = [...abnormal, ...series.filter((test) => !seen.has(test.id))];
+
+  return {
+    user,
+    dateFrom,
+    dateTo,
+    abnormal,
+    trends: buildTrends(series),
+    alerts,
+    records: [user, ...tests, ...alerts],
+    generatedAt: new Date()
+  };
+};
+
+const formatNumber = (value) => (value === null || value === undefined ? '' : String(Number(value)));
+
+const formatRange = (low, high) => {
+  if (low !== null && low !== undefined && high !== null && high !== undefined) {
+    return `${formatNumber(low)}-${formatNumber(high)}`;
+  }
+  if (low !== null && low !== undefined) return `>= ${formatNumber(low)}`;
+  if (high !== null && high !== undefined) return `<= ${formatNumber(high)}`;
+  return '';
+};
+
+const formatChange = (change) => (change > 0 ? `+${formatNumber(change)}` : formatNumber(change));
+
+const withUnits = (value, units) => (units ? `${value} ${units}` : value);
+
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+const pageBottom = (doc) => doc.page.height - doc.page.margins.bottom;
+
+// Start a new page unless `height` still fits on this one
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > pageBottom(doc)) doc.addPage();
+};
+
+const heading = (doc, text) => {
+  ensureSpace(doc, 60);
+  doc.moveDown(1)
+    .font(BOLD_FONT).fontSize(13).fillColor('black')
+    .text(text, doc.page.margins.left)
+    .moveDown(0.3);
+};
+
+const note = (doc, text) => {
+  doc.font(FONT).fontSize(9).fillColor(MUTED_COLOR)
+    .text(text, doc.page.margins.left)
+    .fillColor('black');
+};
+
+// columns: [{ header, width }], widths relative to each other; each row is
+// { cells, highlight }. The header row is repeated on every page.
+const drawTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const total = columns.reduce((sum, column) => sum + column.width, 0);
+  const widths = columns.map((column) => (column.width / total) * width);
+  const padding = 3;
+
+  const rowHeight = (cells) => Math.max(...cells.map((cell, index) => (
+    doc.heightOfString(cell, { width: widths[index] - padding * 2 })
+  ))) + padding * 2;
+
+  const drawRow = (cells, { font = FONT, color = 'black' } = {}) => {
+    doc.font(font).fontSize(9);
+    const height = rowHeight(cells);
+    const top = doc.y;
+
+    let x = left;
+    cells.forEach((cell, index) => {
+      doc.fillColor(color).text(cell, x + padding, top + padding, {
+        width: widths[index] - padding * 2
+      });
+      x += widths[index];
+    });
+
+    doc.moveTo(left, top + height).lineTo(left + width, top + height)
+      .lineWidth(0.5).strokeColor(RULE_COLOR).stroke();
+    doc.fillColor('black');
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  const headers = columns.map((column) => column.header);
+  doc.font(BOLD_FONT).fontSize(9);
+  ensureSpace(doc, rowHeight(headers) * 2);
+  drawRow(headers, { font: BOLD_FONT });
+
+  rows.forEach(({ cells, highlight }) => {
+    doc.font(FONT).fontSize(9);
+    if (doc.y + rowHeight(cells) > pageBottom(doc)) {
+      doc.addPage();
+      drawRow(headers, { font: BOLD_FONT });
+    }
+    drawRow(cells, { color: highlight ? ABNORMAL_COLOR : 'black' });
+  });
+};
+
+const drawDemographics = (doc, { user, dateFrom, dateTo, generatedAt }) => {
+  doc.font(BOLD_FONT).fontSize(18).text('Health Summary');
+  doc.moveDown(0.5);
+
+  [
+    ['Name', user.name],
+    ['Email', user.email],
+    ['Member since', formatDate(user.createdAt)],
+    ['Results from', `${dateFrom} to ${dateTo}`],
+    ['Generated', generatedAt.toISOString().replace('T', ' ').slice(0, 16) + ' UTC']
+  ].forEach(([label, value]) => {
+    doc.font(BOLD_FONT).fontSize(10).text(`${label}: `, { continued: true })
+      .font(FONT).text(value);
+  });
+};
+
+const drawAbnormal = (doc, { abnormal }) => {
+  heading(doc, `Abnormal Results (${abnormal.length})`);
+  if (abnormal.length === 0) return note(doc, 'No abnormal results in this period.');
+
+  drawTable(doc, [
+    { header: 'Date', width: 2 },
+    { header: 'Test', width: 4 },
+    { header: 'Result', width: 3 },
+    { header: 'Reference range', width: 3 },
+    { header: 'Flag', width: 1.5 }
+  ], abnormal.map((test) => ({
+    cells: [
+      formatDate(test.date),
+      test.name,
+      withUnits(test.result || '', test.units),
+      test.normalRange || formatRange(test.referenceLow, test.referenceHigh),
+      test.flag || ''
+    ],
+    highlight: test.flag === 'critical'
+  })));
+};
+
+const drawTrends = (doc, { trends }) => {
+  heading(doc, 'Trends');
+  if (trends.length === 0) {
+    return note(doc, 'No test has more than one numeric result in this period.');
+  }
+
+  trends.forEach((trend) => {
+    const { stats } = trend;
+    ensureSpace(doc, 80);
+    doc.moveDown(0.5)
+      .font(BOLD_FONT).fontSize(11)
+      .text(trend.units ? `${trend.name} (${trend.units})` : trend.name, doc.page.margins.left);
+    note(doc, [
+      `${stats.count} results`,
+      `latest ${formatNumber(stats.latest)}`,
+      `change ${formatChange(stats.change)}`,
+      `min ${formatNumber(stats.min)}`,
+      `max ${formatNumber(stats.max)}`,
+      `mean ${formatNumber(stats.mean)}`
+    ].join('  |  '));
+    doc.moveDown(0.3);
+
+    const points = trend.points.slice(-MAX_TREND_POINTS);
+    drawTable(doc, [
+      { header: 'Date', width: 2 },
+      { header: 'Value', width: 2 },
+      { header: 'Reference range', width: 3 },
+      { header: 'Flag', width: 2 }
+    ], points.map((point) => ({
+      cells: [
+        formatDate(point.date),
+        formatNumber(point.value),
+        formatRange(point.referenceLow, point.referenceHigh),
+        point.flag && point.flag !== 'normal' ? point.flag : ''
+      ],
+      highlight: point.isAbnormal
+    })));
+
+    if (trend.points.length > points.length) {
+      note(doc, `Showing the latest ${points.length} of ${trend.points.length} results.`);
+    }
+  });
+};
+
+const drawAlerts = (doc, { alerts }) => {
+  heading(doc, `Active Alerts (${alerts.length})`);
+  if (alerts.length === 0) return note(doc, 'No active alerts.');
+
+  drawTable(doc, [
+    { header: 'Raised', width: 2 },
+    { header: 'Priority', width: 1.5 },
+    { header: 'Alert', width: 3 },
+    { header: 'Details', width: 6 }
+  ], alerts.map((alert) => ({
+    cells: [
+      formatDate(alert.createdAt),
+      alert.priority,
+      alert.title,
+      alert.message
+    ],
+    highlight: ['high', 'critical'].includes(alert.priority)
+  })));
+};
+
+// Page numbers go in the bottom margin once all pages exist
+const drawFooters = (doc, { user }) => {
+  const { start, count } = doc.bufferedPageRange();
+  for (let index = start; index < start + count; index += 1) {
+    doc.switchToPage(index);
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font(FONT).fontSize(8).fillColor(MUTED_COLOR)
+      .text(
+        `${user.name}  |  Page ${index + 1} of ${count}`,
+        doc.page.margins.left,
+        doc.page.height - bottom / 2,
+        { width: contentWidth(doc), align: 'center', lineBreak: false }
+      );
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+// The report from collectReport as a PDF, resolving to a Buffer
+const renderReport = (report) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    bufferPages: true,
+    info: {
+      Title: `Health Summary for ${report.user.name}`,
+      CreationDate: report.generatedAt
+    }
+  });
+  doc.registerFont(FONT, path.join(FONT_DIR, 'DejaVuSans.ttf'));
+  doc.registerFont(BOLD_FONT, path.join(FONT_DIR, 'DejaVuSans-Bold.ttf'));
+
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    drawDemographics(doc, report);
+    drawAbnormal(doc, report);
+    drawTrends(doc, report);
+    drawAlerts(doc, report);
+    drawFooters(doc, report);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+module.exports = {
+  DEFAULT_RANGE_DAYS,
+  MAX_TREND_POINTS,
+  resolveRange,
+  collectReport,
+  renderReport
+};
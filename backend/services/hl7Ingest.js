@@ -0,0 +1,243 @@
+// Ingestion of HL7 v2 ORU^R01 lab results, received over HTTP or MLLP.
+//
+// Every message gets an acknowledgement: AA once its results are stored or it
+// is queued for review, AE when its content can't be imported, and AR when it
+// is not an ORU^R01 message we can read. The patient is matched to a user by
+// the identifier HL7_PATIENT_IDENTIFIER names. A message that matches no
+// active user, or several, is kept as "unmatched" until an administrator
+// assigns it to a user or dismisses it. Labs resend messages they got no ACK
+// for, so a control ID already received from the same facility is
+// acknowledged again without importing it twice. A unique index on the two
+// backs that up when a copy arrives while the first is still being processed.
+
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize, User, DiagnosticTest, Hl7Message } = require('../models');
+const { evaluateTest } = require('./alertRules');
+const {
+  ERROR_CONDITIONS,
+  Hl7Error,
+  parseMessage,
+  buildAck,
+  fromOru
+} = require('../utils/hl7');
+
+// User fields a PID identifier can be matched against
+const PATIENT_IDENTIFIERS = ['email', 'id'];
+
+// Fields an analyte takes from its panel
+const PANEL_SHARED_FIELDS = ['date', 'testType', 'status', 'doctorName', 'labName'];
+
+// Read on each message, so tests and deployments can change it
+const matchingConfig = () => ({
+  identifier: PATIENT_IDENTIFIERS.includes(process.env.HL7_PATIENT_IDENTIFIER)
+    ? process.env.HL7_PATIENT_IDENTIFIER
+    : 'email',
+  // Only PID-3 identifiers of this type (e.g. MR) and assigning authority count
+  idType: process.env.HL7_PATIENT_ID_TYPE || null,
+  authority: process.env.HL7_PATIENT_ID_AUTHORITY || null
+});
+
+// The one active user the patient identifies; null when none or several do.
+// Email matching also tries the addresses in PID-13.
+const matchPatient = async (patient) => {
+  const config = matchingConfig();
+  const ids = patient.identifiers
+    .filter((identifier) => (!config.idType || identifier.type === config.idType)
+      && (!config.authority || identifier.authority === config.authority))
+    .map((identifier) => identifier.id.trim());
+
+  const where = config.identifier === 'email'
+    ? { email: { [Op.in]: [...ids, ...patient.emails].map((value) => value.trim().toLowerCase()) } }
+    : { id: { [Op.in]: ids.filter((value) => /^\d+$/.test(value)).map(Number) } };
+  if (where[config.identifier][Op.in].length === 0) return null;
+
+  const users = await User.findAll({ where: { ...where, isActive: true } });
+  return users.length === 1 ? users[0] : null;
+};
+
+// Alert rules run once the data is stored; a failure there is logged
+const runAlertRules = async (tests) => {
+  const alerts = [];
+  for (const test of tests) {
+    try {
+      alerts.push(...await evaluateTest(test));
+    } catch (error) {
+      console.error('Alert rule evaluation error:', error);
+    }
+  }
+  return alerts;
+};
+
+// Another copy of the message was stored while this one was processed
+class DuplicateMessageError extends Error {}
+
+// The message left the review queue while a reviewer was handling it
+class MessageNotPendingError extends Error {}
+
+// Store the panels of a message, all or nothing. saveMessage(tests,
+// transaction), when given, stores the message itself in the same
+// transaction, so a copy that loses the race to it imports nothing.
+const importPanels = async (userId, panels, saveMessage = null) => {
+  const created = await sequelize.transaction(async (transaction) => {
+    const tests = [];
+    for (const { panel: attributes, analytes } of panels) {
+      const panel = await DiagnosticTest.create({ ...attributes, userId }, { transaction });
+      const shared = PANEL_SHARED_FIELDS.reduce((acc, field) => (
+        panel[field] === null ? acc : { ...acc, [field]: panel[field] }
+      ), {});
+
+      // One by one so each analyte is interpreted and rolled up
+      for (const analyte of analytes) {
+        await DiagnosticTest.create({ ...analyte, ...shared, userId, panelId: panel.id }, { transaction });
+      }
+      tests.push(panel);
+    }
+
+    if (saveMessage) await saveMessage(tests, transaction);
+    return tests;
+  });
+
+  return { tests: created, alerts: await runAlertRules(created) };
+};
+
+// Validation errors list each failed field
+const errorMessage = (error) => (
+  error.errors ? error.errors.map((item) => item.message).join('; ') : error.message
+);
+
+const respond = (message, record, code, options = {}) => ({
+  code,
+  ack: buildAck(message, code, options),
+  record
+});
+
+// Process one message and acknowledge it. Resolves with { code, ack, record }:
+// the acknowledgement code, the ER7 acknowledgement and the stored message
+// (null for messages that could not be read).
+const receiveMessage = async (text, { transport = 'http' } = {}) => {
+  let message;
+  try {
+    message = parseMessage(text);
+    if (message.header.messageType !== 'ORU^R01') {
+      throw new Hl7Error(
+        'unsupportedMessageType',
+        `Message type ${message.header.messageType || '(none)'} is not supported`
+      );
+    }
+    if (!message.header.controlId) {
+      throw new Hl7Error('requiredField', 'MSH-10 message control ID is missing');
+    }
+  } catch (error) {
+    const condition = error.condition || 'segmentSequence';
+    return respond(message || null, null, ERROR_CONDITIONS[condition].ack, { text: error.message, condition });
+  }
+
+  const { header } = message;
+  let record = null;
+  try {
+    record = await Hl7Message.findReceived(header.sendingFacility, header.controlId);
+    if (record && record.status !== 'failed') {
+      return respond(message, record, 'AA', { text: 'Duplicate message; already received' });
+    }
+
+    // A message that failed before is processed again. Saved with set() and
+    // save(), since update() would only write the fields it was given.
+    record = record || Hl7Message.build({
+      controlId: header.controlId.slice(0, 199),
+      sendingApplication: header.sendingApplication.slice(0, 255) || null,
+      sendingFacility: header.sendingFacility.slice(0, 255),
+      messageType: header.messageType,
+      transport
+    });
+    record.raw = text;
+    record.transport = transport;
+
+    const { patient, panels } = fromOru(message);
+    if (panels.length === 0) {
+      throw new Hl7Error('requiredField', 'Message has no results that can be imported');
+    }
+
+    const user = await matchPatient(patient);
+    if (!user) {
+      await record.set({ status: 'unmatched', error: null }).save();
+      return respond(message, record, 'AA', { text: 'Patient not matched; message queued for review' });
+    }
+
+    const { tests } = await importPanels(user.id, panels, async (created, transaction) => {
+      // A failed message can be retried by two copies at once; the row lock
+      // makes the second wait and then see the first one's result
+      if (!record.isNewRecord) {
+        const current = await Hl7Message.findByPk(record.id, { transaction, lock: transaction.LOCK.UPDATE });
+        if (current.status !== 'failed') throw new DuplicateMessageError();
+      }
+
+      await record.set({
+        status: 'processed',
+        userId: user.id,
+        testIds: created.map((test) => test.id),
+        error: null
+      }).save({ transaction });
+    });
+    return respond(message, record, 'AA', { text: `Imported ${tests.length} panel(s)` });
+  } catch (error) {
+    if (error instanceof UniqueConstraintError || error instanceof DuplicateMessageError) {
+      const received = await Hl7Message.findReceived(header.sendingFacility, header.controlId);
+      return respond(message, received, 'AA', { text: 'Duplicate message; already received' });
+    }
+
+    if (!(error instanceof Hl7Error)) {
+      console.error('HL7 message processing error:', error);
+    }
+    const condition = error.condition || 'internal';
+    const failure = errorMessage(error);
+
+    if (record) {
+      try {
+        await record.set({ status: 'failed', error: failure.slice(0, 255) }).save();
+      } catch (saveError) {
+        console.error('HL7 message save error:', saveError);
+      }
+    }
+    return respond(message, record, ERROR_CONDITIONS[condition].ack, { text: failure, condition });
+  }
+};
+
+// Import an unmatched message into `user`'s record
+const assignMessage = async (record, user, reviewer) => {
+  const { panels } = fromOru(parseMessage(record.raw));
+  return importPanels(user.id, panels, async (created, transaction) => {
+    // Two reviewers can handle the same message at once; the row lock makes
+    // the second wait and then find it no longer queued
+    const current = await Hl7Message.findByPk(record.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!current || !current.isPendingReview()) throw new MessageNotPendingError();
+
+    await record.set({
+      status: 'processed',
+      userId: user.id,
+      testIds: created.map((test) => test.id),
+      resolvedBy: reviewer.id,
+      resolvedAt: new Date()
+    }).save({ transaction });
+  });
+};
+
+const dismissMessage = async (record, reviewer) => {
+  // Only while still queued, so a concurrent assignment is never undone
+  const [updated] = await Hl7Message.update({
+    status: 'dismissed',
+    resolvedBy: reviewer.id,
+    resolvedAt: new Date()
+  }, {
+    where: { id: record.id, status: 'unmatched' }
+  });
+  if (updated === 0) throw new MessageNotPendingError();
+  return record.reload();
+};
+
+module.exports = {
+  MessageNotPendingError,
+  receiveMessage,
+  assignMessage,
+  dismissMessage,
+  matchPatient
+};
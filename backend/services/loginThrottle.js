@@ -0,0 +1,178 @@
+// Brute-force protection for logins, per client IP and per account.
+//
+// The first few failures are free. After that every failure imposes a
+// doubling wait (1s, 2s, 4s...) before the next attempt, and reaching the
+// lockout threshold blocks the IP or account outright, longer each time.
+// Successful logins clear the account's record; IP records only age out, so
+// a valid account cannot be used to reset an attacker's budget.
+
+const { Op } = require('sequelize');
+const { LoginThrottle, SecurityEvent, User, Alert } = require('../models');
+const { sendMail } = require('./mailer');
+
+const MINUTE = 60 * 1000;
+
+const POLICIES = {
+  account: {
+    freeAttempts: 5,
+    lockThreshold: 10,
+    windowMs: 15 * MINUTE,
+    maxBackoffMs: MINUTE,
+    lockMs: 15 * MINUTE,
+    maxLockMs: 24 * 60 * MINUTE
+  },
+  ip: {
+    freeAttempts: 20,
+    lockThreshold: 50,
+    windowMs: 15 * MINUTE,
+    maxBackoffMs: MINUTE,
+    lockMs: 15 * MINUTE,
+    maxLockMs: 24 * 60 * MINUTE
+  }
+};
+
+// Lockouts are forgiven after a quiet day
+const LOCK_HISTORY_MS = 24 * 60 * MINUTE;
+
+const accountKey = (email) => String(email || '').trim().toLowerCase();
+
+const findThrottles = ({ ip, email }) => LoginThrottle.findAll({
+  where: {
+    [Op.or]: [
+      { scope: 'ip', key: ip || 'unknown' },
+      { scope: 'account', key: accountKey(email) }
+    ]
+  }
+});
+
+// Returns null when the attempt may proceed, otherwise why it is blocked
+// and for how many seconds
+const checkLoginAllowed = async ({ ip, email }) => {
+  const now = new Date();
+  const blocks = (await findThrottles({ ip, email }))
+    .map((throttle) => ({ throttle, retryAfter: throttle.getRetryAfterSeconds(now) }))
+    .filter(({ retryAfter }) => retryAfter > 0)
+    .sort((a, b) => b.retryAfter - a.retryAfter);
+
+  if (blocks.length === 0) return null;
+
+  const [{ throttle, retryAfter }] = blocks;
+  return {
+    scope: throttle.scope,
+    locked: throttle.failureCount === 0 && throttle.lockCount > 0,
+    retryAfter
+  };
+};
+
+const notifyAccountLocked = async (user, { ip, lockedUntil, failures }) => {
+  const until = lockedUntil.toISOString().replace('T', ' ').slice(0, 16);
+  const message = `Your account was locked after ${failures} failed sign-in attempts`
+    + `${ip ? ` from ${ip}` : ''}. You can sign in again after ${until} UTC. `
+    + 'If this was not you, reset your password and enable two-factor authentication.';
+
+  // No alert notification: the user is emailed below whatever their
+  // notification preferences
+  await Alert.create({
+    title: 'Account temporarily locked',
+    message,
+    type: 'system',
+    priority: 'high',
+    userId: user.id,
+    metadata: { ipAddress: ip, lockedUntil }
+  }, { notify: false });
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Your AI Health account was temporarily locked',
+      text: `Hi ${user.name},\n\n${message}`
+    });
+  } catch (error) {
+    // The in-app alert is already there; a mail outage must not fail the login
+    console.error('Account lock email error:', error);
+  }
+};
+
+const registerFailure = async (scope, key, now) => {
+  const policy = POLICIES[scope];
+  const [throttle] = await LoginThrottle.findOrCreate({
+    where: { scope, key },
+    defaults: { scope, key }
+  });
+
+  // Start over once the window has passed without failures
+  if (throttle.lastFailureAt && now - throttle.lastFailureAt > policy.windowMs) {
+    throttle.failureCount = 0;
+    if (now - throttle.lastFailureAt > LOCK_HISTORY_MS) throttle.lockCount = 0;
+  }
+
+  throttle.failureCount += 1;
+  throttle.lastFailureAt = now;
+
+  let locked = false;
+  if (throttle.failureCount >= policy.lockThreshold) {
+    const lockMs = Math.min(policy.lockMs * 2 ** throttle.lockCount, policy.maxLockMs);
+    throttle.blockedUntil = new Date(now.getTime() + lockMs);
+    throttle.lockCount += 1;
+    throttle.failureCount = 0;
+    locked = true;
+  } else if (throttle.failureCount > policy.freeAttempts) {
+    const backoffMs = Math.min(1000 * 2 ** (throttle.failureCount - policy.freeAttempts - 1), policy.maxBackoffMs);
+    throttle.blockedUntil = new Date(now.getTime() + backoffMs);
+  }
+
+  await throttle.save();
+  return { throttle, locked, failures: policy.lockThreshold };
+};
+
+// Count a failed password or second-factor check against both the IP and
+// the account. Lockouts are recorded, and account owners are notified.
+const recordLoginFailure = async ({ ip, email, user = null }) => {
+  const now = new Date();
+
+  const ipResult = await registerFailure('ip', ip || 'unknown', now);
+  if (ipResult.locked) {
+    await SecurityEvent.create({
+      type: 'ip_blocked',
+      ipAddress: ip,
+      metadata: {
+        blockedUntil: ipResult.throttle.blockedUntil,
+        lockCount: ipResult.throttle.lockCount
+      }
+    });
+  }
+
+  const accountResult = await registerFailure('account', accountKey(email), now);
+  if (accountResult.locked) {
+    const owner = user || await User.findByEmail(accountKey(email));
+    await SecurityEvent.create({
+      type: 'account_locked',
+      userId: owner ? owner.id : null,
+      ipAddress: ip,
+      metadata: {
+        email: accountKey(email),
+        lockedUntil: accountResult.throttle.blockedUntil,
+        lockCount: accountResult.throttle.lockCount
+      }
+    });
+
+    if (owner) {
+      await notifyAccountLocked(owner, {
+        ip,
+        lockedUntil: accountResult.throttle.blockedUntil,
+        failures: accountResult.failures
+      });
+    }
+  }
+};
+
+const recordLoginSuccess = ({ email }) => LoginThrottle.destroy({
+  where: { scope: 'account', key: accountKey(email) }
+});
+
+module.exports = {
+  POLICIES,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+};
@@ -0,0 +1,98 @@
+// Outgoing email behind a pluggable transport, chosen with MAIL_TRANSPORT:
+//
+//   smtp    - any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASSWORD),
+//             including a local catcher such as MailHog or Mailpit
+//   file    - one JSON file per message in MAIL_FILE_DIR, for tests and demos
+//   console - logs each message, the default outside production
+//
+// Anything with a `send(message)` method can be plugged in with setTransport.
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'AI Health <no-reply@aihealth.local>';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// For user-provided text placed in HTML bodies
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+const createFileTransport = (directory = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail')) => ({
+  name: 'file',
+  directory,
+  send: async (message) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    const record = { ...message, sentAt: new Date().toISOString() };
+    await fs.promises.writeFile(path.join(directory, fileName), JSON.stringify(record, null, 2));
+    return { messageId: fileName };
+  }
+});
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+const createTransport = (name = process.env.MAIL_TRANSPORT) => {
+  const transportName = name || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+  const factory = TRANSPORTS[transportName];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+  return factory();
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+const sendMail = ({ to, subject, text, html }) => getTransport().send({
+  from: process.env.MAIL_FROM || DEFAULT_FROM,
+  to,
+  subject,
+  text,
+  html
+});
+
+module.exports = {
+  sendMail,
+  escapeHtml,
+  getTransport,
+  setTransport,
+  createTransport,
+  createFileTransport
+};
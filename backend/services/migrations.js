@@ -0,0 +1,57 @@
+// Schema changes are applied with sequelize-cli (`npm run db:migrate`). The
+// server only checks that the database is up to date before it starts.
+
+const fs = require('fs');
+const path = require('path');
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Where sequelize-cli records applied migrations
+const META_TABLE = 'SequelizeMeta';
+
+// Migration file names, in the order they run
+const listMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter((file) => file.endsWith('.js'))
+  .sort();
+
+const getAppliedMigrations = async () => {
+  const queryInterface = sequelize.getQueryInterface();
+  if (!await queryInterface.tableExists(META_TABLE)) return [];
+
+  const rows = await sequelize.query(
+    `SELECT name FROM ${queryInterface.quoteIdentifier(META_TABLE)}`,
+    { type: QueryTypes.SELECT }
+  );
+  return rows.map((row) => row.name);
+};
+
+const getPendingMigrations = async () => {
+  const applied = new Set(await getAppliedMigrations());
+  return listMigrations().filter((name) => !applied.has(name));
+};
+
+// SQLite changes or drops a column by rebuilding the table. With foreign
+// key checks on, that fails (or cascades) while other tables reference its
+// rows, so migrations run such changes through this. Other dialects alter
+// tables in place.
+const withoutForeignKeyChecks = async (queryInterface, callback) => {
+  if (queryInterface.sequelize.getDialect() !== 'sqlite') return callback();
+
+  await queryInterface.sequelize.query('PRAGMA foreign_keys = OFF');
+  try {
+    return await callback();
+  } finally {
+    await queryInterface.sequelize.query('PRAGMA foreign_keys = ON');
+  }
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  META_TABLE,
+  listMigrations,
+  getAppliedMigrations,
+  getPendingMigrations,
+  withoutForeignKeyChecks
+};
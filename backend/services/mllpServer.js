@@ -0,0 +1,59 @@
+// MLLP (Minimal Lower Layer Protocol) listener for HL7 v2 messages. Each
+// message is framed as <VT> message <FS><CR>, and each gets its
+// acknowledgement back in the same framing, in the order received. MLLP has
+// no authentication of its own, so the port must only be reachable by the
+// labs (VPN, firewall or a TLS tunnel).
+
+const net = require('net');
+const { receiveMessage } = require('./hl7Ingest');
+
+const START_BLOCK = '\x0b';
+const END_BLOCK = '\x1c\r';
+
+// Larger frames are refused and the connection closed
+const MAX_FRAME_BYTES = 1024 * 1024;
+
+const frame = (text) => `${START_BLOCK}${text}${END_BLOCK}`;
+
+// `handleMessage(text)` resolves with the acknowledgement to send back
+const createMllpServer = ({
+  handleMessage = async (text) => (await receiveMessage(text, { transport: 'mllp' })).ack
+} = {}) => net.createServer((socket) => {
+  let buffer = '';
+  let queue = Promise.resolve();
+
+  socket.setEncoding('utf8');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+
+    let end = buffer.indexOf(END_BLOCK);
+    while (end !== -1) {
+      const start = buffer.indexOf(START_BLOCK);
+      const text = start !== -1 && start < end ? buffer.slice(start + 1, end) : null;
+      buffer = buffer.slice(end + END_BLOCK.length);
+
+      if (text !== null) {
+        queue = queue
+          .then(() => handleMessage(text))
+          .then((ack) => {
+            if (!socket.destroyed) socket.write(frame(ack));
+          })
+          .catch((error) => console.error('MLLP message error:', error));
+      }
+      end = buffer.indexOf(END_BLOCK);
+    }
+
+    if (Buffer.byteLength(buffer) > MAX_FRAME_BYTES) {
+      console.error(`MLLP frame from ${socket.remoteAddress} exceeds ${MAX_FRAME_BYTES} bytes`);
+      socket.destroy();
+    }
+  });
+
+  socket.on('error', (error) => console.error('MLLP connection error:', error.message));
+});
+
+module.exports = {
+  frame,
+  createMllpServer
+};
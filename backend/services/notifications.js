@@ -0,0 +1,323 @@
+// Alert notifications. When an alert is created, or escalated to a higher
+// priority, its user is notified through every enabled channel, provided
+// the priority reaches their notificationThreshold preference.
+//
+// Channels are enabled with NOTIFICATION_CHANNELS (default "email,in_app"):
+//
+//   email   - through services/mailer.js, unless the user turned
+//             emailNotifications off
+//   webhook - a JSON POST to NOTIFICATION_WEBHOOK_URL, signed with
+//             NOTIFICATION_WEBHOOK_SECRET when set. NOTIFICATION_WEBHOOK_TRANSPORT
+//             is http (default) or memory, which keeps the requests for tests
+//   in_app  - a notification event on the user's live alert stream
+//
+// Each delivery is a NotificationDelivery row, which doubles as the log.
+// Failed attempts are retried with exponential backoff, starting at
+// NOTIFICATION_RETRY_DELAY_SECONDS, until NOTIFICATION_MAX_ATTEMPTS have
+// been made; processDueDeliveries sends those that are due.
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { publish } = require('./alertEvents');
+const { sendMail } = require('./mailer');
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+const DEFAULT_CHANNELS = 'email,in_app';
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Alerts closed before a retry are not worth notifying about any more
+const OPEN_STATUSES = ['active', 'acknowledged'];
+
+const rankOf = (priority) => PRIORITIES.indexOf(priority);
+
+const maxAttempts = () => parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+
+const retryDelayMs = (attempts) => (
+  (parseInt(process.env.NOTIFICATION_RETRY_DELAY_SECONDS, 10) || 60) * 1000 * 2 ** (attempts - 1)
+);
+
+// Whether the user wants to hear about alerts of this priority
+const meetsThreshold = (user, priority) => (
+  rankOf(priority) >= rankOf((user.preferences || {}).notificationThreshold || 'medium')
+);
+
+const createHttpWebhookTransport = () => ({
+  name: 'http',
+  send: ({ url, headers, body }) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      timeout: WEBHOOK_TIMEOUT_MS
+    }, (response) => {
+      response.resume();
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        resolve({ status: response.statusCode });
+      } else {
+        reject(new Error(`Webhook answered ${response.statusCode}`));
+      }
+    });
+    request.on('timeout', () => request.destroy(new Error('Webhook timed out')));
+    request.on('error', reject);
+    request.end(body);
+  })
+});
+
+// Keeps every request in `requests` instead of sending it
+const createMemoryWebhookTransport = () => {
+  const requests = [];
+  return {
+    name: 'memory',
+    requests,
+    send: async (request) => {
+      requests.push({ ...request, body: JSON.parse(request.body) });
+      return { status: 200 };
+    }
+  };
+};
+
+const WEBHOOK_TRANSPORTS = {
+  http: createHttpWebhookTransport,
+  memory: createMemoryWebhookTransport
+};
+
+const createWebhookTransport = (name = process.env.NOTIFICATION_WEBHOOK_TRANSPORT || 'http') => {
+  const factory = WEBHOOK_TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(`Unknown webhook transport: ${name}`);
+  }
+  return factory();
+};
+
+let webhookTransport = null;
+
+const getWebhookTransport = () => {
+  if (!webhookTransport) webhookTransport = createWebhookTransport();
+  return webhookTransport;
+};
+
+const setWebhookTransport = (nextTransport) => {
+  webhookTransport = nextTransport;
+};
+
+const alertUrl = (alert) => `${process.env.CLIENT_URL || 'http://localhost:3000'}/alerts?alertId=${alert.id}`;
+
+// The message itself stays in the app; only the title leaves it
+const buildEmail = ({ user, alert, event }) => {
+  const heading = event === 'escalated'
+    ? `An alert was raised to ${alert.priority} priority`
+    : `A new ${alert.priority} priority alert was raised`;
+  const threshold = (user.preferences || {}).notificationThreshold || 'medium';
+
+  return {
+    to: user.email,
+    subject: `${event === 'escalated' ? 'Alert escalated' : 'New alert'}: ${alert.title}`,
+    text: `Hi ${user.name},\n\n${heading} on your AI Health account:\n\n`
+      + `${alert.title}\n\nView it at ${alertUrl(alert)}\n\n`
+      + `You are emailed about alerts of ${threshold} priority and above. `
+      + 'You can change this in your profile.'
+  };
+};
+
+const buildWebhookRequest = ({ alert, event, delivery }) => {
+  const body = JSON.stringify({
+    event: `alert.${event}`,
+    deliveryId: delivery.id,
+    sentAt: new Date().toISOString(),
+    userId: alert.userId,
+    alert: {
+      id: alert.id,
+      title: alert.title,
+      type: alert.type,
+      priority: alert.priority,
+      status: alert.status,
+      diagnosticTestId: alert.diagnosticTestId,
+      createdAt: alert.createdAt
+    }
+  });
+
+  const headers = {
+    'Content-Type': 'application/json',
+    // Stays the same across retries, so receivers can drop duplicates
+    'X-Notification-Delivery': String(delivery.id)
+  };
+  if (process.env.NOTIFICATION_WEBHOOK_SECRET) {
+    const signature = crypto
+      .createHmac('sha256', process.env.NOTIFICATION_WEBHOOK_SECRET)
+      .update(body)
+      .digest('hex');
+    headers['X-Notification-Signature'] = `sha256=${signature}`;
+  }
+
+  return { url: process.env.NOTIFICATION_WEBHOOK_URL, headers, body };
+};
+
+// accepts(user): whether the channel applies to this user at all
+// deliver(notification): sends it, throwing on failure
+const CHANNELS = {
+  email: {
+    accepts: (user) => (user.preferences || {}).emailNotifications !== false,
+    deliver: (notification) => sendMail(buildEmail(notification))
+  },
+  webhook: {
+    accepts: () => Boolean(process.env.NOTIFICATION_WEBHOOK_URL),
+    deliver: (notification) => getWebhookTransport().send(buildWebhookRequest(notification))
+  },
+  in_app: {
+    accepts: () => true,
+    deliver: async ({ alert, event }) => {
+      publish({ type: `notification.${event}`, alert: alert.toJSON() });
+    }
+  }
+};
+
+const enabledChannels = () => (process.env.NOTIFICATION_CHANNELS ?? DEFAULT_CHANNELS)
+  .split(',')
+  .map((name) => name.trim())
+  .filter((name) => {
+    if (!name) return false;
+    if (!CHANNELS[name]) {
+      console.error(`Unknown notification channel: ${name}`);
+      return false;
+    }
+    return true;
+  });
+
+// One attempt at a delivery, leaving it sent, pending a retry, or failed
+const attemptDelivery = async (delivery) => {
+  if (!(await NotificationDelivery.claim(delivery))) return delivery;
+  await delivery.reload();
+
+  const attempts = delivery.attempts + 1;
+  const alert = delivery.alertId && await Alert.findByPk(delivery.alertId);
+  const user = await User.findByPk(delivery.userId);
+
+  if (!alert || !user || !OPEN_STATUSES.includes(alert.status)) {
+    return delivery.update({
+      status: 'failed',
+      attempts,
+      nextAttemptAt: null,
+      lastError: 'Alert was closed or deleted before delivery'
+    });
+  }
+
+  try {
+    await CHANNELS[delivery.channel].deliver({ user, alert, event: delivery.event, delivery });
+    return delivery.update({
+      status: 'sent',
+      attempts,
+      deliveredAt: new Date(),
+      nextAttemptAt: null,
+      lastError: null
+    });
+  } catch (error) {
+    const willRetry = attempts < maxAttempts();
+    return delivery.update({
+      status: willRetry ? 'pending' : 'failed',
+      attempts,
+      nextAttemptAt: willRetry ? new Date(Date.now() + retryDelayMs(attempts)) : null,
+      lastError: String(error.message || error).slice(0, 255)
+    });
+  }
+};
+
+// Create and send the deliveries for an alert event; `alert` holds the
+// id, userId and priority at the time of the event
+const dispatch = async (alert, event) => {
+  const user = await User.findByPk(alert.userId);
+  if (!user || !user.isActive || !meetsThreshold(user, alert.priority)) return [];
+
+  const deliveries = [];
+  for (const channel of enabledChannels().filter((name) => CHANNELS[name].accepts(user))) {
+    deliveries.push(await NotificationDelivery.create({
+      userId: user.id,
+      alertId: alert.id,
+      channel,
+      event,
+      priority: alert.priority,
+      nextAttemptAt: new Date()
+    }));
+  }
+
+  for (const delivery of deliveries) {
+    await attemptDelivery(delivery);
+  }
+  return deliveries;
+};
+
+// Dispatches running in this process
+const jobs = new Set();
+
+const startDispatch = (alert, event) => {
+  if (enabledChannels().length === 0) return;
+
+  const job = dispatch(alert, event)
+    .catch((error) => console.error('Notification dispatch error:', error))
+    .finally(() => jobs.delete(job));
+  jobs.add(job);
+};
+
+// Resolves once every dispatch started so far has finished
+const waitForNotifications = async () => {
+  while (jobs.size > 0) {
+    await Promise.all([...jobs]);
+  }
+};
+
+// Retry deliveries whose next attempt is due; returns how many were tried
+const processDueDeliveries = async (now = new Date()) => {
+  const due = await NotificationDelivery.findDue(now);
+  for (const delivery of due) {
+    await attemptDelivery(delivery);
+  }
+  return due.length;
+};
+
+const afterCommit = (options, callback) => {
+  if (options.transaction) {
+    options.transaction.afterCommit(callback);
+  } else {
+    callback();
+  }
+};
+
+// Notify on new and escalated alerts. Pass { notify: false } to create or
+// update to skip it, for alerts whose user is told some other way.
+const notifyOnAlerts = (Model) => {
+  Model.addHook('afterCreate', 'notifications', (alert, options) => {
+    if (options.notify === false || alert.status !== 'active') return;
+
+    const snapshot = { id: alert.id, userId: alert.userId, priority: alert.priority };
+    afterCommit(options, () => startDispatch(snapshot, 'created'));
+  });
+
+  Model.addHook('afterUpdate', 'notifications', (alert, options) => {
+    if (options.notify === false || !alert.changed('priority')) return;
+    if (rankOf(alert.priority) <= rankOf(alert.previous('priority'))) return;
+    if (!OPEN_STATUSES.includes(alert.status)) return;
+
+    const snapshot = { id: alert.id, userId: alert.userId, priority: alert.priority };
+    afterCommit(options, () => startDispatch(snapshot, 'escalated'));
+  });
+};
+
+module.exports = {
+  CHANNELS,
+  meetsThreshold,
+  enabledChannels,
+  dispatch,
+  attemptDelivery,
+  processDueDeliveries,
+  waitForNotifications,
+  notifyOnAlerts,
+  createWebhookTransport,
+  createMemoryWebhookTransport,
+  getWebhookTransport,
+  setWebhookTransport
+};
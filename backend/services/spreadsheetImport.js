@@ -0,0 +1,366 @@
+// Bulk import of historical lab results from CSV and XLSX spreadsheets, one
+// test per row.
+//
+// The spreadsheet's columns are mapped onto test fields; without a mapping,
+// the headers are inspected and a mapping suggested. Dates, numbers and yes/no
+// values are normalized, then each row is checked with the validators of
+// POST /api/diagnostic-tests and the model's own rules. A dry run reports
+// every row: valid, invalid (with the reasons) or duplicate, when the test is
+// already on record or repeats an earlier row. A commit saves the valid rows
+// in one transaction, so either all of them are stored or none are.
+
+const ExcelJS = require('exceljs');
+const { validationResult } = require('express-validator');
+const { sequelize, DiagnosticTest } = require('../models');
+const { createTestValidators } = require('../middleware/testValidators');
+const { evaluateTest } = require('./alertRules');
+const { parseCsv } = require('../utils/csv');
+
+// Largest spreadsheet accepted, in data rows
+const MAX_ROWS = 2000;
+
+const DATE_FORMATS = ['ymd', 'mdy', 'dmy'];
+
+// Test fields a column can be mapped to, with the headers suggested for each
+const IMPORT_FIELDS = [
+  { key: 'name', label: 'Test name', required: true, headers: ['name', 'test', 'testname', 'analyte', 'component'] },
+  { key: 'result', label: 'Result', required: true, headers: ['result', 'value', 'resultvalue'] },
+  { key: 'date', label: 'Date', required: true, headers: ['date', 'testdate', 'collected', 'collectiondate', 'resultdate'] },
+  { key: 'units', label: 'Units', headers: ['units', 'unit', 'uom'] },
+  { key: 'normalRange', label: 'Normal range', headers: ['normalrange', 'referencerange', 'refrange', 'range', 'reference'] },
+  { key: 'code', label: 'Code (LOINC)', headers: ['code', 'loinc', 'loinccode', 'testcode'] },
+  { key: 'testType', label: 'Test type', headers: ['testtype', 'type', 'category'] },
+  { key: 'status', label: 'Status', headers: ['status'] },
+  { key: 'referenceLow', label: 'Reference low', headers: ['referencelow', 'reflow', 'low'] },
+  { key: 'referenceHigh', label: 'Reference high', headers: ['referencehigh', 'refhigh', 'high'] },
+  { key: 'criticalLow', label: 'Critical low', headers: ['criticallow'] },
+  { key: 'criticalHigh', label: 'Critical high', headers: ['criticalhigh'] },
+  { key: 'isAbnormal', label: 'Abnormal (yes/no)', headers: ['isabnormal', 'abnormal'] },
+  { key: 'labName', label: 'Lab', headers: ['labname', 'lab', 'laboratory'] },
+  { key: 'doctorName', label: 'Doctor', headers: ['doctorname', 'doctor', 'physician', 'orderedby'] },
+  { key: 'notes', label: 'Notes', headers: ['notes', 'note', 'comment', 'comments'] }
+];
+
+const NUMERIC_FIELDS = ['referenceLow', 'referenceHigh', 'criticalLow', 'criticalHigh'];
+
+const BOOLEANS = {
+  yes: true,
+  y: true,
+  true: true,
+  1: true,
+  x: true,
+  no: false,
+  n: false,
+  false: false,
+  0: false
+};
+
+// Raised for spreadsheets or mappings that can't be used at all
+class SpreadsheetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SpreadsheetError';
+  }
+}
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// The value shown in a cell: formulas give their result and rich text its text
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if ('result' in value) return cellValue(value.result);
+  if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('');
+  if ('text' in value) return value.text;
+  return null;
+};
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new SpreadsheetError('The file could not be read as an XLSX workbook');
+  }
+
+  const [sheet] = workbook.worksheets;
+  const rows = [];
+  if (sheet) {
+    sheet.eachRow({ includeEmpty: false }, (row, line) => {
+      // row.values starts at index 1, for column A
+      rows.push({ line, cells: row.values.slice(1).map(cellValue) });
+    });
+  }
+  return rows;
+};
+
+const readCsv = (buffer) => {
+  const text = buffer.toString('utf8');
+  if (text.includes('\u0000')) {
+    throw new SpreadsheetError('The file must be a CSV or XLSX spreadsheet');
+  }
+  return parseCsv(text).map((cells, index) => ({ line: index + 1, cells }));
+};
+
+// The header row and data rows of the first sheet, skipping empty rows.
+// `line` is the row number the user sees in their spreadsheet.
+const readSpreadsheet = async (buffer) => {
+  // XLSX files are ZIP archives; legacy XLS files are OLE documents
+  const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  if (buffer.length > 8 && buffer.readUInt32BE(0) === 0xd0cf11e0) {
+    throw new SpreadsheetError('Legacy .xls files are not supported; save the file as .xlsx or CSV');
+  }
+
+  const rows = (isZip ? await readXlsx(buffer) : readCsv(buffer))
+    .filter((row) => row.cells.some((cell) => !isBlank(cell)));
+  if (rows.length < 2) {
+    throw new SpreadsheetError('The spreadsheet needs a header row and at least one row of results');
+  }
+  if (rows.length - 1 > MAX_ROWS) {
+    throw new SpreadsheetError(`The spreadsheet has more than ${MAX_ROWS} rows; split it into smaller files`);
+  }
+
+  const [headerRow, ...dataRows] = rows;
+  return {
+    headers: headerRow.cells.map((cell, index) => (isBlank(cell) ? `Column ${index + 1}` : String(cellValue(cell)).trim())),
+    rows: dataRows
+  };
+};
+
+// Field → header for every field whose header is recognized
+const suggestMapping = (headers) => IMPORT_FIELDS.reduce((mapping, field) => {
+  const header = headers.find((candidate) => field.headers.includes(normalizeHeader(candidate)));
+  return header ? { ...mapping, [field.key]: header } : mapping;
+}, {});
+
+// Problems that keep a mapping from being used, as messages
+const checkMapping = (mapping, headers) => {
+  const problems = [];
+  Object.entries(mapping).forEach(([key, header]) => {
+    if (!IMPORT_FIELDS.some((field) => field.key === key)) {
+      problems.push(`"${key}" is not a field that can be imported`);
+    } else if (!headers.includes(header)) {
+      problems.push(`Column "${header}" is not in the spreadsheet`);
+    }
+  });
+  IMPORT_FIELDS
+    .filter((field) => field.required && !mapping[field.key])
+    .forEach((field) => problems.push(`Choose the column for ${field.label}`));
+  return problems;
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// A date cell as YYYY-MM-DD. Text dates are read in `dateFormat`; anything
+// else is left for the validators to refuse.
+const normalizeDate = (value, dateFormat) => {
+  // Spreadsheet dates have no time zone; ExcelJS reads them as UTC
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? String(value) : value.toISOString().slice(0, 10);
+  }
+
+  const text = String(value).trim();
+  const parts = text.split(/[-/.]/);
+  if (parts.length !== 3 || !parts.every((part) => /^\d+$/.test(part))) return text;
+
+  let year;
+  let month;
+  let day;
+  if (parts[0].length === 4) {
+    [year, month, day] = parts;
+  } else if (dateFormat === 'mdy') {
+    [month, day, year] = parts;
+  } else if (dateFormat === 'dmy') {
+    [day, month, year] = parts;
+  } else {
+    return text;
+  }
+  return year.length === 4 ? `${year}-${pad(month)}-${pad(day)}` : text;
+};
+
+// Test attributes of a row, with blank cells left out
+const mapRow = (row, headers, mapping, dateFormat) => IMPORT_FIELDS.reduce((attributes, field) => {
+  const header = mapping[field.key];
+  if (!header) return attributes;
+
+  const value = row.cells[headers.indexOf(header)];
+  if (isBlank(value)) return attributes;
+
+  let mapped;
+  if (field.key === 'date') {
+    mapped = normalizeDate(value, dateFormat);
+  } else if (NUMERIC_FIELDS.includes(field.key)) {
+    // Decimal commas, as in "5,4"
+    mapped = typeof value === 'number' ? value : String(value).trim().replace(/^(-?\d+),(\d+)$/, '$1.$2');
+  } else if (field.key === 'isAbnormal') {
+    const text = String(value).trim().toLowerCase();
+    mapped = text in BOOLEANS ? BOOLEANS[text] : text;
+  } else if (field.key === 'testType' || field.key === 'status') {
+    mapped = String(value).trim().toLowerCase();
+  } else {
+    mapped = value instanceof Date ? value.toISOString().slice(0, 10) : String(value).trim();
+  }
+  return { ...attributes, [field.key]: mapped };
+}, {});
+
+const columnOf = (field, mapping) => mapping[field] || null;
+
+// The row's errors from the API validators, then from the model
+const validateRow = async (userId, attributes, mapping) => {
+  const req = { body: { ...attributes } };
+  for (const validator of createTestValidators) {
+    await validator.run(req);
+  }
+
+  const errors = validationResult(req).array()
+    .map((error) => ({ field: error.path, column: columnOf(error.path, mapping), message: error.msg }));
+  if (errors.length > 0) return { errors };
+
+  // The validators trim and convert; the model gets what they produced
+  const test = { ...req.body, userId };
+  try {
+    await DiagnosticTest.build(test).validate();
+  } catch (error) {
+    return {
+      errors: (error.errors || [error]).map((item) => ({
+        field: item.path || null,
+        column: columnOf(item.path, mapping),
+        message: item.message
+      }))
+    };
+  }
+  return { test, errors: [] };
+};
+
+const duplicateKey = (test) => [
+  test.date,
+  test.code || String(test.name).toLowerCase(),
+  test.result
+].join('\u0000');
+
+// Check every row. Returns the rows in order, each { line, status, test,
+// errors }, with status valid, invalid or duplicate.
+const checkRows = async (userId, sheet, mapping, dateFormat) => {
+  const seen = new Set();
+  const results = [];
+
+  for (const row of sheet.rows) {
+    const attributes = mapRow(row, sheet.headers, mapping, dateFormat);
+    const { test, errors } = await validateRow(userId, attributes, mapping);
+
+    if (errors.length > 0) {
+      results.push({ line: row.line, status: 'invalid', test: attributes, errors });
+      continue;
+    }
+
+    const key = duplicateKey(test);
+    const duplicate = seen.has(key) || await DiagnosticTest.findDuplicate(userId, test);
+    seen.add(key);
+    results.push({
+      line: row.line,
+      status: duplicate ? 'duplicate' : 'valid',
+      test,
+      errors: [],
+      ...(duplicate && { message: 'Already on record' })
+    });
+  }
+
+  return results;
+};
+
+// History sets off alerts only through each analyte's latest result, so old
+// results do not raise alerts that are long out of date
+const runAlertRules = async (tests) => {
+  const latest = new Map();
+  tests.forEach((test) => {
+    const key = test.code || test.name.toLowerCase();
+    const current = latest.get(key);
+    if (!current || test.date >= current.date) latest.set(key, test);
+  });
+
+  const alerts = [];
+  for (const test of latest.values()) {
+    try {
+      alerts.push(...await evaluateTest(test));
+    } catch (error) {
+      console.error('Alert rule evaluation error:', error);
+    }
+  }
+  return alerts;
+};
+
+const summarize = (rows) => rows.reduce((summary, row) => ({
+  ...summary,
+  [row.status]: summary[row.status] + 1
+}), { total: rows.length, valid: 0, invalid: 0, duplicate: 0, imported: 0 });
+
+// The spreadsheet's headers, the suggested mapping and its first rows, for
+// choosing the mapping
+const inspectSpreadsheet = async (buffer) => {
+  const sheet = await readSpreadsheet(buffer);
+  return {
+    headers: sheet.headers,
+    mapping: suggestMapping(sheet.headers),
+    fields: IMPORT_FIELDS.map(({ key, label, required }) => ({ key, label, required: Boolean(required) })),
+    sample: sheet.rows.slice(0, 5).map((row) => ({
+      line: row.line,
+      cells: sheet.headers.map((header, index) => {
+        const value = row.cells[index];
+        return value instanceof Date ? value.toISOString().slice(0, 10) : (value ?? null);
+      })
+    })),
+    rowCount: sheet.rows.length
+  };
+};
+
+// Check the rows and, unless `dryRun`, import the valid ones. Refuses to
+// import while rows are invalid unless `skipInvalid`. Returns { summary,
+// rows, alerts, imported }.
+const importSpreadsheet = async (userId, buffer, {
+  mapping,
+  dateFormat = 'ymd',
+  dryRun = true,
+  skipInvalid = false
+}) => {
+  const sheet = await readSpreadsheet(buffer);
+  const problems = checkMapping(mapping, sheet.headers);
+  if (problems.length > 0) {
+    throw new SpreadsheetError(problems.join('. '));
+  }
+
+  const rows = await checkRows(userId, sheet, mapping, dateFormat);
+  const summary = summarize(rows);
+  if (dryRun || (summary.invalid > 0 && !skipInvalid)) {
+    return { summary, rows, alerts: [], imported: false };
+  }
+
+  const toImport = rows.filter((row) => row.status === 'valid');
+  const tests = await sequelize.transaction(async (transaction) => {
+    const created = [];
+    for (const row of toImport) {
+      created.push(await DiagnosticTest.create(row.test, { transaction }));
+    }
+    return created;
+  });
+  toImport.forEach((row, index) => {
+    row.status = 'imported';
+    row.testId = tests[index].id;
+  });
+
+  return {
+    summary: { ...summary, valid: 0, imported: tests.length },
+    rows,
+    alerts: await runAlertRules(tests),
+    imported: true
+  };
+};
+
+module.exports = {
+  MAX_ROWS,
+  DATE_FORMATS,
+  SpreadsheetError,
+  inspectSpreadsheet,
+  importSpreadsheet
+};
@@ -0,0 +1,133 @@
+// Access and refresh token handling.
+//
+// Access tokens are short-lived JWTs carrying the user's tokenVersion, so
+// "log out all devices" can void them before they expire. Refresh tokens are
+// opaque random strings, stored hashed and rotated on every use: presenting
+// one that was already rotated means it leaked, and revokes its whole family.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { sequelize, RefreshToken } = require('../models');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+// Raised for any refresh token that cannot be exchanged; `reason` tells the
+// route which message to send
+class RefreshTokenError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'RefreshTokenError';
+    this.reason = reason;
+  }
+}
+
+const generateAccessToken = (user) => jwt.sign(
+  { id: user.id, tv: user.tokenVersion },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+const createRefreshToken = async (user, { family, ip, userAgent } = {}, options = {}) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const record = await RefreshToken.create({
+    userId: user.id,
+    tokenHash: RefreshToken.hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: ip || null,
+    userAgent: userAgent ? userAgent.slice(0, 255) : null
+  }, options);
+
+  return { token, record };
+};
+
+// Start a new session (login or registration)
+const issueTokens = async (user, context) => {
+  const { token: refreshToken } = await createRefreshToken(user, context);
+  return {
+    token: generateAccessToken(user),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new pair, revoking the one presented
+const rotateRefreshToken = async (token, context) => {
+  const current = token ? await RefreshToken.findByToken(token) : null;
+  if (!current) {
+    throw new RefreshTokenError('invalid', 'Invalid refresh token');
+  }
+
+  if (current.revokedAt) {
+    if (current.revokedReason === 'rotated') {
+      await RefreshToken.revokeFamily(current.family, 'reuse_detected');
+      throw new RefreshTokenError('reused', 'Refresh token reuse detected. Please log in again.');
+    }
+    throw new RefreshTokenError('revoked', 'Refresh token has been revoked');
+  }
+
+  if (current.isExpired()) {
+    throw new RefreshTokenError('expired', 'Refresh token expired');
+  }
+
+  const user = await current.getUser();
+  if (!user || !user.isActive) {
+    throw new RefreshTokenError('invalid', 'Invalid refresh token');
+  }
+
+  const next = await sequelize.transaction(async (transaction) => {
+    // Guard against two requests rotating the same token at once
+    const [revoked] = await RefreshToken.update(
+      { revokedAt: new Date(), revokedReason: 'rotated' },
+      { where: { id: current.id, revokedAt: null }, transaction }
+    );
+    if (revoked === 0) {
+      throw new RefreshTokenError('revoked', 'Refresh token has been revoked');
+    }
+
+    const created = await createRefreshToken(user, { ...context, family: current.family }, { transaction });
+    await RefreshToken.update(
+      { replacedById: created.record.id },
+      { where: { id: current.id }, transaction }
+    );
+    return created;
+  });
+
+  return {
+    user,
+    token: generateAccessToken(user),
+    refreshToken: next.token
+  };
+};
+
+// End the session a refresh token belongs to. Tokens of other users are
+// ignored rather than reported, so this cannot be used to probe them.
+const revokeSession = async (token, userId) => {
+  const current = token ? await RefreshToken.findByToken(token) : null;
+  if (!current || current.userId !== userId) return false;
+
+  await RefreshToken.revokeFamily(current.family, 'logout');
+  return true;
+};
+
+// End every session of a user, including access tokens already handed out.
+// Pass a transaction to make it part of a larger change.
+const revokeAllSessions = async (user, reason = 'logout_all', transaction = null) => {
+  if (!transaction) {
+    await sequelize.transaction((t) => revokeAllSessions(user, reason, t));
+    await user.reload();
+    return;
+  }
+
+  await RefreshToken.revokeAllForUser(user.id, reason, { transaction });
+  await user.increment('tokenVersion', { transaction });
+};
+
+module.exports = {
+  RefreshTokenError,
+  generateAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,85 @@
+// RFC 4180 CSV, written for exports that end up in spreadsheets and read
+// from spreadsheets users import.
+
+// Spreadsheets run cells starting with these as formulas; negative numbers
+// are left alone
+const FORMULA_START = /^[=+@\t\r]|^-(?!\d)/;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : value;
+  if (typeof text === 'object') text = JSON.stringify(text);
+  text = String(text);
+
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ header, value: (row) => any }]
+const toCsv = (columns, rows) => [
+  columns.map((column) => formatCell(column.header)),
+  ...rows.map((row) => columns.map((column) => formatCell(column.value(row))))
+]
+  .map((cells) => cells.join(','))
+  .join('\r\n') + '\r\n';
+
+// Spreadsheets in some locales save with semicolons or tabs; the delimiter
+// is whichever of these appears most in the first line
+const DELIMITERS = [',', ';', '\t'];
+
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r\n|\r|\n/, 1)[0];
+  const counts = DELIMITERS.map((delimiter) => firstLine.split(delimiter).length);
+  return DELIMITERS[counts.indexOf(Math.max(...counts))];
+};
+
+// Rows of cells as strings. Quoted cells may hold delimiters, quotes ("")
+// and line breaks; a leading byte order mark is ignored.
+const parseCsv = (input, delimiter = null) => {
+  const text = String(input).replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
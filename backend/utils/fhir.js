@@ -0,0 +1,440 @@
+// Mapping between health records and FHIR R4 resources: users become
+// Patient, tests and analytes become Observation, and panels become
+// DiagnosticReport referencing their analytes. Imported Observations and
+// DiagnosticReports map back onto DiagnosticTest attributes. Also parses the
+// FHIR search parameters the API supports into Sequelize conditions.
+
+const { Op } = require('sequelize');
+
+const FHIR_VERSION = '4.0.1';
+
+const SYSTEMS = {
+  loinc: 'http://loinc.org',
+  observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+  diagnosticServiceSection: 'http://terminology.hl7.org/CodeSystem/v2-0074',
+  interpretation: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation'
+};
+
+// Codes are free text; the ones shaped like LOINC codes are reported as LOINC
+const LOINC_CODE = /^\d{1,7}-\d$/;
+
+// Observation and DiagnosticReport share these status codes
+const STATUS = {
+  pending: 'registered',
+  completed: 'final',
+  reviewed: 'final',
+  cancelled: 'cancelled'
+};
+
+const INTERPRETATIONS = {
+  normal: ['N', 'Normal'],
+  low: ['L', 'Low'],
+  high: ['H', 'High'],
+  abnormal: ['A', 'Abnormal'],
+  criticalLow: ['LL', 'Critical low'],
+  criticalHigh: ['HH', 'Critical high'],
+  critical: ['AA', 'Critical abnormal']
+};
+
+const isSet = (value) => value !== null && value !== undefined;
+
+const instant = (date) => (date ? new Date(date).toISOString() : undefined);
+
+// Drop unset keys and empty arrays, which FHIR JSON does not allow
+const compact = (resource) => Object.entries(resource).reduce((acc, [key, value]) => {
+  if (!isSet(value) || (Array.isArray(value) && value.length === 0)) return acc;
+  acc[key] = value;
+  return acc;
+}, {});
+
+const codeableConcept = (code, text) => compact({
+  coding: code
+    ? [compact({ system: LOINC_CODE.test(code) ? SYSTEMS.loinc : undefined, code, display: text })]
+    : undefined,
+  text
+});
+
+const quantity = (value, unit) => compact({ value, unit: unit || undefined });
+
+const patientReference = (userId) => ({ reference: `Patient/${userId}` });
+
+// Critical results say which way they are off when the value allows it
+const interpretationKey = (test) => {
+  if (test.flag !== 'critical') return test.flag;
+  if (isSet(test.numericValue)) {
+    if (isSet(test.criticalLow) && test.numericValue <= test.criticalLow) return 'criticalLow';
+    if (isSet(test.criticalHigh) && test.numericValue >= test.criticalHigh) return 'criticalHigh';
+  }
+  return 'critical';
+};
+
+const interpretation = (test) => {
+  const key = interpretationKey(test);
+  if (!INTERPRETATIONS[key]) return undefined;
+
+  const [code, display] = INTERPRETATIONS[key];
+  return [{ coding: [{ system: SYSTEMS.interpretation, code, display }] }];
+};
+
+const referenceRange = (test) => {
+  const hasBounds = isSet(test.referenceLow) || isSet(test.referenceHigh);
+  if (!hasBounds && !test.normalRange) return undefined;
+
+  return [compact({
+    low: isSet(test.referenceLow) ? quantity(test.referenceLow, test.units) : undefined,
+    high: isSet(test.referenceHigh) ? quantity(test.referenceHigh, test.units) : undefined,
+    text: test.normalRange || undefined
+  })];
+};
+
+const meta = (record) => compact({ lastUpdated: instant(record.updatedAt) });
+
+const toPatient = (user) => compact({
+  resourceType: 'Patient',
+  id: String(user.id),
+  meta: meta(user),
+  active: user.isActive,
+  name: [{ text: user.name }],
+  telecom: [{ system: 'email', value: user.email }]
+});
+
+const toObservation = (test) => compact({
+  resourceType: 'Observation',
+  id: String(test.id),
+  meta: meta(test),
+  status: STATUS[test.status],
+  category: [{
+    coding: test.testType === 'imaging'
+      ? [{ system: SYSTEMS.observationCategory, code: 'imaging', display: 'Imaging' }]
+      : [{ system: SYSTEMS.observationCategory, code: 'laboratory', display: 'Laboratory' }]
+  }],
+  code: codeableConcept(test.code, test.name),
+  subject: patientReference(test.userId),
+  effectiveDateTime: test.date,
+  issued: instant(test.updatedAt),
+  performer: test.labName ? [{ display: test.labName }] : undefined,
+  valueQuantity: isSet(test.numericValue) ? quantity(test.numericValue, test.units) : undefined,
+  valueString: isSet(test.numericValue) ? undefined : test.result,
+  interpretation: interpretation(test),
+  note: test.notes ? [{ text: test.notes }] : undefined,
+  referenceRange: referenceRange(test)
+});
+
+// analytes only need their ids
+const toDiagnosticReport = (panel, analytes = panel.analytes || []) => compact({
+  resourceType: 'DiagnosticReport',
+  id: String(panel.id),
+  meta: meta(panel),
+  status: STATUS[panel.status],
+  category: [{
+    coding: panel.testType === 'imaging'
+      ? [{ system: SYSTEMS.diagnosticServiceSection, code: 'RAD', display: 'Radiology' }]
+      : [{ system: SYSTEMS.diagnosticServiceSection, code: 'LAB', display: 'Laboratory' }]
+  }],
+  code: codeableConcept(panel.code, panel.name),
+  subject: patientReference(panel.userId),
+  effectiveDateTime: panel.date,
+  issued: instant(panel.updatedAt),
+  performer: panel.labName ? [{ display: panel.labName }] : undefined,
+  result: analytes.map((analyte) => ({ reference: `Observation/${analyte.id}` })),
+  conclusion: panel.reviewNotes || undefined
+});
+
+// A searchset page of resources; links: { self, next, previous }
+const toSearchBundle = ({ baseUrl, resources, total, links = {} }) => compact({
+  resourceType: 'Bundle',
+  type: 'searchset',
+  total,
+  link: Object.entries(links)
+    .filter(([, url]) => url)
+    .map(([relation, url]) => ({ relation, url })),
+  entry: resources.map((resource) => ({
+    fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+    resource,
+    search: { mode: 'match' }
+  }))
+});
+
+const ISSUE_CODES = {
+  400: 'invalid',
+  401: 'login',
+  403: 'forbidden',
+  404: 'not-found',
+  409: 'conflict',
+  429: 'throttled'
+};
+
+// The API's error bodies ({ message, errors? }) as an OperationOutcome
+const toOperationOutcome = (status, { message, errors } = {}) => ({
+  resourceType: 'OperationOutcome',
+  issue: errors && errors.length > 0
+    ? errors.map((error) => ({
+      severity: 'error',
+      code: 'invalid',
+      diagnostics: error.path ? `${error.path}: ${error.msg}` : error.msg
+    }))
+    : [{
+      severity: status >= 500 ? 'fatal' : 'error',
+      code: ISSUE_CODES[status] || 'exception',
+      diagnostics: message || 'Request failed'
+    }]
+});
+
+// Search parameters
+
+const DATE_PARAM = /^(eq|ne|gt|lt|ge|le|sa|eb)?(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?(?:T[0-9:.]+(?:Z|[+-]\d{2}:\d{2})?)?$/;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// The first and last day a date of the given precision covers
+const dateBounds = (year, month, day) => {
+  if (day) return [`${year}-${month}-${day}`, `${year}-${month}-${day}`];
+  if (month) {
+    const lastDay = new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+    return [`${year}-${month}-01`, `${year}-${month}-${pad(lastDay)}`];
+  }
+  return [`${year}-01-01`, `${year}-12-31`];
+};
+
+// One `date` search value, e.g. "ge2024-01" or "2024-03-15", as a condition
+// on a DATEONLY column. Throws on values it does not understand.
+const parseDateSearch = (value) => {
+  const match = DATE_PARAM.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid date search value "${value}"`);
+  }
+
+  const [, prefix = 'eq', year, month, day] = match;
+  if ((month && (month < '01' || month > '12')) || (day && (day < '01' || day > '31'))) {
+    throw new Error(`Invalid date search value "${value}"`);
+  }
+
+  const [start, end] = dateBounds(year, month, day);
+  switch (prefix) {
+    case 'ne':
+      return { [Op.notBetween]: [start, end] };
+    case 'gt':
+    case 'sa':
+      return { [Op.gt]: end };
+    case 'lt':
+    case 'eb':
+      return { [Op.lt]: start };
+    case 'ge':
+      return { [Op.gte]: start };
+    case 'le':
+      return { [Op.lte]: end };
+    default:
+      return { [Op.between]: [start, end] };
+  }
+};
+
+// A `code` token search ("1234-5", "http://loinc.org|1234-5" or several
+// separated by commas) as the codes to match. Codes only exist in LOINC
+// or without a system, so other systems match nothing.
+const parseCodeSearch = (value) => String(value).split(',').reduce((codes, token) => {
+  const separator = token.indexOf('|');
+  if (separator === -1) return token ? [...codes, token] : codes;
+
+  const system = token.slice(0, separator);
+  const code = token.slice(separator + 1);
+  if (!code || (system && system !== SYSTEMS.loinc)) return codes;
+  return [...codes, code];
+}, []);
+
+// "123", "Patient/123" or an absolute URL ending in Patient/123
+const parsePatientReference = (value) => {
+  const match = /^(?:(?:.*\/)?Patient\/)?(\d+)$/.exec(String(value));
+  return match ? match[1] : null;
+};
+
+// Import
+
+// Statuses that mean the lab has not finished; entered-in-error is refused
+const IMPORT_STATUS = {
+  registered: 'pending',
+  partial: 'pending',
+  preliminary: 'pending',
+  cancelled: 'cancelled'
+};
+
+// Interpretation codes, which are also HL7 v2 abnormal flags (table 0078)
+const IMPORT_FLAGS = {
+  N: 'normal',
+  L: 'low',
+  LU: 'low',
+  H: 'high',
+  HU: 'high',
+  A: 'abnormal',
+  POS: 'abnormal',
+  DET: 'abnormal',
+  LL: 'critical',
+  HH: 'critical',
+  AA: 'critical'
+};
+
+const FULL_DATE = /^(\d{4}-\d{2}-\d{2})(?:T|$)/;
+
+const truncate = (text, length) => (text ? String(text).slice(0, length) : null);
+
+const codingOf = (concept) => {
+  const codings = (concept && concept.coding) || [];
+  return codings.find((coding) => coding.system === SYSTEMS.loinc && coding.code) || codings[0] || null;
+};
+
+const conceptText = (concept) => {
+  if (!concept) return null;
+  const coding = codingOf(concept);
+  return concept.text || (coding && (coding.display || coding.code)) || null;
+};
+
+// Name and code of a test from a CodeableConcept; codes over 50 characters
+// do not fit and are dropped
+const nameAndCode = (resource) => {
+  const name = conceptText(resource.code);
+  if (!name) {
+    throw new Error(`${resource.resourceType} has no code or name`);
+  }
+
+  const coding = codingOf(resource.code);
+  const code = coding && coding.code && String(coding.code).length <= 50 ? String(coding.code) : null;
+  return { name: truncate(name, 255), code };
+};
+
+// The day a resource was taken, from its effective time or when it was issued
+const effectiveDate = (resource) => {
+  const value = resource.effectiveDateTime
+    || (resource.effectivePeriod && resource.effectivePeriod.start)
+    || resource.effectiveInstant
+    || resource.issued;
+  const match = FULL_DATE.exec(value || '');
+  if (!match) {
+    throw new Error(`${resource.resourceType} has no effective date with a day`);
+  }
+  return match[1];
+};
+
+const importStatus = (resource) => {
+  if (resource.status === 'entered-in-error') {
+    throw new Error(`${resource.resourceType} was entered in error`);
+  }
+  return IMPORT_STATUS[resource.status] || 'completed';
+};
+
+const formatNumber = (value) => String(Number(value));
+
+// Result text, numeric value and units of an Observation's value[x]
+const observationValue = (observation) => {
+  const { valueQuantity, valueString, valueCodeableConcept, valueInteger, valueBoolean } = observation;
+
+  if (valueQuantity && isSet(valueQuantity.value)) {
+    const units = valueQuantity.unit || valueQuantity.code || null;
+    return {
+      result: `${valueQuantity.comparator || ''}${formatNumber(valueQuantity.value)}${units ? ` ${units}` : ''}`,
+      numericValue: Number(valueQuantity.value),
+      units: truncate(units, 50)
+    };
+  }
+  if (isSet(valueInteger)) {
+    return { result: formatNumber(valueInteger), numericValue: Number(valueInteger) };
+  }
+  if (isSet(valueString) && String(valueString).trim()) {
+    return { result: String(valueString).trim() };
+  }
+  if (valueCodeableConcept && conceptText(valueCodeableConcept)) {
+    return { result: conceptText(valueCodeableConcept) };
+  }
+  if (isSet(valueBoolean)) {
+    return { result: valueBoolean ? 'Positive' : 'Negative' };
+  }
+
+  const otherValue = Object.keys(observation).find((key) => key.startsWith('value'));
+  if (otherValue) {
+    throw new Error(`Observation ${otherValue} is not supported`);
+  }
+  const absent = conceptText(observation.dataAbsentReason);
+  throw new Error(absent ? `Observation has no value (${absent})` : 'Observation has no value');
+};
+
+// The first reference range as bounds plus the text shown to users
+const importReferenceRange = (observation) => {
+  const range = (observation.referenceRange || [])[0];
+  if (!range) return {};
+
+  const low = range.low && isSet(range.low.value) ? Number(range.low.value) : null;
+  const high = range.high && isSet(range.high.value) ? Number(range.high.value) : null;
+  let normalRange = range.text || null;
+  if (!normalRange && low !== null && high !== null) normalRange = `${low}-${high}`;
+  else if (!normalRange && high !== null) normalRange = `<=${high}`;
+  else if (!normalRange && low !== null) normalRange = `>=${low}`;
+
+  return { referenceLow: low, referenceHigh: high, normalRange: truncate(normalRange, 255) };
+};
+
+// isAbnormal and flag from the first interpretation code we know
+const importInterpretation = (observation) => {
+  const codes = (observation.interpretation || [])
+    .flatMap((concept) => (concept.coding || []).map((coding) => coding.code));
+  const flag = codes.map((code) => IMPORT_FLAGS[code]).find(Boolean);
+  return flag ? { flag, isAbnormal: flag !== 'normal' } : {};
+};
+
+const isImaging = (resource, code) => (resource.category || [])
+  .some((concept) => (concept.coding || []).some((coding) => coding.code === code));
+
+// A performer's name; `resolve` looks up references within the Bundle
+const performerName = (resource, resolve) => {
+  for (const performer of resource.performer || []) {
+    if (performer.display) return truncate(performer.display, 255);
+    const referenced = performer.reference && resolve(performer.reference);
+    if (referenced && referenced.name) {
+      const name = typeof referenced.name === 'string' ? referenced.name : conceptText(referenced.name[0]);
+      if (name) return truncate(name, 255);
+    }
+  }
+  return null;
+};
+
+const notesOf = (texts) => {
+  const notes = texts.filter(Boolean).join('\n');
+  return notes ? notes.slice(0, 1000) : null;
+};
+
+// DiagnosticTest attributes of an Observation; throws when it can't be mapped
+const fromObservation = (observation, resolve = () => null) => ({
+  ...nameAndCode(observation),
+  ...observationValue(observation),
+  ...importReferenceRange(observation),
+  ...importInterpretation(observation),
+  date: effectiveDate(observation),
+  status: importStatus(observation),
+  testType: isImaging(observation, 'imaging') ? 'imaging' : 'general',
+  labName: performerName(observation, resolve),
+  notes: notesOf((observation.note || []).map((note) => note.text))
+});
+
+// Panel attributes of a DiagnosticReport; throws when it can't be mapped
+const fromDiagnosticReport = (report, resolve = () => null) => ({
+  ...nameAndCode(report),
+  date: effectiveDate(report),
+  status: importStatus(report),
+  testType: isImaging(report, 'RAD') ? 'imaging' : 'general',
+  labName: performerName(report, resolve),
+  notes: notesOf([report.conclusion]),
+  isPanel: true
+});
+
+module.exports = {
+  FHIR_VERSION,
+  SYSTEMS,
+  IMPORT_FLAGS,
+  toPatient,
+  toObservation,
+  toDiagnosticReport,
+  toSearchBundle,
+  toOperationOutcome,
+  fromObservation,
+  fromDiagnosticReport,
+  parseDateSearch,
+  parseCodeSearch,
+  parsePatientReference
+};
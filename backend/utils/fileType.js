@@ -0,0 +1,39 @@
+// Content types of uploaded files, told from their first bytes rather than
+// from the name or the type the client claims.
+
+const startsWith = (buffer, bytes, offset = 0) => buffer.length >= offset + bytes.length
+  && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+// Types that can be attached to a diagnostic test
+const FILE_TYPES = [
+  { contentType: 'application/pdf', label: 'PDF', matches: (buffer) => startsWith(buffer, ascii('%PDF-')) },
+  {
+    contentType: 'image/png',
+    label: 'PNG',
+    matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+  },
+  { contentType: 'image/jpeg', label: 'JPEG', matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]) },
+  {
+    contentType: 'image/gif',
+    label: 'GIF',
+    matches: (buffer) => startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))
+  },
+  {
+    contentType: 'image/webp',
+    label: 'WebP',
+    matches: (buffer) => startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)
+  }
+];
+
+// The content type of `buffer`, or null when it is none of FILE_TYPES
+const sniffContentType = (buffer) => {
+  const type = FILE_TYPES.find((candidate) => candidate.matches(buffer));
+  return type ? type.contentType : null;
+};
+
+module.exports = {
+  FILE_TYPES,
+  sniffContentType
+};
@@ -0,0 +1,470 @@
+// HL7 v2 messages in ER7 ("pipe and hat") encoding: parsing, acknowledgements,
+// and the mapping of ORU^R01 lab results onto DiagnosticTest attributes. Each
+// OBR becomes a panel and its OBX segments become the panel's analytes.
+
+const crypto = require('crypto');
+const { IMPORT_FLAGS } = require('./fhir');
+
+const DEFAULT_VERSION = '2.5.1';
+
+const DEFAULT_SEPARATORS = {
+  field: '|',
+  component: '^',
+  repetition: '~',
+  escape: '\\',
+  subcomponent: '&'
+};
+
+// Error conditions (table 0357) and the acknowledgement code each one gets:
+// AR for messages we can't read, AE for content we can't import
+const ERROR_CONDITIONS = {
+  segmentSequence: { code: '100', text: 'Segment sequence error', ack: 'AR' },
+  requiredField: { code: '101', text: 'Required field missing', ack: 'AE' },
+  dataType: { code: '102', text: 'Data type error', ack: 'AE' },
+  unsupportedMessageType: { code: '200', text: 'Unsupported message type', ack: 'AR' },
+  internal: { code: '207', text: 'Application internal error', ack: 'AE' }
+};
+
+// Result statuses (OBR-25) of orders the lab has not finished
+const PENDING_STATUSES = ['O', 'I', 'S', 'P', 'A', 'R'];
+
+// Observation statuses (OBX-11) whose result is not to be stored
+const SKIPPED_STATUSES = ['X', 'D', 'W'];
+
+// Diagnostic service sections (OBR-24) with a test type of their own
+const TEST_TYPES = {
+  RAD: 'imaging',
+  CT: 'imaging',
+  NMR: 'imaging',
+  RUS: 'imaging',
+  HM: 'blood',
+  CH: 'blood',
+  SR: 'blood',
+  BG: 'blood',
+  EC: 'cardiac',
+  CTH: 'cardiac',
+  EN: 'neurological'
+};
+
+// Raised for any message that can't be accepted; `condition` is a key of
+// ERROR_CONDITIONS and decides the acknowledgement
+class Hl7Error extends Error {
+  constructor(condition, message) {
+    super(message);
+    this.name = 'Hl7Error';
+    this.condition = condition;
+  }
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const truncate = (text, length) => (text ? String(text).slice(0, length) : null);
+
+// Resolve escape sequences; formatting ones other than line breaks are dropped
+const unescapeText = (text, separators) => {
+  const { escape } = separators;
+  if (!escape || !text.includes(escape)) return text;
+
+  const quoted = escapeRegExp(escape);
+  const sequence = new RegExp(`${quoted}([^${quoted}]*)${quoted}`, 'g');
+  return text.replace(sequence, (match, code) => {
+    switch (code) {
+      case 'F': return separators.field;
+      case 'S': return separators.component;
+      case 'T': return separators.subcomponent || '';
+      case 'R': return separators.repetition;
+      case 'E': return escape;
+      case '.br': return '\n';
+      default:
+        return /^X(?:[0-9A-Fa-f]{2})+$/.test(code) ? Buffer.from(code.slice(1), 'hex').toString('utf8') : '';
+    }
+  });
+};
+
+const escapeText = (text, separators) => {
+  const { escape } = separators;
+  return [
+    [separators.field, 'F'],
+    [separators.component, 'S'],
+    [separators.subcomponent, 'T'],
+    [separators.repetition, 'R']
+  ].reduce(
+    (escaped, [character, code]) => (character ? escaped.split(character).join(`${escape}${code}${escape}`) : escaped),
+    String(text).split(escape).join(`${escape}E${escape}`)
+  ).replace(/\r\n|\r|\n/g, `${escape}.br${escape}`);
+};
+
+// A field as repetitions of components of subcomponents, all unescaped
+const parseField = (value, separators) => value
+  .split(separators.repetition)
+  .map((repetition) => repetition
+    .split(separators.component)
+    .map((component) => (separators.subcomponent ? component.split(separators.subcomponent) : [component])
+      .map((subcomponent) => unescapeText(subcomponent, separators))));
+
+// Component `component` (1-based) of a parsed repetition
+const componentOf = (repetition, component = 1) => {
+  const value = repetition && repetition[component - 1];
+  return (value && value[0]) || '';
+};
+
+const repetitionsOf = (segment, index) => (segment && segment.fields[index]) || [];
+
+// Component `component` of the first repetition of field `index`
+const valueOf = (segment, index, component = 1) => componentOf(repetitionsOf(segment, index)[0], component);
+
+// A repetition as the text it was sent as, for free-text values
+const textOf = (repetition, separators) => (repetition || [])
+  .map((component) => component.join(separators.subcomponent || ''))
+  .join(separators.component);
+
+// Parse an ER7 message; the separators are read from its MSH segment
+const parseMessage = (text) => {
+  const lines = String(text || '').split(/\r\n|\r|\n/).filter((line) => line.trim() !== '');
+  const mshLine = lines[0] || '';
+  if (!mshLine.startsWith('MSH') || mshLine.length < 8) {
+    throw new Hl7Error('segmentSequence', 'Message must start with an MSH segment');
+  }
+
+  const field = mshLine[3];
+  const encoding = mshLine.slice(4).split(field)[0];
+  if (encoding.length < 3) {
+    throw new Hl7Error('requiredField', 'MSH-2 encoding characters are missing');
+  }
+  const separators = {
+    field,
+    component: encoding[0],
+    repetition: encoding[1],
+    escape: encoding[2],
+    subcomponent: encoding[3] || null
+  };
+
+  const segments = lines.map((line) => {
+    const values = line.split(field);
+    const name = values[0];
+    if (!/^[A-Z][A-Z0-9]{2}$/.test(name)) {
+      throw new Hl7Error('segmentSequence', `Invalid segment name "${name.slice(0, 10)}"`);
+    }
+
+    // MSH-1 is the field separator itself, and MSH-2 is not split
+    if (name === 'MSH') {
+      return {
+        name,
+        fields: [[[[name]]], [[[field]]], [[[encoding]]], ...values.slice(2).map((value) => parseField(value, separators))]
+      };
+    }
+    return { name, fields: values.map((value) => parseField(value, separators)) };
+  });
+
+  const msh = segments[0];
+  return {
+    separators,
+    encoding,
+    segments,
+    header: {
+      sendingApplication: valueOf(msh, 3),
+      sendingFacility: valueOf(msh, 4),
+      receivingApplication: valueOf(msh, 5),
+      receivingFacility: valueOf(msh, 6),
+      messageType: [valueOf(msh, 9, 1), valueOf(msh, 9, 2)].filter(Boolean).join('^'),
+      controlId: valueOf(msh, 10),
+      processingId: valueOf(msh, 11),
+      version: valueOf(msh, 12)
+    }
+  };
+};
+
+// YYYYMMDDHHMMSS in UTC
+const formatTimestamp = (date) => date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+// The day of an HL7 timestamp, as YYYY-MM-DD
+const dateOf = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) return null;
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  return Number.isNaN(Date.parse(date)) ? null : date;
+};
+
+// Acknowledge `message` (null when it could not be parsed) with AA, AE or AR.
+// Errors add an ERR segment; `condition` is a key of ERROR_CONDITIONS.
+const buildAck = (message, code, { text = '', condition } = {}) => {
+  const separators = message ? message.separators : DEFAULT_SEPARATORS;
+  const header = message ? message.header : {};
+  const encode = (value) => escapeText(value || '', separators);
+  const messageType = ['ACK', valueOf(message && message.segments[0], 9, 2), 'ACK']
+    .join(separators.component);
+
+  const segments = [
+    [
+      'MSH',
+      message ? message.encoding : '^~\\&',
+      encode(header.receivingApplication || 'AI_HEALTH'),
+      encode(header.receivingFacility),
+      encode(header.sendingApplication),
+      encode(header.sendingFacility),
+      formatTimestamp(new Date()),
+      '',
+      messageType,
+      crypto.randomBytes(10).toString('hex'),
+      encode(header.processingId || 'P'),
+      encode(header.version || DEFAULT_VERSION)
+    ],
+    ['MSA', code, encode(header.controlId), encode(truncate(text, 80))]
+  ];
+
+  if (code !== 'AA') {
+    const error = ERROR_CONDITIONS[condition] || ERROR_CONDITIONS.internal;
+    segments.push([
+      'ERR',
+      '',
+      '',
+      [error.code, error.text, 'HL70357'].join(separators.component),
+      'E',
+      '',
+      '',
+      '',
+      encode(text)
+    ]);
+  }
+
+  return segments.map((segment) => segment.join(separators.field)).join('\r');
+};
+
+// ORU^R01
+
+const segmentsNamed = (message, name) => message.segments.filter((segment) => segment.name === name);
+
+// "Given Middle Family" from the name components starting at `offset`
+// (family name, given name, middle name, suffix, prefix)
+const personName = (repetition, offset = 1) => {
+  const [family, given, middle, suffix, prefix] = [0, 1, 2, 3, 4]
+    .map((index) => componentOf(repetition, offset + index));
+  return [prefix, given, middle, family, suffix].filter(Boolean).join(' ') || null;
+};
+
+// Name and code of a coded element (CE/CWE), preferring a LOINC code
+const conceptOf = (repetition) => {
+  const [identifier, text, system, altIdentifier, altText, altSystem] = [1, 2, 3, 4, 5, 6]
+    .map((component) => componentOf(repetition, component));
+  let code = identifier;
+  if (system !== 'LN' && altSystem === 'LN') code = altIdentifier;
+  return {
+    name: truncate(text || altText || identifier || altIdentifier, 255),
+    code: code && code.length <= 50 ? code : null
+  };
+};
+
+const notesOf = (texts) => {
+  const notes = texts.filter(Boolean).join('\n');
+  return notes ? notes.slice(0, 1000) : null;
+};
+
+// The patient identification of PID: identifiers (PID-3), name (PID-5) and
+// email addresses (PID-13)
+const patientOf = (message) => {
+  const pids = segmentsNamed(message, 'PID');
+  if (pids.length === 0) {
+    throw new Hl7Error('requiredField', 'Message has no PID segment');
+  }
+  if (pids.length > 1) {
+    throw new Hl7Error('segmentSequence', 'Messages with results for more than one patient are not supported');
+  }
+
+  const [pid] = pids;
+  return {
+    identifiers: repetitionsOf(pid, 3)
+      .map((repetition) => ({
+        id: componentOf(repetition, 1),
+        authority: componentOf(repetition, 4),
+        type: componentOf(repetition, 5)
+      }))
+      .filter((identifier) => identifier.id),
+    name: personName(repetitionsOf(pid, 5)[0], 1),
+    emails: repetitionsOf(pid, 13)
+      .map((repetition) => componentOf(repetition, 4)
+        || (componentOf(repetition, 1).includes('@') ? componentOf(repetition, 1) : ''))
+      .filter(Boolean)
+  };
+};
+
+// OBR segments with the OBX segments that follow them, and the notes (NTE)
+// that follow either
+const ordersOf = (message) => {
+  const orders = [];
+  let order = null;
+  let annotated = null;
+
+  message.segments.slice(1).forEach((segment) => {
+    if (segment.name === 'OBR') {
+      order = { obr: segment, observations: [], notes: [] };
+      orders.push(order);
+      annotated = order;
+    } else if (segment.name === 'OBX') {
+      if (!order) {
+        throw new Hl7Error('segmentSequence', 'OBX segment before any OBR segment');
+      }
+      annotated = { obx: segment, notes: [] };
+      order.observations.push(annotated);
+    } else if (segment.name === 'NTE') {
+      if (annotated) {
+        annotated.notes.push(repetitionsOf(segment, 3)
+          .map((repetition) => textOf(repetition, message.separators)).join('\n'));
+      }
+    } else {
+      annotated = null;
+    }
+  });
+
+  return orders;
+};
+
+// Result text and numeric value of OBX-5 by its value type (OBX-2)
+const observationValue = (obx, units, separators) => {
+  const type = valueOf(obx, 2);
+  const repetitions = repetitionsOf(obx, 5).filter((repetition) => textOf(repetition, separators).trim());
+  if (repetitions.length === 0) {
+    throw new Hl7Error('requiredField', 'OBX-5 has no value');
+  }
+  const withUnits = (text) => (units ? `${text} ${units}` : text);
+
+  switch (type) {
+    case 'NM': {
+      const text = componentOf(repetitions[0], 1).trim();
+      const value = Number(text);
+      if (text === '' || !Number.isFinite(value)) {
+        throw new Hl7Error('dataType', `OBX-5 "${text.slice(0, 20)}" is not a number`);
+      }
+      return { result: withUnits(text), numericValue: value };
+    }
+    case 'SN': {
+      // Comparator, number, and for ratios and ranges a separator and number
+      const [comparator, first, separator, second] = [1, 2, 3, 4]
+        .map((component) => componentOf(repetitions[0], component).trim());
+      if (first === '' || !Number.isFinite(Number(first))) {
+        throw new Hl7Error('dataType', 'OBX-5 is not a structured numeric value');
+      }
+      return {
+        result: withUnits(`${comparator}${first}${separator}${second}`),
+        numericValue: separator ? null : Number(first)
+      };
+    }
+    case 'ST':
+    case 'TX':
+    case 'FT':
+      return { result: repetitions.map((repetition) => textOf(repetition, separators).trim()).join('\n') };
+    case 'CE':
+    case 'CWE':
+    case 'CNE':
+      return {
+        result: componentOf(repetitions[0], 2) || componentOf(repetitions[0], 5) || componentOf(repetitions[0], 1)
+      };
+    default:
+      throw new Hl7Error('dataType', `OBX value type "${type}" is not supported`);
+  }
+};
+
+// Analyte attributes of an OBX segment
+const fromObx = ({ obx, notes }, separators) => {
+  const { name, code } = conceptOf(repetitionsOf(obx, 3)[0]);
+  if (!name) {
+    throw new Hl7Error('requiredField', 'OBX-3 observation identifier is missing');
+  }
+
+  const units = truncate(valueOf(obx, 6, 1) || valueOf(obx, 6, 2), 50);
+  const flag = repetitionsOf(obx, 8)
+    .map((repetition) => IMPORT_FLAGS[componentOf(repetition, 1)])
+    .find(Boolean);
+
+  return {
+    name,
+    code,
+    ...observationValue(obx, units, separators),
+    units,
+    normalRange: truncate(valueOf(obx, 7), 255),
+    ...(flag && { flag, isAbnormal: flag !== 'normal' }),
+    notes: notesOf(notes)
+  };
+};
+
+// Panel attributes of an OBR segment; `labName` is the sending facility
+const fromObr = ({ obr, observations, notes }, labName) => {
+  const { name, code } = conceptOf(repetitionsOf(obr, 4)[0]);
+  if (!name) {
+    throw new Hl7Error('requiredField', 'OBR-4 universal service identifier is missing');
+  }
+
+  const date = dateOf(valueOf(obr, 7)) || dateOf(valueOf(obr, 22));
+  if (!date) {
+    throw new Hl7Error('requiredField', 'OBR-7 observation date/time is missing');
+  }
+
+  const resultStatus = valueOf(obr, 25);
+  const performer = observations.map(({ obx }) => valueOf(obx, 23)).find(Boolean);
+  let status = 'completed';
+  if (resultStatus === 'X') status = 'cancelled';
+  else if (PENDING_STATUSES.includes(resultStatus)) status = 'pending';
+
+  return {
+    name,
+    code,
+    date,
+    status,
+    testType: TEST_TYPES[valueOf(obr, 24)] || 'general',
+    doctorName: truncate(personName(repetitionsOf(obr, 16)[0], 2), 255),
+    labName: truncate(performer || labName, 255),
+    notes: notesOf(notes),
+    isPanel: true
+  };
+};
+
+// The patient and panels of an ORU^R01 message. Orders without results to
+// store are left out. Throws an Hl7Error naming the segment that can't be
+// mapped.
+const fromOru = (message) => {
+  const { messageType, sendingFacility } = message.header;
+  if (messageType !== 'ORU^R01') {
+    throw new Hl7Error('unsupportedMessageType', `Message type ${messageType || '(none)'} is not supported`);
+  }
+
+  const patient = patientOf(message);
+  const orders = ordersOf(message);
+  if (orders.length === 0) {
+    throw new Hl7Error('requiredField', 'Message has no OBR segment');
+  }
+
+  const panels = orders.map((order, orderIndex) => {
+    const located = (map) => {
+      try {
+        return map();
+      } catch (error) {
+        error.message = `OBR ${orderIndex + 1}: ${error.message}`;
+        throw error;
+      }
+    };
+
+    const panel = located(() => fromObr(order, sendingFacility));
+    const analytes = order.observations
+      .filter(({ obx }) => !SKIPPED_STATUSES.includes(valueOf(obx, 11)))
+      .map((observation) => located(() => {
+        try {
+          return fromObx(observation, message.separators);
+        } catch (error) {
+          error.message = `OBX ${valueOf(observation.obx, 1) || '?'}: ${error.message}`;
+          throw error;
+        }
+      }));
+    return { panel, analytes };
+  }).filter(({ analytes }) => analytes.length > 0);
+
+  return { patient, panels };
+};
+
+module.exports = {
+  ERROR_CONDITIONS,
+  Hl7Error,
+  parseMessage,
+  buildAck,
+  patientOf,
+  fromOru,
+  escapeText
+};
@@ -0,0 +1,172 @@
+// Parsing and interpretation helpers for lab values and reference ranges.
+// Ranges arrive as free text ("70-100", "<5.7", ">=60 mL/min", "negative"),
+// so everything here is tolerant of units, whitespace and unicode symbols.
+
+const NUMBER = '[-+]?\\d+(?:[.,]\\d+)?';
+
+// Qualitative results we know how to compare, mapped to a canonical term
+const QUALITATIVE_TERMS = {
+  'negative': 'negative',
+  'neg': 'negative',
+  'not detected': 'negative',
+  'none detected': 'negative',
+  'non-reactive': 'negative',
+  'nonreactive': 'negative',
+  'non reactive': 'negative',
+  'absent': 'negative',
+  'positive': 'positive',
+  'pos': 'positive',
+  'detected': 'positive',
+  'reactive': 'positive',
+  'present': 'positive',
+  'normal': 'normal',
+  'within normal limits': 'normal',
+  'wnl': 'normal',
+  'abnormal': 'abnormal'
+};
+
+const toNumber = (text) => {
+  const raw = String(text);
+  // "1,200" is a thousands separator, "1,2" a decimal comma
+  const cleaned = /^[-+]?\d{1,3}(?:,\d{3})+$/.test(raw) ? raw.replace(/,/g, '') : raw.replace(',', '.');
+  const value = parseFloat(cleaned);
+  return Number.isFinite(value) ? value : null;
+};
+
+const normalizeText = (text) => String(text)
+  .trim()
+  .toLowerCase()
+  .replace(/[‒–—−]/g, '-')
+  .replace(/≤/g, '<=')
+  .replace(/≥/g, '>=')
+  .replace(/\s+/g, ' ');
+
+const toQualitative = (text) => {
+  if (text === null || text === undefined) return null;
+  const normalized = normalizeText(text).replace(/[.!]+$/, '');
+  return QUALITATIVE_TERMS[normalized] || null;
+};
+
+// Parse a reference range string into numeric bounds or a qualitative
+// expectation. Returns null when the text can't be understood.
+const parseReferenceRange = (text) => {
+  if (text === null || text === undefined || String(text).trim() === '') {
+    return null;
+  }
+
+  const normalized = normalizeText(text);
+
+  const qualitative = toQualitative(normalized);
+  if (qualitative) {
+    return { type: 'qualitative', expected: qualitative };
+  }
+
+  // "70-100", "3.5 - 5.0 mmol/L", "3.5 to 5.0"
+  const between = normalized.match(new RegExp(`^(${NUMBER})\\s*(?:-|to)\\s*(${NUMBER})(?:\\s*[a-zµμ%×*/].*)?$`));
+  if (between) {
+    const low = toNumber(between[1]);
+    const high = toNumber(between[2]);
+    if (low !== null && high !== null && low <= high) {
+      return {
+        type: 'numeric',
+        low,
+        high,
+        lowInclusive: true,
+        highInclusive: true
+      };
+    }
+  }
+
+  // "<5.7", "<= 200", ">60", ">=60 mL/min"
+  const bound = normalized.match(new RegExp(`^(<=|>=|<|>)\\s*(${NUMBER})(?:\\s*[a-zµμ%×*/].*)?$`));
+  if (bound) {
+    const [, operator, number] = bound;
+    const value = toNumber(number);
+    const range = {
+      type: 'numeric',
+      low: null,
+      high: null,
+      lowInclusive: true,
+      highInclusive: true
+    };
+
+    if (operator.startsWith('<')) {
+      range.high = value;
+      range.highInclusive = operator === '<=';
+    } else {
+      range.low = value;
+      range.lowInclusive = operator === '>=';
+    }
+    return range;
+  }
+
+  return null;
+};
+
+// Parse a result string such as "95", "5.4 %", "1,2 mmol/L" or "<0.01"
+// into its numeric value and unit. Returns null for non-numeric results.
+const parseNumericResult = (text) => {
+  if (text === null || text === undefined) return null;
+  if (typeof text === 'number') {
+    return Number.isFinite(text) ? { value: text, unit: null } : null;
+  }
+
+  const match = normalizeText(text).match(new RegExp(`^(?:<=|>=|<|>)?\\s*(${NUMBER}(?:,\\d{3})*)\\s*([a-zµμ%×*].*)?$`));
+  if (!match) return null;
+
+  const value = toNumber(match[1]);
+  if (value === null) return null;
+
+  // Keep the unit as the user typed it rather than lower-cased
+  const unitMatch = String(text).trim().match(new RegExp(`^(?:<=|>=|<|>|≤|≥)?\\s*${NUMBER}(?:,\\d{3})*\\s*(.*)$`));
+  const unit = unitMatch && unitMatch[1].trim() ? unitMatch[1].trim() : null;
+
+  return { value, unit };
+};
+
+// Interpret a result against its reference range and optional critical
+// limits. Returns { isAbnormal, flag } or null when nothing can be derived.
+const interpretResult = ({ value, result, range, criticalLow, criticalHigh }) => {
+  const numeric = value !== null && value !== undefined && Number.isFinite(Number(value))
+    ? Number(value)
+    : null;
+
+  if (numeric !== null) {
+    if (criticalLow !== null && criticalLow !== undefined && numeric <= Number(criticalLow)) {
+      return { isAbnormal: true, flag: 'critical' };
+    }
+    if (criticalHigh !== null && criticalHigh !== undefined && numeric >= Number(criticalHigh)) {
+      return { isAbnormal: true, flag: 'critical' };
+    }
+  }
+
+  if (!range) return null;
+
+  if (range.type === 'qualitative') {
+    const observed = toQualitative(result);
+    if (!observed) return null;
+    const isAbnormal = observed !== range.expected;
+    return { isAbnormal, flag: isAbnormal ? 'abnormal' : 'normal' };
+  }
+
+  if (numeric === null) return null;
+  if (range.low === null && range.high === null) return null;
+
+  if (range.low !== null) {
+    const belowLow = range.lowInclusive ? numeric < range.low : numeric <= range.low;
+    if (belowLow) return { isAbnormal: true, flag: 'low' };
+  }
+
+  if (range.high !== null) {
+    const aboveHigh = range.highInclusive ? numeric > range.high : numeric >= range.high;
+    if (aboveHigh) return { isAbnormal: true, flag: 'high' };
+  }
+
+  return { isAbnormal: false, flag: 'normal' };
+};
+
+module.exports = {
+  parseReferenceRange,
+  parseNumericResult,
+  interpretResult
+};
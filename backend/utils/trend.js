@@ -0,0 +1,68 @@
+// Turn a date-ordered series of numeric results for one analyte into the
+// points, summary statistics and reference bands used by trend charts.
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const hasBounds = (point) => point.referenceLow !== null || point.referenceHigh !== null;
+
+// Consecutive points sharing the same bounds form one band, so a change of
+// lab or method shows up as a new band instead of being averaged away
+const buildReferenceBands = (points) => points.reduce((bands, point) => {
+  if (!hasBounds(point)) return bands;
+
+  const last = bands[bands.length - 1];
+  if (last && last.low === point.referenceLow && last.high === point.referenceHigh) {
+    last.to = point.date;
+  } else {
+    bands.push({
+      from: point.date,
+      to: point.date,
+      low: point.referenceLow,
+      high: point.referenceHigh
+    });
+  }
+  return bands;
+}, []);
+
+const buildTrend = (tests) => {
+  const points = tests.map((test) => ({
+    id: test.id,
+    panelId: test.panelId,
+    date: test.date,
+    value: Number(test.numericValue),
+    result: test.result,
+    units: test.units,
+    flag: test.flag,
+    isAbnormal: test.isAbnormal,
+    referenceLow: test.referenceLow ?? null,
+    referenceHigh: test.referenceHigh ?? null
+  }));
+
+  const values = points.map((point) => point.value);
+  const count = values.length;
+
+  const stats = count === 0
+    ? { count: 0, min: null, max: null, mean: null, first: null, latest: null, change: null }
+    : {
+      count,
+      min: Math.min(...values),
+      max: Math.max(...values),
+      mean: round(values.reduce((sum, value) => sum + value, 0) / count),
+      first: values[0],
+      latest: values[count - 1],
+      change: round(values[count - 1] - values[0])
+    };
+
+  const withUnits = [...points].reverse().find((point) => point.units);
+
+  return {
+    units: withUnits ? withUnits.units : null,
+    points,
+    stats,
+    referenceBands: buildReferenceBands(points)
+  };
+};
+
+module.exports = {
+  buildTrend
+};
@@ -2,6 +2,7 @@ import React from 'react';
 import { Routes, Route, Navigate } from 'react-router-dom';
 import { Box, CircularProgress } from '@mui/material';
 import { useAuth } from './contexts/AuthContext';
+import { AlertStreamProvider } from './contexts/AlertStreamContext';
 
 // Components
 import Layout from './components/Layout/Layout';
@@ -10,6 +11,8 @@ import ProtectedRoute from './components/Auth/ProtectedRoute';
 // Pages
 import Login from './pages/Auth/Login';
 import Register from './pages/Auth/Register';
+import ForgotPassword from './pages/Auth/ForgotPassword';
+import ResetPassword from './pages/Auth/ResetPassword';
 import Dashboard from './pages/Dashboard/Dashboard';
 import Profile from './pages/Profile/Profile';
 import Alerts from './pages/Alerts/Alerts';
@@ -49,13 +52,27 @@ function App() {
           isAuthenticated ? <Navigate to="/dashboard" replace /> : <Register />
         }
       />
+      <Route
+        path="/forgot-password"
+        element={
+          isAuthenticated ? <Navigate to="/dashboard" replace /> : <ForgotPassword />
+        }
+      />
+      <Route
+        path="/reset-password"
+        element={
+          isAuthenticated ? <Navigate to="/dashboard" replace /> : <ResetPassword />
+        }
+      />
 
       {/* Protected routes */}
       <Route
         path="/"
         element={
           <ProtectedRoute>
-            <Layout />
+            <AlertStreamProvider>
+              <Layout />
+            </AlertStreamProvider>
           </ProtectedRoute>
         }
       >
@@ -0,0 +1,205 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  CircularProgress,
+  IconButton,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemText,
+  Tooltip,
+} from '@mui/material';
+import {
+  Archive as ArchiveIcon,
+  Delete as DeleteIcon,
+  Download as DownloadIcon,
+} from '@mui/icons-material';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const STATUS_COLORS = {
+  pending: 'default',
+  processing: 'info',
+  completed: 'success',
+  failed: 'error',
+};
+
+const isRunning = (dataExport) => ['pending', 'processing'].includes(dataExport.status);
+
+const formatSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Save a finished export through the authenticated API
+const downloadExport = async (dataExport) => {
+  const response = await axios.get(`/api/data-exports/${dataExport.id}/download`, {
+    responseType: 'blob',
+  });
+  const url = window.URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `health-record-${dataExport.completedAt.slice(0, 10)}.zip`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+// Right-of-access export of the user's whole health record as a ZIP archive
+const DataExport = () => {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery(
+    'dataExports',
+    () => axios.get('/api/data-exports').then(res => res.data),
+    {
+      // Poll while an export is being built
+      refetchInterval: (result) => (result?.exports?.some(isRunning) ? 2000 : false),
+    }
+  );
+
+  const exports = data?.exports || [];
+  const running = exports.find(isRunning);
+
+  const startMutation = useMutation(
+    () => axios.post('/api/data-exports'),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('dataExports');
+        toast.success('Export started. It will be ready in a moment.');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to start export');
+      },
+    }
+  );
+
+  const downloadMutation = useMutation(downloadExport, {
+    onError: (error) => {
+      toast.error(error.response?.status === 410
+        ? 'This export has expired. Please start a new one.'
+        : 'Failed to download export');
+      queryClient.invalidateQueries('dataExports');
+    },
+  });
+
+  const deleteMutation = useMutation(
+    (id) => axios.delete(`/api/data-exports/${id}`),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('dataExports');
+        toast.success('Export deleted');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete export');
+      },
+    }
+  );
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>
+        Export Your Data
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Download a copy of your profile, preferences, diagnostic tests, attachments and alerts.
+        The archive contains JSON and CSV files for other apps and a summary you can open in
+        any browser. Exports are deleted automatically after a few days.
+      </Typography>
+
+      <Button
+        variant="contained"
+        startIcon={
+          startMutation.isLoading ? <CircularProgress size={20} color="inherit" /> : <ArchiveIcon />
+        }
+        onClick={() => startMutation.mutate()}
+        disabled={startMutation.isLoading || Boolean(running)}
+      >
+        {running ? 'Export in progress...' : 'Export My Data'}
+      </Button>
+
+      {running && (
+        <Box sx={{ mt: 2 }}>
+          <LinearProgress variant="determinate" value={running.progress} />
+          <Typography variant="caption" color="text.secondary">
+            Preparing your archive... {running.progress}%
+          </Typography>
+        </Box>
+      )}
+
+      {isLoading ? (
+        <Box display="flex" justifyContent="center" py={2}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : exports.length > 0 && (
+        <List dense sx={{ mt: 2 }}>
+          {exports.map((dataExport) => (
+            <ListItem
+              key={dataExport.id}
+              divider
+              secondaryAction={!isRunning(dataExport) && (
+                <>
+                  {dataExport.isDownloadable && (
+                    <Tooltip title="Download">
+                      <IconButton
+                        edge="end"
+                        onClick={() => downloadMutation.mutate(dataExport)}
+                        disabled={downloadMutation.isLoading}
+                      >
+                        <DownloadIcon />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                  <Tooltip title="Delete">
+                    <IconButton
+                      edge="end"
+                      onClick={() => deleteMutation.mutate(dataExport.id)}
+                      disabled={deleteMutation.isLoading}
+                      sx={{ ml: 1 }}
+                    >
+                      <DeleteIcon />
+                    </IconButton>
+                  </Tooltip>
+                </>
+              )}
+            >
+              <ListItemText
+                primary={
+                  <Box display="flex" alignItems="center" gap={1}>
+                    {new Date(dataExport.createdAt).toLocaleString()}
+                    <Chip label={dataExport.status} color={STATUS_COLORS[dataExport.status]} size="small" />
+                  </Box>
+                }
+                secondary={
+                  dataExport.status === 'completed'
+                    ? [
+                      formatSize(dataExport.fileSize),
+                      dataExport.isDownloadable
+                        ? `available until ${new Date(dataExport.expiresAt).toLocaleDateString()}`
+                        : 'expired',
+                    ].filter(Boolean).join(' · ')
+                    : dataExport.error
+                }
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      {exports[0]?.status === 'failed' && (
+        <Alert severity="error" sx={{ mt: 2 }}>
+          Your last export could not be created. Please try again.
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default DataExport;
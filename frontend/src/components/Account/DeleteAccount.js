@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+} from '@mui/material';
+import { DeleteForever as DeleteForeverIcon } from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Schedules the account and all of its records for permanent deletion
+const DeleteAccount = () => {
+  const { deleteAccount } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [password, setPassword] = useState('');
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  const handleClose = () => {
+    setOpen(false);
+    setPassword('');
+  };
+
+  const handleDelete = async () => {
+    setIsDeleting(true);
+    const result = await deleteAccount(password);
+    setIsDeleting(false);
+    if (!result.success) {
+      setPassword('');
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>
+        Delete Account
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Permanently delete your account with all of its diagnostic tests, alerts and care team
+        connections. You will be logged out everywhere, and the data is erased after a grace
+        period. Log in again before then to keep your account.
+      </Typography>
+      <Button
+        variant="outlined"
+        color="error"
+        startIcon={<DeleteForeverIcon />}
+        onClick={() => setOpen(true)}
+      >
+        Delete My Account
+      </Button>
+
+      <Dialog open={open} onClose={handleClose} maxWidth="xs" fullWidth>
+        <DialogTitle>Delete your account?</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Once the grace period is over your health records cannot be recovered. Consider
+            exporting your data first.
+          </Alert>
+          <TextField
+            fullWidth
+            autoFocus
+            type="password"
+            label="Confirm with your password"
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleClose} disabled={isDeleting}>
+            Cancel
+          </Button>
+          <Button
+            color="error"
+            variant="contained"
+            onClick={handleDelete}
+            disabled={!password || isDeleting}
+            startIcon={isDeleting ? <CircularProgress size={20} color="inherit" /> : <DeleteForeverIcon />}
+          >
+            Delete Account
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default DeleteAccount;
@@ -0,0 +1,339 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Grid,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  Divider,
+  ToggleButton,
+  ToggleButtonGroup,
+} from '@mui/material';
+import { Send as SendIcon } from '@mui/icons-material';
+import { useForm } from 'react-hook-form';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+const ACCESS_LABELS = {
+  read: 'Read only',
+  annotate: 'Read & annotate',
+};
+
+// Invitations and active care relationships, from both the patient's and
+// the clinician's side
+const CareTeamPanel = () => {
+  const { user, hasPermission } = useAuth();
+  const queryClient = useQueryClient();
+  const canReadPatients = hasPermission('patients:read');
+  const [inviteTarget, setInviteTarget] = useState('clinician');
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({
+    defaultValues: {
+      email: '',
+      accessLevel: 'read',
+    },
+  });
+
+  const { data, isLoading } = useQuery(
+    'careRelationships',
+    () => axios.get('/api/care-relationships').then(res => res.data)
+  );
+
+  const onMutationSuccess = (message) => () => {
+    queryClient.invalidateQueries('careRelationships');
+    toast.success(message);
+  };
+
+  const onMutationError = (fallback) => (error) => {
+    toast.error(error.response?.data?.message || fallback);
+  };
+
+  const inviteMutation = useMutation(
+    (payload) => axios.post('/api/care-relationships', payload),
+    {
+      onSuccess: () => {
+        onMutationSuccess('Invitation sent')();
+        reset();
+      },
+      onError: onMutationError('Failed to send invitation'),
+    }
+  );
+
+  const acceptMutation = useMutation(
+    ({ id, accessLevel }) => axios.put(`/api/care-relationships/${id}/accept`, { accessLevel }),
+    {
+      onSuccess: onMutationSuccess('Invitation accepted'),
+      onError: onMutationError('Failed to accept invitation'),
+    }
+  );
+
+  const declineMutation = useMutation(
+    (id) => axios.put(`/api/care-relationships/${id}/decline`),
+    {
+      onSuccess: onMutationSuccess('Invitation declined'),
+      onError: onMutationError('Failed to decline invitation'),
+    }
+  );
+
+  const updateAccessMutation = useMutation(
+    ({ id, accessLevel }) => axios.put(`/api/care-relationships/${id}`, { accessLevel }),
+    {
+      onSuccess: onMutationSuccess('Access level updated'),
+      onError: onMutationError('Failed to update access level'),
+    }
+  );
+
+  const revokeMutation = useMutation(
+    (id) => axios.put(`/api/care-relationships/${id}/revoke`),
+    {
+      onSuccess: onMutationSuccess('Access revoked'),
+      onError: onMutationError('Failed to revoke access'),
+    }
+  );
+
+  const onInviteSubmit = ({ email, accessLevel, message }) => {
+    inviteMutation.mutate(
+      inviteTarget === 'clinician'
+        ? { clinicianEmail: email, accessLevel, message }
+        : { patientEmail: email, accessLevel, message }
+    );
+  };
+
+  const relationships = data?.relationships || [];
+  const pending = relationships.filter((item) => item.status === 'pending');
+  const myClinicians = relationships.filter((item) => item.status === 'active' && item.patientId === user?.id);
+  const myPatients = relationships.filter((item) => item.status === 'active' && item.clinicianId === user?.id);
+
+  const otherParty = (relationship) => (
+    relationship.patientId === user?.id ? relationship.clinician : relationship.patient
+  );
+
+  if (isLoading) {
+    return (
+      <Box display="flex" justifyContent="center" py={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>
+        Invite
+      </Typography>
+      {canReadPatients && (
+        <ToggleButtonGroup
+          value={inviteTarget}
+          exclusive
+          size="small"
+          onChange={(e, value) => value && setInviteTarget(value)}
+          sx={{ mb: 2 }}
+        >
+          <ToggleButton value="clinician">Share my records with a clinician</ToggleButton>
+          <ToggleButton value="patient">Request access to a patient</ToggleButton>
+        </ToggleButtonGroup>
+      )}
+      <Box component="form" onSubmit={handleSubmit(onInviteSubmit)}>
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              label={inviteTarget === 'clinician' ? 'Clinician Email' : 'Patient Email'}
+              type="email"
+              error={!!errors.email}
+              helperText={errors.email?.message}
+              {...register('email', {
+                required: 'Email is required',
+                pattern: {
+                  value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                  message: 'Invalid email address',
+                },
+              })}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <FormControl fullWidth>
+              <InputLabel>Access Level</InputLabel>
+              <Select
+                label="Access Level"
+                defaultValue="read"
+                {...register('accessLevel')}
+              >
+                <MenuItem value="read">{ACCESS_LABELS.read}</MenuItem>
+                <MenuItem value="annotate">{ACCESS_LABELS.annotate}</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="Message (optional)"
+              multiline
+              rows={2}
+              {...register('message')}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <Button
+              type="submit"
+              variant="contained"
+              startIcon={<SendIcon />}
+              disabled={inviteMutation.isLoading}
+            >
+              Send Invitation
+            </Button>
+          </Grid>
+        </Grid>
+      </Box>
+
+      <Divider sx={{ my: 3 }} />
+
+      <Typography variant="h6" gutterBottom>
+        Pending Invitations
+      </Typography>
+      {pending.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No pending invitations.
+        </Typography>
+      ) : (
+        <List dense>
+          {pending.map((relationship) => {
+            const isResponder = relationship.initiatedBy === 'patient'
+              ? relationship.clinicianId === user?.id
+              : relationship.patientId === user?.id;
+            return (
+              <ListItem
+                key={relationship.id}
+                secondaryAction={isResponder ? (
+                  <Box display="flex" gap={1}>
+                    <Button
+                      size="small"
+                      variant="contained"
+                      onClick={() => acceptMutation.mutate({ id: relationship.id })}
+                    >
+                      Accept
+                    </Button>
+                    <Button size="small" onClick={() => declineMutation.mutate(relationship.id)}>
+                      Decline
+                    </Button>
+                  </Box>
+                ) : (
+                  <Button size="small" onClick={() => revokeMutation.mutate(relationship.id)}>
+                    Cancel
+                  </Button>
+                )}
+              >
+                <ListItemText
+                  primary={`${otherParty(relationship).name} (${otherParty(relationship).email})`}
+                  secondary={[
+                    isResponder ? 'Invited you' : 'Awaiting response',
+                    ACCESS_LABELS[relationship.accessLevel],
+                    relationship.message,
+                  ].filter(Boolean).join(' · ')}
+                />
+              </ListItem>
+            );
+          })}
+        </List>
+      )}
+
+      <Divider sx={{ my: 3 }} />
+
+      <Typography variant="h6" gutterBottom>
+        My Clinicians
+      </Typography>
+      {myClinicians.length === 0 ? (
+        <Alert severity="info">
+          No clinician can see your records.
+        </Alert>
+      ) : (
+        <List dense>
+          {myClinicians.map((relationship) => (
+            <ListItem
+              key={relationship.id}
+              secondaryAction={(
+                <Box display="flex" gap={1} alignItems="center">
+                  <Select
+                    size="small"
+                    value={relationship.accessLevel}
+                    onChange={(e) => updateAccessMutation.mutate({
+                      id: relationship.id,
+                      accessLevel: e.target.value,
+                    })}
+                  >
+                    <MenuItem value="read">{ACCESS_LABELS.read}</MenuItem>
+                    <MenuItem value="annotate">{ACCESS_LABELS.annotate}</MenuItem>
+                  </Select>
+                  <Button
+                    size="small"
+                    color="error"
+                    onClick={() => revokeMutation.mutate(relationship.id)}
+                  >
+                    Revoke
+                  </Button>
+                </Box>
+              )}
+            >
+              <ListItemText
+                primary={relationship.clinician.name}
+                secondary={relationship.clinician.email}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      {canReadPatients && (
+        <>
+          <Divider sx={{ my: 3 }} />
+          <Typography variant="h6" gutterBottom>
+            My Patients
+          </Typography>
+          {myPatients.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              No patients have shared their records with you.
+            </Typography>
+          ) : (
+            <List dense>
+              {myPatients.map((relationship) => (
+                <ListItem
+                  key={relationship.id}
+                  secondaryAction={(
+                    <Button size="small" onClick={() => revokeMutation.mutate(relationship.id)}>
+                      Remove
+                    </Button>
+                  )}
+                >
+                  <ListItemText
+                    primary={relationship.patient.name}
+                    secondary={relationship.patient.email}
+                  />
+                  <Chip label={ACCESS_LABELS[relationship.accessLevel]} size="small" sx={{ mr: 10 }} />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default CareTeamPanel;
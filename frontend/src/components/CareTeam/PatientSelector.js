@@ -0,0 +1,49 @@
+import React from 'react';
+import {
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+} from '@mui/material';
+import { useQuery } from 'react-query';
+import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Lets a clinician switch between their own records and those of patients
+// who have shared theirs. Renders nothing for users without shared patients.
+const PatientSelector = ({ value, onChange }) => {
+  const { hasPermission } = useAuth();
+  const canReadPatients = hasPermission('patients:read');
+
+  const { data } = useQuery(
+    ['careRelationships', 'patients'],
+    () => axios.get('/api/care-relationships?as=clinician&status=active').then(res => res.data),
+    { enabled: canReadPatients }
+  );
+
+  const patients = (data?.relationships || []).map((relationship) => relationship.patient);
+
+  if (!canReadPatients || patients.length === 0) {
+    return null;
+  }
+
+  return (
+    <FormControl size="small" sx={{ minWidth: 220 }}>
+      <InputLabel>Viewing records of</InputLabel>
+      <Select
+        value={value}
+        label="Viewing records of"
+        onChange={(e) => onChange(e.target.value)}
+      >
+        <MenuItem value="">My records</MenuItem>
+        {patients.map((patient) => (
+          <MenuItem key={patient.id} value={patient.id}>
+            {patient.name}
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+};
+
+export default PatientSelector;
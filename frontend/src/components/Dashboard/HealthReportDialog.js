@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Grid,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import { DatePicker } from '@mui/x-date-pickers/DatePicker';
+import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
+import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
+import { format, isValid, subYears } from 'date-fns';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const toParam = (date) => format(date, 'yyyy-MM-dd');
+
+// Save the PDF through the authenticated API
+const downloadReport = async (dateFrom, dateTo) => {
+  const response = await axios.get('/api/reports/health-summary', {
+    params: { dateFrom: toParam(dateFrom), dateTo: toParam(dateTo) },
+    responseType: 'blob',
+  });
+  const url = window.URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `health-summary-${toParam(dateFrom)}-to-${toParam(dateTo)}.pdf`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+// Printable PDF summary of a date range, to bring to appointments
+const HealthReportDialog = ({ open, onClose }) => {
+  const [dateFrom, setDateFrom] = useState(() => subYears(new Date(), 1));
+  const [dateTo, setDateTo] = useState(() => new Date());
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const isRangeValid = isValid(dateFrom) && isValid(dateTo) && dateFrom <= dateTo;
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    try {
+      await downloadReport(dateFrom, dateTo);
+      onClose();
+    } catch (error) {
+      toast.error('Failed to generate report');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <LocalizationProvider dateAdapter={AdapterDateFns}>
+      <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+        <DialogTitle>Download Health Summary</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" mb={3}>
+            A PDF with your details, abnormal results and trends for the
+            chosen period, plus your active alerts.
+          </Typography>
+          <Grid container spacing={2}>
+            <Grid item xs={12} sm={6}>
+              <DatePicker
+                label="From"
+                value={dateFrom}
+                onChange={setDateFrom}
+                maxDate={dateTo}
+                renderInput={(params) => <TextField {...params} fullWidth />}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <DatePicker
+                label="To"
+                value={dateTo}
+                onChange={setDateTo}
+                minDate={dateFrom}
+                disableFuture
+                renderInput={(params) => <TextField {...params} fullWidth />}
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleDownload}
+            disabled={!isRangeValid || isDownloading}
+            startIcon={isDownloading ? <CircularProgress size={16} /> : <DownloadIcon />}
+          >
+            Download
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </LocalizationProvider>
+  );
+};
+
+export default HealthReportDialog;
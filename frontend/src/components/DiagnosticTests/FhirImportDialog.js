@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Alert,
+  List,
+  ListItem,
+  ListItemText,
+  Typography,
+} from '@mui/material';
+import { UploadFile as UploadFileIcon } from '@mui/icons-material';
+import { useMutation } from 'react-query';
+import axios from 'axios';
+
+const STATUS_COLORS = {
+  imported: 'success',
+  duplicate: 'info',
+  failed: 'error',
+  ignored: 'default',
+};
+
+// Import lab results received from other providers as a FHIR R4 Bundle
+const FhirImportDialog = ({ open, onClose, onImported }) => {
+  const [fileName, setFileName] = useState('');
+  const [bundle, setBundle] = useState(null);
+  const [fileError, setFileError] = useState('');
+
+  const importMutation = useMutation(
+    (data) => axios.post('/api/diagnostic-tests/import/fhir', data, {
+      headers: { 'Content-Type': 'application/fhir+json' },
+    }).then(res => res.data),
+    {
+      onSuccess: (data) => onImported(data),
+    }
+  );
+
+  const handleClose = () => {
+    setFileName('');
+    setBundle(null);
+    setFileError('');
+    importMutation.reset();
+    onClose();
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    importMutation.reset();
+    setFileName(file.name);
+    try {
+      const parsed = JSON.parse(await file.text());
+      if (parsed.resourceType !== 'Bundle') {
+        throw new Error('not a bundle');
+      }
+      setBundle(parsed);
+      setFileError('');
+    } catch (error) {
+      setBundle(null);
+      setFileError('This file is not a FHIR Bundle in JSON format.');
+    }
+  };
+
+  const report = importMutation.data;
+  const requestError = importMutation.error?.response?.data;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Import FHIR Bundle</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Choose a FHIR R4 Bundle (JSON) from your lab or another provider. Diagnostic reports are
+          added as panels and observations as test results. Results you already have are skipped.
+        </Typography>
+
+        <Button variant="outlined" component="label" startIcon={<UploadFileIcon />}>
+          Choose File
+          <input type="file" hidden accept=".json,application/json,application/fhir+json" onChange={handleFileChange} />
+        </Button>
+        {fileName && (
+          <Typography variant="body2" component="span" sx={{ ml: 2 }}>
+            {fileName}
+            {bundle && ` · ${(bundle.entry || []).length} entries`}
+          </Typography>
+        )}
+
+        {fileError && (
+          <Alert severity="error" sx={{ mt: 2 }}>{fileError}</Alert>
+        )}
+
+        {requestError && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {requestError.errors?.map(error => error.msg).join('. ') || requestError.message || 'Import failed'}
+          </Alert>
+        )}
+
+        {report && (
+          <Box sx={{ mt: 2 }}>
+            <Alert severity={report.summary.failed > 0 ? 'warning' : 'success'} sx={{ mb: 2 }}>
+              {report.message}
+            </Alert>
+            <Box display="flex" gap={1} flexWrap="wrap" mb={1}>
+              {Object.entries(report.summary).map(([status, count]) => (
+                <Chip key={status} label={`${count} ${status}`} color={STATUS_COLORS[status]} size="small" />
+              ))}
+            </Box>
+            <List dense sx={{ maxHeight: 280, overflow: 'auto' }}>
+              {report.results.map((result) => (
+                <ListItem key={`${result.index}-${result.id}`} divider>
+                  <ListItemText
+                    primary={
+                      <Box display="flex" alignItems="center" gap={1}>
+                        <Chip label={result.status} color={STATUS_COLORS[result.status]} size="small" />
+                        {`#${result.index + 1} ${result.resourceType || 'Unknown'}${result.id ? ` (${result.id})` : ''}`}
+                      </Box>
+                    }
+                    secondary={result.message}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>
+          {report ? 'Done' : 'Cancel'}
+        </Button>
+        {!report && (
+          <Button
+            variant="contained"
+            onClick={() => importMutation.mutate(bundle)}
+            disabled={!bundle || importMutation.isLoading}
+            startIcon={importMutation.isLoading ? <CircularProgress size={20} color="inherit" /> : null}
+          >
+            Import
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default FhirImportDialog;
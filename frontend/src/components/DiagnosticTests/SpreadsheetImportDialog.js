@@ -0,0 +1,368 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Alert,
+  FormControl,
+  FormControlLabel,
+  Grid,
+  InputLabel,
+  MenuItem,
+  Select,
+  Step,
+  StepLabel,
+  Stepper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { UploadFile as UploadFileIcon } from '@mui/icons-material';
+import { useMutation } from 'react-query';
+import axios from 'axios';
+
+const STEPS = ['Upload', 'Map columns', 'Review', 'Done'];
+
+const DATE_FORMATS = [
+  { value: 'ymd', label: 'Year first (2024-03-15)' },
+  { value: 'mdy', label: 'Month first (03/15/2024)' },
+  { value: 'dmy', label: 'Day first (15/03/2024)' },
+];
+
+const STATUS_COLORS = {
+  valid: 'success',
+  imported: 'success',
+  duplicate: 'info',
+  invalid: 'error',
+};
+
+// The file is sent again at each step, so the server keeps no import state
+const postSpreadsheet = (file, fields = {}) => {
+  const data = new FormData();
+  data.append('file', file);
+  Object.entries(fields).forEach(([name, value]) => data.append(name, value));
+  return axios.post('/api/diagnostic-tests/import/spreadsheet', data).then(res => res.data);
+};
+
+const errorText = (error) => {
+  const data = error?.response?.data;
+  if (!data) return error ? 'Import failed' : '';
+  return data.errors?.map(item => item.msg).join('. ') || data.message || 'Import failed';
+};
+
+// Import historical lab results from a CSV or XLSX spreadsheet, one test per row
+const SpreadsheetImportDialog = ({ open, onClose, onImported }) => {
+  const [step, setStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [dateFormat, setDateFormat] = useState('ymd');
+  const [skipInvalid, setSkipInvalid] = useState(false);
+
+  const inspectMutation = useMutation(
+    (selected) => postSpreadsheet(selected),
+    {
+      onSuccess: (data) => {
+        setMapping(data.mapping);
+        setStep(1);
+      },
+    }
+  );
+
+  const checkMutation = useMutation(
+    () => postSpreadsheet(file, { mapping: JSON.stringify(mapping), dateFormat, dryRun: 'true' }),
+    {
+      onSuccess: () => {
+        setSkipInvalid(false);
+        setStep(2);
+      },
+    }
+  );
+
+  const importMutation = useMutation(
+    () => postSpreadsheet(file, {
+      mapping: JSON.stringify(mapping),
+      dateFormat,
+      dryRun: 'false',
+      skipInvalid: String(skipInvalid),
+    }),
+    {
+      onSuccess: (data) => {
+        setStep(3);
+        onImported(data);
+      },
+    }
+  );
+
+  const mutations = [inspectMutation, checkMutation, importMutation];
+  const isLoading = mutations.some(mutation => mutation.isLoading);
+  const requestError = mutations.map(mutation => errorText(mutation.error)).find(Boolean);
+
+  const handleClose = () => {
+    setStep(0);
+    setFile(null);
+    setMapping({});
+    setDateFormat('ymd');
+    setSkipInvalid(false);
+    mutations.forEach(mutation => mutation.reset());
+    onClose();
+  };
+
+  const handleFileChange = (event) => {
+    const selected = event.target.files[0];
+    event.target.value = '';
+    if (!selected) return;
+
+    mutations.forEach(mutation => mutation.reset());
+    setFile(selected);
+    inspectMutation.mutate(selected);
+  };
+
+  const handleBack = () => {
+    importMutation.reset();
+    checkMutation.reset();
+    setStep(step - 1);
+  };
+
+  const handleMappingChange = (key, header) => {
+    const next = { ...mapping, [key]: header };
+    if (!header) delete next[key];
+    setMapping(next);
+  };
+
+  const sheet = inspectMutation.data;
+  const report = importMutation.data || checkMutation.data;
+  const missingFields = sheet ? sheet.fields.filter(field => field.required && !mapping[field.key]) : [];
+  const problemRows = report ? report.rows.filter(row => row.status === 'invalid' || row.status === 'duplicate') : [];
+  const importable = report ? report.summary.valid : 0;
+
+  const renderUpload = () => (
+    <>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Choose a CSV or Excel (.xlsx) file with one test result per row and a header row naming the
+        columns. Next you can match the columns to test fields and check every row before anything
+        is saved.
+      </Typography>
+      <Button
+        variant="outlined"
+        component="label"
+        startIcon={inspectMutation.isLoading ? <CircularProgress size={20} /> : <UploadFileIcon />}
+        disabled={inspectMutation.isLoading}
+      >
+        Choose File
+        <input
+          type="file"
+          hidden
+          accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+          onChange={handleFileChange}
+        />
+      </Button>
+      {file && (
+        <Typography variant="body2" component="span" sx={{ ml: 2 }}>
+          {file.name}
+        </Typography>
+      )}
+    </>
+  );
+
+  const renderMapping = () => (
+    <>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {`${file.name} has ${sheet.rowCount} row(s). Choose the column for each field; fields marked * are required.`}
+      </Typography>
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        {sheet.fields.map((field) => (
+          <Grid item xs={12} sm={6} md={4} key={field.key}>
+            <FormControl fullWidth size="small">
+              <InputLabel>{field.required ? `${field.label} *` : field.label}</InputLabel>
+              <Select
+                value={mapping[field.key] || ''}
+                label={field.required ? `${field.label} *` : field.label}
+                onChange={(e) => handleMappingChange(field.key, e.target.value)}
+              >
+                <MenuItem value="">
+                  <em>Not imported</em>
+                </MenuItem>
+                {sheet.headers.map((header) => (
+                  <MenuItem key={header} value={header}>{header}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+        ))}
+        <Grid item xs={12} sm={6} md={4}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Dates are written</InputLabel>
+            <Select
+              value={dateFormat}
+              label="Dates are written"
+              onChange={(e) => setDateFormat(e.target.value)}
+            >
+              {DATE_FORMATS.map((format) => (
+                <MenuItem key={format.value} value={format.value}>{format.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+      </Grid>
+
+      <Typography variant="subtitle2" gutterBottom>
+        First rows
+      </Typography>
+      <TableContainer sx={{ maxHeight: 240 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>Row</TableCell>
+              {sheet.headers.map((header) => (
+                <TableCell key={header}>{header}</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {sheet.sample.map((row) => (
+              <TableRow key={row.line}>
+                <TableCell>{row.line}</TableCell>
+                {row.cells.map((cell, index) => (
+                  <TableCell key={sheet.headers[index]}>{cell === null ? '' : String(cell)}</TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </>
+  );
+
+  const renderReport = () => (
+    <>
+      <Alert severity={report.summary.invalid > 0 ? 'warning' : 'success'} sx={{ mb: 2 }}>
+        {report.message}
+      </Alert>
+      <Box display="flex" gap={1} flexWrap="wrap" mb={2}>
+        {['valid', 'imported', 'duplicate', 'invalid'].filter(status => report.summary[status] > 0).map((status) => (
+          <Chip
+            key={status}
+            label={`${report.summary[status]} ${status}`}
+            color={STATUS_COLORS[status]}
+            size="small"
+          />
+        ))}
+      </Box>
+
+      {problemRows.length > 0 && (
+        <>
+          <Typography variant="subtitle2" gutterBottom>
+            Rows that will not be imported
+          </Typography>
+          <TableContainer sx={{ maxHeight: 280 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Row</TableCell>
+                  <TableCell>Test</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Reason</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {problemRows.map((row) => (
+                  <TableRow key={row.line}>
+                    <TableCell>{row.line}</TableCell>
+                    <TableCell>{row.test.name || '—'}</TableCell>
+                    <TableCell>
+                      <Chip label={row.status} color={STATUS_COLORS[row.status]} size="small" />
+                    </TableCell>
+                    <TableCell>
+                      {row.status === 'duplicate'
+                        ? row.message
+                        : row.errors.map((error) => (
+                          <Typography key={`${error.field}-${error.message}`} variant="body2">
+                            {error.column ? `${error.column}: ${error.message}` : error.message}
+                          </Typography>
+                        ))}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+
+      {step === 2 && report.summary.invalid > 0 && importable > 0 && (
+        <FormControlLabel
+          sx={{ mt: 2 }}
+          control={
+            <Checkbox checked={skipInvalid} onChange={(e) => setSkipInvalid(e.target.checked)} />
+          }
+          label={`Skip the ${report.summary.invalid} row(s) with errors and import the rest`}
+        />
+      )}
+    </>
+  );
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>Import Spreadsheet</DialogTitle>
+      <DialogContent>
+        <Stepper activeStep={step} sx={{ mb: 3 }}>
+          {STEPS.map((label) => (
+            <Step key={label}>
+              <StepLabel>{label}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+
+        {step === 0 && renderUpload()}
+        {step === 1 && sheet && renderMapping()}
+        {step >= 2 && report && renderReport()}
+
+        {requestError && (
+          <Alert severity="error" sx={{ mt: 2 }}>{requestError}</Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>
+          {step === 3 ? 'Done' : 'Cancel'}
+        </Button>
+        {(step === 1 || step === 2) && (
+          <Button onClick={handleBack} disabled={isLoading}>
+            Back
+          </Button>
+        )}
+        {step === 1 && (
+          <Button
+            variant="contained"
+            onClick={() => checkMutation.mutate()}
+            disabled={missingFields.length > 0 || isLoading}
+            startIcon={checkMutation.isLoading ? <CircularProgress size={20} color="inherit" /> : null}
+          >
+            Check Rows
+          </Button>
+        )}
+        {step === 2 && (
+          <Button
+            variant="contained"
+            onClick={() => importMutation.mutate()}
+            disabled={importable === 0 || (report.summary.invalid > 0 && !skipInvalid) || isLoading}
+            startIcon={importMutation.isLoading ? <CircularProgress size={20} color="inherit" /> : null}
+          >
+            {`Import ${importable} Row(s)`}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SpreadsheetImportDialog;
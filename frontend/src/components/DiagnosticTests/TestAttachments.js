@@ -0,0 +1,164 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  CircularProgress,
+  IconButton,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  AttachFile as AttachFileIcon,
+  Delete as DeleteIcon,
+  Download as DownloadIcon,
+  Image as ImageIcon,
+  PictureAsPdf as PictureAsPdfIcon,
+} from '@mui/icons-material';
+import { useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const ACCEPTED_TYPES = 'application/pdf,image/png,image/jpeg,image/gif,image/webp';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Save an attachment through the authenticated API
+const downloadAttachment = async (test, attachment, patientQuery) => {
+  const response = await axios.get(
+    `/api/diagnostic-tests/${test.id}/attachments/${attachment.id}${patientQuery}`,
+    { responseType: 'blob' }
+  );
+  const url = window.URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = attachment.fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+// PDFs and images attached to a test; only the owner can add or remove them
+const TestAttachments = ({ test, canEdit, patientQuery = '' }) => {
+  const queryClient = useQueryClient();
+  const attachments = test.attachments || [];
+
+  const uploadMutation = useMutation(
+    (file) => {
+      const data = new FormData();
+      data.append('file', file);
+      return axios.post(`/api/diagnostic-tests/${test.id}/attachments`, data);
+    },
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('diagnosticTest');
+        toast.success('File attached');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to attach file');
+      },
+    }
+  );
+
+  const deleteMutation = useMutation(
+    (attachment) => axios.delete(`/api/diagnostic-tests/${test.id}/attachments/${attachment.id}`),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('diagnosticTest');
+        toast.success('Attachment deleted');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete attachment');
+      },
+    }
+  );
+
+  const handleDownload = async (attachment) => {
+    try {
+      await downloadAttachment(test, attachment, patientQuery);
+    } catch (error) {
+      toast.error('Failed to download attachment');
+    }
+  };
+
+  const handleFileChange = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) uploadMutation.mutate(file);
+  };
+
+  if (attachments.length === 0 && !canEdit) return null;
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-between" alignItems="center">
+        <Typography variant="subtitle2" color="text.secondary">
+          Attachments
+        </Typography>
+        {canEdit && (
+          <Button
+            size="small"
+            component="label"
+            startIcon={uploadMutation.isLoading ? <CircularProgress size={16} /> : <AttachFileIcon />}
+            disabled={uploadMutation.isLoading}
+          >
+            Attach File
+            <input type="file" hidden accept={ACCEPTED_TYPES} onChange={handleFileChange} />
+          </Button>
+        )}
+      </Box>
+      {attachments.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No files attached. Add the lab's PDF report or images (up to 10 MB each).
+        </Typography>
+      ) : (
+        <List dense disablePadding>
+          {attachments.map((attachment) => (
+            <ListItem
+              key={attachment.id}
+              disableGutters
+              secondaryAction={
+                <Box>
+                  <Tooltip title="Download">
+                    <IconButton edge="end" onClick={() => handleDownload(attachment)}>
+                      <DownloadIcon />
+                    </IconButton>
+                  </Tooltip>
+                  {canEdit && (
+                    <Tooltip title="Delete">
+                      <IconButton
+                        edge="end"
+                        onClick={() => deleteMutation.mutate(attachment)}
+                        disabled={deleteMutation.isLoading}
+                        sx={{ ml: 1 }}
+                      >
+                        <DeleteIcon />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </Box>
+              }
+            >
+              <ListItemIcon sx={{ minWidth: 36 }}>
+                {attachment.contentType === 'application/pdf' ? <PictureAsPdfIcon /> : <ImageIcon />}
+              </ListItemIcon>
+              <ListItemText
+                primary={attachment.fileName}
+                secondary={`${formatSize(attachment.size)} · ${new Date(attachment.createdAt).toLocaleDateString()}`}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+};
+
+export default TestAttachments;
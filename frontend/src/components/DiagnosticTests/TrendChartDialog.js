@@ -0,0 +1,137 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Grid,
+  Alert,
+  Typography,
+} from '@mui/material';
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from 'recharts';
+import { useQuery } from 'react-query';
+import axios from 'axios';
+
+const StatItem = ({ label, value, units }) => (
+  <Grid item xs={6} sm={3}>
+    <Typography variant="subtitle2" color="text.secondary">
+      {label}
+    </Typography>
+    <Typography variant="h6">
+      {value === null || value === undefined ? '-' : `${value}${units ? ` ${units}` : ''}`}
+    </Typography>
+  </Grid>
+);
+
+// Trend of one analyte over time, with its reference range drawn as dashed
+// step lines so a change of range between labs stays visible
+const TrendChartDialog = ({ open, onClose, test, patientId }) => {
+  const { data, isLoading, isError } = useQuery(
+    ['analyteTrend', test?.code, test?.name, patientId],
+    () => {
+      const params = new URLSearchParams({
+        ...(test.code ? { code: test.code } : { name: test.name }),
+        ...(patientId && { patientId }),
+      });
+      return axios.get(`/api/diagnostic-tests/trend?${params}`).then(res => res.data);
+    },
+    { enabled: open && !!test }
+  );
+
+  const chartData = (data?.points || []).map((point) => ({
+    date: new Date(point.date).toLocaleDateString(),
+    value: point.value,
+    referenceLow: point.referenceLow,
+    referenceHigh: point.referenceHigh,
+  }));
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        Trend: {data?.analyte?.name || test?.name}
+      </DialogTitle>
+      <DialogContent>
+        {isLoading && (
+          <Box display="flex" justifyContent="center" py={4}>
+            <CircularProgress />
+          </Box>
+        )}
+        {isError && (
+          <Alert severity="error">Failed to load trend data.</Alert>
+        )}
+        {data && data.stats.count === 0 && (
+          <Alert severity="info">
+            No numeric results recorded for this test yet.
+          </Alert>
+        )}
+        {data && data.stats.count > 0 && (
+          <>
+            <Grid container spacing={2} sx={{ mb: 2 }}>
+              <StatItem label="Latest" value={data.stats.latest} units={data.units} />
+              <StatItem label="Minimum" value={data.stats.min} units={data.units} />
+              <StatItem label="Maximum" value={data.stats.max} units={data.units} />
+              <StatItem label="Mean" value={data.stats.mean} units={data.units} />
+            </Grid>
+            <Box height={320}>
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" />
+                  <YAxis domain={['auto', 'auto']} />
+                  <Tooltip />
+                  <Legend />
+                  <Line
+                    type="stepAfter"
+                    dataKey="referenceHigh"
+                    name="Reference high"
+                    stroke="#f44336"
+                    strokeDasharray="5 5"
+                    dot={false}
+                    connectNulls
+                  />
+                  <Line
+                    type="stepAfter"
+                    dataKey="referenceLow"
+                    name="Reference low"
+                    stroke="#ff9800"
+                    strokeDasharray="5 5"
+                    dot={false}
+                    connectNulls
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="value"
+                    name={data.units ? `Result (${data.units})` : 'Result'}
+                    stroke="#1976d2"
+                    strokeWidth={2}
+                  />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </Box>
+            <Typography variant="caption" color="text.secondary">
+              {data.stats.count} results, change since first: {data.stats.change > 0 ? '+' : ''}{data.stats.change}
+              {data.units ? ` ${data.units}` : ''}
+            </Typography>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TrendChartDialog;
@@ -14,8 +14,10 @@ import {
   ListItemIcon,
   ListItemText,
   Avatar,
+  Badge,
   Menu,
   MenuItem,
+  Tooltip,
   useTheme,
   useMediaQuery,
 } from '@mui/material';
@@ -30,7 +32,11 @@ import {
   AccountCircle as AccountCircleIcon,
 } from '@mui/icons-material';
 import { useNavigate, useLocation } from 'react-router-dom';
+import { useQuery, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
 import { useAuth } from '../../contexts/AuthContext';
+import { useAlertEvents, useInAppNotifications } from '../../contexts/AlertStreamContext';
 
 const drawerWidth = 240;
 
@@ -57,16 +63,54 @@ const menuItems = [
   },
 ];
 
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// Same rule as the server's notification threshold
+const meetsThreshold = (user, priority) => (
+  PRIORITIES.indexOf(priority)
+    >= PRIORITIES.indexOf(user?.preferences?.notificationThreshold || 'medium')
+);
+
 const Layout = () => {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
   const navigate = useNavigate();
   const location = useLocation();
   const { user, logout } = useAuth();
+  const queryClient = useQueryClient();
+  const inAppNotifications = useInAppNotifications();
 
   const [mobileOpen, setMobileOpen] = useState(false);
   const [anchorEl, setAnchorEl] = useState(null);
 
+  // Active alerts count as unread until acknowledged or resolved
+  const { data: alertStats } = useQuery(
+    'alertStats',
+    () => axios.get('/api/alerts/stats/summary').then(res => res.data.summary)
+  );
+  const unreadCount = alertStats?.byStatus?.active || 0;
+
+  // Live updates replace polling for the badge and the dashboard's active
+  // alerts; 'reconnected' refetches them too, for events missed meanwhile
+  useAlertEvents(({ type, data: alert }) => {
+    queryClient.invalidateQueries('alertStats');
+    queryClient.invalidateQueries('activeAlerts');
+
+    // Only alerts at or above the user's notification threshold pop up. The
+    // server says which through notification events; when it sends none,
+    // new alerts are checked here instead.
+    const isNotification = inAppNotifications
+      ? type === 'notification.created' || type === 'notification.escalated'
+      : type === 'alert.created' && alert.status === 'active' && meetsThreshold(user, alert.priority);
+    if (isNotification) {
+      const notify = ['high', 'critical'].includes(alert.priority) ? toast.error : toast;
+      const message = type === 'notification.escalated'
+        ? `Alert raised to ${alert.priority}: ${alert.title}`
+        : `New ${alert.priority} alert: ${alert.title}`;
+      notify(message, { id: `alert-${alert.id}` });
+    }
+  });
+
   const handleDrawerToggle = () => {
     setMobileOpen(!mobileOpen);
   };
@@ -165,6 +209,17 @@ const Layout = () => {
             {menuItems.find(item => item.path === location.pathname)?.text || 'AI Health Management'}
           </Typography>
           <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Tooltip title="Alerts">
+              <IconButton
+                color="inherit"
+                aria-label={`${unreadCount} unread alerts`}
+                onClick={() => navigate('/alerts')}
+              >
+                <Badge badgeContent={unreadCount} color="error" max={99}>
+                  <NotificationsIcon />
+                </Badge>
+              </IconButton>
+            </Tooltip>
             <Typography variant="body2" sx={{ display: { xs: 'none', sm: 'block' } }}>
               {user?.name}
             </Typography>
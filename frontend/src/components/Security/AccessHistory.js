@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Chip,
+  CircularProgress,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Switch,
+  Tooltip,
+} from '@mui/material';
+import { useQuery } from 'react-query';
+import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+
+const ACTION_COLORS = {
+  read: 'default',
+  create: 'success',
+  update: 'info',
+  delete: 'error',
+};
+
+const RESOURCE_LABELS = {
+  User: 'Account',
+  Alert: 'Alert',
+  DiagnosticTest: 'Diagnostic test',
+  Attachment: 'Attachment',
+};
+
+// Audit trail of who read or changed the user's account and health records
+const AccessHistory = () => {
+  const { user } = useAuth();
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [action, setAction] = useState('');
+  const [excludeSelf, setExcludeSelf] = useState(true);
+
+  const { data, isLoading } = useQuery(
+    ['accessHistory', page + 1, rowsPerPage, action, excludeSelf],
+    () => axios.get('/api/users/access-history', {
+      params: {
+        page: page + 1,
+        limit: rowsPerPage,
+        action: action || undefined,
+        excludeSelf,
+      },
+    }).then(res => res.data),
+    { keepPreviousData: true }
+  );
+
+  const describeActor = (entry) => {
+    if (entry.actorId === user?.id) return 'You';
+    if (entry.actor) return `${entry.actor.name} (${entry.actor.role})`;
+    // Erasing an account also removes it as the actor of its entries
+    return entry.actorId ? 'Deleted user' : 'System or deleted user';
+  };
+
+  const describeChanges = (entry) => (
+    entry.changes ? Object.keys(entry.changes).join(', ') : ''
+  );
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>
+        Access History
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Every time your account, alerts or diagnostic tests are viewed or changed, it is recorded here.
+      </Typography>
+
+      <Box display="flex" alignItems="center" gap={2} mb={2} flexWrap="wrap">
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel>Action</InputLabel>
+          <Select
+            value={action}
+            label="Action"
+            onChange={(e) => { setAction(e.target.value); setPage(0); }}
+          >
+            <MenuItem value="">All</MenuItem>
+            <MenuItem value="read">Viewed</MenuItem>
+            <MenuItem value="create">Created</MenuItem>
+            <MenuItem value="update">Changed</MenuItem>
+            <MenuItem value="delete">Deleted</MenuItem>
+          </Select>
+        </FormControl>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={excludeSelf}
+              onChange={(e) => { setExcludeSelf(e.target.checked); setPage(0); }}
+            />
+          }
+          label="Hide my own activity"
+        />
+      </Box>
+
+      {isLoading ? (
+        <Box display="flex" justifyContent="center" py={2}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : (
+        <>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>When</TableCell>
+                  <TableCell>Who</TableCell>
+                  <TableCell>Action</TableCell>
+                  <TableCell>Record</TableCell>
+                  <TableCell>IP Address</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {data?.entries?.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={5} align="center">
+                      No activity recorded
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  data?.entries?.map((entry) => (
+                    <TableRow key={entry.id}>
+                      <TableCell>{new Date(entry.createdAt).toLocaleString()}</TableCell>
+                      <TableCell>{describeActor(entry)}</TableCell>
+                      <TableCell>
+                        <Tooltip title={describeChanges(entry)}>
+                          <Chip
+                            label={entry.action}
+                            color={ACTION_COLORS[entry.action]}
+                            size="small"
+                          />
+                        </Tooltip>
+                      </TableCell>
+                      <TableCell>
+                        {RESOURCE_LABELS[entry.resourceType]} #{entry.resourceId}
+                      </TableCell>
+                      <TableCell>{entry.ipAddress || '—'}</TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          {data?.pagination && (
+            <TablePagination
+              rowsPerPageOptions={[10, 25, 50]}
+              component="div"
+              count={data.pagination.totalItems}
+              rowsPerPage={rowsPerPage}
+              page={page}
+              onPageChange={(event, newPage) => setPage(newPage)}
+              onRowsPerPageChange={(event) => {
+                setRowsPerPage(parseInt(event.target.value, 10));
+                setPage(0);
+              }}
+            />
+          )}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default AccessHistory;
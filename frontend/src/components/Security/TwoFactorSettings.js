@@ -0,0 +1,259 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Grid,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import {
+  Security as SecurityIcon,
+  Refresh as RefreshIcon,
+} from '@mui/icons-material';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Enrollment, backup codes and removal of TOTP two-factor authentication
+const TwoFactorSettings = () => {
+  const { updateUser } = useAuth();
+  const queryClient = useQueryClient();
+  const [setup, setSetup] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+
+  const { data: status, isLoading } = useQuery(
+    'twoFactor',
+    () => axios.get('/api/users/2fa').then(res => res.data)
+  );
+
+  const onMutationError = (fallback) => (error) => {
+    toast.error(error.response?.data?.message || fallback);
+  };
+
+  const resetInputs = () => {
+    setCode('');
+    setPassword('');
+  };
+
+  const setupMutation = useMutation(
+    () => axios.post('/api/users/2fa/setup'),
+    {
+      onSuccess: (response) => {
+        setSetup(response.data);
+        resetInputs();
+      },
+      onError: onMutationError('Failed to start two-factor setup'),
+    }
+  );
+
+  const verifyMutation = useMutation(
+    () => axios.post('/api/users/2fa/verify', { code }),
+    {
+      onSuccess: (response) => {
+        setSetup(null);
+        setBackupCodes(response.data.backupCodes);
+        resetInputs();
+        updateUser({ twoFactorEnabled: true });
+        queryClient.invalidateQueries('twoFactor');
+        toast.success('Two-factor authentication enabled');
+      },
+      onError: onMutationError('Failed to verify code'),
+    }
+  );
+
+  const regenerateMutation = useMutation(
+    () => axios.post('/api/users/2fa/backup-codes', { code }),
+    {
+      onSuccess: (response) => {
+        setBackupCodes(response.data.backupCodes);
+        resetInputs();
+        queryClient.invalidateQueries('twoFactor');
+        toast.success('New backup codes generated');
+      },
+      onError: onMutationError('Failed to regenerate backup codes'),
+    }
+  );
+
+  const disableMutation = useMutation(
+    () => axios.post('/api/users/2fa/disable', { password, code }),
+    {
+      onSuccess: () => {
+        resetInputs();
+        updateUser({ twoFactorEnabled: false });
+        queryClient.invalidateQueries('twoFactor');
+        toast.success('Two-factor authentication disabled');
+      },
+      onError: onMutationError('Failed to disable two-factor authentication'),
+    }
+  );
+
+  if (isLoading) {
+    return (
+      <Box display="flex" justifyContent="center" py={2}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Box display="flex" alignItems="center" gap={1} mb={1}>
+        <Typography variant="h6">
+          Two-Factor Authentication
+        </Typography>
+        <Chip
+          label={status?.enabled ? 'Enabled' : 'Disabled'}
+          color={status?.enabled ? 'success' : 'default'}
+          size="small"
+        />
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Require a code from an authenticator app in addition to your password when signing in.
+      </Typography>
+
+      {!status?.enabled && !setup && (
+        <Button
+          variant="contained"
+          startIcon={<SecurityIcon />}
+          onClick={() => setupMutation.mutate()}
+          disabled={setupMutation.isLoading}
+        >
+          Enable Two-Factor Authentication
+        </Button>
+      )}
+
+      {!status?.enabled && setup && (
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm="auto">
+            <Box
+              component="img"
+              src={setup.qrCode}
+              alt="Two-factor QR code"
+              sx={{ width: 180, height: 180, border: 1, borderColor: 'divider', borderRadius: 1 }}
+            />
+          </Grid>
+          <Grid item xs={12} sm>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              Scan the QR code with your authenticator app, or enter this key manually:
+            </Typography>
+            <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all', mb: 2 }}>
+              {setup.secret}
+            </Typography>
+            <Box display="flex" gap={1} alignItems="flex-start">
+              <TextField
+                size="small"
+                label="6-digit code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code' }}
+              />
+              <Button
+                variant="contained"
+                onClick={() => verifyMutation.mutate()}
+                disabled={!code || verifyMutation.isLoading}
+              >
+                Verify
+              </Button>
+              <Button onClick={() => setSetup(null)}>
+                Cancel
+              </Button>
+            </Box>
+          </Grid>
+        </Grid>
+      )}
+
+      {status?.enabled && (
+        <Box>
+          <Alert severity={status.backupCodesRemaining > 2 ? 'info' : 'warning'} sx={{ mb: 2 }}>
+            {status.backupCodesRemaining} backup code{status.backupCodesRemaining === 1 ? '' : 's'} left.
+            Each one can be used once if you lose access to your authenticator app.
+          </Alert>
+          <Grid container spacing={2} alignItems="flex-start">
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Authenticator or backup code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                inputProps={{ autoComplete: 'one-time-code' }}
+              />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                size="small"
+                type="password"
+                label="Password (to disable)"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <Box display="flex" gap={1} flexWrap="wrap">
+                <Button
+                  variant="outlined"
+                  startIcon={<RefreshIcon />}
+                  onClick={() => regenerateMutation.mutate()}
+                  disabled={!code || regenerateMutation.isLoading}
+                >
+                  New Backup Codes
+                </Button>
+                <Button
+                  variant="outlined"
+                  color="error"
+                  onClick={() => disableMutation.mutate()}
+                  disabled={!code || !password || disableMutation.isLoading}
+                >
+                  Disable
+                </Button>
+              </Box>
+            </Grid>
+          </Grid>
+        </Box>
+      )}
+
+      {/* Backup codes are only ever shown once */}
+      <Dialog open={Boolean(backupCodes)} onClose={() => setBackupCodes(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Your Backup Codes</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Store these somewhere safe. They will not be shown again, and each works once.
+          </Alert>
+          <Grid container spacing={1}>
+            {(backupCodes || []).map((backupCode) => (
+              <Grid item xs={6} key={backupCode}>
+                <Typography sx={{ fontFamily: 'monospace' }}>{backupCode}</Typography>
+              </Grid>
+            ))}
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button
+            onClick={() => {
+              navigator.clipboard?.writeText((backupCodes || []).join('\n'));
+              toast.success('Backup codes copied');
+            }}
+          >
+            Copy
+          </Button>
+          <Button variant="contained" onClick={() => setBackupCodes(null)}>
+            Done
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default TwoFactorSettings;
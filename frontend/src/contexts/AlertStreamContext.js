@@ -0,0 +1,171 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { useAuth } from './AuthContext';
+
+// Server-sent events from /api/alerts/stream: alert.created, alert.updated,
+// alert.resolved and alert.deleted, plus notification.created and
+// notification.escalated for alerts that reach the user's notification
+// threshold, each with the alert as data. Each connection opens with
+// stream.ready, which says whether those notification events are sent at
+// all (the in_app channel); it is kept here rather than passed on.
+//
+// EventSource cannot send the Authorization header, so the stream is read
+// with fetch. The server ends it when the access token expires; it is then
+// reopened with a refreshed token.
+
+const STREAM_URL = '/api/alerts/stream';
+
+// Reconnection backoff, in milliseconds
+const MIN_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+const AlertStreamContext = createContext(null);
+
+// Resolves after `ms`, or as soon as the signal aborts
+const sleep = (ms, signal) => new Promise((resolve) => {
+  const done = () => {
+    clearTimeout(timer);
+    signal.removeEventListener('abort', done);
+    resolve();
+  };
+  const timer = setTimeout(done, ms);
+  signal.addEventListener('abort', done);
+});
+
+// Call onEvent({ type, data }) for each event of a text/event-stream body
+const readEvents = async (body, onEvent) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+
+    blocks.forEach((block) => {
+      let type = 'message';
+      const data = [];
+      block.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) type = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      });
+      if (data.length > 0) onEvent({ type, data: JSON.parse(data.join('\n')) });
+    });
+  }
+};
+
+// Keeps one stream open while the user is signed in
+export const AlertStreamProvider = ({ children }) => {
+  const { isAuthenticated, refreshToken } = useAuth();
+  const [isConnected, setIsConnected] = useState(false);
+  const [inAppNotifications, setInAppNotifications] = useState(true);
+  const listeners = useRef(new Set());
+  const refreshTokenRef = useRef(refreshToken);
+  refreshTokenRef.current = refreshToken;
+
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    const notify = (event) => listeners.current.forEach((listener) => listener(event));
+    const receive = (event) => {
+      if (event.type === 'stream.ready') {
+        setInAppNotifications(event.data.inAppNotifications);
+      } else {
+        notify(event);
+      }
+    };
+
+    const run = async () => {
+      let retryDelay = MIN_RETRY_DELAY;
+      let hasConnected = false;
+
+      while (!signal.aborted) {
+        try {
+          const response = await fetch(STREAM_URL, {
+            headers: {
+              Accept: 'text/event-stream',
+              Authorization: `Bearer ${localStorage.getItem('token')}`,
+            },
+            signal,
+          });
+
+          if (response.status === 401) {
+            // Expired access token; a failed refresh logs the user out,
+            // which aborts this loop
+            const { success } = await refreshTokenRef.current();
+            if (success) continue;
+          } else if (response.ok) {
+            retryDelay = MIN_RETRY_DELAY;
+            setIsConnected(true);
+            // Changes made while disconnected were never pushed
+            if (hasConnected) notify({ type: 'reconnected', data: null });
+            hasConnected = true;
+            await readEvents(response.body, receive);
+          }
+        } catch (error) {
+          if (signal.aborted) return;
+        }
+
+        setIsConnected(false);
+        await sleep(retryDelay, signal);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+      }
+    };
+
+    run();
+
+    return () => {
+      controller.abort();
+      setIsConnected(false);
+    };
+  }, [isAuthenticated]);
+
+  const subscribe = useCallback((listener) => {
+    listeners.current.add(listener);
+    return () => listeners.current.delete(listener);
+  }, []);
+
+  const value = useMemo(
+    () => ({ isConnected, inAppNotifications, subscribe }),
+    [isConnected, inAppNotifications, subscribe]
+  );
+
+  return (
+    <AlertStreamContext.Provider value={value}>
+      {children}
+    </AlertStreamContext.Provider>
+  );
+};
+
+// Call handler with every alert event, plus { type: 'reconnected' } after
+// the stream was down and events may have been missed
+export const useAlertEvents = (handler) => {
+  const context = useContext(AlertStreamContext);
+  if (!context) {
+    throw new Error('useAlertEvents must be used within an AlertStreamProvider');
+  }
+
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  const { subscribe } = context;
+  useEffect(() => subscribe((event) => handlerRef.current(event)), [subscribe]);
+
+  return context.isConnected;
+};
+
+// Whether the server sends notification events (its in_app channel)
+export const useInAppNotifications = () => {
+  const context = useContext(AlertStreamContext);
+  if (!context) {
+    throw new Error('useInAppNotifications must be used within an AlertStreamProvider');
+  }
+  return context.inAppNotifications;
+};
+
+export default AlertStreamContext;
@@ -2,6 +2,52 @@ import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 
+// Auth endpoints answer 401 for bad credentials or tokens; those must not
+// trigger a refresh
+const AUTH_ENDPOINTS = ['/api/auth/login', '/api/auth/register', '/api/auth/refresh'];
+
+// Shared by concurrent requests so a burst of 401s leads to one refresh;
+// refresh tokens are single-use and a second exchange would look like reuse
+let refreshRequest = null;
+
+// Seconds to wait when a login was refused for too many failed attempts
+const getRetryAfter = (error) => {
+  if (error.response?.status !== 429) return 0;
+  return Number(error.response.data?.retryAfter || error.response.headers?.['retry-after']) || 0;
+};
+
+const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+  axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+};
+
+const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  delete axios.defaults.headers.common['Authorization'];
+};
+
+const requestNewTokens = () => {
+  if (!refreshRequest) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshRequest = (refreshToken
+      ? axios.post('/api/auth/refresh', { refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        storeTokens(response.data);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
 // Initial state
 const initialState = {
   user: null,
@@ -9,6 +55,8 @@ const initialState = {
   isAuthenticated: false,
   isLoading: true,
   error: null,
+  // Set between the password step and the code step of a 2FA login
+  twoFactorChallenge: null,
 };
 
 // Action types
@@ -16,6 +64,8 @@ const AUTH_ACTIONS = {
   LOGIN_START: 'LOGIN_START',
   LOGIN_SUCCESS: 'LOGIN_SUCCESS',
   LOGIN_FAILURE: 'LOGIN_FAILURE',
+  TWO_FACTOR_REQUIRED: 'TWO_FACTOR_REQUIRED',
+  TWO_FACTOR_CANCEL: 'TWO_FACTOR_CANCEL',
   LOGOUT: 'LOGOUT',
   REGISTER_START: 'REGISTER_START',
   REGISTER_SUCCESS: 'REGISTER_SUCCESS',
@@ -24,6 +74,7 @@ const AUTH_ACTIONS = {
   LOAD_USER_SUCCESS: 'LOAD_USER_SUCCESS',
   LOAD_USER_FAILURE: 'LOAD_USER_FAILURE',
   UPDATE_USER: 'UPDATE_USER',
+  UPDATE_TOKENS: 'UPDATE_TOKENS',
   CLEAR_ERROR: 'CLEAR_ERROR',
 };
 
@@ -41,9 +92,7 @@ const authReducer = (state, action) => {
 
     case AUTH_ACTIONS.LOGIN_SUCCESS:
     case AUTH_ACTIONS.REGISTER_SUCCESS:
-      localStorage.setItem('token', action.payload.token);
-      // Set default authorization header
-      axios.defaults.headers.common['Authorization'] = `Bearer ${action.payload.token}`;
+      storeTokens(action.payload);
       return {
         ...state,
         user: action.payload.user,
@@ -51,6 +100,22 @@ const authReducer = (state, action) => {
         isAuthenticated: true,
         isLoading: false,
         error: null,
+        twoFactorChallenge: null,
+      };
+
+    case AUTH_ACTIONS.TWO_FACTOR_REQUIRED:
+      return {
+        ...state,
+        isLoading: false,
+        error: action.payload.error || null,
+        twoFactorChallenge: action.payload.challengeToken,
+      };
+
+    case AUTH_ACTIONS.TWO_FACTOR_CANCEL:
+      return {
+        ...state,
+        error: null,
+        twoFactorChallenge: null,
       };
 
     case AUTH_ACTIONS.LOAD_USER_SUCCESS:
@@ -65,8 +130,7 @@ const authReducer = (state, action) => {
     case AUTH_ACTIONS.LOGIN_FAILURE:
     case AUTH_ACTIONS.REGISTER_FAILURE:
     case AUTH_ACTIONS.LOAD_USER_FAILURE:
-      localStorage.removeItem('token');
-      delete axios.defaults.headers.common['Authorization'];
+      clearTokens();
       return {
         ...state,
         user: null,
@@ -77,8 +141,7 @@ const authReducer = (state, action) => {
       };
 
     case AUTH_ACTIONS.LOGOUT:
-      localStorage.removeItem('token');
-      delete axios.defaults.headers.common['Authorization'];
+      clearTokens();
       return {
         ...state,
         user: null,
@@ -94,6 +157,13 @@ const authReducer = (state, action) => {
         user: { ...state.user, ...action.payload },
       };
 
+    case AUTH_ACTIONS.UPDATE_TOKENS:
+      storeTokens(action.payload);
+      return {
+        ...state,
+        token: action.payload.token,
+      };
+
     case AUTH_ACTIONS.CLEAR_ERROR:
       return {
         ...state,
@@ -137,16 +207,29 @@ export const AuthProvider = ({ children }) => {
       }
     );
 
-    // Response interceptor
+    // Response interceptor: on 401, refresh the access token once and
+    // replay the request; log out when the refresh token is rejected too
     const responseInterceptor = axios.interceptors.response.use(
       (response) => response,
-      (error) => {
-        if (error.response?.status === 401) {
+      async (error) => {
+        const originalRequest = error.config;
+        const isAuthEndpoint = AUTH_ENDPOINTS.some((url) => originalRequest?.url?.startsWith(url));
+
+        if (error.response?.status !== 401 || !originalRequest || isAuthEndpoint || originalRequest._retry) {
+          return Promise.reject(error);
+        }
+
+        originalRequest._retry = true;
+        try {
+          const token = await requestNewTokens();
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return axios(originalRequest);
+        } catch (refreshError) {
           // Token expired or invalid
           dispatch({ type: AUTH_ACTIONS.LOGOUT });
           toast.error('Session expired. Please login again.');
+          return Promise.reject(error);
         }
-        return Promise.reject(error);
       }
     );
 
@@ -191,13 +274,21 @@ export const AuthProvider = ({ children }) => {
     try {
       dispatch({ type: AUTH_ACTIONS.LOGIN_START });
       const response = await axios.post('/api/auth/login', { email, password });
+
+      if (response.data.twoFactorRequired) {
+        dispatch({
+          type: AUTH_ACTIONS.TWO_FACTOR_REQUIRED,
+          payload: { challengeToken: response.data.challengeToken },
+        });
+        return { success: false, twoFactorRequired: true };
+      }
       
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
         payload: response.data,
       });
       
-      toast.success('Login successful!');
+      toast.success(response.data.deletionCancelled ? response.data.message : 'Login successful!');
       return { success: true };
     } catch (error) {
       const errorMessage = error.response?.data?.message || 'Login failed';
@@ -206,10 +297,47 @@ export const AuthProvider = ({ children }) => {
         payload: errorMessage,
       });
       toast.error(errorMessage);
-      return { success: false, error: errorMessage };
+      return { success: false, error: errorMessage, retryAfter: getRetryAfter(error) };
     }
   };
 
+  // Second login step for accounts with two-factor authentication
+  const verifyTwoFactor = async (code) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+      const response = await axios.post('/api/auth/login/2fa', {
+        challengeToken: state.twoFactorChallenge,
+        code,
+      });
+
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_SUCCESS,
+        payload: response.data,
+      });
+
+      toast.success(response.data.deletionCancelled ? response.data.message : 'Login successful!');
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Verification failed';
+      // An expired challenge means starting over from the password
+      if (error.response?.status === 401 && errorMessage.startsWith('Login challenge expired')) {
+        dispatch({ type: AUTH_ACTIONS.TWO_FACTOR_CANCEL });
+        dispatch({ type: AUTH_ACTIONS.LOGIN_FAILURE, payload: errorMessage });
+      } else {
+        dispatch({
+          type: AUTH_ACTIONS.TWO_FACTOR_REQUIRED,
+          payload: { challengeToken: state.twoFactorChallenge, error: errorMessage },
+        });
+      }
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage, retryAfter: getRetryAfter(error) };
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    dispatch({ type: AUTH_ACTIONS.TWO_FACTOR_CANCEL });
+  };
+
   // Register function
   const register = async (name, email, password) => {
     try {
@@ -241,7 +369,9 @@ export const AuthProvider = ({ children }) => {
   // Logout function
   const logout = async () => {
     try {
-      await axios.post('/api/auth/logout');
+      await axios.post('/api/auth/logout', {
+        refreshToken: localStorage.getItem('refreshToken'),
+      });
     } catch (error) {
       // Even if logout fails on server, we still logout on client
       console.error('Logout error:', error);
@@ -251,6 +381,33 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Ends every session of the user, on all devices
+  const logoutAll = async () => {
+    try {
+      await axios.post('/api/auth/logout-all');
+      dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      toast.success('Logged out from all devices');
+      return { success: true };
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to log out from all devices');
+      return { success: false };
+    }
+  };
+
+  // Schedules the account for deletion; logging in again before the date cancels it
+  const deleteAccount = async (password) => {
+    try {
+      const response = await axios.delete('/api/users/account', { data: { password } });
+      dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to delete account';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
   // Update user function
   const updateUser = (userData) => {
     dispatch({
@@ -259,6 +416,14 @@ export const AuthProvider = ({ children }) => {
     });
   };
 
+  // Replaces the session's tokens, such as after a password change ends it
+  const updateTokens = (tokens) => {
+    dispatch({
+      type: AUTH_ACTIONS.UPDATE_TOKENS,
+      payload: tokens,
+    });
+  };
+
   // Clear error function
   const clearError = () => {
     dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
@@ -267,9 +432,7 @@ export const AuthProvider = ({ children }) => {
   // Refresh token function
   const refreshToken = async () => {
     try {
-      const response = await axios.post('/api/auth/refresh');
-      localStorage.setItem('token', response.data.token);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${response.data.token}`;
+      await requestNewTokens();
       return { success: true };
     } catch (error) {
       dispatch({ type: AUTH_ACTIONS.LOGOUT });
@@ -277,23 +440,33 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Check if user has specific role or permission
+  // Permissions come from the server with the user (see config/permissions.js)
   const hasPermission = (permission) => {
     if (!state.user) return false;
-    // Add permission logic here if needed
-    return true;
+    return (state.user.permissions || []).includes(permission);
+  };
+
+  const hasRole = (...roles) => {
+    if (!state.user) return false;
+    return roles.includes(state.user.role);
   };
 
   // Context value
   const value = {
     ...state,
     login,
+    verifyTwoFactor,
+    cancelTwoFactor,
     register,
     logout,
+    logoutAll,
+    deleteAccount,
     updateUser,
+    updateTokens,
     clearError,
     refreshToken,
     hasPermission,
+    hasRole,
   };
 
   return (
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Box,
   Card,
@@ -42,11 +42,16 @@ import {
   MoreVert as MoreVertIcon,
   Notifications as NotificationsIcon,
   FilterList as FilterListIcon,
+  Visibility as VisibilityIcon,
+  Science as ScienceIcon,
 } from '@mui/icons-material';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { useForm } from 'react-hook-form';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import PatientSelector from '../../components/CareTeam/PatientSelector';
+import { useAlertEvents } from '../../contexts/AlertStreamContext';
 
 const Alerts = () => {
   const queryClient = useQueryClient();
@@ -61,6 +66,13 @@ const Alerts = () => {
   const [editingAlert, setEditingAlert] = useState(null);
   const [anchorEl, setAnchorEl] = useState(null);
   const [selectedAlert, setSelectedAlert] = useState(null);
+  const [viewingAlertId, setViewingAlertId] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+  // Set when a clinician is viewing a patient's shared alerts
+  const [patientId, setPatientId] = useState('');
+  const isOwnRecords = !patientId;
+  const patientQuery = patientId ? `?patientId=${patientId}` : '';
 
   const {
     register,
@@ -71,18 +83,41 @@ const Alerts = () => {
 
   // Fetch alerts with pagination and filters
   const { data: alertsData, isLoading } = useQuery(
-    ['alerts', page + 1, rowsPerPage, filters],
+    ['alerts', page + 1, rowsPerPage, filters, patientId],
     () => {
       const params = new URLSearchParams({
         page: page + 1,
         limit: rowsPerPage,
         ...Object.fromEntries(Object.entries(filters).filter(([_, v]) => v)),
+        ...(patientId && { patientId }),
       });
       return axios.get(`/api/alerts?${params}`).then(res => res.data);
     },
     { keepPreviousData: true }
   );
 
+  // Single alert with its linked diagnostic test, for the view dialog
+  const { data: viewedAlertData, isLoading: isViewedAlertLoading, isError: isViewedAlertError } = useQuery(
+    ['alert', viewingAlertId, patientId],
+    () => axios.get(`/api/alerts/${viewingAlertId}${patientQuery}`).then(res => res.data),
+    { enabled: !!viewingAlertId }
+  );
+  const viewedAlert = viewedAlertData?.alert;
+
+  // Alerts raised or changed elsewhere, by rules, labs or another tab
+  useAlertEvents(() => {
+    queryClient.invalidateQueries('alerts');
+    queryClient.invalidateQueries('alert');
+  });
+
+  // Diagnostic tests link here with ?alertId=... to open one alert
+  useEffect(() => {
+    const alertId = searchParams.get('alertId');
+    if (alertId) {
+      setViewingAlertId(Number(alertId));
+    }
+  }, [searchParams]);
+
   // Mutations
   const createAlertMutation = useMutation(
     (data) => axios.post('/api/alerts', data),
@@ -129,7 +164,7 @@ const Alerts = () => {
   );
 
   const acknowledgeAlertMutation = useMutation(
-    (id) => axios.put(`/api/alerts/${id}/acknowledge`),
+    (id) => axios.put(`/api/alerts/${id}/acknowledge${patientQuery}`),
     {
       onSuccess: () => {
         queryClient.invalidateQueries('alerts');
@@ -143,7 +178,7 @@ const Alerts = () => {
   );
 
   const resolveAlertMutation = useMutation(
-    (id) => axios.put(`/api/alerts/${id}/resolve`),
+    (id) => axios.put(`/api/alerts/${id}/resolve${patientQuery}`),
     {
       onSuccess: () => {
         queryClient.invalidateQueries('alerts');
@@ -190,6 +225,17 @@ const Alerts = () => {
     }
   };
 
+  const handleCloseViewDialog = () => {
+    setViewingAlertId(null);
+    if (searchParams.has('alertId')) {
+      setSearchParams({}, { replace: true });
+    }
+  };
+
+  const handleOpenTest = (testId) => {
+    navigate(`/diagnostic-tests?testId=${testId}`);
+  };
+
   const handleMenuClick = (event, alert) => {
     setAnchorEl(event.currentTarget);
     setSelectedAlert(alert);
@@ -253,13 +299,24 @@ const Alerts = () => {
             Manage your health alerts and notifications.
           </Typography>
         </Box>
-        <Button
-          variant="contained"
-          startIcon={<AddIcon />}
-          onClick={() => handleOpenDialog()}
-        >
-          Create Alert
-        </Button>
+        <Box display="flex" gap={2} alignItems="center">
+          <PatientSelector
+            value={patientId}
+            onChange={(value) => {
+              setPatientId(value);
+              setPage(0);
+            }}
+          />
+          {isOwnRecords && (
+            <Button
+              variant="contained"
+              startIcon={<AddIcon />}
+              onClick={() => handleOpenDialog()}
+            >
+              Create Alert
+            </Button>
+          )}
+        </Box>
       </Box>
 
       {/* Filters */}
@@ -360,6 +417,16 @@ const Alerts = () => {
                               : alert.message}
                           </Typography>
                         )}
+                        {alert.diagnosticTest && (
+                          <Chip
+                            icon={<ScienceIcon />}
+                            label={alert.diagnosticTest.name}
+                            size="small"
+                            variant="outlined"
+                            onClick={isOwnRecords ? () => handleOpenTest(alert.diagnosticTest.id) : undefined}
+                            sx={{ mt: 0.5 }}
+                          />
+                        )}
                       </Box>
                     </TableCell>
                     <TableCell>
@@ -422,12 +489,20 @@ const Alerts = () => {
         open={Boolean(anchorEl)}
         onClose={handleMenuClose}
       >
-        <MenuItem onClick={() => { handleOpenDialog(selectedAlert); handleMenuClose(); }}>
+        <MenuItem onClick={() => { setViewingAlertId(selectedAlert.id); handleMenuClose(); }}>
           <ListItemIcon>
-            <EditIcon fontSize="small" />
+            <VisibilityIcon fontSize="small" />
           </ListItemIcon>
-          <ListItemText>Edit</ListItemText>
+          <ListItemText>View Details</ListItemText>
         </MenuItem>
+        {isOwnRecords && (
+          <MenuItem onClick={() => { handleOpenDialog(selectedAlert); handleMenuClose(); }}>
+            <ListItemIcon>
+              <EditIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText>Edit</ListItemText>
+          </MenuItem>
+        )}
         {selectedAlert?.status === 'active' && (
           <MenuItem onClick={() => { acknowledgeAlertMutation.mutate(selectedAlert.id); handleMenuClose(); }}>
             <ListItemIcon>
@@ -444,17 +519,109 @@ const Alerts = () => {
             <ListItemText>Resolve</ListItemText>
           </MenuItem>
         )}
-        <MenuItem 
-          onClick={() => { deleteAlertMutation.mutate(selectedAlert.id); handleMenuClose(); }}
-          sx={{ color: 'error.main' }}
-        >
-          <ListItemIcon>
-            <DeleteIcon fontSize="small" color="error" />
-          </ListItemIcon>
-          <ListItemText>Delete</ListItemText>
-        </MenuItem>
+        {isOwnRecords && (
+          <MenuItem 
+            onClick={() => { deleteAlertMutation.mutate(selectedAlert.id); handleMenuClose(); }}
+            sx={{ color: 'error.main' }}
+          >
+            <ListItemIcon>
+              <DeleteIcon fontSize="small" color="error" />
+            </ListItemIcon>
+            <ListItemText>Delete</ListItemText>
+          </MenuItem>
+        )}
       </Menu>
 
+      {/* View Dialog */}
+      <Dialog open={Boolean(viewingAlertId)} onClose={handleCloseViewDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          Alert Details{viewedAlert ? `: ${viewedAlert.title}` : ''}
+        </DialogTitle>
+        <DialogContent>
+          {isViewedAlertLoading && (
+            <Box display="flex" justifyContent="center" py={4}>
+              <CircularProgress />
+            </Box>
+          )}
+          {isViewedAlertError && (
+            <Alert severity="error">Alert not found.</Alert>
+          )}
+          {viewedAlert && (
+            <Grid container spacing={2} sx={{ mt: 1 }}>
+              <Grid item xs={4}>
+                <Typography variant="subtitle2" color="text.secondary">
+                  Priority
+                </Typography>
+                <Chip
+                  label={viewedAlert.priority}
+                  size="small"
+                  color={getPriorityColor(viewedAlert.priority)}
+                />
+              </Grid>
+              <Grid item xs={4}>
+                <Typography variant="subtitle2" color="text.secondary">
+                  Status
+                </Typography>
+                <Chip
+                  label={viewedAlert.status}
+                  size="small"
+                  color={getStatusColor(viewedAlert.status)}
+                />
+              </Grid>
+              <Grid item xs={4}>
+                <Typography variant="subtitle2" color="text.secondary">
+                  Created
+                </Typography>
+                <Typography variant="body1">
+                  {new Date(viewedAlert.createdAt).toLocaleDateString()}
+                </Typography>
+              </Grid>
+              {viewedAlert.message && (
+                <Grid item xs={12}>
+                  <Typography variant="subtitle2" color="text.secondary">
+                    Message
+                  </Typography>
+                  <Typography variant="body1">
+                    {viewedAlert.message}
+                  </Typography>
+                </Grid>
+              )}
+              {viewedAlert.diagnosticTest && (
+                <Grid item xs={12}>
+                  <Typography variant="subtitle2" color="text.secondary">
+                    Diagnostic Test
+                  </Typography>
+                  <Typography variant="body1">
+                    {viewedAlert.diagnosticTest.panel
+                      ? `${viewedAlert.diagnosticTest.panel.name} › ${viewedAlert.diagnosticTest.name}`
+                      : viewedAlert.diagnosticTest.name}
+                    {' '}({new Date(viewedAlert.diagnosticTest.date).toLocaleDateString()})
+                  </Typography>
+                  {viewedAlert.diagnosticTest.result && (
+                    <Typography variant="body2" color="text.secondary">
+                      Result: {viewedAlert.diagnosticTest.result}
+                      {viewedAlert.diagnosticTest.normalRange && ` (normal: ${viewedAlert.diagnosticTest.normalRange})`}
+                    </Typography>
+                  )}
+                </Grid>
+              )}
+            </Grid>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseViewDialog}>Close</Button>
+          {isOwnRecords && viewedAlert?.diagnosticTest && (
+            <Button
+              variant="contained"
+              startIcon={<ScienceIcon />}
+              onClick={() => handleOpenTest(viewedAlert.diagnosticTest.panelId || viewedAlert.diagnosticTest.id)}
+            >
+              View Test
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+
       {/* Create/Edit Dialog */}
       <Dialog open={openDialog} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
         <DialogTitle>
@@ -544,19 +711,21 @@ const Alerts = () => {
       </Dialog>
 
       {/* Floating Action Button for mobile */}
-      <Fab
-        color="primary"
-        aria-label="add alert"
-        sx={{
-          position: 'fixed',
-          bottom: 16,
-          right: 16,
-          display: { xs: 'flex', sm: 'none' },
-        }}
-        onClick={() => handleOpenDialog()}
-      >
-        <AddIcon />
-      </Fab>
+      {isOwnRecords && (
+        <Fab
+          color="primary"
+          aria-label="add alert"
+          sx={{
+            position: 'fixed',
+            bottom: 16,
+            right: 16,
+            display: { xs: 'flex', sm: 'none' },
+          }}
+          onClick={() => handleOpenDialog()}
+        >
+          <AddIcon />
+        </Fab>
+      )}
     </Box>
   );
 };
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  TextField,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  CircularProgress,
+  InputAdornment,
+} from '@mui/material';
+import {
+  Email as EmailIcon,
+  LockReset as LockResetIcon,
+} from '@mui/icons-material';
+import { useForm } from 'react-hook-form';
+import axios from 'axios';
+
+const ForgotPassword = () => {
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [sentMessage, setSentMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm();
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const response = await axios.post('/api/auth/forgot-password', { email: data.email });
+      setSentMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to request a password reset');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'center',
+          alignItems: 'center',
+        }}
+      >
+        <Paper
+          elevation={3}
+          sx={{
+            padding: 4,
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+            width: '100%',
+            maxWidth: 400,
+          }}
+        >
+          <Box
+            sx={{
+              display: 'flex',
+              alignItems: 'center',
+              mb: 3,
+            }}
+          >
+            <LockResetIcon sx={{ fontSize: 40, color: 'primary.main', mr: 1 }} />
+            <Typography component="h1" variant="h4" color="primary">
+              AI Health
+            </Typography>
+          </Box>
+
+          <Typography component="h2" variant="h5" sx={{ mb: 1 }}>
+            Forgot Password
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 3, textAlign: 'center' }}>
+            Enter the email you signed up with and we will send you a link to choose a new password.
+          </Typography>
+
+          {error && (
+            <Alert severity="error" sx={{ width: '100%', mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {sentMessage ? (
+            <Alert severity="success" sx={{ width: '100%', mb: 2 }}>
+              {sentMessage}
+            </Alert>
+          ) : (
+            <Box
+              component="form"
+              onSubmit={handleSubmit(onSubmit)}
+              sx={{ width: '100%' }}
+            >
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="email"
+                label="Email Address"
+                name="email"
+                autoComplete="email"
+                autoFocus
+                error={!!errors.email}
+                helperText={errors.email?.message}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <EmailIcon color="action" />
+                    </InputAdornment>
+                  ),
+                }}
+                {...register('email', {
+                  required: 'Email is required',
+                  pattern: {
+                    value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                    message: 'Invalid email address',
+                  },
+                })}
+              />
+
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2, py: 1.5 }}
+                disabled={isSubmitting}
+                startIcon={
+                  isSubmitting ? (
+                    <CircularProgress size={20} color="inherit" />
+                  ) : (
+                    <EmailIcon />
+                  )
+                }
+              >
+                {isSubmitting ? 'Sending...' : 'Send Reset Link'}
+              </Button>
+            </Box>
+          )}
+
+          <Box sx={{ textAlign: 'center' }}>
+            <Typography variant="body2">
+              Remembered it?{' '}
+              <Link
+                to="/login"
+                style={{
+                  color: '#1976d2',
+                  textDecoration: 'none',
+                  fontWeight: 500,
+                }}
+              >
+                Back to sign in
+              </Link>
+            </Typography>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default ForgotPassword;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import {
   Container,
@@ -18,6 +18,7 @@ import {
   Email as EmailIcon,
   Lock as LockIcon,
   Login as LoginIcon,
+  Security as SecurityIcon,
 } from '@mui/icons-material';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../../contexts/AuthContext';
@@ -25,8 +26,24 @@ import { useAuth } from '../../contexts/AuthContext';
 const Login = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login, isLoading, error, clearError } = useAuth();
+  const {
+    login,
+    verifyTwoFactor,
+    cancelTwoFactor,
+    twoFactorChallenge,
+    isLoading,
+    error,
+    clearError,
+  } = useAuth();
   const [showPassword, setShowPassword] = useState(false);
+  // Seconds left before the server accepts another attempt
+  const [retryAfter, setRetryAfter] = useState(0);
+
+  useEffect(() => {
+    if (retryAfter <= 0) return undefined;
+    const timer = setTimeout(() => setRetryAfter(retryAfter - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [retryAfter]);
 
   const {
     register,
@@ -34,6 +51,13 @@ const Login = () => {
     formState: { errors },
   } = useForm();
 
+  // Second step, for accounts with two-factor authentication
+  const {
+    register: registerCode,
+    handleSubmit: handleCodeSubmit,
+    formState: { errors: codeErrors },
+  } = useForm();
+
   const from = location.state?.from?.pathname || '/dashboard';
 
   const onSubmit = async (data) => {
@@ -42,6 +66,22 @@ const Login = () => {
     if (result.success) {
       navigate(from, { replace: true });
     }
+    setRetryAfter(result.retryAfter || 0);
+  };
+
+  const onCodeSubmit = async (data) => {
+    clearError();
+    const result = await verifyTwoFactor(data.code);
+    if (result.success) {
+      navigate(from, { replace: true });
+    }
+    setRetryAfter(result.retryAfter || 0);
+  };
+
+  const formatWait = (seconds) => {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
   };
 
   const handleClickShowPassword = () => {
@@ -84,118 +124,193 @@ const Login = () => {
           </Box>
 
           <Typography component="h2" variant="h5" sx={{ mb: 3 }}>
-            Sign In
+            {twoFactorChallenge ? 'Two-Factor Verification' : 'Sign In'}
           </Typography>
 
-          {error && (
+          {retryAfter > 0 ? (
+            <Alert severity="warning" sx={{ width: '100%', mb: 2 }}>
+              {error}
+              <br />
+              You can try again in {formatWait(retryAfter)}.
+            </Alert>
+          ) : error && (
             <Alert severity="error" sx={{ width: '100%', mb: 2 }}>
               {error}
             </Alert>
           )}
 
-          <Box
-            component="form"
-            onSubmit={handleSubmit(onSubmit)}
-            sx={{ width: '100%' }}
-          >
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              id="email"
-              label="Email Address"
-              name="email"
-              autoComplete="email"
-              autoFocus
-              error={!!errors.email}
-              helperText={errors.email?.message}
-              InputProps={{
-                startAdornment: (
-                  <InputAdornment position="start">
-                    <EmailIcon color="action" />
-                  </InputAdornment>
-                ),
-              }}
-              {...register('email', {
-                required: 'Email is required',
-                pattern: {
-                  value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
-                  message: 'Invalid email address',
-                },
-              })}
-            />
-
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              name="password"
-              label="Password"
-              type={showPassword ? 'text' : 'password'}
-              id="password"
-              autoComplete="current-password"
-              error={!!errors.password}
-              helperText={errors.password?.message}
-              InputProps={{
-                startAdornment: (
-                  <InputAdornment position="start">
-                    <LockIcon color="action" />
-                  </InputAdornment>
-                ),
-                endAdornment: (
-                  <InputAdornment position="end">
-                    <IconButton
-                      aria-label="toggle password visibility"
-                      onClick={handleClickShowPassword}
-                      edge="end"
-                    >
-                      {showPassword ? <VisibilityOff /> : <Visibility />}
-                    </IconButton>
-                  </InputAdornment>
-                ),
-              }}
-              {...register('password', {
-                required: 'Password is required',
-                minLength: {
-                  value: 6,
-                  message: 'Password must be at least 6 characters',
-                },
-              })}
-            />
-
-            <Button
-              type="submit"
-              fullWidth
-              variant="contained"
-              sx={{ mt: 3, mb: 2, py: 1.5 }}
-              disabled={isLoading}
-              startIcon={
-                isLoading ? (
-                  <CircularProgress size={20} color="inherit" />
-                ) : (
-                  <LoginIcon />
-                )
-              }
+          {twoFactorChallenge ? (
+            <Box
+              component="form"
+              onSubmit={handleCodeSubmit(onCodeSubmit)}
+              sx={{ width: '100%' }}
             >
-              {isLoading ? 'Signing In...' : 'Sign In'}
-            </Button>
-
-            <Box sx={{ textAlign: 'center' }}>
-              <Typography variant="body2">
-                Don't have an account?{' '}
-                <Link
-                  to="/register"
-                  style={{
-                    color: '#1976d2',
-                    textDecoration: 'none',
-                    fontWeight: 500,
-                  }}
-                >
-                  Sign up here
-                </Link>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                Enter the 6-digit code from your authenticator app, or one of your backup codes.
               </Typography>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="code"
+                label="Authentication Code"
+                autoComplete="one-time-code"
+                autoFocus
+                error={!!codeErrors.code}
+                helperText={codeErrors.code?.message}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <SecurityIcon color="action" />
+                    </InputAdornment>
+                  ),
+                }}
+                {...registerCode('code', {
+                  required: 'Code is required',
+                })}
+              />
+
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2, py: 1.5 }}
+                disabled={isLoading || retryAfter > 0}
+                startIcon={
+                  isLoading ? (
+                    <CircularProgress size={20} color="inherit" />
+                  ) : (
+                    <SecurityIcon />
+                  )
+                }
+              >
+                {isLoading ? 'Verifying...' : 'Verify'}
+              </Button>
+
+              <Button fullWidth onClick={cancelTwoFactor}>
+                Use a different account
+              </Button>
             </Box>
-          </Box>
+          ) : (
+            <Box
+              component="form"
+              onSubmit={handleSubmit(onSubmit)}
+              sx={{ width: '100%' }}
+            >
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="email"
+                label="Email Address"
+                name="email"
+                autoComplete="email"
+                autoFocus
+                error={!!errors.email}
+                helperText={errors.email?.message}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <EmailIcon color="action" />
+                    </InputAdornment>
+                  ),
+                }}
+                {...register('email', {
+                  required: 'Email is required',
+                  pattern: {
+                    value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                    message: 'Invalid email address',
+                  },
+                })}
+              />
+
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="password"
+                label="Password"
+                type={showPassword ? 'text' : 'password'}
+                id="password"
+                autoComplete="current-password"
+                error={!!errors.password}
+                helperText={errors.password?.message}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <LockIcon color="action" />
+                    </InputAdornment>
+                  ),
+                  endAdornment: (
+                    <InputAdornment position="end">
+                      <IconButton
+                        aria-label="toggle password visibility"
+                        onClick={handleClickShowPassword}
+                        edge="end"
+                      >
+                        {showPassword ? <VisibilityOff /> : <Visibility />}
+                      </IconButton>
+                    </InputAdornment>
+                  ),
+                }}
+                {...register('password', {
+                  required: 'Password is required',
+                  minLength: {
+                    value: 6,
+                    message: 'Password must be at least 6 characters',
+                  },
+                })}
+              />
+
+              <Box sx={{ textAlign: 'right' }}>
+                <Typography variant="body2">
+                  <Link
+                    to="/forgot-password"
+                    style={{
+                      color: '#1976d2',
+                      textDecoration: 'none',
+                      fontWeight: 500,
+                    }}
+                  >
+                    Forgot password?
+                  </Link>
+                </Typography>
+              </Box>
+
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2, py: 1.5 }}
+                disabled={isLoading || retryAfter > 0}
+                startIcon={
+                  isLoading ? (
+                    <CircularProgress size={20} color="inherit" />
+                  ) : (
+                    <LoginIcon />
+                  )
+                }
+              >
+                {isLoading ? 'Signing In...' : 'Sign In'}
+              </Button>
+
+              <Box sx={{ textAlign: 'center' }}>
+                <Typography variant="body2">
+                  Don't have an account?{' '}
+                  <Link
+                    to="/register"
+                    style={{
+                      color: '#1976d2',
+                      textDecoration: 'none',
+                      fontWeight: 500,
+                    }}
+                  >
+                    Sign up here
+                  </Link>
+                </Typography>
+              </Box>
+            </Box>
+          )}
         </Paper>
 
         <Box sx={{ mt: 4, textAlign: 'center' }}>
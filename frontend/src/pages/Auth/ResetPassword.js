@@ -0,0 +1,219 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  TextField,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  CircularProgress,
+  InputAdornment,
+  IconButton,
+} from '@mui/material';
+import {
+  Visibility,
+  VisibilityOff,
+  Lock as LockIcon,
+  LockReset as LockResetIcon,
+} from '@mui/icons-material';
+import { useForm } from 'react-hook-form';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [showPassword, setShowPassword] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm();
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const response = await axios.post('/api/auth/reset-password', {
+        token,
+        password: data.password,
+        confirmPassword: data.confirmPassword,
+      });
+      toast.success(response.data.message);
+      navigate('/login', { replace: true });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reset password');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const passwordAdornments = {
+    startAdornment: (
+      <InputAdornment position="start">
+        <LockIcon color="action" />
+      </InputAdornment>
+    ),
+    endAdornment: (
+      <InputAdornment position="end">
+        <IconButton
+          aria-label="toggle password visibility"
+          onClick={() => setShowPassword(!showPassword)}
+          edge="end"
+        >
+          {showPassword ? <VisibilityOff /> : <Visibility />}
+        </IconButton>
+      </InputAdornment>
+    ),
+  };
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'center',
+          alignItems: 'center',
+        }}
+      >
+        <Paper
+          elevation={3}
+          sx={{
+            padding: 4,
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+            width: '100%',
+            maxWidth: 400,
+          }}
+        >
+          <Box
+            sx={{
+              display: 'flex',
+              alignItems: 'center',
+              mb: 3,
+            }}
+          >
+            <LockResetIcon sx={{ fontSize: 40, color: 'primary.main', mr: 1 }} />
+            <Typography component="h1" variant="h4" color="primary">
+              AI Health
+            </Typography>
+          </Box>
+
+          <Typography component="h2" variant="h5" sx={{ mb: 3 }}>
+            Choose a New Password
+          </Typography>
+
+          {!token ? (
+            <Alert severity="error" sx={{ width: '100%', mb: 2 }}>
+              This reset link is incomplete. Please request a new one.
+            </Alert>
+          ) : (
+            <>
+              {error && (
+                <Alert severity="error" sx={{ width: '100%', mb: 2 }}>
+                  {error}
+                </Alert>
+              )}
+
+              <Box
+                component="form"
+                onSubmit={handleSubmit(onSubmit)}
+                sx={{ width: '100%' }}
+              >
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  label="New Password"
+                  type={showPassword ? 'text' : 'password'}
+                  autoComplete="new-password"
+                  autoFocus
+                  error={!!errors.password}
+                  helperText={errors.password?.message}
+                  InputProps={passwordAdornments}
+                  {...register('password', {
+                    required: 'Password is required',
+                    minLength: {
+                      value: 6,
+                      message: 'Password must be at least 6 characters',
+                    },
+                  })}
+                />
+
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  label="Confirm New Password"
+                  type={showPassword ? 'text' : 'password'}
+                  autoComplete="new-password"
+                  error={!!errors.confirmPassword}
+                  helperText={errors.confirmPassword?.message}
+                  {...register('confirmPassword', {
+                    required: 'Please confirm your new password',
+                    validate: (value, { password }) =>
+                      value === password || 'Passwords do not match',
+                  })}
+                />
+
+                <Button
+                  type="submit"
+                  fullWidth
+                  variant="contained"
+                  sx={{ mt: 3, mb: 2, py: 1.5 }}
+                  disabled={isSubmitting}
+                  startIcon={
+                    isSubmitting ? (
+                      <CircularProgress size={20} color="inherit" />
+                    ) : (
+                      <LockResetIcon />
+                    )
+                  }
+                >
+                  {isSubmitting ? 'Saving...' : 'Reset Password'}
+                </Button>
+              </Box>
+            </>
+          )}
+
+          <Box sx={{ textAlign: 'center' }}>
+            <Typography variant="body2">
+              <Link
+                to="/forgot-password"
+                style={{
+                  color: '#1976d2',
+                  textDecoration: 'none',
+                  fontWeight: 500,
+                }}
+              >
+                Request a new link
+              </Link>
+              {' · '}
+              <Link
+                to="/login"
+                style={{
+                  color: '#1976d2',
+                  textDecoration: 'none',
+                  fontWeight: 500,
+                }}
+              >
+                Back to sign in
+              </Link>
+            </Typography>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default ResetPassword;
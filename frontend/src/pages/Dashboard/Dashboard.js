@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
   Box,
   Grid,
@@ -22,15 +22,18 @@ import {
   Warning as WarningIcon,
   CheckCircle as CheckCircleIcon,
   Schedule as ScheduleIcon,
+  PictureAsPdf as PictureAsPdfIcon,
 } from '@mui/icons-material';
 import { useQuery } from 'react-query';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { useAuth } from '../../contexts/AuthContext';
+import HealthReportDialog from '../../components/Dashboard/HealthReportDialog';
 
 const Dashboard = () => {
   const navigate = useNavigate();
   const { user } = useAuth();
+  const [reportOpen, setReportOpen] = useState(false);
 
   // Fetch dashboard data
   const { data: stats, isLoading: statsLoading } = useQuery(
@@ -39,10 +42,10 @@ const Dashboard = () => {
     { refetchInterval: 30000 }
   );
 
+  // Refreshed by the live alert stream (see Layout)
   const { data: activeAlerts, isLoading: alertsLoading } = useQuery(
     'activeAlerts',
-    () => axios.get('/api/alerts/active').then(res => res.data.alerts),
-    { refetchInterval: 30000 }
+    () => axios.get('/api/alerts/active').then(res => res.data.alerts)
   );
 
   const { data: recentTests, isLoading: testsLoading } = useQuery(
@@ -99,13 +102,22 @@ const Dashboard = () => {
   return (
     <Box>
       {/* Welcome Section */}
-      <Box mb={4}>
-        <Typography variant="h4" gutterBottom>
-          {getGreeting()}, {user?.name}!
-        </Typography>
-        <Typography variant="body1" color="text.secondary">
-          Here's an overview of your health data and recent activity.
-        </Typography>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={4}>
+        <Box>
+          <Typography variant="h4" gutterBottom>
+            {getGreeting()}, {user?.name}!
+          </Typography>
+          <Typography variant="body1" color="text.secondary">
+            Here's an overview of your health data and recent activity.
+          </Typography>
+        </Box>
+        <Button
+          variant="outlined"
+          startIcon={<PictureAsPdfIcon />}
+          onClick={() => setReportOpen(true)}
+        >
+          Download Report
+        </Button>
       </Box>
 
       {/* Stats Cards */}
@@ -382,6 +394,8 @@ const Dashboard = () => {
           </Grid>
         </Grid>
       </Paper>
+
+      <HealthReportDialog open={reportOpen} onClose={() => setReportOpen(false)} />
     </Box>
   );
 };
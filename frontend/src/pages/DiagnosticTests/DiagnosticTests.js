@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Box,
   Card,
@@ -33,6 +33,8 @@ import {
   ListItemText,
   FormControlLabel,
   Switch,
+  Collapse,
+  Link,
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -43,17 +45,100 @@ import {
   MoreVert as MoreVertIcon,
   Visibility as VisibilityIcon,
   GetApp as GetAppIcon,
+  KeyboardArrowDown as KeyboardArrowDownIcon,
+  KeyboardArrowUp as KeyboardArrowUpIcon,
+  ShowChart as ShowChartIcon,
+  CheckCircle as CheckCircleIcon,
+  UploadFile as UploadFileIcon,
 } from '@mui/icons-material';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { useForm, Controller } from 'react-hook-form';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import TrendChartDialog from '../../components/DiagnosticTests/TrendChartDialog';
+import FhirImportDialog from '../../components/DiagnosticTests/FhirImportDialog';
+import SpreadsheetImportDialog from '../../components/DiagnosticTests/SpreadsheetImportDialog';
+import TestAttachments from '../../components/DiagnosticTests/TestAttachments';
+import PatientSelector from '../../components/CareTeam/PatientSelector';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Server-derived flag takes precedence over the plain abnormal marker
+const getResultLabel = (test) => {
+  if (test.flag && test.flag !== 'normal') {
+    return test.flag.charAt(0).toUpperCase() + test.flag.slice(1);
+  }
+  return test.isAbnormal ? 'Abnormal' : 'Normal';
+};
+
+const getAlertPriorityColor = (priority) => {
+  switch (priority) {
+    case 'critical': return 'error';
+    case 'high': return 'warning';
+    case 'medium': return 'info';
+    case 'low': return 'success';
+    default: return 'default';
+  }
+};
+
+// Alerts raised for a test, including those of a panel's analytes
+const collectTestAlerts = (test) => [
+  ...(test.alerts || []),
+  ...(test.analytes || []).flatMap((analyte) => (
+    (analyte.alerts || []).map((alert) => ({ ...alert, analyteName: analyte.name }))
+  )),
+];
+
+// Analyte results of a panel, shown nested in the table and in the view dialog
+const AnalyteTable = ({ analytes, onShowTrend }) => (
+  <Table size="small">
+    <TableHead>
+      <TableRow>
+        <TableCell>Analyte</TableCell>
+        <TableCell>Result</TableCell>
+        <TableCell>Normal Range</TableCell>
+        <TableCell>Flag</TableCell>
+        <TableCell align="right">Trend</TableCell>
+      </TableRow>
+    </TableHead>
+    <TableBody>
+      {analytes.map((analyte) => (
+        <TableRow key={analyte.id}>
+          <TableCell>{analyte.name}</TableCell>
+          <TableCell>
+            {analyte.units && !analyte.result.includes(analyte.units)
+              ? `${analyte.result} ${analyte.units}`
+              : analyte.result}
+          </TableCell>
+          <TableCell>{analyte.normalRange || '-'}</TableCell>
+          <TableCell>
+            <Chip
+              label={getResultLabel(analyte)}
+              size="small"
+              color={analyte.isAbnormal ? 'error' : 'success'}
+            />
+          </TableCell>
+          <TableCell align="right">
+            <IconButton
+              size="small"
+              aria-label={`show ${analyte.name} trend`}
+              onClick={() => onShowTrend(analyte)}
+            >
+              <ShowChartIcon fontSize="small" />
+            </IconButton>
+          </TableCell>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
 
 const DiagnosticTests = () => {
   const queryClient = useQueryClient();
+  const { hasPermission } = useAuth();
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
   const [filters, setFilters] = useState({
@@ -67,6 +152,15 @@ const DiagnosticTests = () => {
   const [viewingTest, setViewingTest] = useState(null);
   const [anchorEl, setAnchorEl] = useState(null);
   const [selectedTest, setSelectedTest] = useState(null);
+  const [expandedPanels, setExpandedPanels] = useState({});
+  const [trendTest, setTrendTest] = useState(null);
+  const [importDialog, setImportDialog] = useState(false);
+  const [spreadsheetDialog, setSpreadsheetDialog] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Set when a clinician is viewing a patient's shared records
+  const [patientId, setPatientId] = useState('');
+  const isOwnRecords = !patientId;
+  const patientQuery = patientId ? `?patientId=${patientId}` : '';
 
   const {
     register,
@@ -78,26 +172,55 @@ const DiagnosticTests = () => {
 
   // Fetch diagnostic tests with pagination and filters
   const { data: testsData, isLoading } = useQuery(
-    ['diagnosticTests', page + 1, rowsPerPage, filters],
+    ['diagnosticTests', page + 1, rowsPerPage, filters, patientId],
     () => {
       const params = new URLSearchParams({
         page: page + 1,
         limit: rowsPerPage,
         ...Object.fromEntries(Object.entries(filters).filter(([_, v]) => v !== '')),
+        ...(patientId && { patientId }),
       });
       return axios.get(`/api/diagnostic-tests?${params}`).then(res => res.data);
     },
     { keepPreviousData: true }
   );
 
+  // Alert rules may fire on save; surface them and refresh the alert views
+  const notifyRaisedAlerts = (alerts = []) => {
+    if (alerts.length === 0) return;
+    queryClient.invalidateQueries('alerts');
+    queryClient.invalidateQueries('activeAlerts');
+    toast(`${alerts.length} alert${alerts.length > 1 ? 's' : ''} raised: ${alerts.map(alert => alert.title).join(', ')}`, {
+      icon: '⚠️',
+    });
+  };
+
+  // Full record, with analytes and linked alerts, for the view dialog
+  const { data: viewedTestData, isError: isViewedTestError } = useQuery(
+    ['diagnosticTest', viewingTest?.id, patientId],
+    () => axios.get(`/api/diagnostic-tests/${viewingTest.id}${patientQuery}`).then(res => res.data),
+    { enabled: viewDialog && !!viewingTest }
+  );
+  const viewedTest = viewedTestData?.test || (viewingTest?.name ? viewingTest : null);
+
+  // Alerts link here with ?testId=... to open the test they were raised for
+  useEffect(() => {
+    const testId = searchParams.get('testId');
+    if (testId) {
+      setViewingTest({ id: Number(testId) });
+      setViewDialog(true);
+    }
+  }, [searchParams]);
+
   // Mutations
   const createTestMutation = useMutation(
     (data) => axios.post('/api/diagnostic-tests', data),
     {
-      onSuccess: () => {
+      onSuccess: (response) => {
         queryClient.invalidateQueries('diagnosticTests');
         queryClient.invalidateQueries('recentTests');
         toast.success('Diagnostic test created successfully');
+        notifyRaisedAlerts(response.data.alerts);
         handleCloseDialog();
       },
       onError: (error) => {
@@ -109,10 +232,12 @@ const DiagnosticTests = () => {
   const updateTestMutation = useMutation(
     ({ id, data }) => axios.put(`/api/diagnostic-tests/${id}`, data),
     {
-      onSuccess: () => {
+      onSuccess: (response) => {
         queryClient.invalidateQueries('diagnosticTests');
         queryClient.invalidateQueries('recentTests');
+        queryClient.invalidateQueries('diagnosticTest');
         toast.success('Diagnostic test updated successfully');
+        notifyRaisedAlerts(response.data.alerts);
         handleCloseDialog();
       },
       onError: (error) => {
@@ -135,6 +260,20 @@ const DiagnosticTests = () => {
     }
   );
 
+  const reviewTestMutation = useMutation(
+    (id) => axios.put(`/api/diagnostic-tests/${id}/review${patientQuery}`),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('diagnosticTests');
+        queryClient.invalidateQueries('diagnosticTest');
+        toast.success('Diagnostic test marked as reviewed');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to review test');
+      },
+    }
+  );
+
   const handleOpenDialog = (test = null) => {
     setEditingTest(test);
     if (test) {
@@ -146,6 +285,8 @@ const DiagnosticTests = () => {
         status: test.status,
         normalRange: test.normalRange || '',
         units: test.units || '',
+        criticalLow: test.criticalLow ?? '',
+        criticalHigh: test.criticalHigh ?? '',
         notes: test.notes || '',
         doctorName: test.doctorName || '',
         labName: test.labName || '',
@@ -160,6 +301,8 @@ const DiagnosticTests = () => {
         status: 'completed',
         normalRange: '',
         units: '',
+        criticalLow: '',
+        criticalHigh: '',
         notes: '',
         doctorName: '',
         labName: '',
@@ -183,14 +326,24 @@ const DiagnosticTests = () => {
   const handleCloseViewDialog = () => {
     setViewDialog(false);
     setViewingTest(null);
+    if (searchParams.has('testId')) {
+      setSearchParams({}, { replace: true });
+    }
   };
 
   const onSubmit = (data) => {
     const formattedData = {
       ...data,
       date: data.date.toISOString().split('T')[0], // Format as YYYY-MM-DD
+      criticalLow: data.criticalLow === '' ? null : Number(data.criticalLow),
+      criticalHigh: data.criticalHigh === '' ? null : Number(data.criticalHigh),
     };
 
+    // Panels carry their results on the analytes
+    if (editingTest?.isPanel && !formattedData.result) {
+      delete formattedData.result;
+    }
+
     if (editingTest) {
       updateTestMutation.mutate({ id: editingTest.id, data: formattedData });
     } else {
@@ -198,6 +351,10 @@ const DiagnosticTests = () => {
     }
   };
 
+  const togglePanel = (id) => {
+    setExpandedPanels(prev => ({ ...prev, [id]: !prev[id] }));
+  };
+
   const handleMenuClick = (event, test) => {
     setAnchorEl(event.currentTarget);
     setSelectedTest(test);
@@ -252,13 +409,42 @@ const DiagnosticTests = () => {
               Manage your diagnostic test results and medical records.
             </Typography>
           </Box>
-          <Button
-            variant="contained"
-            startIcon={<AddIcon />}
-            onClick={() => handleOpenDialog()}
-          >
-            Add Test Result
-          </Button>
+          <Box display="flex" gap={2} alignItems="center">
+            <PatientSelector
+              value={patientId}
+              onChange={(value) => {
+                setPatientId(value);
+                setPage(0);
+              }}
+            />
+            {isOwnRecords && (
+              <Button
+                variant="outlined"
+                startIcon={<UploadFileIcon />}
+                onClick={() => setImportDialog(true)}
+              >
+                Import FHIR
+              </Button>
+            )}
+            {isOwnRecords && (
+              <Button
+                variant="outlined"
+                startIcon={<UploadFileIcon />}
+                onClick={() => setSpreadsheetDialog(true)}
+              >
+                Import Spreadsheet
+              </Button>
+            )}
+            {isOwnRecords && (
+              <Button
+                variant="contained"
+                startIcon={<AddIcon />}
+                onClick={() => handleOpenDialog()}
+              >
+                Add Test Result
+              </Button>
+            )}
+          </Box>
         </Box>
 
         {/* Filters */}
@@ -346,63 +532,91 @@ const DiagnosticTests = () => {
                   </TableRow>
                 ) : (
                   testsData?.tests?.map((test) => (
-                    <TableRow key={test.id} hover>
-                      <TableCell>
-                        <Box>
-                          <Typography variant="subtitle2" gutterBottom>
-                            {test.name}
-                          </Typography>
-                          {test.doctorName && (
-                            <Typography variant="caption" color="text.secondary">
-                              Dr. {test.doctorName}
-                            </Typography>
-                          )}
-                        </Box>
-                      </TableCell>
-                      <TableCell>
-                        <Chip
-                          label={test.testType}
-                          size="small"
-                          variant="outlined"
-                        />
-                      </TableCell>
-                      <TableCell>
-                        {new Date(test.date).toLocaleDateString()}
-                      </TableCell>
-                      <TableCell>
-                        <Chip
-                          label={test.status}
-                          size="small"
-                          color={getStatusColor(test.status)}
-                          className={`status-${test.status}`}
-                        />
-                      </TableCell>
-                      <TableCell>
-                        <Box display="flex" alignItems="center" gap={1}>
-                          {test.isAbnormal ? (
-                            <Chip
-                              label="Abnormal"
-                              size="small"
-                              color="error"
-                            />
-                          ) : (
+                    <React.Fragment key={test.id}>
+                      <TableRow hover>
+                        <TableCell>
+                          <Box>
+                            <Box display="flex" alignItems="center" gap={1}>
+                              {test.isPanel && (
+                                <IconButton
+                                  size="small"
+                                  aria-label={expandedPanels[test.id] ? 'collapse panel' : 'expand panel'}
+                                  onClick={() => togglePanel(test.id)}
+                                >
+                                  {expandedPanels[test.id] ? <KeyboardArrowUpIcon /> : <KeyboardArrowDownIcon />}
+                                </IconButton>
+                              )}
+                              <Typography variant="subtitle2" gutterBottom>
+                                {test.name}
+                              </Typography>
+                              {test.isPanel && (
+                                <Chip
+                                  label={`${test.analytes?.length || 0} analytes`}
+                                  size="small"
+                                  variant="outlined"
+                                />
+                              )}
+                            </Box>
+                            {test.doctorName && (
+                              <Typography variant="caption" color="text.secondary">
+                                Dr. {test.doctorName}
+                              </Typography>
+                            )}
+                          </Box>
+                        </TableCell>
+                        <TableCell>
+                          <Chip
+                            label={test.testType}
+                            size="small"
+                            variant="outlined"
+                          />
+                        </TableCell>
+                        <TableCell>
+                          {new Date(test.date).toLocaleDateString()}
+                        </TableCell>
+                        <TableCell>
+                          <Chip
+                            label={test.status}
+                            size="small"
+                            color={getStatusColor(test.status)}
+                            className={`status-${test.status}`}
+                          />
+                        </TableCell>
+                        <TableCell>
+                          <Box display="flex" alignItems="center" gap={1}>
+                            {test.numericValue !== null && test.numericValue !== undefined && (
+                              <Typography variant="body2">
+                                {test.numericValue} {test.units}
+                              </Typography>
+                            )}
                             <Chip
-                              label="Normal"
+                              label={getResultLabel(test)}
                               size="small"
-                              color="success"
+                              color={test.isAbnormal ? 'error' : 'success'}
                             />
-                          )}
-                        </Box>
-                      </TableCell>
-                      <TableCell align="right">
-                        <IconButton
-                          onClick={(e) => handleMenuClick(e, test)}
-                          size="small"
-                        >
-                          <MoreVertIcon />
-                        </IconButton>
-                      </TableCell>
-                    </TableRow>
+                          </Box>
+                        </TableCell>
+                        <TableCell align="right">
+                          <IconButton
+                            onClick={(e) => handleMenuClick(e, test)}
+                            size="small"
+                          >
+                            <MoreVertIcon />
+                          </IconButton>
+                        </TableCell>
+                      </TableRow>
+                      {test.isPanel && (
+                        <TableRow>
+                          <TableCell colSpan={6} sx={{ py: 0, borderBottom: expandedPanels[test.id] ? undefined : 'none' }}>
+                            <Collapse in={!!expandedPanels[test.id]} timeout="auto" unmountOnExit>
+                              <Box sx={{ my: 1, ml: 4 }}>
+                                <AnalyteTable analytes={test.analytes || []} onShowTrend={setTrendTest} />
+                              </Box>
+                            </Collapse>
+                          </TableCell>
+                        </TableRow>
+                      )}
+                    </React.Fragment>
                   ))
                 )}
               </TableBody>
@@ -434,21 +648,41 @@ const DiagnosticTests = () => {
             </ListItemIcon>
             <ListItemText>View Details</ListItemText>
           </MenuItem>
-          <MenuItem onClick={() => { handleOpenDialog(selectedTest); handleMenuClose(); }}>
-            <ListItemIcon>
-              <EditIcon fontSize="small" />
-            </ListItemIcon>
-            <ListItemText>Edit</ListItemText>
-          </MenuItem>
-          <MenuItem 
-            onClick={() => { deleteTestMutation.mutate(selectedTest.id); handleMenuClose(); }}
-            sx={{ color: 'error.main' }}
-          >
-            <ListItemIcon>
-              <DeleteIcon fontSize="small" color="error" />
-            </ListItemIcon>
-            <ListItemText>Delete</ListItemText>
-          </MenuItem>
+          {selectedTest && !selectedTest.isPanel && (
+            <MenuItem onClick={() => { setTrendTest(selectedTest); handleMenuClose(); }}>
+              <ListItemIcon>
+                <ShowChartIcon fontSize="small" />
+              </ListItemIcon>
+              <ListItemText>View Trend</ListItemText>
+            </MenuItem>
+          )}
+          {hasPermission('tests:review') && selectedTest?.status !== 'reviewed' && (
+            <MenuItem onClick={() => { reviewTestMutation.mutate(selectedTest.id); handleMenuClose(); }}>
+              <ListItemIcon>
+                <CheckCircleIcon fontSize="small" />
+              </ListItemIcon>
+              <ListItemText>Mark as Reviewed</ListItemText>
+            </MenuItem>
+          )}
+          {isOwnRecords && (
+            <MenuItem onClick={() => { handleOpenDialog(selectedTest); handleMenuClose(); }}>
+              <ListItemIcon>
+                <EditIcon fontSize="small" />
+              </ListItemIcon>
+              <ListItemText>Edit</ListItemText>
+            </MenuItem>
+          )}
+          {isOwnRecords && (
+            <MenuItem 
+              onClick={() => { deleteTestMutation.mutate(selectedTest.id); handleMenuClose(); }}
+              sx={{ color: 'error.main' }}
+            >
+              <ListItemIcon>
+                <DeleteIcon fontSize="small" color="error" />
+              </ListItemIcon>
+              <ListItemText>Delete</ListItemText>
+            </MenuItem>
+          )}
         </Menu>
 
         {/* Create/Edit Dialog */}
@@ -541,7 +775,7 @@ const DiagnosticTests = () => {
                     error={!!errors.result}
                     helperText={errors.result?.message}
                     {...register('result', {
-                      required: 'Test result is required',
+                      required: editingTest?.isPanel ? false : 'Test result is required',
                     })}
                   />
                 </Grid>
@@ -550,6 +784,7 @@ const DiagnosticTests = () => {
                     fullWidth
                     label="Normal Range"
                     margin="normal"
+                    placeholder="e.g. 70-100, <5.7, >=60, negative"
                     {...register('normalRange')}
                   />
                 </Grid>
@@ -561,6 +796,26 @@ const DiagnosticTests = () => {
                     {...register('units')}
                   />
                 </Grid>
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    fullWidth
+                    label="Critical Low"
+                    type="number"
+                    margin="normal"
+                    inputProps={{ step: 'any' }}
+                    {...register('criticalLow')}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    fullWidth
+                    label="Critical High"
+                    type="number"
+                    margin="normal"
+                    inputProps={{ step: 'any' }}
+                    {...register('criticalHigh')}
+                  />
+                </Grid>
                 <Grid item xs={12} sm={6}>
                   <TextField
                     fullWidth
@@ -599,7 +854,7 @@ const DiagnosticTests = () => {
                             onChange={field.onChange}
                           />
                         }
-                        label="Mark as abnormal result"
+                        label="Mark as abnormal result (used when the result can't be checked against the normal range)"
                       />
                     )}
                   />
@@ -627,17 +882,25 @@ const DiagnosticTests = () => {
         {/* View Test Dialog */}
         <Dialog open={viewDialog} onClose={handleCloseViewDialog} maxWidth="md" fullWidth>
           <DialogTitle>
-            Test Details: {viewingTest?.name}
+            Test Details: {viewedTest?.name}
           </DialogTitle>
           <DialogContent>
-            {viewingTest && (
+            {isViewedTestError && !viewedTest && (
+              <Alert severity="error">Diagnostic test not found.</Alert>
+            )}
+            {!isViewedTestError && !viewedTest && (
+              <Box display="flex" justifyContent="center" py={4}>
+                <CircularProgress />
+              </Box>
+            )}
+            {viewedTest && (
               <Grid container spacing={2} sx={{ mt: 1 }}>
                 <Grid item xs={12} sm={6}>
                   <Typography variant="subtitle2" color="text.secondary">
                     Test Type
                   </Typography>
                   <Typography variant="body1" gutterBottom>
-                    {viewingTest.testType}
+                    {viewedTest.testType}
                   </Typography>
                 </Grid>
                 <Grid item xs={12} sm={6}>
@@ -645,7 +908,7 @@ const DiagnosticTests = () => {
                     Date
                   </Typography>
                   <Typography variant="body1" gutterBottom>
-                    {new Date(viewingTest.date).toLocaleDateString()}
+                    {new Date(viewedTest.date).toLocaleDateString()}
                   </Typography>
                 </Grid>
                 <Grid item xs={12} sm={6}>
@@ -653,10 +916,10 @@ const DiagnosticTests = () => {
                     Status
                   </Typography>
                   <Chip
-                    label={viewingTest.status}
+                    label={viewedTest.status}
                     size="small"
-                    color={getStatusColor(viewingTest.status)}
-                    className={`status-${viewingTest.status}`}
+                    color={getStatusColor(viewedTest.status)}
+                    className={`status-${viewedTest.status}`}
                   />
                 </Grid>
                 <Grid item xs={12} sm={6}>
@@ -664,101 +927,185 @@ const DiagnosticTests = () => {
                     Result Type
                   </Typography>
                   <Chip
-                    label={viewingTest.isAbnormal ? 'Abnormal' : 'Normal'}
+                    label={getResultLabel(viewedTest)}
                     size="small"
-                    color={viewingTest.isAbnormal ? 'error' : 'success'}
+                    color={viewedTest.isAbnormal ? 'error' : 'success'}
                   />
                 </Grid>
-                <Grid item xs={12}>
-                  <Typography variant="subtitle2" color="text.secondary">
-                    Result
-                  </Typography>
-                  <Typography variant="body1" gutterBottom>
-                    {viewingTest.result}
-                  </Typography>
-                </Grid>
-                {viewingTest.normalRange && (
+                {viewedTest.result && (
+                  <Grid item xs={12}>
+                    <Typography variant="subtitle2" color="text.secondary">
+                      Result
+                    </Typography>
+                    <Typography variant="body1" gutterBottom>
+                      {viewedTest.result}
+                    </Typography>
+                  </Grid>
+                )}
+                {viewedTest.isPanel && (
+                  <Grid item xs={12}>
+                    <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+                      Analytes
+                    </Typography>
+                    <AnalyteTable
+                      analytes={viewedTest.analytes || []}
+                      onShowTrend={(analyte) => { handleCloseViewDialog(); setTrendTest(analyte); }}
+                    />
+                  </Grid>
+                )}
+                {viewedTest.normalRange && (
                   <Grid item xs={12} sm={6}>
                     <Typography variant="subtitle2" color="text.secondary">
                       Normal Range
                     </Typography>
                     <Typography variant="body1" gutterBottom>
-                      {viewingTest.normalRange}
+                      {viewedTest.normalRange}
                     </Typography>
                   </Grid>
                 )}
-                {viewingTest.units && (
+                {viewedTest.units && (
                   <Grid item xs={12} sm={6}>
                     <Typography variant="subtitle2" color="text.secondary">
                       Units
                     </Typography>
                     <Typography variant="body1" gutterBottom>
-                      {viewingTest.units}
+                      {viewedTest.units}
                     </Typography>
                   </Grid>
                 )}
-                {viewingTest.doctorName && (
+                {viewedTest.doctorName && (
                   <Grid item xs={12} sm={6}>
                     <Typography variant="subtitle2" color="text.secondary">
                       Doctor
                     </Typography>
                     <Typography variant="body1" gutterBottom>
-                      Dr. {viewingTest.doctorName}
+                      Dr. {viewedTest.doctorName}
                     </Typography>
                   </Grid>
                 )}
-                {viewingTest.labName && (
+                {viewedTest.labName && (
                   <Grid item xs={12} sm={6}>
                     <Typography variant="subtitle2" color="text.secondary">
                       Laboratory
                     </Typography>
                     <Typography variant="body1" gutterBottom>
-                      {viewingTest.labName}
+                      {viewedTest.labName}
                     </Typography>
                   </Grid>
                 )}
-                {viewingTest.notes && (
+                {viewedTest.notes && (
                   <Grid item xs={12}>
                     <Typography variant="subtitle2" color="text.secondary">
                       Notes
                     </Typography>
                     <Typography variant="body1" gutterBottom>
-                      {viewingTest.notes}
+                      {viewedTest.notes}
                     </Typography>
                   </Grid>
                 )}
+                {viewedTestData?.test && (
+                  <Grid item xs={12}>
+                    <TestAttachments
+                      test={viewedTestData.test}
+                      canEdit={isOwnRecords}
+                      patientQuery={patientQuery}
+                    />
+                  </Grid>
+                )}
+                {collectTestAlerts(viewedTest).length > 0 && (
+                  <Grid item xs={12}>
+                    <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+                      Alerts
+                    </Typography>
+                    {collectTestAlerts(viewedTest).map((alert) => (
+                      <Box key={alert.id} display="flex" alignItems="center" gap={1} mb={1}>
+                        <Chip
+                          label={alert.priority}
+                          size="small"
+                          color={getAlertPriorityColor(alert.priority)}
+                        />
+                        <Link component={RouterLink} to={`/alerts?alertId=${alert.id}`} variant="body2">
+                          {alert.title}
+                        </Link>
+                        {alert.analyteName && (
+                          <Typography variant="caption" color="text.secondary">
+                            ({alert.analyteName})
+                          </Typography>
+                        )}
+                        <Chip label={alert.status} size="small" variant="outlined" />
+                      </Box>
+                    ))}
+                  </Grid>
+                )}
               </Grid>
             )}
           </DialogContent>
           <DialogActions>
             <Button onClick={handleCloseViewDialog}>Close</Button>
-            <Button
-              onClick={() => {
-                handleCloseViewDialog();
-                handleOpenDialog(viewingTest);
-              }}
-              variant="contained"
-              startIcon={<EditIcon />}
-            >
-              Edit
-            </Button>
+            {isOwnRecords && (
+              <Button
+                disabled={!viewedTest}
+                onClick={() => {
+                  handleCloseViewDialog();
+                  handleOpenDialog(viewedTest);
+                }}
+                variant="contained"
+                startIcon={<EditIcon />}
+              >
+                Edit
+              </Button>
+            )}
           </DialogActions>
         </Dialog>
 
-        {/* Floating Action Button for mobile */}
-        <Fab
-          color="primary"
-          aria-label="add test"
-          sx={{
-            position: 'fixed',
-            bottom: 16,
-            right: 16,
-            display: { xs: 'flex', sm: 'none' },
+        {/* Trend Chart Dialog */}
+        <TrendChartDialog
+          open={Boolean(trendTest)}
+          onClose={() => setTrendTest(null)}
+          test={trendTest}
+          patientId={patientId}
+        />
+
+        <FhirImportDialog
+          open={importDialog}
+          onClose={() => setImportDialog(false)}
+          onImported={(report) => {
+            if (report.summary.imported > 0) {
+              queryClient.invalidateQueries('diagnosticTests');
+              queryClient.invalidateQueries('recentTests');
+            }
+            notifyRaisedAlerts(report.alerts);
           }}
-          onClick={() => handleOpenDialog()}
-        >
-          <AddIcon />
-        </Fab>
+        />
+
+        <SpreadsheetImportDialog
+          open={spreadsheetDialog}
+          onClose={() => setSpreadsheetDialog(false)}
+          onImported={(report) => {
+            if (report.summary.imported > 0) {
+              queryClient.invalidateQueries('diagnosticTests');
+              queryClient.invalidateQueries('recentTests');
+            }
+            notifyRaisedAlerts(report.alerts);
+          }}
+        />
+
+        {/* Floating Action Button for mobile */}
+        {isOwnRecords && (
+          <Fab
+            color="primary"
+            aria-label="add test"
+            sx={{
+              position: 'fixed',
+              bottom: 16,
+              right: 16,
+              display: { xs: 'flex', sm: 'none' },
+            }}
+            onClick={() => handleOpenDialog()}
+          >
+            <AddIcon />
+          </Fab>
+        )}
       </Box>
     </LocalizationProvider>
   );
@@ -20,21 +20,31 @@ import {
   Paper,
   Tabs,
   Tab,
+  Chip,
 } from '@mui/material';
 import {
   Person as PersonIcon,
   Settings as SettingsIcon,
   Lock as LockIcon,
   Save as SaveIcon,
+  Groups as GroupsIcon,
+  Logout as LogoutIcon,
+  History as HistoryIcon,
+  Archive as ArchiveIcon,
 } from '@mui/icons-material';
 import { useForm } from 'react-hook-form';
 import { useMutation, useQueryClient } from 'react-query';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import { useAuth } from '../../contexts/AuthContext';
+import CareTeamPanel from '../../components/CareTeam/CareTeamPanel';
+import TwoFactorSettings from '../../components/Security/TwoFactorSettings';
+import AccessHistory from '../../components/Security/AccessHistory';
+import DataExport from '../../components/Account/DataExport';
+import DeleteAccount from '../../components/Account/DeleteAccount';
 
 const Profile = () => {
-  const { user, updateUser } = useAuth();
+  const { user, updateUser, updateTokens, logoutAll } = useAuth();
   const queryClient = useQueryClient();
   const [activeTab, setActiveTab] = useState(0);
 
@@ -60,7 +70,7 @@ const Profile = () => {
   } = useForm({
     defaultValues: {
       notificationThreshold: user?.preferences?.notificationThreshold || 'medium',
-      emailNotifications: user?.preferences?.emailNotifications || true,
+      emailNotifications: user?.preferences?.emailNotifications ?? true,
       theme: user?.preferences?.theme || 'light',
       language: user?.preferences?.language || 'en',
     },
@@ -105,8 +115,10 @@ const Profile = () => {
   const changePasswordMutation = useMutation(
     (data) => axios.put('/api/users/password', data),
     {
-      onSuccess: () => {
-        toast.success('Password changed successfully');
+      onSuccess: (response) => {
+        // Other devices are signed out; this one carries on with new tokens
+        updateTokens(response.data);
+        toast.success('Password changed. Other devices have been signed out.');
         resetPassword();
       },
       onError: (error) => {
@@ -169,6 +181,15 @@ const Profile = () => {
               <Typography variant="body2" color="text.secondary" gutterBottom>
                 {user?.email}
               </Typography>
+              {user?.role && (
+                <Box mb={1}>
+                  <Chip
+                    label={user.role.charAt(0).toUpperCase() + user.role.slice(1)}
+                    size="small"
+                    color={user.role === 'patient' ? 'default' : 'primary'}
+                  />
+                </Box>
+              )}
               <Typography variant="caption" color="text.secondary">
                 Member since {user?.createdAt ? 
                   new Date(user.createdAt).toLocaleDateString() : 'N/A'}
@@ -184,11 +205,16 @@ const Profile = () => {
               value={activeTab}
               onChange={handleTabChange}
               aria-label="profile tabs"
+              variant="scrollable"
+              scrollButtons="auto"
               sx={{ borderBottom: 1, borderColor: 'divider' }}
             >
               <Tab icon={<PersonIcon />} label="Profile" />
               <Tab icon={<SettingsIcon />} label="Preferences" />
               <Tab icon={<LockIcon />} label="Security" />
+              <Tab icon={<GroupsIcon />} label="Care Team" />
+              <Tab icon={<HistoryIcon />} label="Access History" />
+              <Tab icon={<ArchiveIcon />} label="Your Data" />
             </Tabs>
 
             {/* Profile Tab */}
@@ -396,6 +422,47 @@ const Profile = () => {
                   </Grid>
                 </Grid>
               </Box>
+
+              <Divider sx={{ my: 4 }} />
+
+              <TwoFactorSettings />
+
+              <Divider sx={{ my: 4 }} />
+
+              <Typography variant="h6" gutterBottom>
+                Sessions
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Sign out everywhere you are logged in, including this device. Use this if you
+                lost a device or think someone else has access to your account.
+              </Typography>
+              <Button
+                variant="outlined"
+                color="error"
+                startIcon={<LogoutIcon />}
+                onClick={logoutAll}
+              >
+                Log Out All Devices
+              </Button>
+            </TabPanel>
+
+            {/* Care Team Tab */}
+            <TabPanel value={activeTab} index={3}>
+              <CareTeamPanel />
+            </TabPanel>
+
+            {/* Access History Tab */}
+            <TabPanel value={activeTab} index={4}>
+              <AccessHistory />
+            </TabPanel>
+
+            {/* Your Data Tab */}
+            <TabPanel value={activeTab} index={5}>
+              <DataExport />
+
+              <Divider sx={{ my: 4 }} />
+
+              <DeleteAccount />
             </TabPanel>
           </Paper>
         </Grid>